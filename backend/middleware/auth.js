@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const dbService = require('../services/supabase-db');
+
+// Secret used to sign session tokens. Set SESSION_SECRET in production so tokens
+// stay valid across server restarts and serverless instances.
+const SESSION_SECRET = process.env.SESSION_SECRET || process.env.SUPABASE_SERVICE_KEY || 'siddhi-dev-session-secret';
+if (!process.env.SESSION_SECRET) {
+    console.warn('⚠️  SESSION_SECRET not set — falling back to a derived secret. Set it in your .env file.');
+}
+
+// Session lifetimes per role (match the old client-side auto-logout limits)
+const SESSION_TTL_MS = {
+    admin: 12 * 60 * 60 * 1000,   // 12 Hours
+    employee: 1 * 60 * 60 * 1000  // 1 Hour
+};
+
+// The ADMIN_USERNAME/ADMIN_PASSWORD account from .env always exists as an owner,
+// so a fresh install (or an empty admin_users table) can still log in.
+const BUILTIN_ADMIN_ID = 'admin';
+
+// What each admin role may do. Supervisors are further limited to their crew.
+const ROLE_PERMISSIONS = {
+    owner: ['*'], // also the owner-only 'payroll:reopen'
+    accountant: ['employees:read', 'attendance:read', 'advances', 'debit_notes', 'payments', 'payroll', 'uploads', 'audit', 'leaves'],
+    supervisor: ['employees:read', 'attendance:read', 'attendance:write', 'attendance_photos', 'leaves']
+};
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const sign = (body) => crypto.createHmac('sha256', SESSION_SECRET).update(body).digest('base64url');
+
+// Issue a signed, expiring token: base64url(JSON payload) + '.' + HMAC signature
+const issueToken = (user) => {
+    const ttl = SESSION_TTL_MS[user.role] || SESSION_TTL_MS.employee;
+    const expiresAt = Date.now() + ttl;
+    const payload = { role: user.role, id: user.id != null ? String(user.id) : null, name: user.name || '', exp: expiresAt };
+    if (user.mustChangePassword) payload.mustChangePassword = true;
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return { token: `${body}.${sign(body)}`, expiresAt };
+};
+
+// Returns the token payload, or null if the token is malformed, tampered with or expired
+const verifyToken = (token) => {
+    if (!token || typeof token !== 'string') return null;
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+
+    const expected = Buffer.from(sign(body));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        if (!payload.exp || Date.now() > payload.exp) return null;
+        return payload;
+    } catch (e) {
+        return null;
+    }
+};
+
+const getBearerToken = (req) => {
+    const header = req.headers['authorization'] || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+// Rejects the request unless it carries a valid session token; sets req.user
+const requireAuth = (req, res, next) => {
+    const user = verifyToken(getBearerToken(req));
+    if (!user) return res.status(401).json({ error: 'Session expired or invalid. Please log in again.' });
+    req.user = user;
+    next();
+};
+
+// Must run after requireAuth. Usage: requireRole('admin')
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({ error: 'You do not have permission to perform this action.' });
+    }
+    next();
+};
+
+// Blocks accounts still on the default password until they set their own
+// (server.js lets the password change itself through)
+const requirePasswordChanged = (req, res, next) => {
+    if (req.user && req.user.mustChangePassword) {
+        return res.status(403).json({ error: 'Please change your password to continue.', mustChangePassword: true });
+    }
+    next();
+};
+
+// Must run after requireAuth. Resolves the admin account behind the token on every
+// request so role changes and deactivations apply immediately; sets
+// req.user.adminRole and, for supervisors, req.user.crew (employee ids).
+const loadStaffProfile = async (req, res, next) => {
+    if (!req.user || req.user.role !== 'admin') return next();
+    if (req.user.id === BUILTIN_ADMIN_ID) {
+        req.user.adminRole = 'owner';
+        req.user.crew = null;
+        return next();
+    }
+    try {
+        const staff = await dbService.getAdminUserById(req.user.id);
+        if (!staff || staff.active === false) {
+            return res.status(401).json({ error: 'This admin account has been disabled. Please contact the owner.' });
+        }
+        req.user.adminRole = ADMIN_ROLES.includes(staff.role) ? staff.role : 'supervisor';
+        req.user.name = staff.name || staff.username;
+        req.user.crew = req.user.adminRole === 'supervisor' ? (staff.crew || []).map(String) : null;
+        next();
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+};
+
+const getPermissions = (user) => (user && user.role === 'admin' ? ROLE_PERMISSIONS[user.adminRole] || [] : []);
+
+const hasPermission = (user, permission) => {
+    const permissions = getPermissions(user);
+    return permissions.includes('*') || permissions.includes(permission);
+};
+
+// Must run after loadStaffProfile. Usage: requirePermission('payroll')
+const requirePermission = (permission) => (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+        return res.status(403).json({ error: 'You do not have permission to perform this action.' });
+    }
+    next();
+};
+
+// True for any admin account (owner, accountant or supervisor)
+const isAdmin = (req) => Boolean(req.user && req.user.role === 'admin');
+
+// False for callers limited to a subset of employees (workers, supervisors)
+const canAccessAllEmployees = (req) => isAdmin(req) && !req.user.crew;
+
+// True when the caller may see this employee's records: unrestricted admins,
+// supervisors for their crew, and employees for themselves
+const canAccessEmployee = (req, employeeId) => {
+    if (!req.user) return false;
+    if (canAccessAllEmployees(req)) return true;
+    if (isAdmin(req)) return req.user.crew.includes(String(employeeId));
+    return String(req.user.id) === String(employeeId);
+};
+
+module.exports = {
+    BUILTIN_ADMIN_ID,
+    ADMIN_ROLES,
+    issueToken,
+    verifyToken,
+    requireAuth,
+    requireRole,
+    requirePasswordChanged,
+    loadStaffProfile,
+    getPermissions,
+    hasPermission,
+    requirePermission,
+    isAdmin,
+    canAccessAllEmployees,
+    canAccessEmployee
+};
@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const dbService = require('../services/supabase-db');
+const { ADMIN_ROLES } = require('../middleware/auth');
+const { hashPassword, validateNewPassword, withoutPassword } = require('../services/passwords');
+const { newId } = require('../services/recordIds');
+
+// Admin accounts (owner / accountant / supervisor). Mounted behind requirePermission('users').
+
+const normalizeCrew = (crew) => (Array.isArray(crew) ? crew.map(String).filter(Boolean) : []);
+
+// Returns an error message if the username is missing, reserved or taken
+const checkUsername = async (username, ignoreId = null) => {
+    const builtIn = (process.env.ADMIN_USERNAME || 'admin').toLowerCase();
+    if (!username) return 'Username is required.';
+    if (username.toLowerCase() === builtIn) return 'That username is reserved for the built-in owner account.';
+    const users = await dbService.getAllAdminUsers();
+    const taken = users.some(u => String(u.id) !== String(ignoreId) && (u.username || '').toLowerCase() === username.toLowerCase());
+    return taken ? 'That username is already in use.' : null;
+};
+
+router.get('/', async (req, res) => {
+    try {
+        const users = await dbService.getAllAdminUsers();
+        res.json(users.map(withoutPassword));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        const username = (req.body.username || '').toString().trim();
+        const role = req.body.role;
+        if (!ADMIN_ROLES.includes(role)) return res.status(400).json({ error: `Role must be one of: ${ADMIN_ROLES.join(', ')}` });
+
+        const usernameError = await checkUsername(username);
+        if (usernameError) return res.status(400).json({ error: usernameError });
+
+        const passwordError = validateNewPassword(req.body.password);
+        if (passwordError) return res.status(400).json({ error: passwordError });
+
+        const newUser = {
+            id: newId(),
+            username,
+            name: req.body.name || username,
+            role,
+            password: await hashPassword(req.body.password),
+            crew: role === 'supervisor' ? normalizeCrew(req.body.crew) : [],
+            active: req.body.active !== undefined ? Boolean(req.body.active) : true,
+            createdAt: new Date().toISOString()
+        };
+        const created = await dbService.createAdminUser(newUser, req.user);
+        res.json(withoutPassword(created));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+router.put('/:id', async (req, res) => {
+    try {
+        const existing = await dbService.getAdminUserById(req.params.id);
+        if (!existing) return res.status(404).json({ error: 'Admin user not found' });
+
+        const changes = {};
+        if (req.body.username !== undefined) {
+            changes.username = req.body.username.toString().trim();
+            const usernameError = await checkUsername(changes.username, existing.id);
+            if (usernameError) return res.status(400).json({ error: usernameError });
+        }
+        if (req.body.name !== undefined) changes.name = req.body.name;
+        if (req.body.role !== undefined) {
+            if (!ADMIN_ROLES.includes(req.body.role)) return res.status(400).json({ error: `Role must be one of: ${ADMIN_ROLES.join(', ')}` });
+            changes.role = req.body.role;
+        }
+        if (req.body.active !== undefined) changes.active = Boolean(req.body.active);
+        if (req.body.crew !== undefined) changes.crew = normalizeCrew(req.body.crew);
+        // Blank password means "keep the current one"
+        if (req.body.password) {
+            const passwordError = validateNewPassword(req.body.password);
+            if (passwordError) return res.status(400).json({ error: passwordError });
+            changes.password = await hashPassword(req.body.password);
+        }
+
+        // Don't let an owner lock themselves out
+        if (String(existing.id) === String(req.user.id) && ((changes.role && changes.role !== 'owner') || changes.active === false)) {
+            return res.status(400).json({ error: 'You cannot demote or disable your own account.' });
+        }
+
+        const updated = await dbService.updateAdminUser(existing.id, changes, req.user);
+        res.json(withoutPassword(updated));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        if (String(req.params.id) === String(req.user.id)) {
+            return res.status(400).json({ error: 'You cannot delete your own account.' });
+        }
+        await dbService.deleteAdminUser(req.params.id, req.user);
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+module.exports = router;
@@ -1,20 +1,66 @@
 const express = require('express');
 const router = express.Router();
 const dbService = require('../services/supabase-db');
+const { requirePermission } = require('../middleware/auth');
+const { checkRecordsOpen, checkMonthOpen } = require('../services/payrollClose');
+const { addMonths, buildInstallments, getAdvanceInstallments, isPlannedSchedule } = require('../services/payroll');
+const { isListQuery, parseListQuery, pageResponse, paginate, sumColumn } = require('../services/listQuery');
+const { newId } = require('../services/recordIds');
 const upload = require('../middleware/upload');
 const path = require('path');
 
-router.get('/', async (req, res) => {
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+const MAX_INSTALLMENTS = 120;
+
+// Repayment plan from the form: `repayment` is 'single' (all in one month), 'emi' (`emiAmount` a month)
+// or 'months' (`installmentMonths` equal parts). Returns { installments } (null = single) or { error }.
+const parseRepaymentPlan = (body, amount, startMonth) => {
+    const repayment = body.repayment || 'single';
+    if (repayment === 'single') return { installments: null };
+    if (!MONTH_PATTERN.test(startMonth || '')) return { error: 'Deduction month must be in YYYY-MM format.' };
+    if (!(amount > 0)) return { error: 'Amount must be more than 0.' };
+
+    const plan = repayment === 'emi'
+        ? { emiAmount: parseFloat(body.emiAmount) }
+        : { months: parseInt(body.installmentMonths, 10) };
+    if (repayment === 'emi' && !(plan.emiAmount > 0)) return { error: 'EMI amount must be more than 0.' };
+    if (repayment === 'months' && !(plan.months >= 1)) return { error: 'Number of months must be at least 1.' };
+    const count = plan.months || Math.ceil(amount / plan.emiAmount);
+    if (count > MAX_INSTALLMENTS) return { error: `A repayment plan can run for at most ${MAX_INSTALLMENTS} months.` };
+
+    return { installments: buildInstallments(amount, startMonth, plan) };
+};
+
+const sumInstallments = (list) => Math.round(list.reduce((sum, i) => sum + i.amount, 0) * 100) / 100;
+
+// With list parameters (see listQuery.js) this returns one page and the amount total. Employee and date
+// filters and the page are applied in the database. A month matches advances with an installment due in it;
+// installments are a JSON list the database cannot search, so that filter runs in memory, on one employee's
+// advances when an employee is given.
+router.get('/', requirePermission('advances'), async (req, res) => {
     try {
-        const advances = await dbService.getAllAdvances();
-        res.json(advances);
+        if (isListQuery(req.query)) {
+            const query = parseListQuery(req.query, { sortable: ['date', 'amount'] });
+            if (query.error) return res.status(400).json({ error: query.error });
+            if (!query.month) return res.json(pageResponse(await dbService.getAdvancesPage(query), query));
+
+            const advances = query.employeeId ? await dbService.getAdvancesByEmployee(query.employeeId) : await dbService.getAllAdvances();
+            const matches = advances.filter(a => getAdvanceInstallments(a).some(i => i.month === query.month));
+            return res.json(pageResponse({ ...paginate(matches, query), totals: { amount: sumColumn(matches, 'amount') } }, query));
+        }
+        res.json(await dbService.getAllAdvances());
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-router.post('/', upload.single('screenshot'), async (req, res) => {
+router.post('/', requirePermission('advances'), upload.single('screenshot'), async (req, res) => {
     try {
+        const { installments, error } = parseRepaymentPlan(req.body, parseFloat(req.body.amount), req.body.deductionMonth);
+        if (error) return res.status(400).json({ error });
+        const lockError = await checkRecordsOpen('advances', { ...req.body, installments });
+        if (lockError) return res.status(409).json({ error: lockError });
+
         let screenshotUrl = null;
         if (req.file) {
             const ext = path.extname(req.file.originalname);
@@ -26,28 +72,46 @@ router.post('/', upload.single('screenshot'), async (req, res) => {
         }
 
         const newAdvance = {
-            id: Date.now().toString(),
+            id: newId(),
             employeeId: req.body.employeeId,
             amount: parseFloat(req.body.amount),
             date: req.body.date,
-            deductionMonth: req.body.deductionMonth,
+            deductionMonth: req.body.deductionMonth, // first installment month
+            installments, // null = deducted in full in deductionMonth
             mode: req.body.mode,
             notes: req.body.notes,
             screenshot: screenshotUrl
         };
 
-        const created = await dbService.createAdvance(newAdvance);
+        const created = await dbService.createAdvance(newAdvance, req.user);
         res.json(created);
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-router.put('/:id', upload.single('screenshot'), async (req, res) => {
+router.put('/:id', requirePermission('advances'), upload.single('screenshot'), async (req, res) => {
     try {
         const existing = await dbService.getAdvanceById(req.params.id);
 
         if (existing) {
+            // An edit without plan fields, keeping the amount and first month, leaves the schedule as it is.
+            // Otherwise it re-plans the whole advance, which is refused once a month was skipped or the rest
+            // rescheduled: /reschedule keeps the installments before the change and records why.
+            const amount = parseFloat(req.body.amount);
+            const replans = req.body.repayment !== undefined || amount !== parseFloat(existing.amount) || req.body.deductionMonth !== existing.deductionMonth;
+            let installments = existing.installments;
+            if (replans) {
+                if (!isPlannedSchedule(existing)) {
+                    return res.status(409).json({ error: 'This advance has been rescheduled or had a month skipped. Change what is still owed with Reschedule in its repayment plan (📒).' });
+                }
+                const plan = parseRepaymentPlan(req.body, amount, req.body.deductionMonth);
+                if (plan.error) return res.status(400).json({ error: plan.error });
+                installments = plan.installments;
+            }
+            const lockError = await checkRecordsOpen('advances', existing, { ...req.body, installments });
+            if (lockError) return res.status(409).json({ error: lockError });
+
             let screenshotUrl = existing.screenshot;
             if (req.file) {
                 if (existing.screenshot) await dbService.deleteFile(existing.screenshot);
@@ -61,14 +125,15 @@ router.put('/:id', upload.single('screenshot'), async (req, res) => {
 
             const updatedAdvance = {
                 employeeId: req.body.employeeId,
-                amount: parseFloat(req.body.amount),
+                amount,
                 date: req.body.date,
                 deductionMonth: req.body.deductionMonth,
+                installments,
                 mode: req.body.mode,
                 notes: req.body.notes,
                 screenshot: screenshotUrl
             };
-            const updated = await dbService.updateAdvance(req.params.id, updatedAdvance);
+            const updated = await dbService.updateAdvance(req.params.id, updatedAdvance, req.user);
             res.json(updated);
         } else {
             res.status(404).json({ error: 'Record not found' });
@@ -78,18 +143,89 @@ router.put('/:id', upload.single('screenshot'), async (req, res) => {
     }
 });
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('advances'), async (req, res) => {
     try {
         const adv = await dbService.getAdvanceById(req.params.id);
+        const lockError = await checkRecordsOpen('advances', adv);
+        if (lockError) return res.status(409).json({ error: lockError });
         if (adv && adv.screenshot) {
             await dbService.deleteFile(adv.screenshot);
         }
 
-        await dbService.deleteAdvance(req.params.id);
+        await dbService.deleteAdvance(req.params.id, req.user);
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
+// RESCHEDULE: re-plan what is still owed from `fromMonth`; installments before it stay as they were
+router.post('/:id/reschedule', requirePermission('advances'), async (req, res) => {
+    try {
+        const adv = await dbService.getAdvanceById(req.params.id);
+        if (!adv) return res.status(404).json({ error: 'Record not found' });
+
+        const { fromMonth } = req.body;
+        const note = String(req.body.note || '').trim();
+        if (!MONTH_PATTERN.test(fromMonth || '')) return res.status(400).json({ error: 'Month must be in YYYY-MM format.' });
+        if (!note) return res.status(400).json({ error: 'A note explaining the change is required.' });
+        const lockError = await checkMonthOpen(fromMonth);
+        if (lockError) return res.status(409).json({ error: lockError });
+
+        const kept = getAdvanceInstallments(adv).filter(i => i.month < fromMonth);
+        const remaining = Math.round(((parseFloat(adv.amount) || 0) - sumInstallments(kept)) * 100) / 100;
+        if (remaining <= 0) return res.status(400).json({ error: `Nothing is left to repay from ${fromMonth}.` });
+
+        const { installments, error } = parseRepaymentPlan(req.body, remaining, fromMonth);
+        if (error) return res.status(400).json({ error });
+        const next = [...kept, ...(installments || [{ month: fromMonth, amount: remaining }])];
+
+        const updated = await dbService.rescheduleAdvance(adv.id, { installments: next, deductionMonth: next[0].month },
+            `Rescheduled ₹${remaining} from ${fromMonth} over ${next.length - kept.length} month(s): ${note}`, req.user);
+        res.json(updated);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// SKIP: nothing is deducted in `month`; that installment and every later one move back a month
+router.post('/:id/skip', requirePermission('advances'), async (req, res) => {
+    try {
+        const adv = await dbService.getAdvanceById(req.params.id);
+        if (!adv) return res.status(404).json({ error: 'Record not found' });
+
+        const { month } = req.body;
+        const note = String(req.body.note || '').trim();
+        if (!MONTH_PATTERN.test(month || '')) return res.status(400).json({ error: 'Month must be in YYYY-MM format.' });
+        if (!note) return res.status(400).json({ error: 'A note explaining the skip is required.' });
+        const lockError = await checkMonthOpen(month);
+        if (lockError) return res.status(409).json({ error: lockError });
+
+        const list = getAdvanceInstallments(adv);
+        const due = list.find(i => i.month === month && !i.skipped && i.amount > 0);
+        if (!due) return res.status(400).json({ error: `No installment is due in ${month}.` });
+
+        // Shift in order, stepping over months already skipped, so two installments never share a month
+        const skippedMonths = new Set([...list.filter(i => i.skipped).map(i => i.month), month]);
+        let last = '';
+        const moved = list.filter(i => !i.skipped && i.month >= month).map(i => {
+            let m = addMonths(i.month, 1);
+            while (m <= last || skippedMonths.has(m)) m = addMonths(m, 1);
+            last = m;
+            return { ...i, month: m };
+        });
+        const next = [
+            ...list.filter(i => i.skipped || i.month < month),
+            { month, amount: 0, skipped: true, note },
+            ...moved
+        ].sort((a, b) => a.month.localeCompare(b.month));
+
+        const updated = await dbService.rescheduleAdvance(adv.id, { installments: next, deductionMonth: next[0].month },
+            `Skipped the ₹${due.amount} installment of ${month}: ${note}`, req.user);
+        res.json(updated);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
 module.exports = router;
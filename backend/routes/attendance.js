@@ -1,19 +1,84 @@
 const express = require('express');
 const router = express.Router();
 const dbService = require('../services/supabase-db');
+const { requirePermission, hasPermission, isAdmin, canAccessAllEmployees, canAccessEmployee } = require('../middleware/auth');
+const { checkRecordsOpen } = require('../services/payrollClose');
+const { closeStaleShifts } = require('../services/staleShifts');
+const { stampCheckIn, stampCheckOut, resolveCaptureTime } = require('../services/attendanceClock');
+const { checkGeofence, pickShiftSite, combineSecurityFlags, geofenceFlag } = require('../services/geofence');
+const { isListQuery, parseListQuery, pageResponse } = require('../services/listQuery');
+const { newId } = require('../services/recordIds');
 
-router.get('/', async (req, res) => {
+// ?flag= values for the attendance list
+const ATTENDANCE_FLAGS = ['mocked', 'outside', 'auto_closed', 'offline', 'clock_skew', 'open'];
+
+// Workers may write their own records; admins need attendance rights and, for
+// supervisors, the worker must be in their crew
+const canWriteAttendanceFor = (req, employeeId) => {
+    if (isAdmin(req) && !hasPermission(req.user, 'attendance:write')) return false;
+    return canAccessEmployee(req, employeeId);
+};
+
+// With list parameters (see listQuery.js) this returns one page and the hours / fare totals;
+// without them, every record the caller may see
+router.get('/', requirePermission('attendance:read'), async (req, res) => {
     try {
+        if (isListQuery(req.query)) {
+            const query = parseListQuery(req.query, { sortable: ['date', 'employeeName', 'timeIn'], flags: ATTENDANCE_FLAGS });
+            if (query.error) return res.status(400).json({ error: query.error });
+            if (query.employeeId && !canAccessEmployee(req, query.employeeId)) return res.status(403).json({ error: 'Access denied' });
+
+            const employeeIds = canAccessAllEmployees(req) ? null : req.user.crew;
+            const result = employeeIds && employeeIds.length === 0
+                ? { rows: [], total: 0, totals: { workedHours: 0, fare: 0 } }
+                : await dbService.getAttendancePage({ ...query, employeeIds });
+            return res.json(pageResponse(result, query));
+        }
+
         const attendance = await dbService.getAllAttendance();
+        if (!canAccessAllEmployees(req)) return res.json(attendance.filter(a => canAccessEmployee(req, a.employeeId)));
         res.json(attendance);
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
+// Forgotten open shifts: GET previews what the auto-close would do, POST closes them.
+// The same job runs daily from /api/cron/close-stale-shifts.
+router.get('/stale-shifts', requirePermission('attendance:write'), async (req, res) => {
+    try {
+        res.json(await closeStaleShifts({ dryRun: true, canAccess: (empId) => canAccessEmployee(req, empId) }));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+router.post('/close-stale-shifts', requirePermission('attendance:write'), async (req, res) => {
+    try {
+        res.json(await closeStaleShifts({ actor: req.user, canAccess: (empId) => canAccessEmployee(req, empId) }));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// On a worker's own check-in or check-out the flag comes from the server's geofence check. The only thing
+// taken from the phone is its report of a mocked location, which can raise the flag but never clear it.
+const reportedMockFlag = (body) => (body.securityFlag === 'MOCKED_LOCATION' ? 'MOCKED_LOCATION' : null);
+
 router.post('/', async (req, res) => {
     try {
+        // Employees can only check themselves in, at the server's time: the phone's date and times are ignored.
+        // A check-in queued offline is back-dated to when it was captured and flagged with checkInSyncedAt.
+        const capture = isAdmin(req) ? null : resolveCaptureTime(req.body.capturedAt, req.body.clientTime);
+        if (capture && capture.error) return res.status(400).json({ error: capture.error });
+        const stamped = capture ? stampCheckIn(req.body.clientTime, capture.at, new Date()) : null;
+        if (stamped) Object.assign(req.body, { employeeId: req.user.id, date: stamped.date, timeIn: stamped.timeIn, timeOut: null, workedHours: null });
         const { employeeId, date } = req.body;
+        if (!canWriteAttendanceFor(req, employeeId)) {
+            return res.status(403).json({ error: 'You do not have permission to mark attendance for this employee.' });
+        }
+        const lockError = await checkRecordsOpen('attendance', req.body);
+        if (lockError) return res.status(409).json({ error: lockError });
 
         // Block duplicates safely
         if (employeeId && date) {
@@ -23,24 +88,39 @@ router.post('/', async (req, res) => {
             }
         }
 
+        // Self-service check-ins are measured against the worker's sites and costed to the nearest one;
+        // admin entries carry no location and name their site
+        const sites = stamped ? await dbService.getAllSites() : [];
+        const geo = stamped ? checkGeofence(sites, employeeId, date, req.body.checkInLoc) : null;
+
         const att = {
-            id: Date.now().toString(),
+            id: newId(),
             date: req.body.date,
             employeeId: req.body.employeeId,
             employeeName: req.body.employeeName,
             timeIn: req.body.timeIn,
             timeOut: req.body.timeOut,
             workedHours: req.body.workedHours,
-            slabMode: req.body.slabMode || false,
-            sundayMode: req.body.sundayMode || false,
-            fare: req.body.fare || 0,
+            checkInAt: stamped ? stamped.checkInAt : null,
+            checkInSyncedAt: capture ? capture.syncedAt : null,
+            clockSkewMinutes: stamped ? stamped.clockSkewMinutes : null,
+            // Pay modes and fare are the admin's to set; a worker's own check-in cannot raise their pay
+            slabMode: stamped ? false : (req.body.slabMode || false),
+            sundayMode: stamped ? false : (req.body.sundayMode || false),
+            halfDay: stamped ? false : (req.body.halfDay || false),
+            fare: stamped ? 0 : (req.body.fare || 0),
             checkInImage: req.body.checkInImage || null,
             checkInLoc: req.body.checkInLoc || null,
             checkOutImage: req.body.checkOutImage || null,
             checkOutLoc: req.body.checkOutLoc || null,
-            securityFlag: req.body.securityFlag || null
+            siteId: stamped ? pickShiftSite(sites, employeeId, date, geo) : (req.body.siteId || null),
+            checkInSiteId: geo ? geo.siteId : null,
+            checkInDistance: geo ? geo.distance : null,
+            securityFlag: stamped
+                ? combineSecurityFlags(reportedMockFlag(req.body), geofenceFlag(geo)) || 'SECURE'
+                : combineSecurityFlags(req.body.securityFlag, geofenceFlag(geo))
         };
-        const created = await dbService.createAttendance(att);
+        const created = await dbService.createAttendance(att, req.user);
         res.json(created);
     } catch (e) {
         res.status(500).json({ error: e.message });
@@ -49,21 +129,69 @@ router.post('/', async (req, res) => {
 
 router.put('/:id', async (req, res) => {
     try {
-        const updated = await dbService.updateAttendance(req.params.id, req.body);
+        if (isAdmin(req) && !hasPermission(req.user, 'attendance:write')) {
+            return res.status(403).json({ error: 'You do not have permission to perform this action.' });
+        }
+        const existing = await dbService.getAttendanceById(req.params.id);
+        if (!canAccessAllEmployees(req)) {
+            if (!existing || !canWriteAttendanceFor(req, existing.employeeId)) {
+                return res.status(403).json({ error: 'You can only update attendance you are responsible for.' });
+            }
+            // Supervisors may only move a record within their crew
+            if (isAdmin(req) && req.body.employeeId && !canWriteAttendanceFor(req, req.body.employeeId)) {
+                return res.status(403).json({ error: 'That employee is not in your crew.' });
+            }
+        }
+
+        // Employees can only check out of their open shift; the server stamps the time and works out the hours.
+        // An offline check-out may still replace the auto-close of a shift the job closed while it was queued.
+        if (!isAdmin(req)) {
+            const capture = resolveCaptureTime(req.body.capturedAt, req.body.clientTime);
+            if (capture.error) return res.status(400).json({ error: capture.error });
+            const replacesAutoClose = capture.syncedAt && existing.autoClosedAt;
+            if (existing.timeOut && !replacesAutoClose) return res.status(400).json({ error: 'You have already checked out of this shift.' });
+            if (existing.checkInAt && capture.at.getTime() < Date.parse(existing.checkInAt)) {
+                return res.status(400).json({ error: 'The check-out was captured before the check-in.' });
+            }
+            const geo = checkGeofence(await dbService.getAllSites(), existing.employeeId, existing.date, req.body.checkOutLoc);
+            const checkOut = {
+                ...stampCheckOut(existing, req.body.clientTime, capture.at, new Date()),
+                checkOutSyncedAt: capture.syncedAt,
+                ...(replacesAutoClose ? { autoClosedAt: null, autoClosePolicy: null } : {}),
+                checkOutLoc: req.body.checkOutLoc || null,
+                checkOutSiteId: geo ? geo.siteId : null,
+                checkOutDistance: geo ? geo.distance : null,
+                securityFlag: combineSecurityFlags(existing.securityFlag, reportedMockFlag(req.body), geofenceFlag(geo))
+            };
+            const lockError = await checkRecordsOpen('attendance', existing);
+            if (lockError) return res.status(409).json({ error: lockError });
+            return res.json(await dbService.updateAttendance(req.params.id, checkOut, req.user));
+        }
+
+        const lockError = await checkRecordsOpen('attendance', existing, { ...existing, ...req.body });
+        if (lockError) return res.status(409).json({ error: lockError });
+
+        if (req.body.siteId === '') req.body.siteId = null;
+        const updated = await dbService.updateAttendance(req.params.id, req.body, req.user);
         res.json(updated);
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('attendance:write'), async (req, res) => {
     try {
         const att = await dbService.getAttendanceById(req.params.id);
+        if (att && !canAccessEmployee(req, att.employeeId)) {
+            return res.status(403).json({ error: 'That employee is not in your crew.' });
+        }
+        const lockError = await checkRecordsOpen('attendance', att);
+        if (lockError) return res.status(409).json({ error: lockError });
         if (att) {
             if (att.checkInImage && att.checkInImage.includes('supabase')) await dbService.deleteFile(att.checkInImage);
             if (att.checkOutImage && att.checkOutImage.includes('supabase')) await dbService.deleteFile(att.checkOutImage);
         }
-        await dbService.deleteAttendance(req.params.id);
+        await dbService.deleteAttendance(req.params.id, req.user);
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: e.message });
@@ -77,6 +205,15 @@ router.post('/upload-photo', async (req, res) => {
         if (!attendanceId || !base64Image || !type) {
             return res.status(400).json({ error: 'attendanceId, type, and base64Image required' });
         }
+        if (isAdmin(req) && !hasPermission(req.user, 'attendance:write')) {
+            return res.status(403).json({ error: 'You do not have permission to perform this action.' });
+        }
+        if (!canAccessAllEmployees(req)) {
+            const existing = await dbService.getAttendanceById(attendanceId);
+            if (!existing || !canWriteAttendanceFor(req, existing.employeeId)) {
+                return res.status(403).json({ error: 'You can only upload photos for your own attendance.' });
+            }
+        }
 
         const base64Data = base64Image.replace(/^data:image\/\w+;base64,/, '');
         const buffer = Buffer.from(base64Data, 'base64');
@@ -88,7 +225,7 @@ router.post('/upload-photo', async (req, res) => {
         const publicUrl = await dbService.uploadFile(buffer, fileName, 'image/jpeg');
 
         const updateField = type === 'in' ? { checkInImage: publicUrl } : { checkOutImage: publicUrl };
-        await dbService.updateAttendance(attendanceId, updateField);
+        await dbService.updateAttendance(attendanceId, updateField, req.user);
 
         res.json({ success: true, url: publicUrl });
     } catch (e) {
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const dbService = require('../services/supabase-db');
+const { canAccessEmployee } = require('../middleware/auth');
 
 router.get('/', async (req, res) => {
     try {
@@ -10,7 +11,8 @@ router.get('/', async (req, res) => {
         employees.forEach(e => { empMap[e.id] = e.name; });
 
         const photos = [];
-        attendance.forEach(att => {
+        // Supervisors only see their own crew's photos
+        attendance.filter(att => canAccessEmployee(req, att.employeeId)).forEach(att => {
             const empName = att.employeeName || empMap[att.employeeId] || 'Unknown';
             if (att.checkInImage) {
                 photos.push({
@@ -48,12 +50,13 @@ router.delete('/:id/:type', async (req, res) => {
     try {
         const att = await dbService.getAttendanceById(id);
         if (!att) return res.status(404).json({ error: 'Record not found' });
+        if (!canAccessEmployee(req, att.employeeId)) return res.status(403).json({ error: 'That employee is not in your crew.' });
 
         const field = type === 'in' ? 'checkInImage' : 'checkOutImage';
         const url = att[field];
         if (url) await dbService.deleteFile(url);
 
-        await dbService.updateAttendance(id, { [field]: null });
+        await dbService.updateAttendance(id, { [field]: null }, req.user);
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: e.message });
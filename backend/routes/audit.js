@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const dbService = require('../services/supabase-db');
+
+// Audit trail of record changes. Mounted behind requirePermission('audit').
+// Filters: entity, entityId, employeeId, actorId, action, from/to (YYYY-MM-DD), limit, offset
+
+const MAX_PAGE_SIZE = 200;
+
+router.get('/', async (req, res) => {
+    try {
+        const { entity, entityId, employeeId, actorId, action, from, to } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const result = await dbService.getAuditLog({ entity, entityId, employeeId, actorId, action, from, to, limit, offset });
+        res.json({ ...result, limit, offset });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const dbService = require('../services/supabase-db');
+const { BUILTIN_ADMIN_ID, issueToken, requireAuth, loadStaffProfile, getPermissions, requirePermission } = require('../middleware/auth');
+const { DEFAULT_PASSWORD, isHashed, hashPassword, verifyPassword } = require('../services/passwords');
+const { getLoginContext, checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../services/loginGuard');
 
 router.post('/login', async (req, res) => {
     const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
@@ -9,11 +12,35 @@ router.post('/login', async (req, res) => {
     const { username, password, empName, type } = req.body;
     const loginUser = (username || empName || '').toString().trim();
 
-    // 1. Check Admin Hardcoded
+    // Brute-force protection: per-username and per-IP counters with backoff and lockout
+    const loginCtx = getLoginContext(req, type === 'admin' ? 'admin' : 'employee', loginUser);
+    const guard = await checkLoginAllowed(loginCtx);
+    if (!guard.allowed) {
+        res.set('Retry-After', String(guard.retryAfterSeconds));
+        return res.status(429).json({ error: guard.message, retryAfter: guard.retryAfterSeconds });
+    }
+
+    // 1. Check Admin accounts (built-in owner from .env, then the admin_users table)
     if (type === 'admin') {
         if (loginUser.toLowerCase() === ADMIN_USERNAME.toLowerCase() && password === ADMIN_PASSWORD) {
-            return res.json({ success: true, role: 'admin', name: 'Administrator' });
+            await recordLoginSuccess(loginCtx);
+            const session = issueToken({ role: 'admin', id: BUILTIN_ADMIN_ID, name: 'Administrator' });
+            return res.json({ success: true, role: 'admin', adminRole: 'owner', name: 'Administrator', ...session });
+        }
+        try {
+            const adminUsers = await dbService.getAllAdminUsers();
+            const staff = adminUsers.find(u => (u.username || '').toString().trim().toLowerCase() === loginUser.toLowerCase());
+            if (staff && staff.active !== false && await verifyPassword(password, staff.password)) {
+                await recordLoginSuccess(loginCtx);
+                const name = staff.name || staff.username;
+                const session = issueToken({ role: 'admin', id: staff.id, name });
+                return res.json({ success: true, role: 'admin', adminRole: staff.role, name, ...session });
+            }
+        } catch (e) {
+            console.error('Admin Login DB Error:', e);
+            return res.status(500).json({ error: 'Server error during login: ' + e.message });
         }
+        await recordLoginFailure(loginCtx);
         return res.status(401).json({ error: 'Invalid admin credentials' });
     }
 
@@ -21,20 +48,39 @@ router.post('/login', async (req, res) => {
     if (type === 'employee' || !type) {
         try {
             const employees = await dbService.getAllEmployees();
-            // Match either Name or ID or customId (case insensitive, string comparison) and Password
-            const enteredPassword = (password || '').toString().trim();
-            const emp = employees.find(e => {
+            // Match either Name or ID or customId (case insensitive, string comparison), then check the password
+            const candidates = employees.filter(e => {
                 const empName = (e.name || '').toString().trim();
                 const nameMatch = empName && empName.toLowerCase() === loginUser.toLowerCase();
                 const idMatch = String(e.id) === loginUser;
                 const customIdMatch = String(e.customId) === loginUser;
-                const passwordMatch = (e.password || '').toString().trim() === enteredPassword;
-                return (nameMatch || idMatch || customIdMatch) && passwordMatch;
+                return nameMatch || idMatch || customIdMatch;
             });
 
+            let emp = null;
+            for (const candidate of candidates) {
+                if (await verifyPassword(password, candidate.password)) {
+                    emp = candidate;
+                    break;
+                }
+            }
+
             if (emp) {
-                return res.json({ success: true, role: 'employee', name: emp.name, id: emp.id });
+                // Migration: rehash legacy plaintext passwords on successful login
+                if (!isHashed(emp.password)) {
+                    try {
+                        await dbService.updateEmployee(emp.id, { password: await hashPassword((password || '').toString().trim()) }, { role: 'employee', id: emp.id, name: emp.name });
+                    } catch (err) {
+                        console.error('Password rehash failed for employee', emp.id, err.message);
+                    }
+                }
+
+                await recordLoginSuccess(loginCtx);
+                const mustChangePassword = (password || '').toString().trim() === DEFAULT_PASSWORD;
+                const session = issueToken({ role: 'employee', id: emp.id, name: emp.name, mustChangePassword });
+                return res.json({ success: true, role: 'employee', name: emp.name, id: emp.id, mustChangePassword, ...session });
             }
+            await recordLoginFailure(loginCtx);
             return res.status(401).json({ error: 'Invalid employee credentials' });
         } catch (e) {
             console.error('Login DB Error:', e);
@@ -45,15 +91,37 @@ router.post('/login', async (req, res) => {
     res.status(400).json({ error: 'Invalid login type' });
 });
 
-// FACTORY RESET
-router.delete('/factory-reset', async (req, res) => {
+// Validates the caller's token server-side (used by checkAuth() on page load)
+router.get('/session', requireAuth, loadStaffProfile, (req, res) => {
+    res.json({
+        role: req.user.role,
+        id: req.user.id,
+        name: req.user.name,
+        expiresAt: req.user.exp,
+        mustChangePassword: Boolean(req.user.mustChangePassword),
+        adminRole: req.user.adminRole || null,
+        permissions: getPermissions(req.user)
+    });
+});
+
+// FACTORY RESET — owner only, confirmed with the caller's own password
+router.delete('/factory-reset', requireAuth, loadStaffProfile, requirePermission('data'), async (req, res) => {
     const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '15012002J^aya';
     const { password } = req.body;
-    if (password !== ADMIN_PASSWORD) {
-        return res.status(401).json({ error: 'Incorrect Password' });
-    }
     try {
-        await dbService.factoryReset();
+        let passwordOk = false;
+        if (req.user.id === BUILTIN_ADMIN_ID) {
+            passwordOk = password === ADMIN_PASSWORD;
+        } else {
+            const staff = await dbService.getAdminUserById(req.user.id);
+            passwordOk = Boolean(staff) && await verifyPassword(password, staff.password);
+        }
+        // 403, not 401: a wrong confirmation password must not end the session
+        if (!passwordOk) {
+            return res.status(403).json({ error: 'Incorrect Password' });
+        }
+
+        await dbService.factoryReset(req.user);
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: e.message });
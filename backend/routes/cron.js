@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { closeStaleShifts } = require('../services/staleShifts');
+
+// Scheduled jobs (vercel.json "crons"). Vercel calls them with GET and "Authorization: Bearer $CRON_SECRET";
+// while CRON_SECRET is not set they stay disabled. Changes are audited as the System user.
+router.use((req, res, next) => {
+    const secret = process.env.CRON_SECRET;
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const given = Buffer.from(req.headers.authorization || '');
+    if (!secret || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+});
+
+router.get('/close-stale-shifts', async (req, res) => {
+    try {
+        const result = await closeStaleShifts();
+        if (result.closed.length > 0) console.log(`🌙 Auto-closed ${result.closed.length} forgotten shift(s) before ${result.cutoff}`);
+        res.json(result);
+    } catch (e) {
+        console.error('Stale shift job failed:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+module.exports = router;
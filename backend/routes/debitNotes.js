@@ -1,9 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const dbService = require('../services/supabase-db');
+const { requirePermission } = require('../middleware/auth');
+const { checkRecordsOpen } = require('../services/payrollClose');
+const { isListQuery, parseListQuery, pageResponse } = require('../services/listQuery');
+const { newId } = require('../services/recordIds');
 
-router.get('/', async (req, res) => {
+// With list parameters (see listQuery.js) this returns one page and the amount total; a month is
+// the month the note is deducted in
+router.get('/', requirePermission('debit_notes'), async (req, res) => {
     try {
+        if (isListQuery(req.query)) {
+            const query = parseListQuery(req.query, { sortable: ['date', 'amount'] });
+            if (query.error) return res.status(400).json({ error: query.error });
+            return res.json(pageResponse(await dbService.getDebitNotesPage(query), query));
+        }
+
         const debitNotes = await dbService.getAllDebitNotes();
         res.json(debitNotes);
     } catch (e) {
@@ -11,10 +23,13 @@ router.get('/', async (req, res) => {
     }
 });
 
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('debit_notes'), async (req, res) => {
     try {
+        const lockError = await checkRecordsOpen('debit_notes', req.body);
+        if (lockError) return res.status(409).json({ error: lockError });
+
         const newDebitNote = {
-            id: Date.now().toString(),
+            id: newId(),
             employeeId: req.body.employeeId,
             amount: parseFloat(req.body.amount),
             date: req.body.date,
@@ -22,18 +37,21 @@ router.post('/', async (req, res) => {
             reason: req.body.reason
         };
 
-        const created = await dbService.createDebitNote(newDebitNote);
+        const created = await dbService.createDebitNote(newDebitNote, req.user);
         res.json(created);
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('debit_notes'), async (req, res) => {
     try {
         const existing = await dbService.getDebitNoteById(req.params.id);
 
         if (existing) {
+            const lockError = await checkRecordsOpen('debit_notes', existing, req.body);
+            if (lockError) return res.status(409).json({ error: lockError });
+
             const updatedDebitNote = {
                 employeeId: req.body.employeeId,
                 amount: parseFloat(req.body.amount),
@@ -41,7 +59,7 @@ router.put('/:id', async (req, res) => {
                 deductionMonth: req.body.deductionMonth,
                 reason: req.body.reason
             };
-            const updated = await dbService.updateDebitNote(req.params.id, updatedDebitNote);
+            const updated = await dbService.updateDebitNote(req.params.id, updatedDebitNote, req.user);
             res.json(updated);
         } else {
             res.status(404).json({ error: 'Record not found' });
@@ -51,9 +69,12 @@ router.put('/:id', async (req, res) => {
     }
 });
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('debit_notes'), async (req, res) => {
     try {
-        await dbService.deleteDebitNote(req.params.id);
+        const lockError = await checkRecordsOpen('debit_notes', await dbService.getDebitNoteById(req.params.id));
+        if (lockError) return res.status(409).json({ error: lockError });
+
+        await dbService.deleteDebitNote(req.params.id, req.user);
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: e.message });
@@ -1,51 +1,115 @@
 const express = require('express');
 const router = express.Router();
 const dbService = require('../services/supabase-db');
+const { requirePermission, canAccessEmployee } = require('../middleware/auth');
+const { DEFAULT_PASSWORD, hashPassword, withoutPassword } = require('../services/passwords');
+const { toHours, getEmployeeHourOverrides, recordHourRuleChange } = require('../services/payroll');
+const { createInitialRevision, reviseSalary } = require('../services/salaryRevisions');
+const { newId } = require('../services/recordIds');
 
-router.get('/', async (req, res) => {
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+// PF / ESI / PT registration: opt-in flags, UAN, ESI number and the PT state (blank = settings default)
+const STATUTORY_FIELDS = {
+    pfOptIn: (v) => v === true || v === 'true',
+    uan: (v) => String(v || '').trim(),
+    esiOptIn: (v) => v === true || v === 'true',
+    esiNumber: (v) => String(v || '').trim(),
+    ptOptIn: (v) => v === true || v === 'true',
+    ptState: (v) => String(v || '').trim().toUpperCase()
+};
+
+// The statutory fields present in `body` (all of them with `includeMissing`), normalised
+const pickStatutoryFields = (body, includeMissing = false) => {
+    const fields = {};
+    Object.entries(STATUTORY_FIELDS).forEach(([key, normalise]) => {
+        if (includeMissing || body[key] !== undefined) fields[key] = normalise(body[key]);
+    });
+    return fields;
+};
+
+router.get('/', requirePermission('employees:read'), async (req, res) => {
     try {
-        const employees = await dbService.getAllEmployees();
-        res.json(employees);
+        const employees = (await dbService.getAllEmployees()).map(withoutPassword);
+        // Supervisors only see their own crew
+        res.json(employees.filter(e => canAccessEmployee(req, e.id)));
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('employees:write'), async (req, res) => {
     try {
         const newEmployee = {
-            id: Date.now().toString(),
+            id: newId(),
             name: req.body.name,
             contact: req.body.contact,
             salary: req.body.salary,
             customId: req.body.customId || '', // Match frontend field
             designation: req.body.designation || '',
-            password: req.body.password || '123456',
-            normalHours: req.body.normalHours || 8.5,
-            slabBaseHours: req.body.slabBaseHours || 6,
+            password: await hashPassword(req.body.password || DEFAULT_PASSWORD),
+            normalHours: toHours(req.body.normalHours),     // null = use the global standard hours
+            slabBaseHours: toHours(req.body.slabBaseHours), // null = use the global slab hours
             employee_type: req.body.employee_type || 'daily_wage', // 'daily_wage' | 'fixed_salary'
             monthly_fare: parseFloat(req.body.monthly_fare) || 0,  // Monthly fare for fixed_salary supervisors
-            restrictEarlyCheckIn: req.body.restrictEarlyCheckIn !== undefined ? Boolean(req.body.restrictEarlyCheckIn) : true
+            restrictEarlyCheckIn: req.body.restrictEarlyCheckIn !== undefined ? Boolean(req.body.restrictEarlyCheckIn) : true,
+            ...pickStatutoryFields(req.body, true)
         };
-        const created = await dbService.createEmployee(newEmployee);
-        res.json(created);
+        const created = await dbService.createEmployee(newEmployee, req.user);
+        await createInitialRevision(created, req.user);
+        res.json(withoutPassword(created));
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('employees:write'), async (req, res) => {
     try {
-        const updated = await dbService.updateEmployee(req.params.id, req.body);
-        res.json(updated);
+        const { rulesEffectiveFrom, salaryEffectiveFrom, hourRules, ...changes } = req.body;
+        // Blank password means "keep the current one"; anything else is stored hashed
+        if (changes.password) changes.password = await hashPassword(changes.password);
+        else delete changes.password;
+        Object.assign(changes, pickStatutoryFields(changes));
+
+        const changesHours = changes.normalHours !== undefined || changes.slabBaseHours !== undefined;
+        const changesPay = ['salary', 'employee_type', 'monthly_fare'].some(key => changes[key] !== undefined);
+        const existing = (changesHours || changesPay) ? await dbService.getEmployeeById(req.params.id) : null;
+        if ((changesHours || changesPay) && !existing) return res.status(404).json({ error: 'Employee not found' });
+        const rulesFrom = rulesEffectiveFrom || new Date().toISOString().substring(0, 7);
+        if (changesHours && !MONTH_PATTERN.test(rulesFrom)) return res.status(400).json({ error: 'Effective month must be in YYYY-MM format.' });
+
+        // Pay changes become a salary revision so days before `salaryEffectiveFrom` keep the old rate
+        if (changesPay) {
+            const { error, terms } = await reviseSalary(existing, changes, salaryEffectiveFrom, req.user);
+            if (error) return res.status(400).json({ error });
+            Object.assign(changes, terms);
+        }
+
+        // Hour overrides are effective-dated so months before `rulesEffectiveFrom` keep the old hours
+        if (changesHours) {
+            const { normalHours, slabBaseHours } = getEmployeeHourOverrides(existing, rulesFrom);
+            const previous = { normalHours, slabBaseHours };
+            const next = {
+                normalHours: changes.normalHours !== undefined ? toHours(changes.normalHours) : previous.normalHours,
+                slabBaseHours: changes.slabBaseHours !== undefined ? toHours(changes.slabBaseHours) : previous.slabBaseHours
+            };
+            changes.normalHours = next.normalHours;
+            changes.slabBaseHours = next.slabBaseHours;
+            if (next.normalHours !== previous.normalHours || next.slabBaseHours !== previous.slabBaseHours) {
+                changes.hourRules = recordHourRuleChange(existing.hourRules, previous, next, rulesFrom);
+            }
+        }
+
+        const updated = await dbService.updateEmployee(req.params.id, changes, req.user);
+        res.json(withoutPassword(updated));
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('employees:write'), async (req, res) => {
     try {
-        await dbService.deleteEmployee(req.params.id);
+        await dbService.deleteEmployee(req.params.id, req.user);
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: e.message });
@@ -1,6 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const dbService = require('../services/supabase-db');
+const { requirePermission } = require('../middleware/auth');
+const { checkRecordsOpen, getLockedThrough } = require('../services/payrollClose');
+
+// Named holidays. Paid ones are credited to daily-wage staff in payroll, so holidays in a closed
+// payroll month can no longer be changed.
+
+const HOLIDAY_TYPES = ['national', 'festival', 'company'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_IMPORT_ROWS = 200;
+
+// Holiday fields from form or calendar input. Returns { error } or { holiday }.
+const parseHoliday = (body) => {
+    const date = (body.date || '').toString().trim();
+    if (!DATE_PATTERN.test(date) || isNaN(Date.parse(date))) return { error: 'Date must be in YYYY-MM-DD format.' };
+    const name = (body.name || '').toString().trim().substring(0, 80);
+    if (!name) return { error: `A name is required for the holiday on ${date}.` };
+    const type = (body.type || 'company').toString().trim().toLowerCase();
+    if (!HOLIDAY_TYPES.includes(type)) return { error: `Type must be one of: ${HOLIDAY_TYPES.join(', ')}.` };
+    const paid = body.paid === true || ['true', 'yes', 'y', '1'].includes(String(body.paid).trim().toLowerCase());
+    return { holiday: { date, name, type, paid } };
+};
 
 router.get('/', async (req, res) => {
     try {
@@ -11,10 +32,84 @@ router.get('/', async (req, res) => {
     }
 });
 
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('holidays'), async (req, res) => {
+    try {
+        const { holiday, error } = parseHoliday(req.body);
+        if (error) return res.status(400).json({ error });
+        const holidays = await dbService.getAllHolidays();
+        if (holidays.some(h => h.date === holiday.date)) return res.status(400).json({ error: `${holiday.date} is already a holiday.` });
+        const lockError = await checkRecordsOpen('holidays', holiday);
+        if (lockError) return res.status(409).json({ error: lockError });
+
+        const created = await dbService.createHoliday(holiday, req.user);
+        res.json(created);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// IMPORT: a yearly calendar as { holidays: [{ date, name, type, paid }] }. Dates that are already
+// holidays, repeated in the calendar or in a closed payroll month are skipped.
+router.post('/import', requirePermission('holidays'), async (req, res) => {
+    try {
+        const rows = req.body.holidays;
+        if (!Array.isArray(rows) || rows.length === 0) return res.status(400).json({ error: 'No holidays to import.' });
+        if (rows.length > MAX_IMPORT_ROWS) return res.status(400).json({ error: `A calendar can have at most ${MAX_IMPORT_ROWS} holidays.` });
+
+        const parsed = [];
+        for (let i = 0; i < rows.length; i++) {
+            const { holiday, error } = parseHoliday(rows[i] || {});
+            if (error) return res.status(400).json({ error: `Row ${i + 1}: ${error}` });
+            parsed.push(holiday);
+        }
+
+        const [existing, lockedThrough] = await Promise.all([dbService.getAllHolidays(), getLockedThrough()]);
+        const taken = new Set(existing.map(h => h.date));
+        const toCreate = [];
+        const skipped = [];
+        parsed.forEach(h => {
+            if (taken.has(h.date)) return skipped.push({ date: h.date, name: h.name, reason: 'Already a holiday' });
+            if (toCreate.some(c => c.date === h.date)) return skipped.push({ date: h.date, name: h.name, reason: 'Repeated in the calendar' });
+            if (lockedThrough && h.date.substring(0, 7) <= lockedThrough) return skipped.push({ date: h.date, name: h.name, reason: `Payroll is closed up to ${lockedThrough}` });
+            toCreate.push(h);
+        });
+
+        const created = await dbService.importHolidays(toCreate, req.user);
+        res.json({ created, skipped });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+router.put('/:id', requirePermission('holidays'), async (req, res) => {
     try {
-        const dates = req.body; // Expecting array of date strings
-        await dbService.setHolidays(dates);
+        const existing = await dbService.getHolidayById(req.params.id);
+        if (!existing) return res.status(404).json({ error: 'Holiday not found' });
+
+        const { holiday, error } = parseHoliday({ ...existing, ...req.body });
+        if (error) return res.status(400).json({ error });
+        const holidays = await dbService.getAllHolidays();
+        if (holidays.some(h => h.date === holiday.date && String(h.id) !== String(existing.id))) {
+            return res.status(400).json({ error: `${holiday.date} is already a holiday.` });
+        }
+        const lockError = await checkRecordsOpen('holidays', existing, holiday);
+        if (lockError) return res.status(409).json({ error: lockError });
+
+        const updated = await dbService.updateHoliday(existing.id, holiday, req.user);
+        res.json(updated);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+router.delete('/:id', requirePermission('holidays'), async (req, res) => {
+    try {
+        const existing = await dbService.getHolidayById(req.params.id);
+        if (!existing) return res.status(404).json({ error: 'Holiday not found' });
+        const lockError = await checkRecordsOpen('holidays', existing);
+        if (lockError) return res.status(409).json({ error: lockError });
+
+        await dbService.deleteHoliday(existing.id, req.user);
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: e.message });
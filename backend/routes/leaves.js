@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router();
+const dbService = require('../services/supabase-db');
+const { canAccessEmployee } = require('../middleware/auth');
+const { checkRecordsOpen } = require('../services/payrollClose');
+const { getLeaveTypes, getLeaveBalances } = require('../services/payroll');
+const { buildLeaveRequest, checkLeaveAllowed } = require('../services/leaves');
+
+// Leave requests for the admin panel. Supervisors only see and decide their own crew.
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Loads the leave and checks the caller may act on it; sends the error response otherwise
+const loadLeave = async (req, res) => {
+    const leave = await dbService.getLeaveById(req.params.id);
+    if (!leave || !canAccessEmployee(req, leave.employeeId)) {
+        res.status(404).json({ error: 'Leave request not found' });
+        return null;
+    }
+    return leave;
+};
+
+// ?employeeId= &status= &month=YYYY-MM (any day of the leave in that month)
+router.get('/', async (req, res) => {
+    try {
+        const { employeeId, status, month } = req.query;
+        const leaves = employeeId ? await dbService.getLeavesByEmployee(employeeId) : await dbService.getAllLeaves();
+        res.json(leaves
+            .filter(l => canAccessEmployee(req, l.employeeId))
+            .filter(l => !status || l.status === status)
+            .filter(l => !month || (l.fromDate.substring(0, 7) <= month && l.toDate.substring(0, 7) >= month))
+            .sort((a, b) => b.fromDate.localeCompare(a.fromDate)));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Leave types with their paid flag and yearly days
+router.get('/types', async (req, res) => {
+    try {
+        res.json(getLeaveTypes(await dbService.getSettings()));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// ?employeeId= &date=YYYY-MM-DD (default today)
+router.get('/balances', async (req, res) => {
+    try {
+        const { employeeId } = req.query;
+        if (!employeeId || !canAccessEmployee(req, employeeId)) return res.status(400).json({ error: 'Employee required' });
+        const [leaves, settingsData] = await Promise.all([dbService.getLeavesByEmployee(employeeId), dbService.getSettings()]);
+        res.json(getLeaveBalances(leaves, settingsData, req.query.date || today()));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Leave recorded by an admin is approved straight away
+router.post('/', async (req, res) => {
+    try {
+        const { employeeId } = req.body;
+        if (!employeeId || !canAccessEmployee(req, employeeId)) return res.status(400).json({ error: 'Employee required' });
+
+        const [leaves, settingsData] = await Promise.all([dbService.getLeavesByEmployee(employeeId), dbService.getSettings()]);
+        const { leave, error } = buildLeaveRequest(req.body, employeeId, leaves, settingsData, {
+            status: 'approved',
+            decidedAt: new Date().toISOString(),
+            decidedByName: req.user.name || req.user.id
+        });
+        if (error) return res.status(400).json({ error });
+
+        const lockError = await checkRecordsOpen('leaves', leave);
+        if (lockError) return res.status(409).json({ error: lockError });
+
+        res.json(await dbService.createLeave(leave, req.user));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+router.post('/:id/approve', async (req, res) => {
+    try {
+        const leave = await loadLeave(req, res);
+        if (!leave) return;
+        if (leave.status !== 'pending') return res.status(400).json({ error: `This request is already ${leave.status}.` });
+
+        const [leaves, settingsData] = await Promise.all([dbService.getLeavesByEmployee(leave.employeeId), dbService.getSettings()]);
+        const error = checkLeaveAllowed(leave, leaves, settingsData);
+        if (error) return res.status(400).json({ error });
+
+        const lockError = await checkRecordsOpen('leaves', leave);
+        if (lockError) return res.status(409).json({ error: lockError });
+
+        const note = (req.body.note || '').toString().trim();
+        const updated = await dbService.decideLeave(leave.id, {
+            status: 'approved',
+            decidedAt: new Date().toISOString(),
+            decidedByName: req.user.name || req.user.id,
+            decisionNote: note || null
+        }, 'approve', note || null, req.user);
+        res.json(updated);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Rejection needs a reason the employee will see
+router.post('/:id/reject', async (req, res) => {
+    try {
+        const leave = await loadLeave(req, res);
+        if (!leave) return;
+        if (leave.status !== 'pending') return res.status(400).json({ error: `This request is already ${leave.status}.` });
+
+        const note = (req.body.note || '').toString().trim();
+        if (!note) return res.status(400).json({ error: 'A reason is required to reject a leave request.' });
+
+        const updated = await dbService.decideLeave(leave.id, {
+            status: 'rejected',
+            decidedAt: new Date().toISOString(),
+            decidedByName: req.user.name || req.user.id,
+            decisionNote: note
+        }, 'reject', note, req.user);
+        res.json(updated);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Approved leave in a closed month stays, like any other paid record
+router.delete('/:id', async (req, res) => {
+    try {
+        const leave = await loadLeave(req, res);
+        if (!leave) return;
+
+        if (leave.status === 'approved') {
+            const lockError = await checkRecordsOpen('leaves', leave);
+            if (lockError) return res.status(409).json({ error: lockError });
+        }
+
+        await dbService.deleteLeave(leave.id, req.user);
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+module.exports = router;
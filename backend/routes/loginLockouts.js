@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const dbService = require('../services/supabase-db');
+const { unlockLogin } = require('../services/loginGuard');
+
+// Locked login accounts / IPs and the lockout history. Mounted behind requirePermission('users').
+
+router.get('/', async (req, res) => {
+    try {
+        const [locked, events] = await Promise.all([
+            dbService.getActiveLockouts(),
+            dbService.getLockoutEvents(100)
+        ]);
+        res.json({ locked, events });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+router.post('/unlock', async (req, res) => {
+    try {
+        const { key } = req.body;
+        if (!key) return res.status(400).json({ error: 'key required' });
+        await unlockLogin(key, req.user.name || req.user.id);
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+module.exports = router;
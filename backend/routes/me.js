@@ -0,0 +1,240 @@
+const express = require('express');
+const router = express.Router();
+const dbService = require('../services/supabase-db');
+const { issueToken } = require('../middleware/auth');
+const { calculateEmployeePayroll, getAdvanceInstallments, getLeaveTypes, getLeaveBalances } = require('../services/payroll');
+const { buildLeaveRequest } = require('../services/leaves');
+const { buildRegularization } = require('../services/regularizations');
+const { checkRecordsOpen } = require('../services/payrollClose');
+const { hashPassword, verifyPassword, validateNewPassword, withoutPassword } = require('../services/passwords');
+
+// Routes scoped to the logged-in employee (req.user set by requireAuth).
+// Everything here returns only the caller's own records.
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+// Optional ?month=YYYY-MM filter on a record's own month field
+const filterByMonth = (rows, month, getMonth) => {
+    if (!month) return rows;
+    return rows.filter(r => getMonth(r) === month);
+};
+
+const deductionMonthOf = (r) => r.deductionMonth || (r.date ? r.date.substring(0, 7) : '');
+
+// PROFILE
+router.get('/profile', async (req, res) => {
+    try {
+        const emp = await dbService.getEmployeeById(req.user.id);
+        if (!emp) return res.status(404).json({ error: 'Employee not found' });
+        res.json(withoutPassword(emp));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// ATTENDANCE
+router.get('/attendance', async (req, res) => {
+    try {
+        const attendance = await dbService.getAttendanceByEmployee(req.user.id);
+        res.json(filterByMonth(attendance, req.query.month, a => (a.date || '').substring(0, 7)));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// ADVANCES
+router.get('/advances', async (req, res) => {
+    try {
+        const advances = await dbService.getAdvancesByEmployee(req.user.id);
+        // An advance repaid in installments belongs to every month with an installment
+        const { month } = req.query;
+        res.json(month ? advances.filter(a => getAdvanceInstallments(a).some(i => i.month === month)) : advances);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// DEBIT NOTES
+router.get('/debit-notes', async (req, res) => {
+    try {
+        const debitNotes = await dbService.getDebitNotesByEmployee(req.user.id);
+        res.json(filterByMonth(debitNotes, req.query.month, deductionMonthOf));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// PAYMENTS
+router.get('/payments', async (req, res) => {
+    try {
+        const payments = await dbService.getPaymentsByEmployee(req.user.id);
+        res.json(filterByMonth(payments, req.query.month, p => p.salaryMonth));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// SALARY HISTORY (pay terms and the dates they started)
+router.get('/salary-revisions', async (req, res) => {
+    try {
+        res.json(await dbService.getSalaryRevisionsByEmployee(req.user.id));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// CLOSED-MONTH PAYSLIPS (frozen payroll lines)
+router.get('/payroll-snapshots', async (req, res) => {
+    try {
+        res.json(await dbService.getPayrollSnapshotsByEmployee(req.user.id));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// ATTENDANCE CORRECTIONS: own requests, newest first
+router.get('/regularizations', async (req, res) => {
+    try {
+        const requests = await dbService.getRegularizationsByEmployee(req.user.id);
+        res.json(requests.slice().sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Ask for a missed check-out, a wrong time or a forgotten check-in to be corrected
+router.post('/regularizations', async (req, res) => {
+    try {
+        const [attendance, requests] = await Promise.all([
+            dbService.getAttendanceByEmployee(req.user.id),
+            dbService.getRegularizationsByEmployee(req.user.id)
+        ]);
+        const { request, error } = buildRegularization(req.body, req.user.id, attendance, requests);
+        if (error) return res.status(400).json({ error });
+
+        const lockError = await checkRecordsOpen('attendance', request);
+        if (lockError) return res.status(409).json({ error: lockError });
+
+        res.json(await dbService.createRegularization(request, req.user));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+router.post('/regularizations/:id/cancel', async (req, res) => {
+    try {
+        const request = await dbService.getRegularizationById(req.params.id);
+        if (!request || String(request.employeeId) !== String(req.user.id)) return res.status(404).json({ error: 'Correction request not found' });
+        if (request.status !== 'pending') return res.status(400).json({ error: `This request is already ${request.status}.` });
+
+        const updated = await dbService.decideRegularization(request.id, { status: 'cancelled', decidedAt: new Date().toISOString() }, 'cancel', 'Cancelled by employee', req.user);
+        res.json(updated);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// LEAVES: own requests, newest first
+router.get('/leaves', async (req, res) => {
+    try {
+        const leaves = await dbService.getLeavesByEmployee(req.user.id);
+        res.json(leaves.slice().sort((a, b) => b.fromDate.localeCompare(a.fromDate)));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Leave types and this year's balances
+router.get('/leave-balances', async (req, res) => {
+    try {
+        const [leaves, settingsData] = await Promise.all([dbService.getLeavesByEmployee(req.user.id), dbService.getSettings()]);
+        res.json({
+            types: getLeaveTypes(settingsData),
+            balances: getLeaveBalances(leaves, settingsData, new Date().toISOString().split('T')[0])
+        });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Apply for leave; it waits for an admin to approve it
+router.post('/leaves', async (req, res) => {
+    try {
+        const [leaves, settingsData] = await Promise.all([dbService.getLeavesByEmployee(req.user.id), dbService.getSettings()]);
+        const { leave, error } = buildLeaveRequest(req.body, req.user.id, leaves, settingsData);
+        if (error) return res.status(400).json({ error });
+
+        res.json(await dbService.createLeave(leave, req.user));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Withdraw a request that has not been decided yet
+router.post('/leaves/:id/cancel', async (req, res) => {
+    try {
+        const leave = await dbService.getLeaveById(req.params.id);
+        if (!leave || String(leave.employeeId) !== String(req.user.id)) return res.status(404).json({ error: 'Leave request not found' });
+        if (leave.status !== 'pending') return res.status(400).json({ error: `This request is already ${leave.status}.` });
+
+        const updated = await dbService.decideLeave(leave.id, { status: 'cancelled', decidedAt: new Date().toISOString() }, 'cancel', 'Cancelled by employee', req.user);
+        res.json(updated);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// PAYROLL SUMMARY for one month (same figures as the admin payroll page)
+router.get('/payroll', async (req, res) => {
+    const { month } = req.query; // YYYY-MM
+    if (!month || !MONTH_PATTERN.test(month)) return res.status(400).json({ error: 'Month required (YYYY-MM)' });
+
+    try {
+        const [emp, attendance, advances, debitNotes, payments, salaryRevisions, payrollSnapshots, leaves, holidays, settingsData] = await Promise.all([
+            dbService.getEmployeeById(req.user.id),
+            dbService.getAttendanceByEmployee(req.user.id),
+            dbService.getAdvancesByEmployee(req.user.id),
+            dbService.getDebitNotesByEmployee(req.user.id),
+            dbService.getPaymentsByEmployee(req.user.id),
+            dbService.getSalaryRevisionsByEmployee(req.user.id),
+            dbService.getPayrollSnapshotsByEmployee(req.user.id),
+            dbService.getLeavesByEmployee(req.user.id),
+            dbService.getAllHolidays(),
+            dbService.getSettings()
+        ]);
+        if (!emp) return res.status(404).json({ error: 'Employee not found' });
+
+        const summary = calculateEmployeePayroll(emp, { attendance, advances, debitNotes, payments, salaryRevisions, payrollSnapshots, leaves, holidays }, month, settingsData);
+        res.json({ ...summary, employee: withoutPassword(emp) });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// CHANGE OWN PASSWORD
+router.post('/password', async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const validationError = validateNewPassword(newPassword);
+        if (validationError) return res.status(400).json({ error: validationError });
+
+        const emp = await dbService.getEmployeeById(req.user.id);
+        if (!emp) return res.status(404).json({ error: 'Employee not found' });
+
+        // 400, not 401: a wrong current password must not end the session
+        if (!(await verifyPassword(currentPassword, emp.password))) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+
+        await dbService.updateEmployee(emp.id, { password: await hashPassword(newPassword) }, req.user);
+
+        // Fresh token without the forced-change flag
+        const session = issueToken({ role: 'employee', id: emp.id, name: emp.name });
+        res.json({ success: true, ...session });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+module.exports = router;
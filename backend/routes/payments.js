@@ -1,11 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const dbService = require('../services/supabase-db');
+const { requirePermission } = require('../middleware/auth');
+const { checkRecordsOpen } = require('../services/payrollClose');
+const { isListQuery, parseListQuery, pageResponse } = require('../services/listQuery');
+const { newId } = require('../services/recordIds');
 const upload = require('../middleware/upload');
 const path = require('path');
 
-router.get('/', async (req, res) => {
+// With list parameters (see listQuery.js) this returns one page and the amount total; a month is
+// the salary month paid
+router.get('/', requirePermission('payments'), async (req, res) => {
     try {
+        if (isListQuery(req.query)) {
+            const query = parseListQuery(req.query, { sortable: ['date', 'amount'] });
+            if (query.error) return res.status(400).json({ error: query.error });
+            return res.json(pageResponse(await dbService.getPaymentsPage(query), query));
+        }
+
         const payments = await dbService.getAllPayments();
         res.json(payments);
     } catch (e) {
@@ -13,8 +25,11 @@ router.get('/', async (req, res) => {
     }
 });
 
-router.post('/', upload.single('screenshot'), async (req, res) => {
+router.post('/', requirePermission('payments'), upload.single('screenshot'), async (req, res) => {
     try {
+        const lockError = await checkRecordsOpen('payments', req.body);
+        if (lockError) return res.status(409).json({ error: lockError });
+
         let screenshotUrl = null;
         if (req.file) {
             const ext = path.extname(req.file.originalname);
@@ -25,7 +40,7 @@ router.post('/', upload.single('screenshot'), async (req, res) => {
         }
 
         const newPayment = {
-            id: Date.now().toString(),
+            id: newId(),
             employeeId: req.body.employeeId,
             salaryMonth: req.body.salaryMonth, 
             amount: parseFloat(req.body.amount),
@@ -35,17 +50,19 @@ router.post('/', upload.single('screenshot'), async (req, res) => {
             screenshot: screenshotUrl
         };
 
-        const created = await dbService.createPayment(newPayment);
+        const created = await dbService.createPayment(newPayment, req.user);
         res.json(created);
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-router.put('/:id', upload.single('screenshot'), async (req, res) => {
+router.put('/:id', requirePermission('payments'), upload.single('screenshot'), async (req, res) => {
     try {
         const existing = await dbService.getPaymentById(req.params.id);
         if (!existing) return res.status(404).json({ error: 'Payment not found' });
+        const lockError = await checkRecordsOpen('payments', existing);
+        if (lockError) return res.status(409).json({ error: lockError });
 
         let screenshotUrl = existing.screenshot;
         if (req.file) {
@@ -63,20 +80,22 @@ router.put('/:id', upload.single('screenshot'), async (req, res) => {
             notes: req.body.notes,
             screenshot: screenshotUrl
         };
-        const updated = await dbService.updatePayment(req.params.id, updatedPayment);
+        const updated = await dbService.updatePayment(req.params.id, updatedPayment, req.user);
         res.json(updated);
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('payments'), async (req, res) => {
     try {
         const pay = await dbService.getPaymentById(req.params.id);
+        const lockError = await checkRecordsOpen('payments', pay);
+        if (lockError) return res.status(409).json({ error: lockError });
         if (pay && pay.screenshot) {
             await dbService.deleteFile(pay.screenshot);
         }
-        await dbService.deletePayment(req.params.id);
+        await dbService.deletePayment(req.params.id, req.user);
         res.json({ success: true });
     } catch (e) {
         res.status(500).json({ error: e.message });
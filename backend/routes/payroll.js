@@ -1,218 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const dbService = require('../services/supabase-db');
+const { requirePermission } = require('../middleware/auth');
+const { calculatePayroll, allocateLabourCost } = require('../services/payroll');
+const { getLockedThrough } = require('../services/payrollClose');
+const { withoutPassword } = require('../services/passwords');
+
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+// Everything the engine needs; closed months come back as their stored snapshots
+const loadPayrollData = async () => {
+    const [attendance, advances, debitNotes, payments, salaryRevisions, payrollSnapshots, leaves, holidays] = await Promise.all([
+        dbService.getAllAttendance(),
+        dbService.getAllAdvances(),
+        dbService.getAllDebitNotes(),
+        dbService.getAllPayments(),
+        dbService.getAllSalaryRevisions(),
+        dbService.getAllPayrollSnapshots(),
+        dbService.getAllLeaves(),
+        dbService.getAllHolidays()
+    ]);
+    return { attendance, advances, debitNotes, payments, salaryRevisions, payrollSnapshots, leaves, holidays };
+};
 
 router.get('/', async (req, res) => {
     const { month } = req.query; // YYYY-MM
     if (!month) return res.status(400).json({ error: 'Month required' });
 
     try {
-        const employees = await dbService.getAllEmployees();
-        const attendance = await dbService.getAllAttendance();
-        const advances = await dbService.getAllAdvances();
-        const debitNotes = await dbService.getAllDebitNotes();
-        const payments = await dbService.getAllPayments();
-
+        const employees = (await dbService.getAllEmployees()).map(withoutPassword);
+        const data = await loadPayrollData();
         const settingsData = await dbService.getSettings();
-        const stdHours = parseFloat(settingsData.standardHours || 8.5);
-        const slabBase = parseFloat(settingsData.slabHours || 6);
-
-        const payroll = employees.map(emp => {
-            const isSupervisor = emp.employee_type === 'fixed_salary';
-            const fixedMonthlySalary = parseFloat(emp.salary) || 0;
-
-            const empAtt = attendance.filter(a =>
-                String(a.employeeId) === String(emp.id) && a.date.startsWith(month)
-            );
-
-            const empAdv = advances.filter(a => {
-                if (String(a.employeeId) !== String(emp.id)) return false;
-                const deduct = a.deductionMonth || (a.date ? a.date.substring(0, 7) : '');
-                return deduct === month;
-            });
-
-            const empDebit = debitNotes.filter(d => {
-                if (String(d.employeeId) !== String(emp.id)) return false;
-                const deduct = d.deductionMonth || (d.date ? d.date.substring(0, 7) : '');
-                return deduct === month;
-            });
-
-            const empPay = payments.filter(p => String(p.employeeId) === String(emp.id) && p.salaryMonth === month);
-            const totalPaid = empPay.reduce((sum, p) => sum + p.amount, 0);
-
-            empPay.sort((a, b) => new Date(b.date) - new Date(a.date));
-            const lastPaymentDate = empPay.length > 0 ? empPay[0].date : null;
-            const paymentProofs = empPay.filter(p => p.screenshot).map(p => p.screenshot);
-
-            let totalSalary = 0;
-            let totalFare = 0;
-            let daysWorked = 0;
-
-            if (isSupervisor) {
-                // Fixed salary supervisor: always earns fixed monthly salary regardless of attendance
-                totalSalary = fixedMonthlySalary;
-                totalFare = parseFloat(emp.monthly_fare) || 0; // Monthly fare added to payroll
-                daysWorked = null; // N/A for supervisors
-            } else {
-                daysWorked = empAtt.length;
-                empAtt.forEach(att => {
-                    let dailySalary = 0;
-                    const workedHours = parseFloat(att.workedHours || att.totalHours || att.worked_hours || att.hours || 0);
-                    if (isNaN(workedHours)) return;
-
-                    const salary = parseFloat(emp.salary);
-                    const normalRate = salary / stdHours;
-
-                    if (att.sundayMode) {
-                        dailySalary = salary;
-                    } else if (att.slabMode) {
-                        if (workedHours > stdHours) {
-                            const extraHours = workedHours - stdHours;
-                            const slabRate = salary / slabBase;
-                            dailySalary = (normalRate * stdHours) + (slabRate * extraHours);
-                        } else {
-                            dailySalary = normalRate * workedHours;
-                        }
-                    } else {
-                        dailySalary = normalRate * workedHours;
-                    }
-
-                    totalSalary += dailySalary;
-                    totalFare += (parseFloat(att.fare) || 0);
-                });
-            }
-
-            const totalAdvance = empAdv.reduce((sum, adv) => sum + (parseFloat(adv.amount) || 0), 0);
-            const totalDebitNotes = empDebit.reduce((sum, deb) => sum + (parseFloat(deb.amount) || 0), 0);
-
-            // --- Previous Balance Calculation ---
-            let previousBalance = 0;
-
-            if (isSupervisor) {
-                // For supervisors: count past months they were active (based on payment history, advances, or debit notes)
-                const pastPayMonths = new Set(
-                    payments
-                        .filter(p => String(p.employeeId) === String(emp.id) && p.salaryMonth < month)
-                        .map(p => p.salaryMonth)
-                );
-                // Include months where advances were deducted
-                advances
-                    .filter(a => {
-                        if (String(a.employeeId) !== String(emp.id)) return false;
-                        const deduct = a.deductionMonth || (a.date ? a.date.substring(0, 7) : '');
-                        return deduct < month;
-                    })
-                    .forEach(a => {
-                        const deduct = a.deductionMonth || (a.date ? a.date.substring(0, 7) : '');
-                        pastPayMonths.add(deduct);
-                    });
-                // Include months where debit notes were deducted
-                debitNotes
-                    .filter(d => {
-                        if (String(d.employeeId) !== String(emp.id)) return false;
-                        const deduct = d.deductionMonth || (d.date ? d.date.substring(0, 7) : '');
-                        return deduct < month;
-                    })
-                    .forEach(d => {
-                        const deduct = d.deductionMonth || (d.date ? d.date.substring(0, 7) : '');
-                        pastPayMonths.add(deduct);
-                    });
-
-                const pastMonthsCount = pastPayMonths.size;
-                const monthlyTotal = fixedMonthlySalary + (parseFloat(emp.monthly_fare) || 0);
-                const pastEarningsSupervisor = monthlyTotal * pastMonthsCount;
-
-                const pastAdvSupervisor = advances
-                    .filter(a => {
-                        if (String(a.employeeId) !== String(emp.id)) return false;
-                        const deduct = a.deductionMonth || (a.date ? a.date.substring(0, 7) : '');
-                        return deduct < month;
-                    })
-                    .reduce((sum, adv) => sum + (parseFloat(adv.amount) || 0), 0);
-
-                const pastDebitSupervisor = debitNotes
-                    .filter(d => {
-                        if (String(d.employeeId) !== String(emp.id)) return false;
-                        const deduct = d.deductionMonth || (d.date ? d.date.substring(0, 7) : '');
-                        return deduct < month;
-                    })
-                    .reduce((sum, deb) => sum + (parseFloat(deb.amount) || 0), 0);
-
-                const pastPaymentsSupervisor = payments
-                    .filter(p => String(p.employeeId) === String(emp.id) && p.salaryMonth < month)
-                    .reduce((sum, p) => sum + p.amount, 0);
-
-                previousBalance = Math.round(pastEarningsSupervisor - pastAdvSupervisor - pastDebitSupervisor - pastPaymentsSupervisor);
-            } else {
-                const pastAtt = attendance.filter(a => String(a.employeeId) === String(emp.id) && a.date < `${month}-01`);
-                let pastEarnings = 0;
-                pastAtt.forEach(att => {
-                    let dailySalary = 0;
-                    const workedHours = parseFloat(att.workedHours || att.totalHours || att.worked_hours || att.hours || 0);
-                    if (isNaN(workedHours)) return;
-
-                    const salary = parseFloat(emp.salary);
-                    const normalRate = salary / stdHours;
-
-                    if (att.sundayMode) {
-                        dailySalary = salary;
-                    } else if (att.slabMode) {
-                        if (workedHours > stdHours) {
-                            const extraHours = workedHours - stdHours;
-                            const slabRate = salary / slabBase;
-                            dailySalary = (normalRate * stdHours) + (slabRate * extraHours);
-                        } else {
-                            dailySalary = normalRate * workedHours;
-                        }
-                    } else {
-                        dailySalary = normalRate * workedHours;
-                    }
-                    pastEarnings += dailySalary;
-                    pastEarnings += (parseFloat(att.fare) || 0);
-                });
-
-                const pastAdv = advances.filter(a => {
-                    if (String(a.employeeId) !== String(emp.id)) return false;
-                    const deduct = a.deductionMonth || (a.date ? a.date.substring(0, 7) : '');
-                    return deduct < month;
-                });
-                const pastAdvDeductions = pastAdv.reduce((sum, adv) => sum + (parseFloat(adv.amount) || 0), 0);
-
-                const pastDeb = debitNotes.filter(d => {
-                    if (String(d.employeeId) !== String(emp.id)) return false;
-                    const deduct = d.deductionMonth || (d.date ? d.date.substring(0, 7) : '');
-                    return deduct < month;
-                });
-                const pastDebDeductions = pastDeb.reduce((sum, deb) => sum + (parseFloat(deb.amount) || 0), 0);
-
-                const pastPay = payments.filter(p => String(p.employeeId) === String(emp.id) && p.salaryMonth < month);
-                const pastPaymentsTotal = pastPay.reduce((sum, p) => sum + p.amount, 0);
-
-                previousBalance = Math.round(pastEarnings - pastAdvDeductions - pastDebDeductions - pastPaymentsTotal);
-            }
-
-            const currentMonthNet = totalSalary + totalFare - totalAdvance - totalDebitNotes;
-            const netPayable = Math.round(currentMonthNet + previousBalance);
-            const remainingDue = netPayable - totalPaid;
-
-            return {
-                employee: emp,
-                isSupervisor,
-                daysWorked,
-                salaryEarned: Math.round(totalSalary),
-                fareTotal: totalFare,
-                advancePaid: totalAdvance,
-                debitNotesDeducted: totalDebitNotes,
-                previousBalance: previousBalance,
-                currentMonthNet: Math.round(currentMonthNet),
-                finalPayable: netPayable,
-                paidTotal: totalPaid,
-                remainingDue: remainingDue,
-                lastPaymentDate,
-                paymentProofs,
-                status: remainingDue <= 0 ? 'Settled' : (totalPaid > 0 ? 'Partial' : 'Unpaid')
-            };
-        });
+
+        const payroll = calculatePayroll(employees, data, month, settingsData);
 
         res.json(payroll);
     } catch (e) {
@@ -221,4 +41,111 @@ router.get('/', async (req, res) => {
     }
 });
 
+// PROJECT COSTING: the month's wages and fares by work site, as the payroll computes them (closed months
+// from their snapshots). Attendance without a site, paid leave and unattended fixed salary are "Unassigned".
+router.get('/project-costs', async (req, res) => {
+    const { month } = req.query;
+    if (!month || !MONTH_PATTERN.test(month)) return res.status(400).json({ error: 'Month required (YYYY-MM)' });
+
+    try {
+        const employees = (await dbService.getAllEmployees()).map(withoutPassword);
+        const [data, settingsData, sites] = await Promise.all([loadPayrollData(), dbService.getSettings(), dbService.getAllSites()]);
+
+        const payroll = calculatePayroll(employees, data, month, settingsData);
+        const { lines, sites: totals } = allocateLabourCost(payroll, data.attendance.filter(a => a.date && a.date.startsWith(month)));
+        const siteMap = new Map(sites.map(s => [String(s.id), s]));
+        const nameOf = (siteId) => (siteId === null ? 'Unassigned' : (siteMap.has(siteId) ? siteMap.get(siteId).name : 'Removed site'));
+
+        res.json({
+            month,
+            closed: payroll.some(p => p.closed),
+            sites: totals.map(t => ({ ...t, siteName: nameOf(t.siteId) })),
+            lines: lines
+                .map(l => ({ ...l, siteName: nameOf(l.siteId) }))
+                .sort((a, b) => (a.date || '').localeCompare(b.date || '') || String(a.employeeName).localeCompare(String(b.employeeName)))
+        });
+    } catch (e) {
+        console.error('Project Costing Error:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Closed months, newest first
+router.get('/closures', async (req, res) => {
+    try {
+        const closures = await dbService.getPayrollClosures();
+        res.json(closures.slice().sort((a, b) => b.month.localeCompare(a.month)));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+router.get('/snapshots', async (req, res) => {
+    try {
+        const { employeeId } = req.query;
+        const snapshots = employeeId
+            ? await dbService.getPayrollSnapshotsByEmployee(employeeId)
+            : await dbService.getAllPayrollSnapshots();
+        res.json(snapshots);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// CLOSE MONTH: store every employee's payroll line as an immutable snapshot.
+// Locks the month (and all earlier ones) against edits; later balances start from these snapshots.
+router.post('/close', async (req, res) => {
+    try {
+        const { month } = req.body;
+        if (!month || !MONTH_PATTERN.test(month)) return res.status(400).json({ error: 'Month required (YYYY-MM)' });
+        if (month > new Date().toISOString().substring(0, 7)) return res.status(400).json({ error: 'A future month cannot be closed.' });
+
+        const lockedThrough = await getLockedThrough();
+        if (lockedThrough && month <= lockedThrough) return res.status(409).json({ error: `Payroll is already closed up to ${lockedThrough}.` });
+
+        const employees = (await dbService.getAllEmployees()).map(withoutPassword);
+        const payroll = calculatePayroll(employees, await loadPayrollData(), month, await dbService.getSettings());
+
+        const closedAt = new Date().toISOString();
+        const snapshots = payroll.map(line => ({
+            id: `${month}_${line.employee.id}`,
+            month,
+            employeeId: String(line.employee.id),
+            remainingDue: line.remainingDue,
+            line: { ...line, closed: true, closedAt },
+            closedAt
+        }));
+        const closure = {
+            month,
+            closedAt,
+            closedById: String(req.user.id),
+            closedByName: req.user.name || req.user.id,
+            employeeCount: snapshots.length,
+            totalPayable: snapshots.reduce((sum, s) => sum + (s.line.finalPayable || 0), 0)
+        };
+
+        const created = await dbService.closePayrollMonth(closure, snapshots, req.user);
+        res.json(created);
+    } catch (e) {
+        console.error('Payroll Close Error:', e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// REOPEN: owner only, and only the latest closed month so later snapshots never go stale
+router.post('/reopen', requirePermission('payroll:reopen'), async (req, res) => {
+    try {
+        const { month } = req.body;
+        const lockedThrough = await getLockedThrough();
+        if (!lockedThrough || month !== lockedThrough) {
+            return res.status(400).json({ error: lockedThrough ? `Only the latest closed month (${lockedThrough}) can be reopened.` : 'No month is closed.' });
+        }
+
+        await dbService.reopenPayrollMonth(month, req.user);
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
 module.exports = router;
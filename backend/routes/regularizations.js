@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const dbService = require('../services/supabase-db');
+const { requirePermission, canAccessEmployee } = require('../middleware/auth');
+const { checkRecordsOpen } = require('../services/payrollClose');
+const { applyRegularization } = require('../services/regularizations');
+
+// Attendance corrections asked for from the portal. Supervisors only see and decide their own crew.
+
+// Loads a pending request the caller may decide; sends the error response otherwise
+const loadPendingRequest = async (req, res) => {
+    const request = await dbService.getRegularizationById(req.params.id);
+    if (!request || !canAccessEmployee(req, request.employeeId)) {
+        res.status(404).json({ error: 'Correction request not found' });
+        return null;
+    }
+    if (request.status !== 'pending') {
+        res.status(400).json({ error: `This request is already ${request.status}.` });
+        return null;
+    }
+    return request;
+};
+
+// ?status= &employeeId=; the original attendance evidence travels on each request as `original`
+router.get('/', async (req, res) => {
+    try {
+        const { status, employeeId } = req.query;
+        const requests = employeeId ? await dbService.getRegularizationsByEmployee(employeeId) : await dbService.getAllRegularizations();
+        res.json(requests
+            .filter(r => canAccessEmployee(req, r.employeeId))
+            .filter(r => !status || r.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Approving writes the corrected times to attendance; worked hours are recomputed here, not taken from the client
+router.post('/:id/approve', requirePermission('attendance:write'), async (req, res) => {
+    try {
+        const request = await loadPendingRequest(req, res);
+        if (!request) return;
+
+        const lockError = await checkRecordsOpen('attendance', request);
+        if (lockError) return res.status(409).json({ error: lockError });
+
+        const { attendance, error } = await applyRegularization(request, req.user);
+        if (error) return res.status(409).json({ error });
+
+        const note = (req.body.note || '').toString().trim();
+        const updated = await dbService.decideRegularization(request.id, {
+            status: 'approved',
+            attendanceId: String(attendance.id),
+            decidedAt: new Date().toISOString(),
+            decidedByName: req.user.name || req.user.id,
+            decisionNote: note || null
+        }, 'approve', note || null, req.user);
+        res.json({ request: updated, attendance });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Rejection needs a reason the employee will see
+router.post('/:id/reject', requirePermission('attendance:write'), async (req, res) => {
+    try {
+        const request = await loadPendingRequest(req, res);
+        if (!request) return;
+
+        const note = (req.body.note || '').toString().trim();
+        if (!note) return res.status(400).json({ error: 'A reason is required to reject a correction.' });
+
+        const updated = await dbService.decideRegularization(request.id, {
+            status: 'rejected',
+            decidedAt: new Date().toISOString(),
+            decidedByName: req.user.name || req.user.id,
+            decisionNote: note
+        }, 'reject', note, req.user);
+        res.json(updated);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const dbService = require('../services/supabase-db');
+const { requirePermission, canAccessEmployee } = require('../middleware/auth');
+const { syncEmployeeTerms } = require('../services/salaryRevisions');
+
+// Salary history. Revisions are added by changing salary / type / fare on PUT /api/employees/:id.
+
+router.get('/', requirePermission('employees:read'), async (req, res) => {
+    try {
+        const { employeeId } = req.query;
+        const revisions = employeeId
+            ? await dbService.getSalaryRevisionsByEmployee(employeeId)
+            : await dbService.getAllSalaryRevisions();
+        // Supervisors only see their own crew
+        res.json(revisions.filter(r => canAccessEmployee(req, r.employeeId)));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Undo a revision entered by mistake; the starting terms always stay
+router.delete('/:id', requirePermission('employees:write'), async (req, res) => {
+    try {
+        const revision = await dbService.getSalaryRevisionById(req.params.id);
+        if (!revision) return res.status(404).json({ error: 'Salary revision not found' });
+        if (!revision.effectiveFrom) return res.status(400).json({ error: 'The starting salary cannot be deleted.' });
+
+        await dbService.deleteSalaryRevision(revision.id, req.user);
+        await syncEmployeeTerms(revision.employeeId, req.user);
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+module.exports = router;
@@ -1,8 +1,98 @@
 const express = require('express');
 const router = express.Router();
 const dbService = require('../services/supabase-db');
+const { requirePermission } = require('../middleware/auth');
+const { recordHourRuleChange, getStatutorySettings, getLeaveTypes, AUTO_CLOSE_POLICIES, getAutoCloseSettings, getAttendanceRules } = require('../services/payroll');
+const { checkRecordsOpen } = require('../services/payrollClose');
 
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '15012002J^aya';
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isNonNegative = (value) => value !== '' && value !== null && !isNaN(value) && parseFloat(value) >= 0;
+
+// Normalised PF / ESI / PT rules, or { error } when a rate, ceiling or slab is not a valid number
+const parseStatutory = (input) => {
+    const rules = getStatutorySettings({ statutory: input });
+    if (rules.effectiveFrom && !MONTH_PATTERN.test(rules.effectiveFrom)) return { error: 'Statutory rules month must be in YYYY-MM format.' };
+
+    for (const key of ['pf', 'esi']) {
+        const part = rules[key];
+        if (![part.wageCeiling, part.employeePercent, part.employerPercent].every(isNonNegative)) {
+            return { error: `${key.toUpperCase()} ceiling and percentages must be numbers of 0 or more.` };
+        }
+        rules[key] = {
+            enabled: part.enabled === true || part.enabled === 'true',
+            wageCeiling: parseFloat(part.wageCeiling),
+            employeePercent: parseFloat(part.employeePercent),
+            employerPercent: parseFloat(part.employerPercent)
+        };
+    }
+
+    const slabs = {};
+    for (const [state, list] of Object.entries(rules.pt.slabs)) {
+        if (!Array.isArray(list) || !list.every(s => isNonNegative(s.from) && isNonNegative(s.amount))) {
+            return { error: `Professional Tax slabs for ${state} must be a list of { from, amount } numbers.` };
+        }
+        slabs[state.toUpperCase()] = list
+            .map(s => ({ from: parseFloat(s.from), amount: parseFloat(s.amount) }))
+            .sort((a, b) => a.from - b.from);
+    }
+    const state = String(rules.pt.state || '').toUpperCase();
+    if (!slabs[state]) return { error: `No Professional Tax slabs are defined for ${state || 'the default state'}.` };
+    rules.pt = { enabled: rules.pt.enabled === true || rules.pt.enabled === 'true', state, slabs };
+
+    return { rules };
+};
+
+// Leave types keep their keys; only the label, paid flag and yearly days (blank = no balance) can change
+const parseLeaveTypes = (input) => {
+    if (!Array.isArray(input)) return { error: 'Leave types must be a list.' };
+    const types = getLeaveTypes({ leaveTypes: input });
+    for (const t of types) {
+        const untracked = t.yearlyDays === null || t.yearlyDays === undefined || t.yearlyDays === '';
+        if (!untracked && !isNonNegative(t.yearlyDays)) return { error: `Yearly days for ${t.label} must be a number of 0 or more.` };
+        t.yearlyDays = untracked ? null : parseFloat(t.yearlyDays);
+        t.paid = t.paid === true || t.paid === 'true';
+        t.label = String(t.label || t.key).trim().substring(0, 40);
+    }
+    return { types };
+};
+
+// How forgotten open shifts are closed; the shift end time is used by the 'shift_end' policy only
+const parseAutoClose = (input) => {
+    if (input && input.policy !== undefined && !AUTO_CLOSE_POLICIES.includes(input.policy)) return { error: 'Choose a valid auto-close policy.' };
+    const { policy, shiftEnd } = getAutoCloseSettings({ autoClose: input });
+    if (!TIME_PATTERN.test(shiftEnd || '')) return { error: 'Shift end must be a time in HH:MM format.' };
+    return { autoClose: { policy, shiftEnd } };
+};
+
+// Shift timings, grace periods and how many late marks cost half a day (0 = never)
+const parseAttendanceRules = (input) => {
+    const rules = getAttendanceRules({ attendanceRules: input });
+    if (!TIME_PATTERN.test(rules.shiftStart || '') || !TIME_PATTERN.test(rules.shiftEnd || '')) return { error: 'Shift start and end must be times in HH:MM format.' };
+    if (rules.shiftEnd <= rules.shiftStart) return { error: 'Shift end must be after shift start.' };
+    if (![rules.lateGraceMinutes, rules.earlyGraceMinutes, rules.latesPerHalfDay].every(isNonNegative)) {
+        return { error: 'Grace periods and late marks per half-day must be numbers of 0 or more.' };
+    }
+    return {
+        attendanceRules: {
+            enabled: rules.enabled === true || rules.enabled === 'true',
+            shiftStart: rules.shiftStart,
+            shiftEnd: rules.shiftEnd,
+            lateGraceMinutes: parseInt(rules.lateGraceMinutes, 10),
+            earlyGraceMinutes: parseInt(rules.earlyGraceMinutes, 10),
+            latesPerHalfDay: parseInt(rules.latesPerHalfDay, 10),
+            countEarlyLeaves: rules.countEarlyLeaves === true || rules.countEarlyLeaves === 'true'
+        }
+    };
+};
+
+// Day of the week off for everyone: 0 = Sunday ... 6 = Saturday, -1 = no weekly off
+const parseWeeklyOff = (input) => {
+    const day = parseInt(input, 10);
+    if (String(day) !== String(input).trim() || day < -1 || day > 6) return { error: 'Choose a valid weekly off day.' };
+    return { weeklyOff: day };
+};
 
 router.get('/', async (req, res) => {
     try {
@@ -13,16 +103,67 @@ router.get('/', async (req, res) => {
     }
 });
 
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('settings'), async (req, res) => {
     try {
-        const updated = await dbService.updateSettings(req.body);
+        const current = await dbService.getSettings();
+        const { rulesEffectiveFrom, ...body } = req.body;
+        const next = { ...current, ...body };
+
+        // Hour changes are effective-dated so months before `rulesEffectiveFrom` keep the old hours
+        const effectiveFrom = rulesEffectiveFrom || new Date().toISOString().substring(0, 7);
+        if (!MONTH_PATTERN.test(effectiveFrom)) return res.status(400).json({ error: 'Effective month must be in YYYY-MM format.' });
+        const hoursChanged = parseFloat(next.standardHours) !== current.standardHours || parseFloat(next.slabHours) !== current.slabHours;
+        if (hoursChanged) {
+            next.hourRules = recordHourRuleChange(
+                current.hourRules,
+                { standardHours: current.standardHours, slabHours: current.slabHours },
+                { standardHours: parseFloat(next.standardHours), slabHours: parseFloat(next.slabHours) },
+                effectiveFrom
+            );
+        }
+
+        // PF / ESI / PT apply to open months from `statutory.effectiveFrom`; closed months keep their snapshots
+        if (body.statutory !== undefined) {
+            const { rules, error } = parseStatutory(body.statutory);
+            if (error) return res.status(400).json({ error });
+            next.statutory = rules;
+        }
+
+        // Applies to leave applied for from now on; each request keeps the paid flag it was applied with
+        if (body.leaveTypes !== undefined) {
+            const { types, error } = parseLeaveTypes(body.leaveTypes);
+            if (error) return res.status(400).json({ error });
+            next.leaveTypes = types;
+        }
+
+        if (body.autoClose !== undefined) {
+            const { autoClose, error } = parseAutoClose(body.autoClose);
+            if (error) return res.status(400).json({ error });
+            next.autoClose = autoClose;
+        }
+
+        // Applies to every open month; closed months keep their snapshots
+        if (body.attendanceRules !== undefined) {
+            const { attendanceRules, error } = parseAttendanceRules(body.attendanceRules);
+            if (error) return res.status(400).json({ error });
+            next.attendanceRules = attendanceRules;
+        }
+
+        // Sets the working days behind absences and paid-holiday credit; closed months keep their snapshots
+        if (body.weeklyOff !== undefined) {
+            const { weeklyOff, error } = parseWeeklyOff(body.weeklyOff);
+            if (error) return res.status(400).json({ error });
+            next.weeklyOff = weeklyOff;
+        }
+
+        const updated = await dbService.updateSettings(next, req.user);
         res.json(updated);
     } catch (e) {
         res.status(500).json({ error: e.message });
     }
 });
 
-router.get('/storage-usage', async (req, res) => {
+router.get('/storage-usage', requirePermission('settings'), async (req, res) => {
     try {
         const usage = await dbService.getStorageUsage();
         res.json(usage);
@@ -32,7 +173,7 @@ router.get('/storage-usage', async (req, res) => {
     }
 });
 
-router.get('/database-usage', async (req, res) => {
+router.get('/database-usage', requirePermission('settings'), async (req, res) => {
     try {
         const usage = await dbService.getDatabaseUsageEstimate();
         res.json(usage);
@@ -42,12 +183,24 @@ router.get('/database-usage', async (req, res) => {
     }
 });
 
-router.post('/import-data', async (req, res) => {
+// Import payload keys that the month-close lock covers, with their tables
+const IMPORT_LOCKED_ENTITIES = { attendance: 'attendance', advances: 'advances', debitNotes: 'debit_notes', payments: 'payments' };
+
+router.post('/import-data', requirePermission('data'), async (req, res) => {
     try {
         const payload = req.body;
         if (!payload) return res.status(400).json({ error: 'No data payload provided.' });
 
-        const results = await dbService.importData(payload);
+        // Imported rows, and the stored rows they would overwrite, must all be in open payroll months
+        for (const [key, entity] of Object.entries(IMPORT_LOCKED_ENTITIES)) {
+            const rows = Array.isArray(payload[key]) ? payload[key] : [];
+            const ids = rows.map(r => r.id).filter(id => id !== undefined && id !== null && id !== '').map(String);
+            const stored = ids.length > 0 ? [...(await dbService.getRowsByIds(entity, ids)).values()] : [];
+            const lockError = await checkRecordsOpen(entity, ...rows, ...stored);
+            if (lockError) return res.status(409).json({ error: lockError });
+        }
+
+        const results = await dbService.importData(payload, req.user);
         res.json({ success: true, results });
     } catch (e) {
         console.error('Data Import Error:', e);
@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const dbService = require('../services/supabase-db');
+const { requirePermission } = require('../middleware/auth');
+const { DEFAULT_RADIUS_METERS } = require('../services/geofence');
+const { newId } = require('../services/recordIds');
+
+// Work sites and the employees assigned to them. Mounted behind requirePermission('attendance:read'),
+// since the distance report needs the site names; changing sites is a settings task.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const normalizeEmployeeIds = (ids) => (Array.isArray(ids) ? [...new Set(ids.map(String).filter(Boolean))] : []);
+
+// Site fields from form input. Returns { error } or { site }.
+const parseSite = (body) => {
+    const name = (body.name || '').toString().trim().substring(0, 80);
+    if (!name) return { error: 'Site name is required.' };
+
+    const lat = parseFloat(body.lat);
+    const lng = parseFloat(body.lng);
+    if (!(lat >= -90 && lat <= 90) || !(lng >= -180 && lng <= 180)) return { error: 'Latitude must be between -90 and 90 and longitude between -180 and 180.' };
+
+    const radiusMeters = body.radiusMeters === undefined || body.radiusMeters === '' ? DEFAULT_RADIUS_METERS : parseFloat(body.radiusMeters);
+    if (!(radiusMeters > 0)) return { error: 'Radius must be more than 0 metres.' };
+
+    const activeFrom = body.activeFrom || null;
+    const activeTo = body.activeTo || null;
+    if ((activeFrom && !DATE_PATTERN.test(activeFrom)) || (activeTo && !DATE_PATTERN.test(activeTo))) return { error: 'Dates must be in YYYY-MM-DD format.' };
+    if (activeFrom && activeTo && activeTo < activeFrom) return { error: 'The end date cannot be before the start date.' };
+
+    return { site: { name, lat, lng, radiusMeters, activeFrom, activeTo, employeeIds: normalizeEmployeeIds(body.employeeIds) } };
+};
+
+router.get('/', async (req, res) => {
+    try {
+        const sites = await dbService.getAllSites();
+        res.json(sites.slice().sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+router.post('/', requirePermission('settings'), async (req, res) => {
+    try {
+        const { site, error } = parseSite(req.body);
+        if (error) return res.status(400).json({ error });
+        const created = await dbService.createSite({ id: newId(), ...site, createdAt: new Date().toISOString() }, req.user);
+        res.json(created);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+router.put('/:id', requirePermission('settings'), async (req, res) => {
+    try {
+        const existing = await dbService.getSiteById(req.params.id);
+        if (!existing) return res.status(404).json({ error: 'Site not found' });
+
+        const { site, error } = parseSite({ ...existing, ...req.body });
+        if (error) return res.status(400).json({ error });
+        const updated = await dbService.updateSite(existing.id, site, req.user);
+        res.json(updated);
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Attendance already measured against the site keeps its distance; the report then shows the site as removed
+router.delete('/:id', requirePermission('settings'), async (req, res) => {
+    try {
+        await dbService.deleteSite(req.params.id, req.user);
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+module.exports = router;
@@ -50,13 +50,13 @@ router.delete('/:type/:id', async (req, res) => {
             const adv = await dbService.getAdvanceById(id);
             if (adv && adv.screenshot) {
                 await dbService.deleteFile(adv.screenshot);
-                await dbService.updateAdvance(id, { screenshot: null });
+                await dbService.updateAdvance(id, { screenshot: null }, req.user);
             }
         } else if (type === 'payment') {
             const pay = await dbService.getPaymentById(id);
             if (pay && pay.screenshot) {
                 await dbService.deleteFile(pay.screenshot);
-                await dbService.updatePayment(id, { screenshot: null });
+                await dbService.updatePayment(id, { screenshot: null }, req.user);
             }
         }
         res.json({ success: true });
@@ -0,0 +1,97 @@
+const { calculateShiftHours } = require('./payroll');
+
+// Self-service check-ins and check-outs are stamped with the server's clock, never the phone's.
+// Dates and HH:MM times are in the business time zone; checkInAt / checkOutAt keep the full
+// ISO timestamp with its offset. The phone's own time is only compared, to flag a changed clock.
+//
+// A check-in or check-out the portal captured while offline is sent later with `capturedAt`. It is
+// stamped at the server's time minus how long the phone held it (both phone times are on the same
+// clock, so a wrong phone clock does not shift it), and checkInSyncedAt / checkOutSyncedAt record
+// when it actually reached the server.
+
+const TIME_ZONE = process.env.ATTENDANCE_TIME_ZONE || 'Asia/Kolkata';
+const CLOCK_SKEW_LIMIT_MINUTES = 5;
+const OFFLINE_MIN_DELAY_MINUTES = 2; // Anything quicker is an ordinary slow upload
+const OFFLINE_MAX_AGE_HOURS = 72;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// { date: 'YYYY-MM-DD', time: 'HH:MM', iso: 'YYYY-MM-DDTHH:MM:SS+05:30' } for `at` in TIME_ZONE
+const stampTime = (at = new Date()) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-GB', {
+        timeZone: TIME_ZONE, hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(at).forEach(p => { parts[p.type] = p.value; });
+
+    const date = `${parts.year}-${parts.month}-${parts.day}`;
+    const time = `${parts.hour}:${parts.minute}`;
+    const wallClock = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+    const offset = Math.round((wallClock - Math.floor(at.getTime() / 1000) * 1000) / 60000);
+    const sign = offset < 0 ? '-' : '+';
+    return { date, time, iso: `${date}T${time}:${parts.second}${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}` };
+};
+
+// Minutes the phone's clock (`clientTime`, any ISO string) is ahead (+) or behind (-) the server,
+// or null when it is within the limit or was not sent
+const measureClockSkew = (clientTime, at) => {
+    const client = Date.parse(clientTime || '');
+    if (isNaN(client)) return null;
+    const skew = Math.round((client - at.getTime()) / 60000);
+    return Math.abs(skew) > CLOCK_SKEW_LIMIT_MINUTES ? skew : null;
+};
+
+// The larger of two skews, keeping its sign
+const largerSkew = (a, b) => {
+    if (a === null || a === undefined) return b;
+    if (b === null || b === undefined) return a;
+    return Math.abs(b) > Math.abs(a) ? b : a;
+};
+
+// When a submission happened: { at, syncedAt } where syncedAt is the receipt time for an offline capture
+// and null otherwise, or { error } when the capture is in the future or too old to accept
+const resolveCaptureTime = (capturedAt, clientTime, now = new Date()) => {
+    const captured = Date.parse(capturedAt || '');
+    if (isNaN(captured)) return { at: now, syncedAt: null };
+
+    const sent = Date.parse(clientTime || '');
+    const heldMs = (isNaN(sent) ? now.getTime() : sent) - captured;
+    if (heldMs < -60000) return { error: 'The capture time is after the time it was sent. Check the phone\'s date and time.' };
+    if (heldMs > OFFLINE_MAX_AGE_HOURS * 3600000) {
+        return { error: `Offline attendance older than ${OFFLINE_MAX_AGE_HOURS} hours cannot be synced. Ask your supervisor to add it.` };
+    }
+    if (heldMs < OFFLINE_MIN_DELAY_MINUTES * 60000) return { at: now, syncedAt: null };
+    return { at: new Date(now.getTime() - heldMs), syncedAt: stampTime(now).iso };
+};
+
+// Fields for a new self-service check-in. `receivedAt` is when the server got it, which differs from `at`
+// for an offline capture; the phone's clock is compared against it.
+const stampCheckIn = (clientTime, at = new Date(), receivedAt = at) => {
+    const stamp = stampTime(at);
+    return { date: stamp.date, timeIn: stamp.time, checkInAt: stamp.iso, clockSkewMinutes: measureClockSkew(clientTime, receivedAt) };
+};
+
+// Fields that close the open shift `att`. Hours run from the stamped check-in, across midnight if need be;
+// a check-in without a stamp, or whose time was since corrected, falls back to the HH:MM times.
+const stampCheckOut = (att, clientTime, at = new Date(), receivedAt = at) => {
+    const stamp = stampTime(at);
+    const stampedIn = att.checkInAt && !isNaN(Date.parse(att.checkInAt)) && stampTime(new Date(att.checkInAt)).time === att.timeIn;
+    const hours = stampedIn
+        ? Math.round((at.getTime() - Date.parse(att.checkInAt)) / 36000) / 100
+        : calculateShiftHours(att.timeIn, stamp.time);
+    return {
+        timeOut: stamp.time,
+        checkOutAt: stamp.iso,
+        workedHours: hours.toFixed(2),
+        clockSkewMinutes: largerSkew(att.clockSkewMinutes, measureClockSkew(clientTime, receivedAt))
+    };
+};
+
+module.exports = {
+    CLOCK_SKEW_LIMIT_MINUTES,
+    OFFLINE_MAX_AGE_HOURS,
+    stampTime,
+    resolveCaptureTime,
+    stampCheckIn,
+    stampCheckOut
+};
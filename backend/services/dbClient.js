@@ -0,0 +1,61 @@
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const { createLocalClient } = require('./localDb');
+
+// The database behind supabase-db.js, chosen with DB_BACKEND:
+//   supabase (default)  the hosted Supabase project (SUPABASE_URL / SUPABASE_SERVICE_KEY)
+//   sqlite              a SQLite file on this machine (needs Node 22.13+), for running offline
+//   json                a JSON file on this machine, for small installs and quick backups
+//   memory              nothing kept once the process exits (tests)
+// sqlite and json live at LOCAL_DB_PATH (default data/siddhi.db or data/siddhi.json) with uploaded
+// files under LOCAL_FILES_DIR (default data/files), which server.js serves at /files.
+//
+// Every backend is a client with the part of the supabase-js interface that supabase-db.js uses
+// (see localDb.js), so the data functions and their caching and auditing are shared.
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+const BACKENDS = ['supabase', 'sqlite', 'json', 'memory'];
+
+const backend = (process.env.DB_BACKEND || 'supabase').toLowerCase();
+if (!BACKENDS.includes(backend)) {
+    throw new Error(`DB_BACKEND must be one of: ${BACKENDS.join(', ')} (got "${process.env.DB_BACKEND}").`);
+}
+
+const createSupabaseClient = () => {
+    // Supabase credentials from environment variables
+    const SUPABASE_URL = process.env.SUPABASE_URL;
+    const SUPABASE_Service_Role_KEY = process.env.SUPABASE_SERVICE_KEY; // Using Service Role Key for backend administration
+
+    if (!SUPABASE_URL || !SUPABASE_Service_Role_KEY) {
+        console.error('❌ Supabase credentials missing! Please check your .env file.');
+        console.error('Ensure SUPABASE_URL and SUPABASE_SERVICE_KEY are set, or set DB_BACKEND=sqlite to run on a local database.');
+        // Don't crash immediately to allow for setup, but functionality will fail
+    }
+
+    return createClient(SUPABASE_URL, SUPABASE_Service_Role_KEY, {
+        db: { schema: 'public' },
+        global: {
+            headers: { 'x-connection-encrypted': 'true' }
+        },
+        auth: { persistSession: false }
+    });
+};
+
+// Folder of uploaded files for the sqlite / json backends; null when files are not kept on disk
+const filesDir = backend === 'sqlite' || backend === 'json' ? (process.env.LOCAL_FILES_DIR || path.join(DATA_DIR, 'files')) : null;
+
+const client = backend === 'supabase'
+    ? createSupabaseClient()
+    : createLocalClient({
+        kind: backend,
+        file: process.env.LOCAL_DB_PATH || path.join(DATA_DIR, backend === 'sqlite' ? 'siddhi.db' : 'siddhi.json'),
+        filesDir
+    });
+
+if (filesDir) console.log(`💾 Using the local ${backend} database (files in ${filesDir})`);
+
+module.exports = {
+    backend,
+    client,
+    filesDir
+};
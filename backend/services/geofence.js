@@ -0,0 +1,73 @@
+// Work-site geofencing. A worker assigned to sites (sites.employeeIds) is expected to check in and out
+// within the radius of one of them that is active that day; workers with no active site are not checked.
+
+const EARTH_RADIUS_METERS = 6371000;
+const DEFAULT_RADIUS_METERS = 200;
+
+// Stored locations are { lat, lng, accuracy }, sometimes as a JSON string; null when unusable
+const parseLocation = (loc) => {
+    let point = loc;
+    if (typeof point === 'string') {
+        try { point = JSON.parse(point); } catch (e) { return null; }
+    }
+    if (!point || !isFinite(parseFloat(point.lat)) || !isFinite(parseFloat(point.lng))) return null;
+    return { lat: parseFloat(point.lat), lng: parseFloat(point.lng), accuracy: parseFloat(point.accuracy) || 0 };
+};
+
+// Great-circle distance in metres (haversine)
+const distanceMeters = (a, b) => {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+};
+
+const isSiteActiveOn = (site, date) => (!site.activeFrom || site.activeFrom <= date) && (!site.activeTo || date <= site.activeTo);
+
+const getEmployeeSites = (sites, employeeId, date) =>
+    sites.filter(s => (s.employeeIds || []).map(String).includes(String(employeeId)) && isSiteActiveOn(s, date));
+
+// Nearest active site to `loc` for the worker: { siteId, distance, inside }, or null when they have no site that day.
+// A missing location counts as outside, with no site or distance.
+const checkGeofence = (sites, employeeId, date, loc) => {
+    const candidates = getEmployeeSites(sites, employeeId, date);
+    if (candidates.length === 0) return null;
+
+    const point = parseLocation(loc);
+    if (!point) return { siteId: null, distance: null, inside: false };
+
+    const nearest = candidates
+        .map(site => ({ site, distance: distanceMeters(point, { lat: parseFloat(site.lat), lng: parseFloat(site.lng) }) }))
+        .sort((a, b) => a.distance - b.distance)[0];
+    const radius = parseFloat(nearest.site.radiusMeters) || DEFAULT_RADIUS_METERS;
+    return { siteId: String(nearest.site.id), distance: Math.round(nearest.distance), inside: nearest.distance <= radius };
+};
+
+// Site a self-service shift is costed to: the nearest one measured at check-in, else the worker's only active site
+const pickShiftSite = (sites, employeeId, date, geo) => {
+    if (geo && geo.siteId) return geo.siteId;
+    const assigned = getEmployeeSites(sites, employeeId, date);
+    return assigned.length === 1 ? String(assigned[0].id) : null;
+};
+
+// securityFlag values, most serious first. A record keeps the most serious flag of its check-in and check-out.
+const SECURITY_FLAG_RANK = ['MOCKED_LOCATION', 'OUTSIDE_GEOFENCE', 'SECURE'];
+
+const combineSecurityFlags = (...flags) => {
+    const known = flags.filter(f => SECURITY_FLAG_RANK.includes(f));
+    return known.sort((a, b) => SECURITY_FLAG_RANK.indexOf(a) - SECURITY_FLAG_RANK.indexOf(b))[0] || flags.find(Boolean) || null;
+};
+
+const geofenceFlag = (result) => (result && !result.inside ? 'OUTSIDE_GEOFENCE' : null);
+
+module.exports = {
+    DEFAULT_RADIUS_METERS,
+    parseLocation,
+    distanceMeters,
+    getEmployeeSites,
+    checkGeofence,
+    pickShiftSite,
+    combineSecurityFlags,
+    geofenceFlag
+};
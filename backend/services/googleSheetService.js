@@ -2,6 +2,7 @@
 const { google } = require('googleapis');
 const path = require('path');
 const fs = require('fs');
+const { calculateDayEarning } = require('./payroll');
 
 const KEY_FILE = path.join(__dirname, '..', 'service-account.json');
 let sheets = null;
@@ -69,25 +70,12 @@ async function createMonthlyReport(employee, month, attendanceData, advances, pa
 
     // Process Attendance
     attendanceData.forEach(att => {
-        const wh = parseFloat(att.workedHours);
-        const stdHours = settings.standardHours || 8.5;
-        const slabBase = settings.slabHours || 6;
-        const salary = parseFloat(employee.salary);
-
-        let dailySalary = 0;
-        let status = 'Present';
-
-        const normalRate = salary / stdHours;
-        if (att.slabMode && wh > stdHours) {
-            const extra = wh - stdHours;
-            const slabRate = salary / slabBase;
-            dailySalary = (normalRate * stdHours) + (slabRate * extra);
-            status = 'Overtime';
-        } else {
-            dailySalary = normalRate * wh;
-        }
+        const day = calculateDayEarning(employee, att, settings);
+        const wh = day.workedHours;
+        const dailySalary = day.wage;
+        const status = day.mode === 'sunday' ? 'Sunday' : (day.isOvertime ? 'Overtime' : 'Present');
 
-        const fare = parseFloat(att.fare || 0);
+        const fare = day.fare;
         const dayTotal = Math.round(dailySalary + fare);
 
         totalEarned += dayTotal;
@@ -0,0 +1,66 @@
+const { getLeaveTypes, getLeaveBalances, countLeaveDays, expandDates } = require('./payroll');
+const { newId } = require('./recordIds');
+
+// Leave requests (leaves table). Employees apply from the portal, admins approve or reject;
+// admins can also record leave directly, which is approved at once.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isActive = (leave) => leave.status === 'pending' || leave.status === 'approved';
+
+// Checks `leave` against the employee's other requests and balances. Returns an error message or null.
+const checkLeaveAllowed = (leave, employeeLeaves, settingsData) => {
+    const others = employeeLeaves.filter(l => String(l.id) !== String(leave.id) && isActive(l));
+
+    const dates = new Set(expandDates(leave.fromDate, leave.toDate));
+    const clash = others.find(l => expandDates(l.fromDate, l.toDate).some(d => dates.has(d)));
+    if (clash) return `Leave from ${clash.fromDate} to ${clash.toDate} is already ${clash.status} for these dates.`;
+
+    // Pending requests hold their days, so two requests cannot spend the same balance
+    const balance = getLeaveBalances(others, settingsData, leave.fromDate).find(b => b.type === leave.type);
+    const left = balance ? Math.max(0, balance.available - balance.pending) : null;
+    if (balance && countLeaveDays(leave) > left) return `Not enough ${balance.label} balance: ${left} day(s) available.`;
+    return null;
+};
+
+// New leave request from form input. Returns { error } or { leave } (status pending unless given).
+const buildLeaveRequest = (body, employeeId, employeeLeaves, settingsData, extra = {}) => {
+    const type = getLeaveTypes(settingsData).find(t => t.key === body.type);
+    if (!type) return { error: 'Choose a valid leave type.' };
+
+    const fromDate = body.fromDate;
+    const toDate = body.toDate || fromDate;
+    if (!DATE_PATTERN.test(fromDate || '') || !DATE_PATTERN.test(toDate)) return { error: 'Dates must be in YYYY-MM-DD format.' };
+    if (toDate < fromDate) return { error: 'The end date cannot be before the start date.' };
+    if (fromDate.substring(0, 4) !== toDate.substring(0, 4)) return { error: 'Leave cannot run across two years; apply for each year separately.' };
+
+    const halfDay = body.halfDay === true || body.halfDay === 'true';
+    if (halfDay && fromDate !== toDate) return { error: 'A half day must start and end on the same date.' };
+
+    const leave = {
+        id: newId(),
+        employeeId: String(employeeId),
+        type: type.key,
+        paid: Boolean(type.paid), // kept as applied, so a later policy change does not re-price approved leave
+        fromDate,
+        toDate,
+        halfDay,
+        days: 0,
+        reason: (body.reason || '').toString().trim().substring(0, 500),
+        status: 'pending',
+        appliedAt: new Date().toISOString(),
+        decidedAt: null,
+        decidedByName: null,
+        decisionNote: null,
+        ...extra
+    };
+    leave.days = countLeaveDays(leave);
+
+    const error = checkLeaveAllowed(leave, employeeLeaves, settingsData);
+    return error ? { error } : { leave };
+};
+
+module.exports = {
+    checkLeaveAllowed,
+    buildLeaveRequest
+};
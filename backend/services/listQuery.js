@@ -0,0 +1,93 @@
+// Query parameters for the paged admin lists (attendance, advances, debit notes, payments):
+// employeeId, month (YYYY-MM) or from / to (YYYY-MM-DD), siteId, flag, page, pageSize and sort
+// ('date', or '-date' for newest first). A request with none of them still gets every row, which is
+// what the payroll engine in the browser needs.
+
+const LIST_PARAMS = ['employeeId', 'month', 'from', 'to', 'siteId', 'flag', 'page', 'pageSize', 'sort'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+const isListQuery = (query) => LIST_PARAMS.some(p => query[p] !== undefined && query[p] !== '');
+
+const lastDayOfMonth = (month) => {
+    const [year, mon] = month.split('-').map(Number);
+    return `${month}-${String(new Date(Date.UTC(year, mon, 0)).getUTCDate()).padStart(2, '0')}`;
+};
+
+// Returns { error } or { employeeId, month, from, to, siteId, flag, sort: { column, ascending }, page, pageSize }.
+// A month sets from / to to its first and last day. `sortable` lists the columns callers may sort by.
+const parseListQuery = (query, { sortable = ['date'], flags = [] } = {}) => {
+    const { employeeId, month, siteId, flag } = query;
+    let { from, to } = query;
+
+    if (month) {
+        if (!MONTH_PATTERN.test(month)) return { error: 'Month must be in YYYY-MM format.' };
+        from = `${month}-01`;
+        to = lastDayOfMonth(month);
+    }
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) return { error: 'Dates must be in YYYY-MM-DD format.' };
+    if (from && to && to < from) return { error: 'The end date cannot be before the start date.' };
+    if (flag && !flags.includes(flag)) return { error: `Flag must be one of: ${flags.join(', ')}.` };
+
+    const sortParam = query.sort || '-date';
+    const column = sortParam.replace(/^-/, '');
+    if (!sortable.includes(column)) return { error: `Sort must be one of: ${sortable.join(', ')} (prefix - for descending).` };
+
+    const page = query.page === undefined ? 1 : parseInt(query.page, 10);
+    const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.pageSize, 10);
+    if (!(page >= 1)) return { error: 'Page must be 1 or more.' };
+    if (!(pageSize >= 1 && pageSize <= MAX_PAGE_SIZE)) return { error: `Page size must be between 1 and ${MAX_PAGE_SIZE}.` };
+
+    return {
+        employeeId: employeeId ? String(employeeId) : null,
+        month: month || null,
+        from: from || null,
+        to: to || null,
+        siteId: siteId || null,
+        flag: flag || null,
+        sort: { column, ascending: !sortParam.startsWith('-') },
+        page,
+        pageSize
+    };
+};
+
+// Response body for one page: { rows, total, page, pageSize, pages, totals }
+const pageResponse = ({ rows, total, totals }, { page, pageSize }) => ({
+    rows,
+    total,
+    page,
+    pageSize,
+    pages: Math.max(1, Math.ceil(total / pageSize)),
+    totals
+});
+
+// Sorts and slices rows already in memory, for lists filtered on computed values
+const paginate = (rows, { sort, page, pageSize }) => {
+    const dir = sort.ascending ? 1 : -1;
+    const value = (row) => {
+        const v = row[sort.column];
+        return v === null || v === undefined ? '' : v;
+    };
+    const sorted = rows.slice().sort((a, b) => {
+        const x = value(a);
+        const y = value(b);
+        const cmp = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y), undefined, { numeric: true });
+        // Ties go newest first, as in fetchTablePage
+        return cmp * dir || String(b.createdAt || '').localeCompare(String(a.createdAt || '')) || String(b.id).localeCompare(String(a.id));
+    });
+    return { rows: sorted.slice((page - 1) * pageSize, page * pageSize), total: rows.length };
+};
+
+// Sum of `column` over rows, to 2 decimals
+const sumColumn = (rows, column) => Math.round(rows.reduce((sum, r) => sum + (parseFloat(r[column]) || 0), 0) * 100) / 100;
+
+module.exports = {
+    MAX_PAGE_SIZE,
+    isListQuery,
+    parseListQuery,
+    pageResponse,
+    paginate,
+    sumColumn
+};
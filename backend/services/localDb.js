@@ -0,0 +1,456 @@
+const fs = require('fs');
+const path = require('path');
+
+// A database kept on this machine, for running without Supabase (a site office PC) and for tests.
+// It answers the part of the supabase-js client that supabase-db.js uses: from(table) queries with
+// select / insert / upsert / update / delete, the filters, order / range / limit / single, and
+// storage.from(bucket) for uploaded files. Results have the same { data, error, count } shape and
+// the same error codes, so supabase-db.js runs unchanged on either.
+//
+// Rows are held in memory and each change is written through to a SQLite file, a JSON file, or
+// nowhere. Rows are stored whole (as JSON in SQLite), so new columns need no migration, as on Supabase.
+
+// Tables whose primary key is not `id`, and tables whose `id` the database assigns (identity columns)
+const PRIMARY_KEYS = { payroll_closures: 'month', login_attempts: 'key' };
+const GENERATED_IDS = ['holidays'];
+
+const primaryKey = (table) => PRIMARY_KEYS[table] || 'id';
+const isBlank = (v) => v === null || v === undefined;
+const clone = (v) => (v === undefined ? v : structuredClone(v));
+
+// ==================== FILTERS ====================
+
+// Postgres compares in the column's type: numbers as numbers, everything else as text
+const compareValues = (a, b) => {
+    if ((typeof a === 'number' || typeof b === 'number') && isFinite(Number(a)) && isFinite(Number(b))) return Number(a) - Number(b);
+    const x = String(a);
+    const y = String(b);
+    return x < y ? -1 : (x > y ? 1 : 0);
+};
+
+const OPERATORS = {
+    eq: (v, arg) => !isBlank(v) && String(v) === String(arg),
+    neq: (v, arg) => !isBlank(v) && String(v) !== String(arg),
+    gt: (v, arg) => !isBlank(v) && compareValues(v, arg) > 0,
+    gte: (v, arg) => !isBlank(v) && compareValues(v, arg) >= 0,
+    lt: (v, arg) => !isBlank(v) && compareValues(v, arg) < 0,
+    lte: (v, arg) => !isBlank(v) && compareValues(v, arg) <= 0,
+    in: (v, arg) => !isBlank(v) && arg.map(String).includes(String(v)),
+    is: (v, arg) => (arg === null ? isBlank(v) : v === arg)
+};
+
+// `not` is SQL NOT: a missing value matches neither a condition nor its negation, except for IS
+const matchCondition = (row, { column, op, value, negate }) => {
+    const v = row[column];
+    const result = OPERATORS[op](v, value);
+    if (!negate) return result;
+    return op === 'is' ? !result : !isBlank(v) && !result;
+};
+
+const matchFilter = (row, filter) => {
+    if (filter.and) return filter.and.every(f => matchFilter(row, f));
+    if (filter.or) return filter.or.some(f => matchFilter(row, f));
+    return matchCondition(row, filter);
+};
+
+// Splits on commas that are not inside parentheses or quotes
+const splitTopLevel = (text) => {
+    const parts = [];
+    let depth = 0;
+    let quoted = false;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (c === '"') quoted = !quoted;
+        else if (!quoted && c === '(') depth++;
+        else if (!quoted && c === ')') depth--;
+        else if (!quoted && depth === 0 && c === ',') {
+            parts.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    parts.push(text.slice(start));
+    return parts.map(p => p.trim()).filter(Boolean);
+};
+
+const unquote = (text) => (/^".*"$/.test(text) ? text.slice(1, -1) : text);
+
+// A PostgREST value from a filter string: null / true / false keywords for IS, lists for IN
+const parseArgument = (op, text) => {
+    if (op === 'is') return { null: null, true: true, false: false }[text.toLowerCase()];
+    if (op === 'in') return splitTopLevel(text.replace(/^\(|\)$/g, '')).map(unquote);
+    return unquote(text);
+};
+
+// PostgREST logic tree, as passed to .or(): "a.eq.1,and(b.is.null,c.not.gte.2)"
+const parseLogicTree = (text) => splitTopLevel(text).map(part => {
+    const group = part.match(/^(and|or)\((.*)\)$/);
+    if (group) return { [group[1]]: parseLogicTree(group[2]) };
+
+    const [column, ...rest] = part.split('.');
+    const negate = rest[0] === 'not';
+    if (negate) rest.shift();
+    const op = rest.shift();
+    if (!OPERATORS[op]) throw Object.assign(new Error(`"failed to parse logic tree (${text})"`), { code: 'PGRST100' });
+    return { column, op, value: parseArgument(op, rest.join('.')), negate };
+});
+
+// ==================== QUERIES ====================
+
+const dbError = (message, code) => ({ message, code, details: null, hint: null });
+
+const project = (row, columns) => {
+    if (columns === '*') return clone(row);
+    const picked = {};
+    columns.split(',').map(c => c.trim()).filter(Boolean).forEach(c => {
+        picked[c] = row[c] === undefined ? null : clone(row[c]);
+    });
+    return picked;
+};
+
+// Postgres sorts NULLs last ascending and first descending unless told otherwise
+const sortRows = (rows, orders) => rows.sort((a, b) => {
+    for (const { column, ascending, nullsFirst } of orders) {
+        const x = a[column];
+        const y = b[column];
+        if (isBlank(x) || isBlank(y)) {
+            if (isBlank(x) && isBlank(y)) continue;
+            const nullFirst = nullsFirst === undefined ? !ascending : nullsFirst;
+            return (isBlank(x) ? -1 : 1) * (nullFirst ? 1 : -1);
+        }
+        const cmp = compareValues(x, y);
+        if (cmp !== 0) return ascending ? cmp : -cmp;
+    }
+    return 0;
+});
+
+// Builder with the supabase-js query interface; awaiting it runs the query
+class LocalQuery {
+    constructor(db, table) {
+        this.db = db;
+        this.table = table;
+        this.action = 'select';
+        this.columns = '*';
+        this.returning = false;
+        this.filters = [];
+        this.orders = [];
+        this.rangeFrom = 0;
+        this.rangeTo = null;
+        this.singleRow = null;
+    }
+
+    select(columns = '*', { count } = {}) {
+        this.columns = columns.replace(/\s+/g, '') || '*';
+        if (this.action === 'select') this.countRows = count === 'exact';
+        else this.returning = true;
+        return this;
+    }
+
+    insert(rows) {
+        this.action = 'insert';
+        this.payload = Array.isArray(rows) ? rows : [rows];
+        return this;
+    }
+
+    upsert(rows, { onConflict } = {}) {
+        this.action = 'upsert';
+        this.payload = Array.isArray(rows) ? rows : [rows];
+        this.conflictKey = onConflict || primaryKey(this.table);
+        return this;
+    }
+
+    update(patch) {
+        this.action = 'update';
+        this.payload = patch;
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    filter(column, op, value, negate = false) {
+        this.filters.push({ column, op, value, negate });
+        return this;
+    }
+
+    eq(column, value) { return this.filter(column, 'eq', value); }
+    neq(column, value) { return this.filter(column, 'neq', value); }
+    gt(column, value) { return this.filter(column, 'gt', value); }
+    gte(column, value) { return this.filter(column, 'gte', value); }
+    lt(column, value) { return this.filter(column, 'lt', value); }
+    lte(column, value) { return this.filter(column, 'lte', value); }
+    in(column, values) { return this.filter(column, 'in', values); }
+    is(column, value) { return this.filter(column, 'is', value); }
+
+    not(column, op, value) {
+        return this.filter(column, op, typeof value === 'string' ? parseArgument(op, value) : value, true);
+    }
+
+    // A malformed expression fails when the query runs, as it would on the server
+    or(expression) {
+        try {
+            this.filters.push({ or: parseLogicTree(expression) });
+        } catch (e) {
+            this.buildError = e;
+        }
+        return this;
+    }
+
+    order(column, { ascending = true, nullsFirst } = {}) {
+        this.orders.push({ column, ascending, nullsFirst });
+        return this;
+    }
+
+    range(from, to) {
+        this.rangeFrom = from;
+        this.rangeTo = to;
+        return this;
+    }
+
+    limit(count) {
+        this.rangeTo = this.rangeFrom + count - 1;
+        return this;
+    }
+
+    single() {
+        this.singleRow = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.singleRow = 'maybe';
+        return this;
+    }
+
+    then(resolve, reject) {
+        return Promise.resolve().then(() => this.run()).then(resolve, reject);
+    }
+
+    run() {
+        let result;
+        try {
+            if (this.buildError) throw this.buildError;
+            result = this[`run_${this.action}`]();
+        } catch (e) {
+            return { data: null, error: dbError(e.message, e.code || null), count: null, status: 400 };
+        }
+        if (this.action !== 'select' && !this.returning) return { data: null, error: null, count: null, status: 201 };
+        const rows = result.rows.map(r => project(r, this.columns));
+
+        if (this.singleRow) {
+            if (rows.length === 1) return { data: rows[0], error: null, count: result.count, status: 200 };
+            if (rows.length === 0 && this.singleRow === 'maybe') return { data: null, error: null, count: result.count, status: 200 };
+            return {
+                data: null,
+                error: dbError('JSON object requested, multiple (or no) rows returned', 'PGRST116'),
+                count: null,
+                status: 406
+            };
+        }
+        return { data: rows, error: null, count: result.count, status: 200 };
+    }
+
+    matching() {
+        return this.db.rows(this.table).filter(row => this.filters.every(f => matchFilter(row, f)));
+    }
+
+    run_select() {
+        const rows = sortRows(this.matching(), this.orders);
+        const end = this.rangeTo === null ? rows.length : this.rangeTo + 1;
+        return { rows: rows.slice(this.rangeFrom, end), count: this.countRows ? rows.length : null };
+    }
+
+    run_insert() {
+        const key = primaryKey(this.table);
+        const existing = new Set(this.db.rows(this.table).map(r => String(r[key])));
+        let nextId = this.db.nextId(this.table);
+        const rows = this.payload.map(r => {
+            const row = clone(r);
+            if (isBlank(row[key]) && GENERATED_IDS.includes(this.table)) row[key] = nextId++;
+            if (isBlank(row[key])) throw Object.assign(new Error(`null value in column "${key}" of relation "${this.table}" violates not-null constraint`), { code: '23502' });
+            if (existing.has(String(row[key]))) {
+                throw Object.assign(new Error(`duplicate key value violates unique constraint "${this.table}_pkey"`), { code: '23505' });
+            }
+            existing.add(String(row[key]));
+            return row;
+        });
+        this.db.write(this.table, rows, []);
+        return { rows };
+    }
+
+    // ON CONFLICT DO UPDATE: columns given replace the stored ones, the rest are kept
+    run_upsert() {
+        const key = this.conflictKey;
+        const current = this.db.rows(this.table);
+        const rows = this.payload.map(r => {
+            const found = current.find(row => !isBlank(r[key]) && String(row[key]) === String(r[key]));
+            return found ? { ...found, ...clone(r) } : clone(r);
+        });
+        this.db.write(this.table, rows, []);
+        return { rows };
+    }
+
+    // Rows are matched by their key from before the change: an update that sets a new key replaces the
+    // row under the old one, and the new key must not belong to another row
+    run_update() {
+        const key = primaryKey(this.table);
+        const before = this.matching();
+        const rows = before.map(row => ({ ...row, ...clone(this.payload) }));
+        const moved = before.filter((row, i) => String(row[key]) !== String(rows[i][key]));
+        if (moved.length > 0) {
+            const taken = new Set(this.db.rows(this.table).filter(r => !before.includes(r)).map(r => String(r[key])));
+            const newKeys = rows.map(r => String(r[key]));
+            if (newKeys.some(k => taken.has(k)) || new Set(newKeys).size < newKeys.length) {
+                throw Object.assign(new Error(`duplicate key value violates unique constraint "${this.table}_pkey"`), { code: '23505' });
+            }
+        }
+        this.db.write(this.table, rows, moved);
+        return { rows };
+    }
+
+    run_delete() {
+        const rows = this.matching();
+        this.db.write(this.table, [], rows);
+        return { rows };
+    }
+}
+
+// ==================== TABLES ====================
+
+// `persistence` is { load() -> { table: rows }, save(table, saved, deleted, key) }
+const createTables = (persistence) => {
+    const tables = persistence.load();
+
+    return {
+        rows: (table) => tables[table] || [],
+        nextId: (table) => (tables[table] || []).reduce((max, r) => Math.max(max, parseInt(r.id, 10) || 0), 0) + 1,
+        // Deleted rows go first, so an update that changes a key passes the old row here; saved rows then
+        // replace the stored row with the same key, or are added
+        write: (table, saved, deleted) => {
+            const key = primaryKey(table);
+            const removed = new Set(deleted.map(r => String(r[key])));
+            if (removed.size > 0) tables[table] = (tables[table] || []).filter(r => !removed.has(String(r[key])));
+            const list = tables[table] || (tables[table] = []);
+            saved.forEach(row => {
+                const at = list.findIndex(r => String(r[key]) === String(row[key]));
+                if (at >= 0) list[at] = row;
+                else list.push(row);
+            });
+            persistence.save(table, saved, deleted, key, tables);
+        }
+    };
+};
+
+const memoryPersistence = () => ({ load: () => ({}), save: () => {} });
+
+// The whole database in one JSON file, rewritten (via a temp file) after every change
+const jsonPersistence = (file) => ({
+    load: () => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {}),
+    save: (table, saved, deleted, key, tables) => {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(tables));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+});
+
+// One SQLite table of (table, key, row JSON), written row by row in a transaction. Uses the
+// built-in node:sqlite module (Node 22.13+), so there is nothing native to install.
+const sqlitePersistence = (file) => {
+    const { DatabaseSync } = require('node:sqlite');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new DatabaseSync(file);
+    db.exec('CREATE TABLE IF NOT EXISTS records (tableName TEXT NOT NULL, rowKey TEXT NOT NULL, data TEXT NOT NULL, PRIMARY KEY (tableName, rowKey))');
+    const upsert = db.prepare('INSERT INTO records (tableName, rowKey, data) VALUES (?, ?, ?) ON CONFLICT (tableName, rowKey) DO UPDATE SET data = excluded.data');
+    const remove = db.prepare('DELETE FROM records WHERE tableName = ? AND rowKey = ?');
+
+    return {
+        load: () => {
+            const tables = {};
+            db.prepare('SELECT tableName, data FROM records ORDER BY rowid').all().forEach(r => {
+                (tables[r.tableName] || (tables[r.tableName] = [])).push(JSON.parse(r.data));
+            });
+            return tables;
+        },
+        save: (table, saved, deleted, key) => {
+            db.exec('BEGIN');
+            try {
+                deleted.forEach(row => remove.run(table, String(row[key])));
+                saved.forEach(row => upsert.run(table, String(row[key]), JSON.stringify(row)));
+                db.exec('COMMIT');
+            } catch (e) {
+                db.exec('ROLLBACK');
+                throw e;
+            }
+        }
+    };
+};
+
+// ==================== FILES ====================
+
+// storage.from(bucket) with files under `filesDir/<bucket>`, or in memory when filesDir is null.
+// Public URLs are /files/<bucket>/<name>; server.js serves filesDir there.
+const createStorage = (filesDir) => {
+    const memory = new Map();
+
+    const bucketApi = (bucket) => {
+        const dir = filesDir ? path.join(filesDir, bucket) : null;
+        const filePath = (name) => path.join(dir, path.basename(name));
+
+        return {
+            upload: async (name, body, { contentType, upsert = false } = {}) => {
+                const id = `${bucket}/${path.basename(name)}`;
+                const exists = dir ? fs.existsSync(filePath(name)) : memory.has(id);
+                if (exists && !upsert) return { data: null, error: dbError('The resource already exists', '409') };
+                const buffer = Buffer.from(body);
+                if (dir) {
+                    fs.mkdirSync(dir, { recursive: true });
+                    fs.writeFileSync(filePath(name), buffer);
+                } else {
+                    memory.set(id, { buffer, contentType, createdAt: new Date().toISOString() });
+                }
+                return { data: { path: path.basename(name), id }, error: null };
+            },
+            getPublicUrl: (name) => ({ data: { publicUrl: `/files/${bucket}/${encodeURIComponent(path.basename(name))}` } }),
+            list: async (prefix = '', { limit = 100, offset = 0 } = {}) => {
+                let files;
+                if (dir) {
+                    files = fs.existsSync(dir) ? fs.readdirSync(dir).map(name => {
+                        const stat = fs.statSync(path.join(dir, name));
+                        return { name, metadata: { size: stat.size }, created_at: stat.birthtime.toISOString() };
+                    }) : [];
+                } else {
+                    files = [...memory.entries()]
+                        .filter(([id]) => id.startsWith(`${bucket}/`))
+                        .map(([id, f]) => ({ name: id.slice(bucket.length + 1), metadata: { size: f.buffer.length, mimetype: f.contentType }, created_at: f.createdAt }));
+                }
+                files.sort((a, b) => a.name.localeCompare(b.name));
+                return { data: files.slice(offset, offset + limit), error: null };
+            },
+            remove: async (names) => {
+                names.forEach(name => {
+                    if (!dir) return memory.delete(`${bucket}/${path.basename(name)}`);
+                    if (fs.existsSync(filePath(name))) fs.unlinkSync(filePath(name));
+                });
+                return { data: names.map(name => ({ name })), error: null };
+            }
+        };
+    };
+
+    return { from: bucketApi };
+};
+
+// A client for `kind` 'sqlite' / 'json' (stored at `file`) or 'memory', with uploads under `filesDir`
+const createLocalClient = ({ kind = 'memory', file = null, filesDir = null } = {}) => {
+    const persistence = kind === 'sqlite' ? sqlitePersistence(file) : (kind === 'json' ? jsonPersistence(file) : memoryPersistence());
+    const tables = createTables(persistence);
+    return {
+        from: (table) => new LocalQuery(tables, table),
+        storage: createStorage(filesDir)
+    };
+};
+
+module.exports = {
+    createLocalClient
+};
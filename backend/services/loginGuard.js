@@ -0,0 +1,153 @@
+const dbService = require('./supabase-db');
+const { newId } = require('./recordIds');
+
+// Brute-force protection for POST /api/login.
+// Failed attempts are counted per username and per IP in the login_attempts table
+// (so the limits hold across serverless instances). After a few failures each new
+// attempt must wait an exponentially growing delay; past the limit the key is locked.
+
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;  // Failures older than this are forgotten
+const BACKOFF_AFTER = 3;                    // Failures allowed before backoff kicks in
+const BACKOFF_BASE_MS = 2000;               // 2s, 4s, 8s ... between attempts
+const MAX_BACKOFF_MS = 60 * 1000;
+
+const LIMITS = {
+    username: { maxFailures: 5, lockoutMs: 15 * 60 * 1000 },  // 15 Minutes
+    ip: { maxFailures: 20, lockoutMs: 30 * 60 * 1000 }        // 30 Minutes
+};
+
+// req.ip takes X-Forwarded-For into account only as far as server.js trusts proxies ('trust proxy'),
+// so a client cannot pick its own address by sending the header
+const getClientIp = (req) => req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+
+// Builds the counter keys for one login attempt
+const getLoginContext = (req, loginType, loginUser) => {
+    const ip = getClientIp(req);
+    const username = (loginUser || '').toString().trim().toLowerCase();
+    const keys = [{ key: `ip:${ip}`, keyType: 'ip', identifier: ip }];
+    if (username) keys.unshift({ key: `user:${loginType}:${username}`, keyType: 'username', identifier: username });
+    return { ip, loginType, keys };
+};
+
+const backoffMs = (failures) => Math.min(BACKOFF_BASE_MS * Math.pow(2, failures - BACKOFF_AFTER), MAX_BACKOFF_MS);
+
+const formatWait = (ms) => {
+    const seconds = Math.ceil(ms / 1000);
+    return seconds >= 60 ? `${Math.ceil(seconds / 60)} minute(s)` : `${seconds} second(s)`;
+};
+
+// Returns { allowed, message, retryAfterSeconds }. Fails open if the store is unreachable (a missing
+// login_attempts table included, see the README), logging each attempt it let through unchecked.
+const checkLoginAllowed = async (ctx) => {
+    let rows = [];
+    try {
+        rows = await dbService.getLoginAttempts(ctx.keys.map(k => k.key));
+    } catch (e) {
+        console.error(`🚨 Login guard unavailable, allowing ${ctx.keys.map(k => k.key).join(', ')} without brute-force checks:`, e.message);
+        return { allowed: true };
+    }
+
+    const now = Date.now();
+    for (const row of rows) {
+        const lockedUntil = row.lockedUntil ? new Date(row.lockedUntil).getTime() : 0;
+        if (lockedUntil > now) {
+            const wait = lockedUntil - now;
+            const message = row.keyType === 'ip'
+                ? `Too many failed logins from your network. Try again in ${formatWait(wait)}.`
+                : `This account is temporarily locked after too many failed logins. Try again in ${formatWait(wait)} or ask the admin to unlock it.`;
+            return { allowed: false, message, retryAfterSeconds: Math.ceil(wait / 1000) };
+        }
+
+        const lastFailure = row.lastFailureAt ? new Date(row.lastFailureAt).getTime() : 0;
+        if (row.failures >= BACKOFF_AFTER && now - lastFailure < FAILURE_WINDOW_MS) {
+            const wait = lastFailure + backoffMs(row.failures) - now;
+            if (wait > 0) {
+                return { allowed: false, message: `Too many attempts. Please wait ${formatWait(wait)} before trying again.`, retryAfterSeconds: Math.ceil(wait / 1000) };
+            }
+        }
+    }
+    return { allowed: true };
+};
+
+// Counts a failed attempt against every key; locks keys that pass their limit. The count is taken from
+// the row as it is when written, not as it was before the password check.
+const recordLoginFailure = async (ctx) => {
+    const now = Date.now();
+    for (const k of ctx.keys) {
+        try {
+            const limit = LIMITS[k.keyType];
+            const saved = await dbService.updateLoginAttempt(k.key, (existing) => {
+                const lastFailure = existing && existing.lastFailureAt ? new Date(existing.lastFailureAt).getTime() : 0;
+                const failures = (existing && now - lastFailure < FAILURE_WINDOW_MS ? existing.failures : 0) + 1;
+                return {
+                    key: k.key,
+                    keyType: k.keyType,
+                    identifier: k.identifier,
+                    loginType: ctx.loginType || null,
+                    failures,
+                    lastFailureAt: new Date(now).toISOString(),
+                    lockedUntil: failures >= limit.maxFailures ? new Date(now + limit.lockoutMs).toISOString() : null,
+                    lastIp: ctx.ip,
+                    updatedAt: new Date().toISOString()
+                };
+            });
+
+            if (saved.lockedUntil) {
+                await dbService.createLockoutEvent({
+                    id: newId(),
+                    event: 'locked',
+                    key: k.key,
+                    keyType: k.keyType,
+                    identifier: k.identifier,
+                    loginType: ctx.loginType || null,
+                    ip: ctx.ip,
+                    failures: saved.failures,
+                    lockedUntil: saved.lockedUntil,
+                    actor: null,
+                    createdAt: new Date(now).toISOString()
+                });
+                console.warn(`🔒 Login lockout: ${k.key} after ${saved.failures} failed attempts (last IP ${ctx.ip})`);
+            }
+        } catch (e) {
+            console.error('Login guard failed to record failure:', e.message);
+        }
+    }
+};
+
+// A successful login clears the username counter (the IP counter decays on its own)
+const recordLoginSuccess = async (ctx) => {
+    const userKey = ctx.keys.find(k => k.keyType === 'username');
+    if (!userKey) return;
+    try {
+        await dbService.deleteLoginAttempt(userKey.key);
+    } catch (e) {
+        console.error('Login guard failed to clear counter:', e.message);
+    }
+};
+
+// Admin unlock: drops the counter and records who unlocked it
+const unlockLogin = async (key, actor) => {
+    const [existing] = await dbService.getLoginAttempts([key]);
+    await dbService.deleteLoginAttempt(key);
+    await dbService.createLockoutEvent({
+        id: newId(),
+        event: 'unlocked',
+        key,
+        keyType: existing ? existing.keyType : (key.startsWith('ip:') ? 'ip' : 'username'),
+        identifier: existing ? existing.identifier : key.split(':').pop(),
+        loginType: existing ? existing.loginType : null,
+        ip: existing ? existing.lastIp : null,
+        failures: existing ? existing.failures : 0,
+        lockedUntil: existing ? existing.lockedUntil : null,
+        actor,
+        createdAt: new Date().toISOString()
+    });
+};
+
+module.exports = {
+    getLoginContext,
+    checkLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    unlockLogin
+};
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+// Password assigned to new employees when the admin does not set one
+const DEFAULT_PASSWORD = '123456';
+const MIN_PASSWORD_LENGTH = 6;
+
+const HASH_PREFIX = 'scrypt';
+const KEY_LENGTH = 64;
+
+const scrypt = (password, salt) => new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, (err, derivedKey) => {
+        if (err) reject(err);
+        else resolve(derivedKey);
+    });
+});
+
+// Stored format: scrypt$<salt hex>$<hash hex>
+const isHashed = (stored) => typeof stored === 'string' && stored.startsWith(`${HASH_PREFIX}$`);
+
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derived = await scrypt(String(password).trim(), salt);
+    return `${HASH_PREFIX}$${salt}$${derived.toString('hex')}`;
+};
+
+// Accepts both hashed values and legacy plaintext values (pre-migration rows)
+const verifyPassword = async (password, stored) => {
+    const entered = (password || '').toString().trim();
+    if (!stored) return false;
+
+    if (!isHashed(stored)) {
+        return stored.toString().trim() === entered;
+    }
+
+    const [, salt, hashHex] = stored.split('$');
+    if (!salt || !hashHex) return false;
+    const expected = Buffer.from(hashHex, 'hex');
+    const derived = await scrypt(entered, salt);
+    return expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
+};
+
+// Returns an error message, or null when the new password is acceptable
+const validateNewPassword = (password) => {
+    const value = (password || '').toString();
+    if (value.trim().length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+    if (value.trim() === DEFAULT_PASSWORD) return 'Please choose a password other than the default one.';
+    return null;
+};
+
+// Password hashes never leave the server
+const withoutPassword = (emp) => {
+    if (!emp) return emp;
+    const { password, ...rest } = emp;
+    return rest;
+};
+
+module.exports = {
+    DEFAULT_PASSWORD,
+    isHashed,
+    hashPassword,
+    verifyPassword,
+    validateNewPassword,
+    withoutPassword
+};
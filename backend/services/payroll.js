@@ -0,0 +1,1004 @@
+// Payroll calculation engine — the single place the wage formula lives.
+// Isomorphic: required by the backend (/api/payroll, /api/me/payroll) and served
+// to the browser at /js/payroll-engine.js, where it is exposed as window.PayrollEngine.
+// Keep it free of Node/browser-specific APIs.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.PayrollEngine = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const DEFAULT_STANDARD_HOURS = 8.5;
+    const DEFAULT_SLAB_HOURS = 6;
+
+    // Employees created before hour rules were honoured all had these written by default,
+    // so on an undated employee row they mean "not set" rather than an override
+    const LEGACY_DEFAULT_OVERRIDES = { normalHours: 8.5, slabBaseHours: 6 };
+
+    const getPayrollSettings = (settingsData = {}) => ({
+        standardHours: parseFloat((settingsData && settingsData.standardHours) || DEFAULT_STANDARD_HOURS),
+        slabHours: parseFloat((settingsData && settingsData.slabHours) || DEFAULT_SLAB_HOURS)
+    });
+
+    // Positive number of hours, or null for "not set"
+    const toHours = (value) => {
+        const hours = parseFloat(value);
+        return hours > 0 ? hours : null;
+    };
+
+    // Hour rule histories are stored as JSON: [{ effectiveFrom: 'YYYY-MM', ...hours }], oldest first
+    const parseHourRules = (history) => {
+        let rules = history;
+        if (typeof rules === 'string') {
+            try { rules = JSON.parse(rules); } catch (e) { rules = []; }
+        }
+        return Array.isArray(rules) ? rules.slice().sort((a, b) => (a.effectiveFrom || '').localeCompare(b.effectiveFrom || '')) : [];
+    };
+
+    // Latest rule already in force in `month`, or null
+    const pickEffectiveRule = (history, month) => {
+        const rules = parseHourRules(history).filter(r => (r.effectiveFrom || '') <= month);
+        return rules.length > 0 ? rules[rules.length - 1] : null;
+    };
+
+    // Records a change in an effective-dated history. The first change also keeps the hours in force
+    // until then (effectiveFrom '' = since the beginning) so earlier months are not recomputed.
+    const recordHourRuleChange = (history, previous, next, effectiveFrom) => {
+        const rules = parseHourRules(history);
+        if (rules.length === 0) rules.push({ effectiveFrom: '', ...previous });
+        return parseHourRules([...rules.filter(r => (r.effectiveFrom || '') !== effectiveFrom), { effectiveFrom, ...next }]);
+    };
+
+    // The employee's own overrides before any dated change was recorded
+    const getUndatedOverrides = (emp) => {
+        const overrides = {};
+        Object.keys(LEGACY_DEFAULT_OVERRIDES).forEach(key => {
+            const hours = toHours(emp[key]);
+            overrides[key] = hours === LEGACY_DEFAULT_OVERRIDES[key] ? null : hours;
+        });
+        return overrides;
+    };
+
+    // The employee's own { normalHours, slabBaseHours } in force in `month`; null fields fall back to the globals
+    const getEmployeeHourOverrides = (emp, month) => {
+        const history = parseHourRules(emp.hourRules);
+        const rule = history.length > 0 ? pickEffectiveRule(history, month) : getUndatedOverrides(emp);
+        return {
+            normalHours: rule ? toHours(rule.normalHours) : null,
+            slabBaseHours: rule ? toHours(rule.slabBaseHours) : null,
+            effectiveFrom: (rule && rule.effectiveFrom) || null
+        };
+    };
+
+    // Standard / slab hours that apply to `emp` in `month` (YYYY-MM).
+    // Per field: the employee's rule in force that month, else the global rule in force, else the current settings.
+    const resolveHourRules = (emp, month, settingsData) => {
+        const current = getPayrollSettings(settingsData);
+        const globalRule = pickEffectiveRule(settingsData && settingsData.hourRules, month);
+        const globals = {
+            standardHours: (globalRule && toHours(globalRule.standardHours)) || current.standardHours,
+            slabHours: (globalRule && toHours(globalRule.slabHours)) || current.slabHours
+        };
+
+        const own = getEmployeeHourOverrides(emp, month);
+        const isEmployeeRule = own.normalHours !== null || own.slabBaseHours !== null;
+
+        return {
+            standardHours: own.normalHours || globals.standardHours,
+            slabHours: own.slabBaseHours || globals.slabHours,
+            source: isEmployeeRule ? 'employee' : 'global',
+            effectiveFrom: isEmployeeRule ? own.effectiveFrom : ((globalRule && globalRule.effectiveFrom) || null)
+        };
+    };
+
+    // Short label for payslips, e.g. "8.5h std / 6h slab (Employee from 2026-04)"
+    const describeHourRules = (rules) => {
+        const from = rules.effectiveFrom ? ` from ${rules.effectiveFrom}` : '';
+        return `${rules.standardHours}h std / ${rules.slabHours}h slab (${rules.source === 'employee' ? 'Employee' : 'Global'}${from})`;
+    };
+
+    // Attendance rows have carried the hours under several names over time
+    const getWorkedHours = (att) => parseFloat(att.workedHours || att.totalHours || att.worked_hours || att.hours || 0);
+
+    const timeToMinutes = (time) => {
+        const [h, m] = String(time).split(':').map(Number);
+        return h * 60 + m;
+    };
+
+    // Hours between two 'HH:MM' times, rounded to 2 decimals. A time out before the time in is the next day (night shift).
+    const calculateShiftHours = (timeIn, timeOut) => {
+        let minutes = timeToMinutes(timeOut) - timeToMinutes(timeIn);
+        if (minutes < 0) minutes += 24 * 60;
+        return Math.round(minutes / 60 * 100) / 100;
+    };
+
+    // How shifts nobody checked out of are closed (settings.autoClose):
+    // 'standard_hours' caps the shift at the day's standard hours, 'shift_end' closes it at `shiftEnd`,
+    // 'zero' closes it with no hours so it is paid only once an admin fixes it.
+    const AUTO_CLOSE_POLICIES = ['standard_hours', 'shift_end', 'zero'];
+    const DEFAULT_AUTO_CLOSE = { policy: 'standard_hours', shiftEnd: '18:00' };
+
+    const getAutoCloseSettings = (settingsData = {}) => {
+        let saved = (settingsData && settingsData.autoClose) || {};
+        if (typeof saved === 'string') {
+            try { saved = JSON.parse(saved); } catch (e) { saved = {}; }
+        }
+        const settings = { ...DEFAULT_AUTO_CLOSE, ...saved };
+        if (!AUTO_CLOSE_POLICIES.includes(settings.policy)) settings.policy = DEFAULT_AUTO_CLOSE.policy;
+        return settings;
+    };
+
+    // { policy, timeOut, workedHours } to close the open shift `att` with. A check-in at or after the
+    // shift end cannot be closed at it, so that shift is closed with zero hours instead.
+    const planAutoClose = (emp, att, settingsData) => {
+        const { policy, shiftEnd } = getAutoCloseSettings(settingsData);
+        if (policy === 'standard_hours') {
+            const { standardHours } = resolveHourRules(emp || {}, att.date.substring(0, 7), settingsData);
+            const [h, m] = String(att.timeIn).split(':').map(Number);
+            const outMinutes = (h * 60 + m + Math.round(standardHours * 60)) % (24 * 60);
+            const timeOut = `${String(Math.floor(outMinutes / 60)).padStart(2, '0')}:${String(outMinutes % 60).padStart(2, '0')}`;
+            return { policy, timeOut, workedHours: standardHours };
+        }
+        if (policy === 'shift_end' && shiftEnd > att.timeIn) {
+            return { policy, timeOut: shiftEnd, workedHours: calculateShiftHours(att.timeIn, shiftEnd) };
+        }
+        return { policy: 'zero', timeOut: att.timeIn, workedHours: 0 };
+    };
+
+    // Shift timings and late marks (settings.attendanceRules). A check-in more than `lateGraceMinutes` after
+    // `shiftStart` is a late mark and a check-out more than `earlyGraceMinutes` before `shiftEnd` an early leave.
+    // Every `latesPerHalfDay` late marks in a month (early leaves too with `countEarlyLeaves`) cost half a day's
+    // pay; 0 keeps the marks without deducting. Nothing is marked until `enabled`.
+    const DEFAULT_ATTENDANCE_RULES = {
+        enabled: false, shiftStart: '09:00', shiftEnd: '18:00',
+        lateGraceMinutes: 10, earlyGraceMinutes: 10, latesPerHalfDay: 3, countEarlyLeaves: false
+    };
+
+    const getAttendanceRules = (settingsData = {}) => {
+        let saved = (settingsData && settingsData.attendanceRules) || {};
+        if (typeof saved === 'string') {
+            try { saved = JSON.parse(saved); } catch (e) { saved = {}; }
+        }
+        return { ...DEFAULT_ATTENDANCE_RULES, ...saved };
+    };
+
+    // Minutes late and left early for one attendance row, past the grace periods (0 when on time).
+    // Sunday, half-day and auto-closed shifts are not marked early, nor is a check-out past midnight.
+    const getPunctuality = (att, settingsData) => {
+        const rules = getAttendanceRules(settingsData);
+        const marks = { lateMinutes: 0, earlyMinutes: 0 };
+        if (!rules.enabled || !att.timeIn || att.sundayMode || att.halfDay) return marks;
+
+        const late = timeToMinutes(att.timeIn) - timeToMinutes(rules.shiftStart);
+        if (late > (parseFloat(rules.lateGraceMinutes) || 0)) marks.lateMinutes = late;
+        if (att.timeOut && !att.autoClosedAt && att.timeOut > att.timeIn) {
+            const early = timeToMinutes(rules.shiftEnd) - timeToMinutes(att.timeOut);
+            if (early > (parseFloat(rules.earlyGraceMinutes) || 0)) marks.earlyMinutes = early;
+        }
+        return marks;
+    };
+
+    // Older debit notes stored the employee as `empId`
+    const getEmployeeIdOf = (row) => String(row.employeeId || row.empId || '');
+    const belongsToEmployee = (row, empId) => getEmployeeIdOf(row) === String(empId);
+
+    // Advances and debit notes are deducted in `deductionMonth`, falling back to the month of `date`
+    const getDeductionMonth = (row) => row.deductionMonth || (row.date ? row.date.substring(0, 7) : '');
+
+    // 'YYYY-MM' shifted by `count` months
+    const addMonths = (month, count) => {
+        const [year, mon] = month.split('-').map(Number);
+        const d = new Date(Date.UTC(year, mon - 1 + count, 1));
+        return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+    };
+
+    const MAX_INSTALLMENTS = 120;
+
+    // Repayment schedule for `amount` starting `startMonth`: equal parts over `months`, or `emiAmount` a month
+    // until repaid (the last part takes the remainder). Without either, one installment.
+    const buildInstallments = (amount, startMonth, { emiAmount, months } = {}) => {
+        const total = Math.round((parseFloat(amount) || 0) * 100) / 100;
+        const count = parseInt(months, 10) || 0;
+        const emi = parseFloat(emiAmount) || 0;
+
+        let parts = [total];
+        if (count > 1) {
+            const base = Math.floor(total / count);
+            parts = Array.from({ length: count }, (_, i) => (i === count - 1 ? Math.round((total - base * (count - 1)) * 100) / 100 : base));
+        } else if (emi > 0 && emi < total) {
+            parts = [];
+            let left = total;
+            while (left > 0 && parts.length < MAX_INSTALLMENTS) {
+                parts.push(Math.min(emi, left));
+                left = Math.round((left - emi) * 100) / 100;
+            }
+        }
+        return parts.map((part, i) => ({ month: addMonths(startMonth, i), amount: part }));
+    };
+
+    // An advance's installments [{ month, amount, skipped?, note? }], oldest first. Advances without a
+    // schedule are deducted in full in their deduction month. Skipped months are kept as 0 entries with the note.
+    const getAdvanceInstallments = (adv) => {
+        let list = adv.installments;
+        if (typeof list === 'string') {
+            try { list = JSON.parse(list); } catch (e) { list = []; }
+        }
+        if (!Array.isArray(list) || list.length === 0) return [{ month: getDeductionMonth(adv), amount: parseFloat(adv.amount) || 0 }];
+        return list
+            .map(i => ({ ...i, amount: parseFloat(i.amount) || 0 }))
+            .sort((a, b) => a.month.localeCompare(b.month) || (b.skipped ? 1 : 0) - (a.skipped ? 1 : 0));
+    };
+
+    // True while an advance still repays on the plan it was given (one month, a fixed EMI or equal parts);
+    // false once a month was skipped or what was left was rescheduled
+    const isPlannedSchedule = (adv) => {
+        const list = getAdvanceInstallments(adv);
+        if (list.some(i => i.skipped)) return false;
+        if (list.length === 1) return true;
+        const amount = parseFloat(adv.amount) || 0;
+        const sameAs = (plan) => {
+            const planned = buildInstallments(amount, list[0].month, plan);
+            return planned.length === list.length && planned.every((i, n) => i.month === list[n].month && i.amount === list[n].amount);
+        };
+        return sameAs({ months: list.length }) || sameAs({ emiAmount: list[0].amount });
+    };
+
+    // Installment ledger: every scheduled month with the balance left after it
+    const getAdvanceLedger = (adv) => {
+        let balance = parseFloat(adv.amount) || 0;
+        return getAdvanceInstallments(adv).map(i => {
+            balance = Math.round((balance - i.amount) * 100) / 100;
+            return { ...i, balance };
+        });
+    };
+
+    // Part of the advance deducted in `month`, as a payslip row; null when nothing is due then
+    const getAdvanceDueIn = (adv, month) => {
+        const ledger = getAdvanceLedger(adv);
+        const due = ledger.filter(i => i.month === month && !i.skipped);
+        if (due.length === 0) return null;
+        const paying = ledger.filter(i => !i.skipped && i.amount > 0);
+        return {
+            ...adv,
+            amount: due.reduce((sum, i) => sum + i.amount, 0),
+            advanceAmount: parseFloat(adv.amount) || 0,
+            installmentNo: paying.findIndex(i => i.month === month) + 1,
+            installmentCount: paying.length,
+            outstanding: due[due.length - 1].balance // left to repay after this month
+        };
+    };
+
+    // Map of employeeId -> rows, so callers looping over many employees avoid rescanning every table
+    const groupByEmployee = (rows = []) => {
+        const map = new Map();
+        rows.forEach(row => {
+            const key = getEmployeeIdOf(row);
+            if (!map.has(key)) map.set(key, []);
+            map.get(key).push(row);
+        });
+        return map;
+    };
+
+    // Salary revisions ({ salary, employee_type, monthly_fare, effectiveFrom: 'YYYY-MM-DD' | null }), oldest first.
+    // A null effectiveFrom is the employee's starting terms.
+    const sortSalaryRevisions = (revisions = []) => revisions.slice()
+        .sort((a, b) => (a.effectiveFrom || '').localeCompare(b.effectiveFrom || '')
+            || (a.createdAt || '').localeCompare(b.createdAt || '')
+            || String(a.id || '').localeCompare(String(b.id || '')));
+
+    // Pay terms in force on `date` (YYYY-MM-DD). Dates before the first revision use the earliest one;
+    // without any revisions the employee record itself is used.
+    const getSalaryTermsOn = (emp, revisions, date) => {
+        const sorted = sortSalaryRevisions(revisions);
+        if (sorted.length === 0) {
+            return { salary: emp.salary, employee_type: emp.employee_type, monthly_fare: emp.monthly_fare, effectiveFrom: null };
+        }
+        const inForce = sorted.filter(r => (r.effectiveFrom || '') <= date);
+        const rev = inForce.length > 0 ? inForce[inForce.length - 1] : sorted[0];
+        return { salary: rev.salary, employee_type: rev.employee_type || 'daily_wage', monthly_fare: rev.monthly_fare, effectiveFrom: rev.effectiveFrom || null };
+    };
+
+    // The employee record as it stood on `date`
+    const getEmployeeOnDate = (emp, revisions, date) => {
+        const { salary, employee_type, monthly_fare } = getSalaryTermsOn(emp, revisions, date);
+        return { ...emp, salary, employee_type, monthly_fare };
+    };
+
+    // Payslip note for an installment row from getAdvanceDueIn, e.g. "Installment 2/10 · ₹16000 left"; '' for one-time advances
+    const describeInstallment = (row) => (row && row.installmentCount > 1
+        ? `Installment ${row.installmentNo}/${row.installmentCount} · ₹${row.outstanding} left`
+        : '');
+
+    const sumAmounts = (rows) => rows.reduce((sum, r) => sum + (parseFloat(r.amount) || 0), 0);
+
+    // Statutory deductions (settings.statutory). PF is charged on basic wages up to the ceiling,
+    // ESI on gross wages while they stay within the ceiling, PT by the slabs of the employee's state.
+    // Slabs are [{ from: gross wages, amount }]; the highest `from` reached applies.
+    const DEFAULT_STATUTORY = {
+        effectiveFrom: '', // YYYY-MM; earlier months never carry statutory deductions
+        pf: { enabled: false, wageCeiling: 15000, employeePercent: 12, employerPercent: 12 },
+        esi: { enabled: false, wageCeiling: 21000, employeePercent: 0.75, employerPercent: 3.25 },
+        pt: {
+            enabled: false,
+            state: 'GJ',
+            slabs: {
+                GJ: [{ from: 0, amount: 0 }, { from: 12000, amount: 200 }],
+                MH: [{ from: 0, amount: 0 }, { from: 7501, amount: 175 }, { from: 10001, amount: 200 }],
+                KA: [{ from: 0, amount: 0 }, { from: 25000, amount: 200 }]
+            }
+        }
+    };
+
+    const getStatutorySettings = (settingsData = {}) => {
+        let saved = (settingsData && settingsData.statutory) || {};
+        if (typeof saved === 'string') {
+            try { saved = JSON.parse(saved); } catch (e) { saved = {}; }
+        }
+        return {
+            effectiveFrom: saved.effectiveFrom || DEFAULT_STATUTORY.effectiveFrom,
+            pf: { ...DEFAULT_STATUTORY.pf, ...(saved.pf || {}) },
+            esi: { ...DEFAULT_STATUTORY.esi, ...(saved.esi || {}) },
+            pt: {
+                ...DEFAULT_STATUTORY.pt,
+                ...(saved.pt || {}),
+                slabs: { ...DEFAULT_STATUTORY.pt.slabs, ...((saved.pt && saved.pt.slabs) || {}) }
+            }
+        };
+    };
+
+    // Opt-in flags come back from forms and the database as booleans or strings
+    const isOptedIn = (value) => value === true || value === 'true';
+
+    const percentOf = (amount, percent) => amount * (parseFloat(percent) || 0) / 100;
+
+    // PF / ESI / PT for one employee and month, from that month's { basePay, otPay }.
+    // Each part is null when it does not apply; employeeTotal is what comes off the payslip.
+    const calculateStatutoryDeductions = (emp, earnings, month, settingsData) => {
+        const rules = getStatutorySettings(settingsData);
+        const result = { pf: null, esi: null, pt: null, employeeTotal: 0, employerTotal: 0 };
+        if (rules.effectiveFrom && month < rules.effectiveFrom) return result;
+
+        const basicWages = earnings.basePay || 0;
+        const grossWages = basicWages + (earnings.otPay || 0);
+
+        if (rules.pf.enabled && isOptedIn(emp.pfOptIn) && basicWages > 0) {
+            const ceiling = parseFloat(rules.pf.wageCeiling) || 0;
+            const wage = Math.round(ceiling > 0 ? Math.min(basicWages, ceiling) : basicWages);
+            result.pf = {
+                wage,
+                employee: Math.round(percentOf(wage, rules.pf.employeePercent)),
+                employer: Math.round(percentOf(wage, rules.pf.employerPercent)),
+                uan: emp.uan || ''
+            };
+        }
+
+        const esiCeiling = parseFloat(rules.esi.wageCeiling) || 0;
+        if (rules.esi.enabled && isOptedIn(emp.esiOptIn) && grossWages > 0 && (esiCeiling <= 0 || grossWages <= esiCeiling)) {
+            const wage = Math.round(grossWages);
+            result.esi = {
+                wage,
+                employee: Math.ceil(percentOf(wage, rules.esi.employeePercent)), // ESIC rounds contributions up
+                employer: Math.ceil(percentOf(wage, rules.esi.employerPercent)),
+                esiNumber: emp.esiNumber || ''
+            };
+        }
+
+        if (rules.pt.enabled && isOptedIn(emp.ptOptIn) && grossWages > 0) {
+            const state = emp.ptState || rules.pt.state;
+            const slab = (rules.pt.slabs[state] || [])
+                .filter(s => grossWages >= (parseFloat(s.from) || 0))
+                .reduce((top, s) => (!top || (parseFloat(s.from) || 0) > (parseFloat(top.from) || 0) ? s : top), null);
+            const amount = slab ? (parseFloat(slab.amount) || 0) : 0;
+            if (amount > 0) result.pt = { state, wage: Math.round(grossWages), employee: amount };
+        }
+
+        ['pf', 'esi', 'pt'].forEach(key => {
+            if (!result[key]) return;
+            result.employeeTotal += result[key].employee;
+            result.employerTotal += result[key].employer || 0;
+        });
+        return result;
+    };
+
+    // Payslip deduction lines for a payroll result, e.g. [{ label: 'PF (UAN 1001...)', amount: 1800 }]
+    const describeStatutoryLines = (statutory) => {
+        if (!statutory) return [];
+        const lines = [];
+        if (statutory.pf) lines.push({ label: statutory.pf.uan ? `PF (UAN ${statutory.pf.uan})` : 'PF', amount: statutory.pf.employee });
+        if (statutory.esi) lines.push({ label: statutory.esi.esiNumber ? `ESI (${statutory.esi.esiNumber})` : 'ESI', amount: statutory.esi.employee });
+        if (statutory.pt) lines.push({ label: `Prof. Tax (${statutory.pt.state})`, amount: statutory.pt.employee });
+        return lines;
+    };
+
+    // Earnings for one attendance day of a daily-wage employee, using the hour rules of that day's month.
+    // Normal: hours × (salary / standardHours). Half-day: half the daily salary. Sunday: full daily salary.
+    // Slab: hours past standardHours are paid at salary / slabHours.
+    const calculateDayEarning = (emp, att, settingsData) => {
+        const month = att.date ? att.date.substring(0, 7) : new Date().toISOString().substring(0, 7);
+        const { standardHours, slabHours } = resolveHourRules(emp, month, settingsData);
+        const salary = parseFloat(emp.salary) || 0;
+        const workedHours = getWorkedHours(att);
+        const mode = att.halfDay ? 'half' : (att.sundayMode ? 'sunday' : (att.slabMode ? 'slab' : 'normal'));
+
+        const day = { workedHours: 0, normalHours: 0, otHours: 0, basePay: 0, otPay: 0, wage: 0, fare: 0, total: 0, mode, isOvertime: false };
+        if (isNaN(workedHours)) return day;
+
+        const normalRate = salary / standardHours;
+        day.workedHours = workedHours;
+        day.fare = parseFloat(att.fare) || 0;
+
+        if (att.halfDay) {
+            day.basePay = salary / 2;
+            day.normalHours = workedHours;
+        } else if (att.sundayMode) {
+            day.basePay = salary;
+            day.normalHours = workedHours;
+        } else if (att.slabMode && workedHours > standardHours) {
+            day.basePay = normalRate * standardHours;
+            day.otPay = (salary / slabHours) * (workedHours - standardHours);
+            day.normalHours = standardHours;
+            day.otHours = workedHours - standardHours;
+            day.isOvertime = true;
+        } else {
+            day.basePay = normalRate * workedHours;
+            day.normalHours = workedHours;
+        }
+
+        day.wage = day.basePay + day.otPay;
+        day.total = day.wage + day.fare;
+        return day;
+    };
+
+    // Leave types (settings.leaveTypes). Paid leave is paid like a worked day; yearlyDays accrue evenly
+    // month by month over the calendar year, and types without yearlyDays keep no balance.
+    const DEFAULT_LEAVE_TYPES = [
+        { key: 'casual', label: 'Casual Leave', paid: true, yearlyDays: 8 },
+        { key: 'sick', label: 'Sick Leave', paid: true, yearlyDays: 7 },
+        { key: 'unpaid', label: 'Unpaid Leave', paid: false, yearlyDays: null },
+        { key: 'paid_holiday', label: 'Paid Holiday', paid: true, yearlyDays: null }
+    ];
+
+    const getLeaveTypes = (settingsData = {}) => {
+        let saved = (settingsData && settingsData.leaveTypes) || [];
+        if (typeof saved === 'string') {
+            try { saved = JSON.parse(saved); } catch (e) { saved = []; }
+        }
+        const byKey = new Map((Array.isArray(saved) ? saved : []).map(t => [t.key, t]));
+        return DEFAULT_LEAVE_TYPES.map(t => ({ ...t, ...(byKey.get(t.key) || {}), key: t.key }));
+    };
+
+    const MAX_LEAVE_DAYS = 366;
+
+    // Every date (YYYY-MM-DD) from `from` to `to`, both included
+    const expandDates = (from, to) => {
+        const dates = [];
+        if (!from) return dates;
+        const d = new Date(`${from}T00:00:00Z`);
+        const end = new Date(`${to || from}T00:00:00Z`);
+        while (d <= end && dates.length < MAX_LEAVE_DAYS) {
+            dates.push(d.toISOString().substring(0, 10));
+            d.setUTCDate(d.getUTCDate() + 1);
+        }
+        return dates;
+    };
+
+    // Days a leave request takes off the balance (a half day counts 0.5)
+    const countLeaveDays = (leave) => (leave.halfDay ? 0.5 : expandDates(leave.fromDate, leave.toDate).length);
+
+    // Approved leave as one entry per date: [{ date, type, paid, portion, leaveId }]
+    const getLeaveDays = (leaves = []) => leaves
+        .filter(l => l.status === 'approved')
+        .flatMap(l => expandDates(l.fromDate, l.toDate).map(date => ({
+            date,
+            type: l.type,
+            paid: l.paid !== false && l.paid !== 'false',
+            portion: l.halfDay ? 0.5 : 1,
+            leaveId: l.id
+        })));
+
+    // Balances on `asOf` (YYYY-MM-DD) for the types that keep one; `leaves` limited to one employee.
+    // Accrued so far this year, minus approved days taken this year; pending requests are shown apart.
+    const getLeaveBalances = (leaves = [], settingsData, asOf) => {
+        const year = asOf.substring(0, 4);
+        const monthsAccrued = parseInt(asOf.substring(5, 7), 10);
+        const daysIn = (status, type) => leaves
+            .filter(l => l.status === status && l.type === type && (l.fromDate || '').startsWith(year))
+            .reduce((sum, l) => sum + countLeaveDays(l), 0);
+
+        return getLeaveTypes(settingsData)
+            .filter(t => t.yearlyDays !== null && t.yearlyDays !== undefined && t.yearlyDays !== '')
+            .map(t => {
+                const yearlyDays = parseFloat(t.yearlyDays) || 0;
+                const accrued = Math.floor(yearlyDays * monthsAccrued / 12 * 2) / 2; // whole and half days only
+                const used = daysIn('approved', t.key);
+                const pending = daysIn('pending', t.key);
+                return { type: t.key, label: t.label, yearlyDays, accrued, used, pending, available: accrued - used };
+            });
+    };
+
+    // Approved leave in `month` on dates without attendance. A daily-wage employee is paid each paid leave day
+    // as a day at standard hours; a fixed-salary employee loses salary / days in month for each unpaid day.
+    const calculateLeavePay = (emp, revisions, leaveDays, workedDates, month, settingsData) => {
+        const terms = getSalaryTermsOn(emp, revisions, `${month}-01`);
+        const isFixed = terms.employee_type === 'fixed_salary';
+        const [year, mon] = month.split('-').map(Number);
+        const daysInMonth = new Date(Date.UTC(year, mon, 0)).getUTCDate();
+        const { standardHours } = resolveHourRules(emp, month, settingsData);
+
+        const days = leaveDays
+            .filter(d => d.date.startsWith(month) && !workedDates.has(d.date))
+            .map(d => {
+                let hours = 0;
+                let pay = 0;
+                if (isFixed) {
+                    if (!d.paid) pay = -(parseFloat(terms.salary) || 0) / daysInMonth * d.portion;
+                } else if (d.paid) {
+                    hours = standardHours * d.portion;
+                    pay = (parseFloat(getSalaryTermsOn(emp, revisions, d.date).salary) || 0) * d.portion;
+                }
+                return { ...d, hours, pay };
+            });
+
+        const sumPortion = (paid) => days.filter(d => d.paid === paid).reduce((sum, d) => sum + d.portion, 0);
+        return {
+            days,
+            paidDays: sumPortion(true),
+            unpaidDays: sumPortion(false),
+            hours: days.reduce((sum, d) => sum + d.hours, 0),
+            pay: days.reduce((sum, d) => sum + d.pay, 0)
+        };
+    };
+
+    // Loss of pay for a month's late marks and half-days: { lateMarks, earlyLeaves, lateHalfDays, lateDeduction,
+    // halfDays, halfDayDeduction }. A late-mark half-day costs half the daily rate in force on the mark that completed
+    // it (half of salary / days in month for fixed salary). Fixed salary is paid regardless of attendance, so each
+    // attendance marked as a half-day costs it the other half; daily wages already pay half for those days.
+    const calculateLateDeduction = (emp, revisions, monthAtt, month, settingsData) => {
+        const rules = getAttendanceRules(settingsData);
+        const terms = getSalaryTermsOn(emp, revisions, `${month}-01`);
+        const isFixed = terms.employee_type === 'fixed_salary';
+        const [year, mon] = month.split('-').map(Number);
+        const daysInMonth = new Date(Date.UTC(year, mon, 0)).getUTCDate();
+        const halfDayPay = (date) => (isFixed
+            ? (parseFloat(terms.salary) || 0) / daysInMonth
+            : (parseFloat(getSalaryTermsOn(emp, revisions, date).salary) || 0)) / 2;
+        const perHalfDay = parseInt(rules.latesPerHalfDay, 10) || 0;
+
+        const result = { lateMarks: 0, earlyLeaves: 0, lateHalfDays: 0, lateDeduction: 0, halfDays: 0, halfDayDeduction: 0 };
+        let marks = 0;
+        monthAtt.forEach(att => {
+            if (att.halfDay) {
+                result.halfDays++;
+                if (isFixed) result.halfDayDeduction += halfDayPay(att.date);
+            }
+            const { lateMinutes, earlyMinutes } = getPunctuality(att, settingsData);
+            if (lateMinutes) result.lateMarks++;
+            if (earlyMinutes) result.earlyLeaves++;
+            const counted = (lateMinutes ? 1 : 0) + (earlyMinutes && rules.countEarlyLeaves ? 1 : 0);
+            for (let i = 0; i < counted; i++) {
+                marks++;
+                if (perHalfDay > 0 && marks % perHalfDay === 0) {
+                    result.lateHalfDays++;
+                    result.lateDeduction += halfDayPay(att.date);
+                }
+            }
+        });
+        return result;
+    };
+
+    // Payslip earnings line for late marks and half-days, e.g. { label: 'Late / Half-day Cut (2 half-days)', amount: -850 };
+    // null when nothing was cut
+    const describeLateDeduction = (slip) => {
+        const amount = slip ? (slip.lateDeduction || 0) + (slip.halfDayDeduction || 0) : 0;
+        if (!amount) return null;
+        const count = (slip.lateHalfDays || 0) + (slip.halfDayDeduction ? slip.halfDays : 0);
+        return { label: `Late / Half-day Cut (${count} half-day${count === 1 ? '' : 's'})`, amount: -amount };
+    };
+
+    // Weekly off (settings.weeklyOff): 0 = Sunday … 6 = Saturday, or -1 for none. Sunday unless set.
+    const getWeeklyOff = (settingsData = {}) => {
+        const day = parseInt(settingsData && settingsData.weeklyOff, 10);
+        return day >= -1 && day <= 6 ? day : 0;
+    };
+
+    const isWeeklyOff = (date, settingsData) => new Date(`${date}T00:00:00Z`).getUTCDay() === getWeeklyOff(settingsData);
+
+    // Holiday rows ({ date, name, type, paid }); bare dates from older callers are unpaid holidays
+    const normalizeHolidays = (holidays = []) => (holidays || []).map(h => (typeof h === 'string' ? { date: h, name: '', type: 'company', paid: false } : h));
+
+    // Days in `month` that are neither the weekly off nor a holiday
+    const countWorkingDays = (month, holidays, settingsData) => {
+        const [year, mon] = month.split('-').map(Number);
+        const daysInMonth = new Date(Date.UTC(year, mon, 0)).getUTCDate();
+        const offDates = new Set(normalizeHolidays(holidays).map(h => h.date));
+        return expandDates(`${month}-01`, `${month}-${String(daysInMonth).padStart(2, '0')}`)
+            .filter(date => !offDates.has(date) && !isWeeklyOff(date, settingsData)).length;
+    };
+
+    // Paid holidays in `month` credited to a daily-wage employee, each as a day's salary at standard hours.
+    // Only employees who worked in the month are credited, and not for a holiday on the weekly off or on a day
+    // they worked or were on leave. Fixed salary already covers holidays.
+    const calculateHolidayPay = (emp, revisions, holidays, workedDates, leaveDates, month, settingsData) => {
+        const result = { days: [], hours: 0, pay: 0 };
+        const terms = getSalaryTermsOn(emp, revisions, `${month}-01`);
+        if (terms.employee_type === 'fixed_salary' || workedDates.size === 0) return result;
+
+        const { standardHours } = resolveHourRules(emp, month, settingsData);
+        const credited = new Set();
+        normalizeHolidays(holidays)
+            .filter(h => h.paid && h.date && h.date.startsWith(month) && !workedDates.has(h.date) && !leaveDates.has(h.date) && !isWeeklyOff(h.date, settingsData))
+            .forEach(h => {
+                if (credited.has(h.date)) return;
+                credited.add(h.date);
+                const pay = parseFloat(getSalaryTermsOn(emp, revisions, h.date).salary) || 0;
+                result.days.push({ date: h.date, name: h.name, hours: standardHours, pay });
+                result.hours += standardHours;
+                result.pay += pay;
+            });
+        return result;
+    };
+
+    // Payslip earnings line for paid holidays, e.g. { label: 'Paid Holidays (2 days)', amount: 1700 }; null when none
+    const describeHolidayPay = (slip) => {
+        if (!slip || !slip.holidayPay) return null;
+        const days = (slip.holidayDays || []).length;
+        return { label: `Paid Holidays (${days} day${days === 1 ? '' : 's'})`, amount: slip.holidayPay };
+    };
+
+    // Payslip earnings line for a payroll result's leave, e.g. { label: 'Paid Leave (2 days)', amount: 1000 };
+    // null when leave did not change pay. Loss of pay comes back as a negative amount.
+    const describeLeavePay = (slip) => {
+        if (!slip || !slip.leavePay) return null;
+        const days = slip.leavePay > 0 ? slip.paidLeaveDays : slip.unpaidLeaveDays;
+        return { label: `${slip.leavePay > 0 ? 'Paid Leave' : 'Loss of Pay'} (${days} day${days === 1 ? '' : 's'})`, amount: slip.leavePay };
+    };
+
+    // Latest closed-month snapshot before `month` (rows limited to one employee), or null
+    const getLastSnapshotBefore = (snapshots = [], month) => snapshots
+        .filter(s => s.month < month)
+        .reduce((latest, s) => (!latest || s.month > latest.month ? s : latest), null);
+
+    // Balance carried into `month`: everything earned before it minus everything deducted (statutory included) or paid before it.
+    // Starts from the last closed month's snapshot when there is one, so only later months are replayed.
+    // `rows` must already be limited to this employee; `holidays` is the holiday list. Each past month is paid with the terms in force then:
+    // the employee type of a month is the one in force on its 1st, daily rates follow each attendance date.
+    const calculatePreviousBalance = (emp, rows, month, settingsData, holidays = []) => {
+        const revisions = rows.salaryRevisions || [];
+        const snapshot = getLastSnapshotBefore(rows.payrollSnapshots, month);
+        const from = snapshot ? snapshot.month : '';
+        const inRange = (m) => m > from && m < month;
+
+        // Advances count by installment, so a plan's later months stay out of the past balance
+        const pastAdv = rows.advances.flatMap(getAdvanceInstallments).filter(i => !i.skipped && inRange(i.month));
+        const pastDeb = rows.debitNotes.filter(d => inRange(getDeductionMonth(d)));
+        const pastPay = rows.payments.filter(p => inRange(p.salaryMonth));
+        const isFixedMonth = (m) => getSalaryTermsOn(emp, revisions, `${m}-01`).employee_type === 'fixed_salary';
+
+        // Earnings per past month, so each month's statutory deductions can be taken off
+        const monthEarnings = new Map();
+        const addEarning = (m, { basePay = 0, otPay = 0, fare = 0 }) => {
+            const e = monthEarnings.get(m) || { basePay: 0, otPay: 0, fare: 0 };
+            monthEarnings.set(m, { basePay: e.basePay + basePay, otPay: e.otPay + otPay, fare: e.fare + fare });
+        };
+
+        // Fixed salary: one monthly salary (+ fare) for every past month with a payment, advance or debit note
+        const pastMonths = new Set([
+            ...pastPay.map(p => p.salaryMonth),
+            ...pastAdv.map(i => i.month),
+            ...pastDeb.map(getDeductionMonth)
+        ]);
+        pastMonths.forEach(m => {
+            if (!isFixedMonth(m)) return;
+            const terms = getSalaryTermsOn(emp, revisions, `${m}-01`);
+            addEarning(m, { basePay: parseFloat(terms.salary) || 0, fare: parseFloat(terms.monthly_fare) || 0 });
+        });
+        rows.attendance
+            .filter(a => inRange(a.date.substring(0, 7)) && !isFixedMonth(a.date.substring(0, 7)))
+            .forEach(att => addEarning(att.date.substring(0, 7), calculateDayEarning(getEmployeeOnDate(emp, revisions, att.date), att, settingsData)));
+
+        // Leave: paid days for daily wagers, loss of pay for fixed salary (only in months counted above)
+        const leaveDays = getLeaveDays(rows.leaves);
+        const workedDates = new Set(rows.attendance.map(a => a.date));
+        new Set(leaveDays.map(d => d.date.substring(0, 7))).forEach(m => {
+            if (!inRange(m) || (isFixedMonth(m) && !pastMonths.has(m))) return;
+            addEarning(m, { basePay: calculateLeavePay(emp, revisions, leaveDays, workedDates, m, settingsData).pay });
+        });
+
+        // Past attendance by month (YYYY-MM), oldest first
+        const attendanceByMonth = new Map();
+        rows.attendance
+            .filter(a => inRange(a.date.substring(0, 7)))
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .forEach(a => {
+                const m = a.date.substring(0, 7);
+                attendanceByMonth.set(m, [...(attendanceByMonth.get(m) || []), a]);
+            });
+
+        // Paid holidays for daily wagers, in months they worked
+        const leaveDates = new Set(leaveDays.map(d => d.date));
+        attendanceByMonth.forEach((monthAtt, m) => {
+            if (isFixedMonth(m)) return;
+            const monthWorked = new Set(monthAtt.map(a => a.date));
+            addEarning(m, { basePay: calculateHolidayPay(emp, revisions, holidays, monthWorked, leaveDates, m, settingsData).pay });
+        });
+
+        // Late marks and half-days are loss of pay (for fixed salary only in months counted above)
+        attendanceByMonth.forEach((monthAtt, m) => {
+            if (isFixedMonth(m) && !pastMonths.has(m)) return;
+            const late = calculateLateDeduction(emp, revisions, monthAtt, m, settingsData);
+            addEarning(m, { basePay: -(late.lateDeduction + late.halfDayDeduction) });
+        });
+
+        let pastEarnings = snapshot ? (parseFloat(snapshot.remainingDue) || 0) : 0;
+        monthEarnings.forEach((e, m) => {
+            pastEarnings += e.basePay + e.otPay + e.fare - calculateStatutoryDeductions(emp, e, m, settingsData).employeeTotal;
+        });
+
+        return Math.round(pastEarnings - sumAmounts(pastAdv) - sumAmounts(pastDeb) - sumAmounts(pastPay));
+    };
+
+    // Payroll summary for one employee and month (YYYY-MM).
+    // `data` holds attendance, advances, debitNotes, payments, salaryRevisions, payrollSnapshots and leaves — either
+    // the full tables or only this employee's rows; everything is filtered by employee here — plus the holidays.
+    // A closed month returns its stored snapshot instead of being recomputed.
+    const calculateEmployeePayroll = (emp, data, month, settingsData = {}) => {
+        const mine = (rows) => (rows || []).filter(r => belongsToEmployee(r, emp.id));
+        const rows = {
+            attendance: mine(data.attendance),
+            advances: mine(data.advances),
+            debitNotes: mine(data.debitNotes),
+            payments: mine(data.payments),
+            salaryRevisions: mine(data.salaryRevisions),
+            payrollSnapshots: mine(data.payrollSnapshots),
+            leaves: mine(data.leaves)
+        };
+
+        const closedSnapshot = rows.payrollSnapshots.find(s => s.month === month);
+        if (closedSnapshot) return { ...closedSnapshot.line, closed: true, closedAt: closedSnapshot.closedAt };
+
+        // Terms in force on the 1st decide the month's employee type and fixed salary
+        const salaryTerms = getSalaryTermsOn(emp, rows.salaryRevisions, `${month}-01`);
+        const isSupervisor = salaryTerms.employee_type === 'fixed_salary';
+
+        const monthAtt = rows.attendance
+            .filter(a => a.date && a.date.startsWith(month))
+            .sort((a, b) => a.date.localeCompare(b.date));
+        const monthAdv = rows.advances.map(a => getAdvanceDueIn(a, month)).filter(Boolean); // installment due this month
+        const monthDeb = rows.debitNotes.filter(d => getDeductionMonth(d) === month);
+        const monthPay = rows.payments
+            .filter(p => p.salaryMonth === month)
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        const totals = { workedHours: 0, normalHours: 0, otHours: 0, basePay: 0, otPay: 0, fare: 0 };
+        let days = [];
+        let daysWorked = null; // N/A for supervisors
+
+        if (isSupervisor) {
+            // Fixed salary supervisor: always earns fixed monthly salary regardless of attendance
+            totals.basePay = parseFloat(salaryTerms.salary) || 0;
+            totals.fare = parseFloat(salaryTerms.monthly_fare) || 0;
+        } else {
+            daysWorked = monthAtt.length;
+            days = monthAtt.map(att => {
+                const dayEmp = getEmployeeOnDate(emp, rows.salaryRevisions, att.date);
+                const day = calculateDayEarning(dayEmp, att, settingsData);
+                Object.keys(totals).forEach(key => { totals[key] += day[key]; });
+                return {
+                    id: att.id,
+                    date: att.date,
+                    timeIn: att.timeIn || null,
+                    timeOut: att.timeOut || null,
+                    salary: parseFloat(dayEmp.salary) || 0, // daily rate in force that day
+                    ...day,
+                    ...getPunctuality(att, settingsData)
+                };
+            });
+        }
+
+        // Approved leave on days without attendance counts in basic pay
+        const workedDates = new Set(monthAtt.map(a => a.date));
+        const leave = calculateLeavePay(emp, rows.salaryRevisions, getLeaveDays(rows.leaves), workedDates, month, settingsData);
+        totals.basePay += leave.pay;
+
+        // Paid holidays count in basic pay for daily-wage staff
+        const holiday = calculateHolidayPay(emp, rows.salaryRevisions, data.holidays, workedDates, new Set(leave.days.map(d => d.date)), month, settingsData);
+        totals.basePay += holiday.pay;
+
+        // Late marks and half-days are loss of pay too
+        const late = calculateLateDeduction(emp, rows.salaryRevisions, monthAtt, month, settingsData);
+        totals.basePay -= late.lateDeduction + late.halfDayDeduction;
+
+        const totalSalary = totals.basePay + totals.otPay;
+        const totalAdvance = sumAmounts(monthAdv);
+        const totalDebitNotes = sumAmounts(monthDeb);
+        const totalPaid = sumAmounts(monthPay);
+        const previousBalance = calculatePreviousBalance(emp, rows, month, settingsData, data.holidays);
+        const statutory = calculateStatutoryDeductions(emp, totals, month, settingsData);
+
+        const currentMonthNet = totalSalary + totals.fare - totalAdvance - totalDebitNotes - statutory.employeeTotal;
+        const netPayable = Math.round(currentMonthNet + previousBalance);
+        const remainingDue = netPayable - totalPaid;
+
+        const balanceSnapshot = getLastSnapshotBefore(rows.payrollSnapshots, month);
+
+        return {
+            employee: emp,
+            month,
+            closed: false,
+            balanceFrom: balanceSnapshot ? balanceSnapshot.month : null, // closed month the previous balance starts from
+            hourRules: resolveHourRules(emp, month, settingsData),
+            salaryTerms,
+            isSupervisor,
+            daysWorked,
+            days,
+            totalHours: totals.workedHours,
+            normalHours: totals.normalHours,
+            otHours: totals.otHours,
+            basePay: totals.basePay,
+            otPay: totals.otPay,
+            leaveDays: leave.days, // [{ date, type, paid, portion, hours, pay }]
+            paidLeaveDays: leave.paidDays,
+            unpaidLeaveDays: leave.unpaidDays,
+            leaveHours: leave.hours, // paid hours credited for leave
+            leavePay: leave.pay, // included in basePay; negative = loss of pay
+            holidayDays: holiday.days, // [{ date, name, hours, pay }]
+            holidayPay: holiday.pay, // included in basePay
+            lateMarks: late.lateMarks,
+            earlyLeaves: late.earlyLeaves,
+            lateHalfDays: late.lateHalfDays, // half-days cut for late marks
+            lateDeduction: late.lateDeduction, // taken off basePay
+            halfDays: late.halfDays, // attendance marked as a half-day
+            halfDayDeduction: late.halfDayDeduction, // fixed salary only; taken off basePay
+            salaryEarned: Math.round(totalSalary),
+            fareTotal: totals.fare,
+            grossEarned: Math.round(totalSalary + totals.fare),
+            advances: monthAdv,
+            debitNotes: monthDeb,
+            payments: monthPay,
+            advancePaid: totalAdvance,
+            debitNotesDeducted: totalDebitNotes,
+            statutory, // PF / ESI / PT lines, employer share included for challans
+            statutoryDeducted: statutory.employeeTotal,
+            previousBalance,
+            currentMonthNet: Math.round(currentMonthNet),
+            finalPayable: netPayable,
+            paidTotal: totalPaid,
+            remainingDue, // carried forward into next month's previousBalance
+            lastPaymentDate: monthPay.length > 0 ? monthPay[0].date : null,
+            paymentProofs: monthPay.filter(p => p.screenshot).map(p => p.screenshot),
+            status: remainingDue <= 0 ? 'Settled' : (totalPaid > 0 ? 'Partial' : 'Unpaid')
+        };
+    };
+
+    // Payroll for every employee; rows are grouped once instead of rescanned per employee
+    const calculatePayroll = (employees, data, month, settingsData = {}) => {
+        const grouped = {
+            attendance: groupByEmployee(data.attendance),
+            advances: groupByEmployee(data.advances),
+            debitNotes: groupByEmployee(data.debitNotes),
+            payments: groupByEmployee(data.payments),
+            salaryRevisions: groupByEmployee(data.salaryRevisions),
+            payrollSnapshots: groupByEmployee(data.payrollSnapshots),
+            leaves: groupByEmployee(data.leaves)
+        };
+        return employees.map(emp => {
+            const key = String(emp.id);
+            return calculateEmployeePayroll(emp, {
+                attendance: grouped.attendance.get(key) || [],
+                advances: grouped.advances.get(key) || [],
+                debitNotes: grouped.debitNotes.get(key) || [],
+                payments: grouped.payments.get(key) || [],
+                salaryRevisions: grouped.salaryRevisions.get(key) || [],
+                payrollSnapshots: grouped.payrollSnapshots.get(key) || [],
+                leaves: grouped.leaves.get(key) || [],
+                holidays: data.holidays || []
+            }, month, settingsData);
+        });
+    };
+
+    // Labour cost of a month's payroll lines by work site (attendance.siteId), for billing clients per project.
+    // Daily-wage days are costed at their payroll wage and fare; a fixed-salary employee's salary and monthly fare
+    // are spread evenly over the days they attended. Paid leave and holidays, fixed salary with no attendance and
+    // days not attributed to a site fall under siteId null. Returns { lines, sites }, amounts rounded to the paisa.
+    const allocateLabourCost = (payroll, attendance = []) => {
+        const round2 = (n) => Math.round(n * 100) / 100;
+        const siteOf = new Map(attendance.map(a => [String(a.id), a.siteId ? String(a.siteId) : null]));
+        const lines = [];
+        const addLine = (p, siteId, kind, row) => lines.push({
+            siteId, kind, employeeId: String(p.employee.id), employeeName: p.employee.name,
+            date: row.date || null, hours: round2(row.hours || 0), wage: round2(row.wage || 0), fare: round2(row.fare || 0),
+            total: round2((row.wage || 0) + (row.fare || 0))
+        });
+
+        payroll.forEach(p => {
+            if (p.isSupervisor) {
+                const pay = (p.basePay || 0) + (p.otPay || 0);
+                const attended = attendance.filter(a => belongsToEmployee(a, p.employee.id) && a.date && a.date.startsWith(p.month));
+                if (attended.length === 0) {
+                    if (pay || p.fareTotal) addLine(p, null, 'salary', { wage: pay, fare: p.fareTotal });
+                    return;
+                }
+                attended.forEach(a => addLine(p, siteOf.get(String(a.id)) || null, 'salary', {
+                    date: a.date, hours: getWorkedHours(a), wage: pay / attended.length, fare: (p.fareTotal || 0) / attended.length
+                }));
+                return;
+            }
+            (p.days || []).forEach(d => addLine(p, siteOf.get(String(d.id)) || null, 'day', { ...d, hours: d.workedHours }));
+            (p.leaveDays || []).filter(l => l.pay).forEach(l => addLine(p, null, 'leave', { date: l.date, hours: l.hours, wage: l.pay }));
+            (p.holidayDays || []).forEach(h => addLine(p, null, 'holiday', { date: h.date, hours: h.hours, wage: h.pay }));
+        });
+
+        const sites = new Map();
+        lines.forEach(l => {
+            const key = l.siteId || '';
+            if (!sites.has(key)) sites.set(key, { siteId: l.siteId, workDays: new Set(), employees: new Map(), hours: 0, wage: 0, fare: 0, total: 0 });
+            const site = sites.get(key);
+            if (!site.employees.has(l.employeeId)) site.employees.set(l.employeeId, { employeeId: l.employeeId, employeeName: l.employeeName, workDays: new Set(), hours: 0, wage: 0, fare: 0, total: 0 });
+            const emp = site.employees.get(l.employeeId);
+            [site, emp].forEach(t => {
+                if (l.kind !== 'leave' && l.kind !== 'holiday' && l.date) t.workDays.add(`${l.employeeId}|${l.date}`);
+                ['hours', 'wage', 'fare', 'total'].forEach(k => { t[k] += l[k]; });
+            });
+        });
+
+        const finish = ({ workDays, employees, ...t }) => ({
+            ...t, days: workDays.size, hours: round2(t.hours), wage: round2(t.wage), fare: round2(t.fare), total: round2(t.total),
+            ...(employees ? { employees: [...employees.values()].map(finish).sort((a, b) => b.total - a.total) } : {})
+        });
+        return {
+            lines,
+            sites: [...sites.values()].map(finish).sort((a, b) => (a.siteId === null) - (b.siteId === null) || b.total - a.total)
+        };
+    };
+
+    return {
+        getPayrollSettings,
+        toHours,
+        parseHourRules,
+        recordHourRuleChange,
+        getEmployeeHourOverrides,
+        resolveHourRules,
+        describeHourRules,
+        getStatutorySettings,
+        calculateStatutoryDeductions,
+        describeStatutoryLines,
+        getLeaveTypes,
+        expandDates,
+        countLeaveDays,
+        getLeaveDays,
+        getLeaveBalances,
+        calculateLeavePay,
+        describeLeavePay,
+        getWeeklyOff,
+        isWeeklyOff,
+        countWorkingDays,
+        calculateHolidayPay,
+        describeHolidayPay,
+        getWorkedHours,
+        calculateShiftHours,
+        getAttendanceRules,
+        getPunctuality,
+        calculateLateDeduction,
+        describeLateDeduction,
+        AUTO_CLOSE_POLICIES,
+        getAutoCloseSettings,
+        planAutoClose,
+        getDeductionMonth,
+        addMonths,
+        buildInstallments,
+        getAdvanceInstallments,
+        getAdvanceLedger,
+        isPlannedSchedule,
+        getAdvanceDueIn,
+        describeInstallment,
+        belongsToEmployee,
+        groupByEmployee,
+        sortSalaryRevisions,
+        getSalaryTermsOn,
+        getEmployeeOnDate,
+        calculateDayEarning,
+        calculatePreviousBalance,
+        calculateEmployeePayroll,
+        calculatePayroll,
+        allocateLabourCost
+    };
+});
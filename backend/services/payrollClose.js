@@ -0,0 +1,46 @@
+const dbService = require('./supabase-db');
+const { getDeductionMonth, getAdvanceInstallments } = require('./payroll');
+
+// Closing a month locks it and every month before it: its snapshots carry those balances forward,
+// so a later edit there would never reach payroll again.
+
+// Latest closed month (YYYY-MM), or null when nothing is closed
+const getLockedThrough = async () => {
+    const closures = await dbService.getPayrollClosures();
+    return closures.reduce((latest, c) => (c.month > latest ? c.month : latest), '') || null;
+};
+
+// Month a record is paid in, per table
+const RECORD_MONTH = {
+    attendance: (r) => (r.date || '').substring(0, 7),
+    advances: (r) => getAdvanceInstallments(r)[0].month, // first installment: an advance is locked once any part was paid in a closed month
+    debit_notes: getDeductionMonth,
+    payments: (r) => r.salaryMonth || '',
+    leaves: (r) => (r.fromDate || '').substring(0, 7),
+    holidays: (r) => (r.date || '').substring(0, 7)
+};
+
+// Returns an error message if any of `records` falls in a locked month, otherwise null.
+// Pass the stored record and the record as it would be saved, so nothing moves in or out of a closed month.
+const checkRecordsOpen = async (entity, ...records) => {
+    const lockedThrough = await getLockedThrough();
+    if (!lockedThrough) return null;
+    const locked = records.filter(Boolean).map(RECORD_MONTH[entity]).find(m => m && m <= lockedThrough);
+    return locked
+        ? `Payroll is closed up to ${lockedThrough}, so ${locked} records can no longer be changed. Ask the owner to reopen the month first.`
+        : null;
+};
+
+// Returns an error message if `month` (YYYY-MM) is locked, otherwise null
+const checkMonthOpen = async (month) => {
+    const lockedThrough = await getLockedThrough();
+    return lockedThrough && month <= lockedThrough
+        ? `Payroll is closed up to ${lockedThrough}, so ${month} can no longer be changed. Ask the owner to reopen the month first.`
+        : null;
+};
+
+module.exports = {
+    getLockedThrough,
+    checkRecordsOpen,
+    checkMonthOpen
+};
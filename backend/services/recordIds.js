@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+
+// Record ids are ULIDs: 26 characters, a 48-bit millisecond time then 80 random bits, in Crockford
+// base32. Two records made in the same millisecond (a crew checking in together) still get different
+// ids, and ids made by this process always sort in the order they were made.
+//
+// Records made before ULIDs kept `Date.now().toString()` as their id (13 digits, sometimes with 4
+// random digits after). Those ids stay as they are, since other rows point at them. Creation order
+// comes from the `createdAt` column, not from comparing ids: see createdAtFromId for older rows.
+
+const ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const TIME_LENGTH = 10;
+const RANDOM_LENGTH = 16;
+const RANDOM_MAX = (1n << 80n) - 1n;
+const ULID_PATTERN = /^[0-9A-HJKMNP-TV-Z]{26}$/;
+const LEGACY_PATTERN = /^(\d{13})\d{0,4}$/;
+
+const encode = (value, length) => {
+    let out = '';
+    for (let i = 0; i < length; i++) {
+        out = ENCODING[Number(value % 32n)] + out;
+        value /= 32n;
+    }
+    return out;
+};
+
+// Within one millisecond the random part counts up from the first id's, so ids stay in order
+let lastTime = 0;
+let lastRandom = 0n;
+
+const newId = (now = Date.now()) => {
+    if (now <= lastTime && lastRandom < RANDOM_MAX) {
+        lastRandom += 1n;
+    } else {
+        // A clock that steps back, or 2^80 ids in one millisecond, carries on from the last time used
+        lastTime = Math.max(now, lastTime + 1);
+        lastRandom = BigInt('0x' + crypto.randomBytes(10).toString('hex'));
+    }
+    return encode(BigInt(lastTime), TIME_LENGTH) + encode(lastRandom, RANDOM_LENGTH);
+};
+
+// When a record was made, from its id: the time part of a ULID, or the milliseconds of an older
+// Date.now() id. null for ids that carry no time (imported employee codes, test fixtures).
+const createdAtFromId = (id) => {
+    const text = String(id ?? '');
+    let ms = null;
+    if (ULID_PATTERN.test(text)) {
+        ms = [...text.slice(0, TIME_LENGTH)].reduce((sum, c) => sum * 32 + ENCODING.indexOf(c), 0);
+    } else {
+        const legacy = text.match(LEGACY_PATTERN);
+        if (legacy) ms = Number(legacy[1]);
+    }
+    return ms === null ? null : new Date(ms).toISOString();
+};
+
+module.exports = {
+    newId,
+    createdAtFromId
+};
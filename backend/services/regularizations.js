@@ -0,0 +1,121 @@
+const dbService = require('./supabase-db');
+const { calculateShiftHours } = require('./payroll');
+const { pickShiftSite } = require('./geofence');
+const { newId } = require('./recordIds');
+
+// Attendance corrections (attendance_regularizations table). An employee asks for one from the
+// portal with a reason; an admin approves it, which writes the attendance row with server-computed hours.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const KINDS = {
+    missed_checkout: 'Missed check-out',
+    wrong_time: 'Wrong time',
+    missed_checkin: 'Forgot check-in'
+};
+
+// Latest date that is not in the future anywhere: portal dates are local, and India runs ahead of UTC
+const latestDate = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+// What the admin compares against: the attendance row as it was when the correction was asked for
+const EVIDENCE_FIELDS = ['timeIn', 'timeOut', 'workedHours', 'checkInLoc', 'checkOutLoc', 'checkInImage', 'checkOutImage', 'securityFlag'];
+const pickEvidence = (att) => {
+    if (!att) return null;
+    const evidence = {};
+    EVIDENCE_FIELDS.forEach(field => { evidence[field] = att[field] !== undefined ? att[field] : null; });
+    return evidence;
+};
+
+// New correction from portal input. `attendance` and `requests` are the employee's own rows.
+// Returns { error } or { request }.
+const buildRegularization = (body, employeeId, attendance, requests) => {
+    const kind = body.kind;
+    if (!KINDS[kind]) return { error: 'Choose what needs correcting.' };
+
+    const date = body.date;
+    if (!DATE_PATTERN.test(date || '')) return { error: 'Date must be in YYYY-MM-DD format.' };
+    if (date > latestDate()) return { error: 'Attendance cannot be corrected for a future date.' };
+
+    const reason = (body.reason || '').toString().trim().substring(0, 500);
+    if (!reason) return { error: 'Please give a reason for the correction.' };
+
+    const timeIn = body.timeIn || null;
+    const timeOut = body.timeOut || null;
+    if ((timeIn && !TIME_PATTERN.test(timeIn)) || (timeOut && !TIME_PATTERN.test(timeOut))) return { error: 'Times must be in HH:MM format.' };
+
+    const existing = attendance.find(a => a.date === date) || null;
+    if (kind === 'missed_checkin') {
+        if (existing) return { error: 'Attendance is already marked for this date. Ask for a time correction instead.' };
+        if (!timeIn || !timeOut) return { error: 'Give both the check-in and check-out time.' };
+    } else {
+        if (!existing) return { error: 'No attendance is marked for this date. Ask for a forgotten check-in instead.' };
+        if (kind === 'missed_checkout' && existing.timeOut) return { error: 'You already checked out on this date. Ask for a time correction instead.' };
+        if (kind === 'missed_checkout' && !timeOut) return { error: 'Give the time you left.' };
+        if (kind === 'wrong_time' && !timeIn && !timeOut) return { error: 'Give the corrected check-in or check-out time.' };
+    }
+
+    if (requests.some(r => r.status === 'pending' && r.date === date)) {
+        return { error: 'A correction for this date is already waiting for approval.' };
+    }
+
+    return {
+        request: {
+            id: newId(),
+            employeeId: String(employeeId),
+            attendanceId: existing ? String(existing.id) : null,
+            date,
+            kind,
+            timeIn: kind === 'missed_checkout' ? null : timeIn,
+            timeOut,
+            reason,
+            original: pickEvidence(existing),
+            status: 'pending',
+            createdAt: new Date().toISOString(),
+            decidedAt: null,
+            decidedByName: null,
+            decisionNote: null
+        }
+    };
+};
+
+// Writes an approved correction to attendance. Returns { attendance } (the saved row), or { error } when
+// the attendance changed since the request (deleted, or marked for a forgotten check-in).
+const applyRegularization = async (request, actor) => {
+    if (request.kind === 'missed_checkin') {
+        if (await dbService.checkDuplicateAttendance(request.employeeId, request.date)) {
+            return { error: 'Attendance has since been marked for this date. Reject this request and edit the record instead.' };
+        }
+        const [emp, sites] = await Promise.all([dbService.getEmployeeById(request.employeeId), dbService.getAllSites()]);
+        const attendance = await dbService.createAttendance({
+            id: newId(),
+            date: request.date,
+            employeeId: request.employeeId,
+            employeeName: emp ? emp.name : '',
+            timeIn: request.timeIn,
+            timeOut: request.timeOut,
+            workedHours: calculateShiftHours(request.timeIn, request.timeOut).toFixed(2),
+            slabMode: false,
+            sundayMode: false,
+            fare: 0,
+            siteId: pickShiftSite(sites, request.employeeId, request.date, null),
+            securityFlag: 'REGULARIZED'
+        }, actor);
+        return { attendance };
+    }
+
+    const att = request.attendanceId ? await dbService.getAttendanceById(request.attendanceId).catch(() => null) : null;
+    if (!att) return { error: 'The attendance record no longer exists. Reject this request.' };
+
+    const timeIn = request.timeIn || att.timeIn;
+    const timeOut = request.timeOut || att.timeOut;
+    const changes = { timeIn, timeOut };
+    if (timeIn && timeOut) changes.workedHours = calculateShiftHours(timeIn, timeOut).toFixed(2);
+    return { attendance: await dbService.updateAttendance(att.id, changes, actor) };
+};
+
+module.exports = {
+    KINDS,
+    buildRegularization,
+    applyRegularization
+};
@@ -0,0 +1,77 @@
+const dbService = require('./supabase-db');
+const { getSalaryTermsOn } = require('./payroll');
+const { newId } = require('./recordIds');
+
+// Effective-dated pay terms (salary_revisions table). Payroll pays each attendance date with
+// the terms in force that day; the employees row keeps a copy of the terms in force today.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const toTerms = (src) => ({
+    salary: parseFloat(src.salary) || 0,
+    employee_type: src.employee_type || 'daily_wage',
+    monthly_fare: parseFloat(src.monthly_fare) || 0
+});
+
+const sameTerms = (a, b) => a.salary === b.salary && a.employee_type === b.employee_type && a.monthly_fare === b.monthly_fare;
+
+const newRevision = (employeeId, terms, effectiveFrom) => ({
+    id: newId(),
+    employeeId: String(employeeId),
+    effectiveFrom, // null = since joining
+    ...terms,
+    createdAt: new Date().toISOString()
+});
+
+// Starting terms of a newly created employee
+const createInitialRevision = (emp, actor) => dbService.createSalaryRevision(newRevision(emp.id, toTerms(emp), null), actor);
+
+// Records the salary / employee_type / monthly_fare in `body` as a revision starting `effectiveFrom`
+// (YYYY-MM-DD, default today). Returns { error } for invalid input, otherwise { terms }: the terms in
+// force today, to be stored on the employee row.
+const reviseSalary = async (emp, body, effectiveFrom, actor) => {
+    const date = effectiveFrom || today();
+    if (!DATE_PATTERN.test(date)) return { error: 'Effective date must be in YYYY-MM-DD format.' };
+
+    const revisions = await dbService.getSalaryRevisionsByEmployee(emp.id);
+    const previous = toTerms(getSalaryTermsOn(emp, revisions, date));
+    const next = toTerms({
+        salary: body.salary !== undefined ? body.salary : previous.salary,
+        employee_type: body.employee_type !== undefined ? body.employee_type : previous.employee_type,
+        monthly_fare: body.monthly_fare !== undefined ? body.monthly_fare : previous.monthly_fare
+    });
+    if (sameTerms(previous, next)) return { terms: toTerms(getSalaryTermsOn(emp, revisions, today())) };
+
+    // A month's fixed salary and employee type are the ones in force on the 1st
+    const isMonthly = previous.employee_type === 'fixed_salary' || next.employee_type === 'fixed_salary';
+    if (isMonthly && !date.endsWith('-01')) {
+        return { error: 'Fixed-salary and employee type changes must take effect on the 1st of a month.' };
+    }
+
+    // First revision: keep the terms paid so far as the starting terms
+    if (revisions.length === 0) await dbService.createSalaryRevision(newRevision(emp.id, previous, null), actor);
+
+    const sameDay = revisions.find(r => r.effectiveFrom === date);
+    if (sameDay) await dbService.updateSalaryRevision(sameDay.id, next, actor);
+    else await dbService.createSalaryRevision(newRevision(emp.id, next, date), actor);
+
+    const updated = await dbService.getSalaryRevisionsByEmployee(emp.id);
+    return { terms: toTerms(getSalaryTermsOn(emp, updated, today())) };
+};
+
+// Re-copies today's terms onto the employee row after revisions were removed
+const syncEmployeeTerms = async (employeeId, actor) => {
+    const emp = await dbService.getEmployeeById(employeeId);
+    const revisions = await dbService.getSalaryRevisionsByEmployee(employeeId);
+    const terms = toTerms(getSalaryTermsOn(emp, revisions, today()));
+    if (sameTerms(toTerms(emp), terms)) return emp;
+    return dbService.updateEmployee(employeeId, terms, actor);
+};
+
+module.exports = {
+    createInitialRevision,
+    reviseSalary,
+    syncEmployeeTerms
+};
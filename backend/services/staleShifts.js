@@ -0,0 +1,75 @@
+const dbService = require('./supabase-db');
+const { planAutoClose } = require('./payroll');
+const { getLockedThrough } = require('./payrollClose');
+
+// Open shifts (check-in without check-out) the worker can no longer close: the portal only offers
+// check-out for today's and yesterday's shift, and an open shift counts for no hours in payroll.
+// The job closes them per the settings.autoClose policy and marks each with autoClosedAt / autoClosePolicy.
+
+const POLICY_LABELS = {
+    standard_hours: 'capped at standard hours',
+    shift_end: 'closed at shift end',
+    zero: 'closed with zero hours'
+};
+
+const addDays = (date, days) => {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+};
+
+// Shifts dated before yesterday (UTC). While India is already a day ahead this only holds a shift back one run.
+const getStaleCutoff = () => addDays(new Date().toISOString().split('T')[0], -1);
+
+// Open shifts older than `cutoff`. Dates with a pending correction request are left for the admin to decide.
+const findStaleShifts = (attendance, regularizations, cutoff) => {
+    const pending = new Set(regularizations.filter(r => r.status === 'pending').map(r => `${r.employeeId}|${r.date}`));
+    return attendance
+        .filter(a => a.timeIn && !a.timeOut && a.date < cutoff && !pending.has(`${a.employeeId}|${a.date}`))
+        .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Closes every stale shift `canAccess(employeeId)` allows. With `dryRun` nothing is written.
+// Returns { cutoff, closed: [...], skipped: [...] }; shifts in a closed payroll month are skipped.
+const closeStaleShifts = async ({ actor = null, dryRun = false, canAccess = () => true } = {}) => {
+    const [attendance, regularizations, employees, settingsData, lockedThrough] = await Promise.all([
+        dbService.getAllAttendance(),
+        dbService.getAllRegularizations(),
+        dbService.getAllEmployees(),
+        dbService.getSettings(),
+        getLockedThrough()
+    ]);
+    const empMap = new Map(employees.map(e => [String(e.id), e]));
+    const cutoff = getStaleCutoff();
+
+    const closed = [];
+    const skipped = [];
+    for (const att of findStaleShifts(attendance, regularizations, cutoff)) {
+        if (!canAccess(att.employeeId)) continue;
+
+        const emp = empMap.get(String(att.employeeId));
+        const row = { id: att.id, employeeId: att.employeeId, employeeName: emp ? emp.name : att.employeeName, date: att.date, timeIn: att.timeIn };
+        if (lockedThrough && att.date.substring(0, 7) <= lockedThrough) {
+            skipped.push({ ...row, reason: `Payroll is closed up to ${lockedThrough}` });
+            continue;
+        }
+
+        const plan = planAutoClose(emp, att, settingsData);
+        const changes = {
+            timeOut: plan.timeOut,
+            workedHours: plan.workedHours.toFixed(2),
+            autoClosedAt: new Date().toISOString(),
+            autoClosePolicy: plan.policy
+        };
+        if (!dryRun) {
+            await dbService.autoCloseAttendance(att.id, changes, `Forgotten check-out ${POLICY_LABELS[plan.policy]} (${att.timeIn} → ${plan.timeOut})`, actor);
+        }
+        closed.push({ ...row, timeOut: plan.timeOut, workedHours: changes.workedHours, policy: plan.policy });
+    }
+    return { cutoff, closed, skipped };
+};
+
+module.exports = {
+    findStaleShifts,
+    closeStaleShifts
+};
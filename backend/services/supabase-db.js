@@ -1,23 +1,9 @@
 require('dotenv').config();
-const { createClient } = require('@supabase/supabase-js');
-
-// Supabase credentials from environment variables
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_Service_Role_KEY = process.env.SUPABASE_SERVICE_KEY; // Using Service Role Key for backend administration
-
-if (!SUPABASE_URL || !SUPABASE_Service_Role_KEY) {
-    console.error('❌ Supabase credentials missing! Please check your .env file.');
-    console.error('Ensure SUPABASE_URL and SUPABASE_SERVICE_KEY are set.');
-    // Don't crash immediately to allow for setup, but functionality will fail
-}
-
-const supabase = createClient(SUPABASE_URL, SUPABASE_Service_Role_KEY, {
-    db: { schema: 'public' },
-    global: {
-        headers: { 'x-connection-encrypted': 'true' }
-    },
-    auth: { persistSession: false }
-});
+
+// Data access for every route. `supabase` is the Supabase client, or a local database with the same
+// interface when DB_BACKEND says so (see dbClient.js).
+const { client: supabase } = require('./dbClient');
+const { newId, createdAtFromId } = require('./recordIds');
 
 // Retry Helper for Transient Network Errors
 // Safe for all operations — inserts use low maxRetries (1) to avoid true duplicates
@@ -61,6 +47,17 @@ const retry = async (operation, maxRetries = 5, delay = 800) => {
     throw lastError;
 };
 
+// ==================== RECORD IDS ====================
+// Employees, attendance, advances, debit notes and payments get a ULID (see recordIds.js) and a
+// createdAt time when they are made. Lists break ties on createdAt, so older numeric ids and newer
+// ULIDs still come out in the order they were made.
+const RECORD_TABLES = ['employees', 'attendance', 'advances', 'debit_notes', 'payments'];
+
+const stampNewRecord = (row) => {
+    const id = row.id === undefined || row.id === null || row.id === '' ? newId() : String(row.id);
+    return { ...row, id, createdAt: row.createdAt || createdAtFromId(id) || new Date().toISOString() };
+};
+
 // ==================== IN-MEMORY CACHE ====================
 const dbCache = new Map();
 const CACHE_TTL_MS = 25000; // 25 seconds cache TTL
@@ -108,8 +105,9 @@ const getEmployeeById = async (id) => {
 };
 
 const createEmployee = async (employee) => {
+    const row = stampNewRecord(employee);
     return retry(async () => {
-        const { data, error } = await supabase.from('employees').insert([employee]).select().single();
+        const { data, error } = await supabase.from('employees').insert([row]).select().single();
         if (error) throw new Error(error.message);
         invalidateCache('employees');
         return data;
@@ -132,6 +130,9 @@ const deleteEmployee = async (id) => {
         await supabase.from('debit_notes').delete().eq('employeeId', id);
         await supabase.from('payments').delete().eq('employeeId', id);
         await supabase.from('uploads').delete().eq('employeeId', id);
+        await supabase.from('salary_revisions').delete().eq('employeeId', id);
+        await supabase.from('leaves').delete().eq('employeeId', id);
+        await supabase.from('attendance_regularizations').delete().eq('employeeId', id);
 
         const { error } = await supabase.from('employees').delete().eq('id', id);
         if (error) throw new Error(error.message);
@@ -140,6 +141,95 @@ const deleteEmployee = async (id) => {
     });
 };
 
+// ==================== ADMIN USERS ====================
+
+const getAllAdminUsers = async () => {
+    return getCached('admin_users_all', async () => {
+        return retry(async () => {
+            const { data, error } = await supabase.from('admin_users').select('*');
+            if (error) throw new Error(error.message);
+            return data || [];
+        });
+    });
+};
+
+const getAdminUserById = async (id) => {
+    const users = await getAllAdminUsers();
+    return users.find(u => String(u.id) === String(id)) || null;
+};
+
+const createAdminUser = async (user) => {
+    return retry(async () => {
+        const { data, error } = await supabase.from('admin_users').insert([user]).select().single();
+        if (error) throw new Error(error.message);
+        invalidateCache('admin_users');
+        return data;
+    }, 2, 800);
+};
+
+const updateAdminUser = async (id, user) => {
+    return retry(async () => {
+        const { data, error } = await supabase.from('admin_users').update(user).eq('id', id).select().single();
+        if (error) throw new Error(error.message);
+        invalidateCache('admin_users');
+        return data;
+    });
+};
+
+const deleteAdminUser = async (id) => {
+    return retry(async () => {
+        const { error } = await supabase.from('admin_users').delete().eq('id', id);
+        if (error) throw new Error(error.message);
+        invalidateCache('admin_users');
+        return { success: true };
+    });
+};
+
+// ==================== WORK SITES ====================
+// Job sites with a geofence; employeeIds lists the workers assigned to each
+
+const getAllSites = async () => {
+    return getCached('sites_all', async () => {
+        return retry(async () => {
+            const { data, error } = await supabase.from('sites').select('*');
+            if (error) throw new Error(error.message);
+            return data || [];
+        });
+    });
+};
+
+const getSiteById = async (id) => {
+    const sites = await getAllSites();
+    return sites.find(s => String(s.id) === String(id)) || null;
+};
+
+const createSite = async (site) => {
+    return retry(async () => {
+        const { data, error } = await supabase.from('sites').insert([site]).select().single();
+        if (error) throw new Error(error.message);
+        invalidateCache('sites');
+        return data;
+    }, 2, 800);
+};
+
+const updateSite = async (id, site) => {
+    return retry(async () => {
+        const { data, error } = await supabase.from('sites').update(site).eq('id', id).select().single();
+        if (error) throw new Error(error.message);
+        invalidateCache('sites');
+        return data;
+    });
+};
+
+const deleteSite = async (id) => {
+    return retry(async () => {
+        const { error } = await supabase.from('sites').delete().eq('id', id);
+        if (error) throw new Error(error.message);
+        invalidateCache('sites');
+        return { success: true };
+    });
+};
+
 const fetchAllFromTable = async (tableName, selectStr = '*') => {
     return retry(async () => {
         const { data: firstPage, error, count } = await supabase
@@ -166,12 +256,80 @@ const fetchAllFromTable = async (tableName, selectStr = '*') => {
     });
 };
 
+// Pages through one employee's rows (filter is a PostgREST .or() expression)
+const fetchEmployeeRows = async (tableName, filter) => {
+    return retry(async () => {
+        const rows = [];
+        for (let from = 0; ; from += 1000) {
+            const { data, error } = await supabase.from(tableName).select('*').or(filter).range(from, from + 999);
+            if (error) throw new Error(error.message);
+            rows.push(...(data || []));
+            if (!data || data.length < 1000) return rows;
+        }
+    });
+};
+
+// One page of a table for the admin lists: { rows, total, totals }. `filter` adds the .eq()/.or() calls
+// to a query; `sumColumns` are totalled over every matching row, not just the page.
+const fetchTablePage = async (tableName, filter, { sort, page, pageSize, sumColumns = [] }) => {
+    return retry(async () => {
+        const from = (page - 1) * pageSize;
+        const { data, error, count } = await filter(supabase.from(tableName).select('*', { count: 'exact' }))
+            .order(sort.column, { ascending: sort.ascending })
+            .order('createdAt', { ascending: false, nullsFirst: false })
+            .order('id', { ascending: false })
+            .range(from, from + pageSize - 1);
+        if (error) throw new Error(error.message);
+
+        const totals = {};
+        sumColumns.forEach(c => { totals[c] = 0; });
+        if (sumColumns.length > 0 && count > 0) {
+            for (let start = 0; start < count; start += 1000) {
+                const res = await filter(supabase.from(tableName).select(sumColumns.join(','))).order('id').range(start, start + 999);
+                if (res.error) throw new Error(res.error.message);
+                (res.data || []).forEach(r => sumColumns.forEach(c => { totals[c] += parseFloat(r[c]) || 0; }));
+            }
+            sumColumns.forEach(c => { totals[c] = Math.round(totals[c] * 100) / 100; });
+        }
+        return { rows: data || [], total: count || 0, totals };
+    });
+};
+
+// Attendance list filters (see listQuery.js). `employeeIds` limits a supervisor to their crew.
+const ATTENDANCE_FLAG_FILTERS = {
+    mocked: q => q.eq('securityFlag', 'MOCKED_LOCATION'),
+    outside: q => q.eq('securityFlag', 'OUTSIDE_GEOFENCE'),
+    auto_closed: q => q.not('autoClosedAt', 'is', null),
+    offline: q => q.or('checkInSyncedAt.not.is.null,checkOutSyncedAt.not.is.null'),
+    clock_skew: q => q.not('clockSkewMinutes', 'is', null),
+    open: q => q.is('timeOut', null)
+};
+
+const getAttendancePage = async ({ employeeId, employeeIds, from, to, siteId, flag, sort, page, pageSize }) => {
+    const filter = (q) => {
+        if (employeeId) q = q.eq('employeeId', employeeId);
+        if (employeeIds) q = q.in('employeeId', employeeIds);
+        if (from) q = q.gte('date', from);
+        if (to) q = q.lte('date', to);
+        if (siteId) q = siteId === 'unassigned' ? q.is('siteId', null) : q.eq('siteId', siteId);
+        if (flag) q = ATTENDANCE_FLAG_FILTERS[flag](q);
+        return q;
+    };
+    return fetchTablePage('attendance', filter, { sort, page, pageSize, sumColumns: ['workedHours', 'fare'] });
+};
+
 const getAllAttendance = async () => {
     return getCached('attendance_all', async () => {
         return fetchAllFromTable('attendance');
     });
 };
 
+const getAttendanceByEmployee = async (employeeId) => {
+    return getCached(`attendance_emp_${employeeId}`, async () => {
+        return fetchEmployeeRows('attendance', `employeeId.eq.${employeeId}`);
+    });
+};
+
 const getAttendanceById = async (id) => {
     return retry(async () => {
         const { data, error } = await supabase.from('attendance').select('*').eq('id', id).single();
@@ -195,8 +353,9 @@ const checkDuplicateAttendance = async (employeeId, date) => {
 };
 
 const createAttendance = async (attendance) => {
+    const row = stampNewRecord(attendance);
     return retry(async () => {
-        const { data, error } = await supabase.from('attendance').insert([attendance]).select().single();
+        const { data, error } = await supabase.from('attendance').insert([row]).select().single();
         if (error) throw new Error(error.message);
         invalidateCache('attendance');
         return data;
@@ -229,6 +388,23 @@ const getAllAdvances = async () => {
     });
 };
 
+const getAdvancesByEmployee = async (employeeId) => {
+    return getCached(`advances_emp_${employeeId}`, async () => {
+        return fetchEmployeeRows('advances', `employeeId.eq.${employeeId}`);
+    });
+};
+
+// One page of advances by date (see listQuery.js); the month filter, which goes by installment, is the route's
+const getAdvancesPage = async ({ employeeId, from, to, sort, page, pageSize }) => {
+    const filter = (q) => {
+        if (employeeId) q = q.eq('employeeId', employeeId);
+        if (from) q = q.gte('date', from);
+        if (to) q = q.lte('date', to);
+        return q;
+    };
+    return fetchTablePage('advances', filter, { sort, page, pageSize, sumColumns: ['amount'] });
+};
+
 const getAdvanceById = async (id) => {
     return retry(async () => {
         const { data, error } = await supabase.from('advances').select('*').eq('id', id).single();
@@ -238,8 +414,9 @@ const getAdvanceById = async (id) => {
 };
 
 const createAdvance = async (advance) => {
+    const row = stampNewRecord(advance);
     return retry(async () => {
-        const { data, error } = await supabase.from('advances').insert([advance]).select().single();
+        const { data, error } = await supabase.from('advances').insert([row]).select().single();
         if (error) throw new Error(error.message);
         invalidateCache('advances');
         return data;
@@ -277,21 +454,54 @@ const getAllDebitNotes = async () => {
     });
 };
 
+// A month filter means the deduction month: deductionMonth, or the month of `date` when it is not set
+const getDebitNotesPage = async ({ employeeId, month, from, to, sort, page, pageSize }) => {
+    // Both conditions are OR groups; PostgREST takes one or= parameter, so they are ANDed inside it
+    const groups = [];
+    if (employeeId) groups.push(`or(employeeId.eq.${employeeId},empId.eq.${employeeId})`);
+    if (month) groups.push(`or(deductionMonth.eq.${month},and(deductionMonth.is.null,date.gte.${from},date.lte.${to}))`);
+    const filter = (q) => {
+        if (groups.length > 0) q = q.or(`and(${groups.join(',')})`);
+        if (month) return q;
+        if (from) q = q.gte('date', from);
+        if (to) q = q.lte('date', to);
+        return q;
+    };
+    const result = await fetchTablePage('debit_notes', filter, { sort, page, pageSize, sumColumns: ['amount'] });
+    result.rows.forEach(d => {
+        if (!d.employeeId && d.empId) d.employeeId = d.empId;
+        if (!d.empId && d.employeeId) d.empId = d.employeeId;
+    });
+    return result;
+};
+
+const getDebitNotesByEmployee = async (employeeId) => {
+    return getCached(`debit_notes_emp_${employeeId}`, async () => {
+        const data = await fetchEmployeeRows('debit_notes', `employeeId.eq.${employeeId},empId.eq.${employeeId}`);
+        data.forEach(d => {
+            if (!d.employeeId && d.empId) d.employeeId = d.empId;
+            if (!d.empId && d.employeeId) d.empId = d.employeeId;
+        });
+        return data;
+    });
+};
+
 const getDebitNoteById = async (id) => {
     return retry(async () => {
         const { data, error } = await supabase.from('debit_notes').select('*').eq('id', id).single();
         if (error) throw new Error(error.message);
         if (data) {
             if (!data.employeeId && data.empId) data.employeeId = data.empId;
-            if (!data.empId && d.employeeId) data.empId = data.employeeId;
+            if (!data.empId && data.employeeId) data.empId = data.employeeId;
         }
         return data;
     });
 };
 
 const createDebitNote = async (debitNote) => {
+    const row = stampNewRecord(debitNote);
     return retry(async () => {
-        const payload = { ...debitNote };
+        const payload = { ...row };
         const empIdVal = payload.employeeId || payload.empId;
         payload.employeeId = empIdVal;
         payload.empId = empIdVal;
@@ -378,6 +588,24 @@ const getAllPayments = async () => {
     });
 };
 
+// A month filter means the salary month the payment was made against
+const getPaymentsPage = async ({ employeeId, month, from, to, sort, page, pageSize }) => {
+    const filter = (q) => {
+        if (employeeId) q = q.eq('employeeId', employeeId);
+        if (month) return q.eq('salaryMonth', month);
+        if (from) q = q.gte('date', from);
+        if (to) q = q.lte('date', to);
+        return q;
+    };
+    return fetchTablePage('payments', filter, { sort, page, pageSize, sumColumns: ['amount'] });
+};
+
+const getPaymentsByEmployee = async (employeeId) => {
+    return getCached(`payments_emp_${employeeId}`, async () => {
+        return fetchEmployeeRows('payments', `employeeId.eq.${employeeId}`);
+    });
+};
+
 const getPaymentById = async (id) => {
     return retry(async () => {
         const { data, error } = await supabase.from('payments').select('*').eq('id', id).single();
@@ -387,8 +615,9 @@ const getPaymentById = async (id) => {
 };
 
 const createPayment = async (payment) => {
+    const row = stampNewRecord(payment);
     return retry(async () => {
-        const { data, error } = await supabase.from('payments').insert([payment]).select().single();
+        const { data, error } = await supabase.from('payments').insert([row]).select().single();
         if (error) throw new Error(error.message);
         invalidateCache('payments');
         return data;
@@ -413,6 +642,194 @@ const deletePayment = async (id) => {
     });
 };
 
+// ==================== SALARY REVISIONS ====================
+// Effective-dated pay terms per employee; the employees row holds the terms in force today
+
+const getAllSalaryRevisions = async () => {
+    return getCached('salary_revisions_all', async () => {
+        return fetchAllFromTable('salary_revisions');
+    });
+};
+
+const getSalaryRevisionsByEmployee = async (employeeId) => {
+    return getCached(`salary_revisions_emp_${employeeId}`, async () => {
+        return fetchEmployeeRows('salary_revisions', `employeeId.eq.${employeeId}`);
+    });
+};
+
+const getSalaryRevisionById = async (id) => {
+    return retry(async () => {
+        const { data, error } = await supabase.from('salary_revisions').select('*').eq('id', id).single();
+        if (error) throw new Error(error.message);
+        return data;
+    });
+};
+
+const createSalaryRevision = async (revision) => {
+    return retry(async () => {
+        const { data, error } = await supabase.from('salary_revisions').insert([revision]).select().single();
+        if (error) throw new Error(error.message);
+        invalidateCache('salary_revisions');
+        return data;
+    }, 2, 800);
+};
+
+const updateSalaryRevision = async (id, revision) => {
+    return retry(async () => {
+        const { data, error } = await supabase.from('salary_revisions').update(revision).eq('id', id).select().single();
+        if (error) throw new Error(error.message);
+        invalidateCache('salary_revisions');
+        return data;
+    });
+};
+
+const deleteSalaryRevision = async (id) => {
+    return retry(async () => {
+        const { error } = await supabase.from('salary_revisions').delete().eq('id', id);
+        if (error) throw new Error(error.message);
+        invalidateCache('salary_revisions');
+        return { success: true };
+    });
+};
+
+// ==================== LEAVES ====================
+// Leave requests (pending / approved / rejected / cancelled); only approved leave reaches payroll
+
+const getAllLeaves = async () => {
+    return getCached('leaves_all', async () => {
+        return fetchAllFromTable('leaves');
+    });
+};
+
+const getLeavesByEmployee = async (employeeId) => {
+    return getCached(`leaves_emp_${employeeId}`, async () => {
+        return fetchEmployeeRows('leaves', `employeeId.eq.${employeeId}`);
+    });
+};
+
+const getLeaveById = async (id) => {
+    return retry(async () => {
+        const { data, error } = await supabase.from('leaves').select('*').eq('id', id).maybeSingle();
+        if (error) throw new Error(error.message);
+        return data;
+    });
+};
+
+const createLeave = async (leave) => {
+    return retry(async () => {
+        const { data, error } = await supabase.from('leaves').insert([leave]).select().single();
+        if (error) throw new Error(error.message);
+        invalidateCache('leaves');
+        return data;
+    }, 2, 800);
+};
+
+const updateLeave = async (id, leave) => {
+    return retry(async () => {
+        const { data, error } = await supabase.from('leaves').update(leave).eq('id', id).select().single();
+        if (error) throw new Error(error.message);
+        invalidateCache('leaves');
+        return data;
+    });
+};
+
+const deleteLeave = async (id) => {
+    return retry(async () => {
+        const { error } = await supabase.from('leaves').delete().eq('id', id);
+        if (error) throw new Error(error.message);
+        invalidateCache('leaves');
+        return { success: true };
+    });
+};
+
+// ==================== ATTENDANCE REGULARIZATIONS ====================
+// Corrections to attendance asked for from the portal; approving one writes the attendance row
+
+const getAllRegularizations = async () => {
+    return getCached('regularizations_all', async () => {
+        return fetchAllFromTable('attendance_regularizations');
+    });
+};
+
+const getRegularizationsByEmployee = async (employeeId) => {
+    return getCached(`regularizations_emp_${employeeId}`, async () => {
+        return fetchEmployeeRows('attendance_regularizations', `employeeId.eq.${employeeId}`);
+    });
+};
+
+const getRegularizationById = async (id) => {
+    return retry(async () => {
+        const { data, error } = await supabase.from('attendance_regularizations').select('*').eq('id', id).maybeSingle();
+        if (error) throw new Error(error.message);
+        return data;
+    });
+};
+
+const createRegularization = async (request) => {
+    return retry(async () => {
+        const { data, error } = await supabase.from('attendance_regularizations').insert([request]).select().single();
+        if (error) throw new Error(error.message);
+        invalidateCache('regularizations');
+        return data;
+    }, 2, 800);
+};
+
+const updateRegularization = async (id, request) => {
+    return retry(async () => {
+        const { data, error } = await supabase.from('attendance_regularizations').update(request).eq('id', id).select().single();
+        if (error) throw new Error(error.message);
+        invalidateCache('regularizations');
+        return data;
+    });
+};
+
+// ==================== PAYROLL CLOSE ====================
+// A closed month keeps one immutable snapshot row per employee (the full payroll line)
+
+const getPayrollClosures = async () => {
+    return getCached('payroll_closures_all', async () => {
+        return fetchAllFromTable('payroll_closures');
+    });
+};
+
+const getAllPayrollSnapshots = async () => {
+    return getCached('payroll_snapshots_all', async () => {
+        return fetchAllFromTable('payroll_snapshots');
+    });
+};
+
+const getPayrollSnapshotsByEmployee = async (employeeId) => {
+    return getCached(`payroll_snapshots_emp_${employeeId}`, async () => {
+        return fetchEmployeeRows('payroll_snapshots', `employeeId.eq.${employeeId}`);
+    });
+};
+
+const closePayrollMonth = async (closure, snapshots) => {
+    return retry(async () => {
+        if (snapshots.length > 0) {
+            const { error: snapErr } = await supabase.from('payroll_snapshots').insert(snapshots);
+            if (snapErr) throw new Error(snapErr.message);
+        }
+        const { data, error } = await supabase.from('payroll_closures').insert([closure]).select().single();
+        if (error) {
+            await supabase.from('payroll_snapshots').delete().eq('month', closure.month);
+            throw new Error(error.message);
+        }
+        invalidateCache('payroll_');
+        return data;
+    }, 2, 800);
+};
+
+const reopenPayrollMonth = async (month) => {
+    return retry(async () => {
+        const { error } = await supabase.from('payroll_closures').delete().eq('month', month);
+        if (error) throw new Error(error.message);
+        await supabase.from('payroll_snapshots').delete().eq('month', month);
+        invalidateCache('payroll_');
+        return { success: true };
+    });
+};
+
 // ==================== SETTINGS ====================
 
 const getSettings = async () => {
@@ -435,6 +852,12 @@ const getSettings = async () => {
                 id: 1,
                 standardHours: parseFloat(data.standardHours || 8.5),
                 slabHours: parseFloat(data.slabHours || 6),
+                hourRules: Array.isArray(data.hourRules) ? data.hourRules : [], // Effective-dated history of the two values above
+                statutory: data.statutory || {}, // PF / ESI / PT rules; the payroll engine fills in defaults
+                leaveTypes: data.leaveTypes || [], // Paid flag / yearly days per leave type; same
+                autoClose: data.autoClose || {}, // How forgotten open shifts are closed; same
+                attendanceRules: data.attendanceRules || {}, // Shift timings and late marks; same
+                weeklyOff: data.weeklyOff === null || data.weeklyOff === undefined ? 0 : parseInt(data.weeklyOff, 10), // 0 = Sunday ... 6 = Saturday, -1 = none
                 maintenanceMode: isMaintenance,
                 maintenance_mode: isMaintenance
             };
@@ -451,6 +874,12 @@ const updateSettings = async (settings) => {
             slabHours: parseFloat(settings.slabHours || 6),
             maintenanceMode: isMaintenance
         };
+        if (settings.hourRules !== undefined) payload.hourRules = settings.hourRules;
+        if (settings.statutory !== undefined) payload.statutory = settings.statutory;
+        if (settings.leaveTypes !== undefined) payload.leaveTypes = settings.leaveTypes;
+        if (settings.autoClose !== undefined) payload.autoClose = settings.autoClose;
+        if (settings.attendanceRules !== undefined) payload.attendanceRules = settings.attendanceRules;
+        if (settings.weeklyOff !== undefined) payload.weeklyOff = settings.weeklyOff;
 
         const { data, error } = await supabase.from('settings').update(payload).eq('id', 1).select().single();
         if (error) {
@@ -466,27 +895,138 @@ const updateSettings = async (settings) => {
 
 // ==================== HOLIDAYS ====================
 
+// { id, date, name, type, paid }, sorted by date. Rows saved before holidays had names come back
+// as unnamed, unpaid company holidays.
 const getAllHolidays = async () => {
     return getCached('holidays_all', async () => {
         return retry(async () => {
-            const { data, error } = await supabase.from('holidays').select('date');
+            const { data, error } = await supabase.from('holidays').select('*');
             if (error) throw new Error(error.message);
-            return (data || []).map(row => row.date);
+            return (data || [])
+                .map(row => ({ id: row.id, date: row.date, name: row.name || '', type: row.type || 'company', paid: row.paid === true }))
+                .sort((a, b) => a.date.localeCompare(b.date));
         });
     });
 };
 
-const setHolidays = async (dates) => {
-    const { error: deleteError } = await supabase.from('holidays').delete().gt('id', 0);
-    if (deleteError) throw new Error(deleteError.message);
+const getHolidayById = async (id) => {
+    const holidays = await getAllHolidays();
+    return holidays.find(h => String(h.id) === String(id)) || null;
+};
 
-    if (dates.length > 0) {
-        const rows = dates.map(date => ({ date }));
-        const { error: insertError } = await supabase.from('holidays').insert(rows);
-        if (insertError) throw new Error(insertError.message);
-    }
+const createHoliday = async (holiday) => {
+    return retry(async () => {
+        const { data, error } = await supabase.from('holidays').insert([holiday]).select().single();
+        if (error) throw new Error(error.message);
+        invalidateCache('holidays');
+        return data;
+    }, 2, 800);
+};
+
+const updateHoliday = async (id, holiday) => {
+    return retry(async () => {
+        const { data, error } = await supabase.from('holidays').update(holiday).eq('id', id).select().single();
+        if (error) throw new Error(error.message);
+        invalidateCache('holidays');
+        return data;
+    });
+};
+
+const deleteHoliday = async (id) => {
+    return retry(async () => {
+        const { error } = await supabase.from('holidays').delete().eq('id', id);
+        if (error) throw new Error(error.message);
+        invalidateCache('holidays');
+        return { success: true };
+    });
+};
+
+// One insert for a whole imported calendar
+const insertHolidays = async (holidays) => {
+    if (holidays.length === 0) return [];
+    const { data, error } = await supabase.from('holidays').insert(holidays).select();
+    if (error) throw new Error(error.message);
     invalidateCache('holidays');
-    return { success: true };
+    return data || [];
+};
+
+// ==================== LOGIN ATTEMPTS ====================
+// Not cached: lockout state must be fresh on every login attempt.
+
+const getLoginAttempts = async (keys) => {
+    return retry(async () => {
+        const { data, error } = await supabase.from('login_attempts').select('*').in('key', keys);
+        if (error) throw new Error(error.message);
+        return data || [];
+    }, 2, 300);
+};
+
+// Writes `build(current)` over the counter row for `key` (current is null when there is none), but only if
+// the row has not changed since it was read; otherwise it is read again and rebuilt. Parallel failed logins
+// therefore each add to the count instead of all writing the same one. Returns the saved row.
+const updateLoginAttempt = async (key, build, maxTries = 8) => {
+    return retry(async () => {
+        for (let i = 0; i < maxTries; i++) {
+            const { data: found, error: readError } = await supabase.from('login_attempts').select('*').eq('key', key);
+            if (readError) throw new Error(readError.message);
+            const current = (found && found[0]) || null;
+            const next = build(current);
+
+            if (!current) {
+                const { data, error } = await supabase.from('login_attempts').insert([next]).select();
+                if (!error) return data[0];
+                if (error.code !== '23505') throw new Error(error.message);
+                continue; // Another attempt created the row first
+            }
+
+            let query = supabase.from('login_attempts').update(next).eq('key', key).eq('failures', current.failures);
+            query = current.updatedAt ? query.eq('updatedAt', current.updatedAt) : query.is('updatedAt', null);
+            const { data, error } = await query.select();
+            if (error) throw new Error(error.message);
+            if (data && data.length > 0) return data[0];
+        }
+        throw new Error(`Login counter ${key} kept changing while being updated`);
+    }, 2, 300);
+};
+
+const deleteLoginAttempt = async (key) => {
+    return retry(async () => {
+        const { error } = await supabase.from('login_attempts').delete().eq('key', key);
+        if (error) throw new Error(error.message);
+        return { success: true };
+    }, 2, 300);
+};
+
+const getActiveLockouts = async () => {
+    return retry(async () => {
+        const { data, error } = await supabase
+            .from('login_attempts')
+            .select('*')
+            .gt('lockedUntil', new Date().toISOString())
+            .order('lockedUntil', { ascending: false });
+        if (error) throw new Error(error.message);
+        return data || [];
+    });
+};
+
+const createLockoutEvent = async (event) => {
+    return retry(async () => {
+        const { data, error } = await supabase.from('login_lockout_events').insert([event]).select().single();
+        if (error) throw new Error(error.message);
+        return data;
+    }, 2, 300);
+};
+
+const getLockoutEvents = async (limit = 100) => {
+    return retry(async () => {
+        const { data, error } = await supabase
+            .from('login_lockout_events')
+            .select('*')
+            .order('createdAt', { ascending: false })
+            .limit(limit);
+        if (error) throw new Error(error.message);
+        return data || [];
+    });
 };
 
 // ==================== FACTORY RESET ====================
@@ -497,6 +1037,12 @@ const factoryReset = async () => {
         await supabase.from('advances').delete().gt('id', '');
         await supabase.from('debit_notes').delete().gt('id', '');
         await supabase.from('payments').delete().gt('id', '');
+        await supabase.from('salary_revisions').delete().gt('id', '');
+        await supabase.from('leaves').delete().gt('id', '');
+        await supabase.from('attendance_regularizations').delete().gt('id', '');
+        await supabase.from('payroll_snapshots').delete().gt('id', '');
+        await supabase.from('payroll_closures').delete().gt('month', '');
+        await supabase.from('sites').delete().gt('id', '');
         await supabase.from('employees').delete().gt('id', '');
         await supabase.from('holidays').delete().gt('id', 0);
 
@@ -639,10 +1185,60 @@ const getDatabaseUsageEstimate = async () => {
     });
 };
 
-const importData = async (payload) => {
+// Existing rows with these ids, by id, for the import checks (here and in the import route)
+const getRowsByIds = async (tableName, ids) => {
     return retry(async () => {
-        const { employees, attendance, advances, payments } = payload;
+        const found = new Map();
+        for (let i = 0; i < ids.length; i += 200) {
+            const { data, error } = await supabase.from(tableName).select('*').in('id', ids.slice(i, i + 200));
+            if (error) throw new Error(error.message);
+            (data || []).forEach(r => found.set(String(r.id), r));
+        }
+        return found;
+    });
+};
 
+// Rows with an id update that row, keeping when it was made; rows without one are added with a new id.
+// A sheet that repeats an id, or gives one that belongs to another employee's record, is refused as a
+// whole: upserting it would overwrite an unrelated row.
+const prepareImportRows = async (tableName, label, rows) => {
+    const seen = new Set();
+    rows.forEach(r => {
+        if (r.id === undefined || r.id === null || r.id === '') return;
+        const id = String(r.id);
+        if (seen.has(id)) throw new Error(`${label} Import Error: ID ${id} appears more than once in the sheet`);
+        seen.add(id);
+    });
+
+    const existing = await getRowsByIds(tableName, [...seen]);
+    return rows.map(r => {
+        const current = r.id === undefined || r.id === null || r.id === '' ? null : existing.get(String(r.id));
+        if (!current) return stampNewRecord(r);
+        const ownerOf = (row) => String(row.employeeId || row.empId || '');
+        if (tableName !== 'employees' && ownerOf(current) !== ownerOf(r)) {
+            throw new Error(`${label} Import Error: Record ID ${current.id} belongs to another employee's record`);
+        }
+        return { ...r, id: current.id, createdAt: current.createdAt || createdAtFromId(current.id) };
+    });
+};
+
+const IMPORT_TABLES = [
+    { key: 'employees', table: 'employees', label: 'Employee' },
+    { key: 'attendance', table: 'attendance', label: 'Attendance' },
+    { key: 'advances', table: 'advances', label: 'Advances' },
+    { key: 'debitNotes', table: 'debit_notes', label: 'Debit Notes' },
+    { key: 'payments', table: 'payments', label: 'Payments' }
+];
+
+const importData = async (payload) => {
+    // Every sheet is checked before any is written, so a refused import changes nothing
+    const batches = [];
+    for (const { key, table, label } of IMPORT_TABLES) {
+        const rows = payload[key];
+        if (rows && rows.length > 0) batches.push({ key, table, label, rows: await prepareImportRows(table, label, rows) });
+    }
+
+    return retry(async () => {
         let results = {
             employees: 0,
             attendance: 0,
@@ -650,42 +1246,208 @@ const importData = async (payload) => {
             payments: 0
         };
 
-        // Employees
-        if (employees && employees.length > 0) {
-            const { error } = await supabase.from('employees').upsert(employees, { onConflict: 'id' });
-            if (error) throw new Error("Employee Import Error: " + error.message);
-            results.employees = employees.length;
+        for (const { key, table, label, rows } of batches) {
+            const { error } = await supabase.from(table).upsert(rows, { onConflict: 'id' });
+            if (error) throw new Error(`${label} Import Error: ` + error.message);
+            invalidateCache(table);
+            results[key] = rows.length;
         }
 
-        // Attendance
-        if (attendance && attendance.length > 0) {
-            const { error } = await supabase.from('attendance').upsert(attendance, { onConflict: 'id' });
-            if (error) throw new Error("Attendance Import Error: " + error.message);
-            results.attendance = attendance.length;
-        }
+        return results;
+    });
+};
 
-        // Advances
-        if (advances && advances.length > 0) {
-            const { error } = await supabase.from('advances').upsert(advances, { onConflict: 'id' });
-            if (error) throw new Error("Advances Import Error: " + error.message);
-            results.advances = advances.length;
+// Migration for rows made before createdAt was stamped (npm run migrate:record-ids): the time is read
+// from their Date.now() id. Ids are left as they are, since other rows point at them. Safe to run again.
+const backfillCreatedAt = async () => {
+    const results = {};
+    for (const table of RECORD_TABLES) {
+        const rows = await fetchAllFromTable(table, 'id,createdAt');
+        const missing = rows.filter(r => !r.createdAt && createdAtFromId(r.id));
+        for (const r of missing) {
+            await retry(async () => {
+                const { error } = await supabase.from(table).update({ createdAt: createdAtFromId(r.id) }).eq('id', r.id);
+                if (error) throw new Error(error.message);
+            });
         }
+        invalidateCache(table);
+        results[table] = missing.length;
+    }
+    return results;
+};
 
-        // Debit Notes
-        if (payload.debitNotes && payload.debitNotes.length > 0) {
-            const { error } = await supabase.from('debit_notes').upsert(payload.debitNotes, { onConflict: 'id' });
-            if (error) throw new Error("Debit Notes Import Error: " + error.message);
-            results.debitNotes = payload.debitNotes.length;
-        }
+// ==================== AUDIT LOG ====================
+// Every create/update/delete below is recorded in audit_log with the acting user
+// and a before/after diff. Callers pass the actor (req.user) as the last argument.
+
+const AUDIT_REDACTED_FIELDS = ['password'];
 
-        // Payments
-        if (payments && payments.length > 0) {
-            const { error } = await supabase.from('payments').upsert(payments, { onConflict: 'id' });
-            if (error) throw new Error("Payments Import Error: " + error.message);
-            results.payments = payments.length;
+const redactForAudit = (row) => {
+    if (!row || typeof row !== 'object') return row || null;
+    const copy = { ...row };
+    AUDIT_REDACTED_FIELDS.forEach(f => { if (copy[f] !== undefined && copy[f] !== null) copy[f] = '[hidden]'; });
+    return copy;
+};
+
+// { field: { from, to } } for every field that differs
+const diffForAudit = (before, after) => {
+    const changes = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    keys.forEach(key => {
+        const from = before && before[key] !== undefined ? before[key] : null;
+        const to = after && after[key] !== undefined ? after[key] : null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[key] = AUDIT_REDACTED_FIELDS.includes(key) ? { from: '[hidden]', to: '[changed]' } : { from, to };
         }
+    });
+    return changes;
+};
 
-        return results;
+const getAuditSnapshot = async (table, id) => {
+    try {
+        const { data } = await supabase.from(table).select('*').eq('id', id).maybeSingle();
+        return data || null;
+    } catch (e) {
+        return null;
+    }
+};
+
+// Never throws: a failed audit write must not undo or block the change itself
+const writeAuditLog = async ({ action, entity, entityId, before = null, after = null, actor = null, summary = null }) => {
+    try {
+        const record = after || before || {};
+        const entry = {
+            id: newId(),
+            entity,
+            entityId: entityId != null ? String(entityId) : null,
+            employeeId: entity === 'employees' ? String(entityId) : (record.employeeId || record.empId || null),
+            action,
+            actorId: actor && actor.id != null ? String(actor.id) : 'system',
+            actorName: (actor && actor.name) || 'System',
+            actorRole: (actor && (actor.adminRole || actor.role)) || 'system',
+            before: redactForAudit(before),
+            after: redactForAudit(after),
+            changes: summary ? null : diffForAudit(before, after),
+            summary,
+            createdAt: new Date().toISOString()
+        };
+        const { error } = await supabase.from('audit_log').insert([entry]);
+        if (error) throw new Error(error.message);
+    } catch (e) {
+        console.error('⚠️ Audit log write failed:', e.message);
+    }
+};
+
+const auditedCreate = (entity, createFn) => async (record, actor) => {
+    const created = await createFn(record);
+    await writeAuditLog({ action: 'create', entity, entityId: created && created.id, after: created, actor });
+    return created;
+};
+
+const auditedUpdate = (entity, updateFn) => async (id, changes, actor) => {
+    const before = await getAuditSnapshot(entity, id);
+    const updated = await updateFn(id, changes);
+    await writeAuditLog({ action: 'update', entity, entityId: id, before, after: updated, actor });
+    return updated;
+};
+
+const auditedDelete = (entity, deleteFn) => async (id, actor) => {
+    const before = await getAuditSnapshot(entity, id);
+    const result = await deleteFn(id);
+    await writeAuditLog({ action: 'delete', entity, entityId: id, before, actor });
+    return result;
+};
+
+const auditedUpdateSettings = async (settings, actor) => {
+    const before = await getAuditSnapshot('settings', 1);
+    const updated = await updateSettings(settings);
+    await writeAuditLog({ action: 'update', entity: 'settings', entityId: 1, before, after: updated, actor });
+    return updated;
+};
+
+const auditedImportHolidays = async (holidays, actor) => {
+    if (holidays.length === 0) return [];
+    const created = await insertHolidays(holidays);
+    const years = [...new Set(holidays.map(h => h.date.substring(0, 4)))].join(', ');
+    await writeAuditLog({ action: 'create', entity: 'holidays', entityId: 'import', after: { holidays: created }, actor, summary: `Imported ${created.length} holiday(s) for ${years}` });
+    return created;
+};
+
+const auditedClosePayrollMonth = async (closure, snapshots, actor) => {
+    const created = await closePayrollMonth(closure, snapshots);
+    await writeAuditLog({ action: 'close', entity: 'payroll', entityId: closure.month, after: created, actor, summary: `Closed payroll for ${closure.month} (${snapshots.length} employees)` });
+    return created;
+};
+
+const auditedReopenPayrollMonth = async (month, actor) => {
+    const before = (await getPayrollClosures()).find(c => c.month === month) || null;
+    const result = await reopenPayrollMonth(month);
+    await writeAuditLog({ action: 'reopen', entity: 'payroll', entityId: month, before, actor, summary: `Reopened payroll for ${month}` });
+    return result;
+};
+
+// Installment plan changes keep the admin's note as the audit summary
+const auditedRescheduleAdvance = async (id, changes, note, actor) => {
+    const before = await getAuditSnapshot('advances', id);
+    const updated = await updateAdvance(id, changes);
+    await writeAuditLog({ action: 'reschedule', entity: 'advances', entityId: id, before, after: updated, actor, summary: note });
+    return updated;
+};
+
+// Approve / reject / cancel a leave request; `action` names the decision in the audit log
+const auditedDecideLeave = async (id, changes, action, summary, actor) => {
+    const before = await getAuditSnapshot('leaves', id);
+    const updated = await updateLeave(id, changes);
+    await writeAuditLog({ action, entity: 'leaves', entityId: id, before, after: updated, actor, summary });
+    return updated;
+};
+
+// One entry per shift closed by the stale-shift job; the summary says which policy closed it
+const auditedAutoCloseAttendance = async (id, changes, summary, actor) => {
+    const before = await getAuditSnapshot('attendance', id);
+    const updated = await updateAttendance(id, changes);
+    await writeAuditLog({ action: 'auto_close', entity: 'attendance', entityId: id, before, after: updated, actor, summary });
+    return updated;
+};
+
+// Approve / reject / cancel an attendance correction, like leave decisions
+const auditedDecideRegularization = async (id, changes, action, summary, actor) => {
+    const before = await getAuditSnapshot('attendance_regularizations', id);
+    const updated = await updateRegularization(id, changes);
+    await writeAuditLog({ action, entity: 'attendance_regularizations', entityId: id, before, after: updated, actor, summary });
+    return updated;
+};
+
+const auditedFactoryReset = async (actor) => {
+    const result = await factoryReset();
+    await writeAuditLog({ action: 'reset', entity: 'system', entityId: 'factory-reset', actor, summary: 'Cleared all table data' });
+    return result;
+};
+
+const auditedImportData = async (payload, actor) => {
+    const results = await importData(payload);
+    const counts = Object.entries(results).map(([table, n]) => `${table}: ${n}`).join(', ');
+    await writeAuditLog({ action: 'import', entity: 'system', entityId: 'import-data', actor, summary: `Imported ${counts}` });
+    return results;
+};
+
+// Filterable, newest first. Returns { entries, total }
+const getAuditLog = async ({ entity, entityId, employeeId, actorId, action, from, to, limit = 50, offset = 0 } = {}) => {
+    return retry(async () => {
+        let query = supabase.from('audit_log').select('*', { count: 'exact' });
+        if (entity) query = query.eq('entity', entity);
+        if (entityId) query = query.eq('entityId', String(entityId));
+        if (employeeId) query = query.eq('employeeId', String(employeeId));
+        if (actorId) query = query.eq('actorId', String(actorId));
+        if (action) query = query.eq('action', action);
+        if (from) query = query.gte('createdAt', `${from}T00:00:00`);
+        if (to) query = query.lte('createdAt', `${to}T23:59:59.999`);
+
+        const { data, error, count } = await query
+            .order('createdAt', { ascending: false })
+            .range(offset, offset + limit - 1);
+        if (error) throw new Error(error.message);
+        return { entries: data || [], total: count || 0 };
     });
 };
 
@@ -693,38 +1455,93 @@ module.exports = {
     supabase,
     getAllEmployees,
     getEmployeeById,
-    createEmployee,
-    updateEmployee,
-    deleteEmployee,
+    createEmployee: auditedCreate('employees', createEmployee),
+    updateEmployee: auditedUpdate('employees', updateEmployee),
+    deleteEmployee: auditedDelete('employees', deleteEmployee),
+    getAllAdminUsers,
+    getAdminUserById,
+    createAdminUser: auditedCreate('admin_users', createAdminUser),
+    updateAdminUser: auditedUpdate('admin_users', updateAdminUser),
+    deleteAdminUser: auditedDelete('admin_users', deleteAdminUser),
+    getAllSites,
+    getSiteById,
+    createSite: auditedCreate('sites', createSite),
+    updateSite: auditedUpdate('sites', updateSite),
+    deleteSite: auditedDelete('sites', deleteSite),
     getAllAttendance,
+    getAttendancePage,
+    getAttendanceByEmployee,
     getAttendanceById,
-    createAttendance,
-    updateAttendance,
-    deleteAttendance,
+    createAttendance: auditedCreate('attendance', createAttendance),
+    updateAttendance: auditedUpdate('attendance', updateAttendance),
+    autoCloseAttendance: auditedAutoCloseAttendance,
+    deleteAttendance: auditedDelete('attendance', deleteAttendance),
     checkDuplicateAttendance,
     getAllAdvances,
+    getAdvancesByEmployee,
+    getAdvancesPage,
     getAdvanceById,
-    createAdvance,
-    updateAdvance,
-    deleteAdvance,
+    createAdvance: auditedCreate('advances', createAdvance),
+    updateAdvance: auditedUpdate('advances', updateAdvance),
+    deleteAdvance: auditedDelete('advances', deleteAdvance),
+    rescheduleAdvance: auditedRescheduleAdvance,
     getAllDebitNotes,
+    getDebitNotesPage,
+    getDebitNotesByEmployee,
     getDebitNoteById,
-    createDebitNote,
-    updateDebitNote,
-    deleteDebitNote,
+    createDebitNote: auditedCreate('debit_notes', createDebitNote),
+    updateDebitNote: auditedUpdate('debit_notes', updateDebitNote),
+    deleteDebitNote: auditedDelete('debit_notes', deleteDebitNote),
     getAllPayments,
+    getPaymentsPage,
+    getPaymentsByEmployee,
     getPaymentById,
-    createPayment,
-    updatePayment,
-    deletePayment,
+    createPayment: auditedCreate('payments', createPayment),
+    updatePayment: auditedUpdate('payments', updatePayment),
+    deletePayment: auditedDelete('payments', deletePayment),
+    getAllSalaryRevisions,
+    getSalaryRevisionsByEmployee,
+    getSalaryRevisionById,
+    createSalaryRevision: auditedCreate('salary_revisions', createSalaryRevision),
+    updateSalaryRevision: auditedUpdate('salary_revisions', updateSalaryRevision),
+    deleteSalaryRevision: auditedDelete('salary_revisions', deleteSalaryRevision),
+    getAllLeaves,
+    getLeavesByEmployee,
+    getLeaveById,
+    createLeave: auditedCreate('leaves', createLeave),
+    decideLeave: auditedDecideLeave,
+    deleteLeave: auditedDelete('leaves', deleteLeave),
+    getAllRegularizations,
+    getRegularizationsByEmployee,
+    getRegularizationById,
+    createRegularization: auditedCreate('attendance_regularizations', createRegularization),
+    decideRegularization: auditedDecideRegularization,
+    getPayrollClosures,
+    getAllPayrollSnapshots,
+    getPayrollSnapshotsByEmployee,
+    closePayrollMonth: auditedClosePayrollMonth,
+    reopenPayrollMonth: auditedReopenPayrollMonth,
     getSettings,
-    updateSettings,
+    updateSettings: auditedUpdateSettings,
     getAllHolidays,
-    setHolidays,
-    factoryReset,
+    getHolidayById,
+    createHoliday: auditedCreate('holidays', createHoliday),
+    updateHoliday: auditedUpdate('holidays', updateHoliday),
+    deleteHoliday: auditedDelete('holidays', deleteHoliday),
+    importHolidays: auditedImportHolidays,
+    getLoginAttempts,
+    updateLoginAttempt,
+    deleteLoginAttempt,
+    getActiveLockouts,
+    createLockoutEvent,
+    getLockoutEvents,
+    factoryReset: auditedFactoryReset,
     uploadFile,
     getStorageUsage,
     getDatabaseUsageEstimate,
-    importData,
-    deleteFile
+    importData: auditedImportData,
+    getRowsByIds,
+    backfillCreatedAt,
+    deleteFile,
+    getAuditLog
 };
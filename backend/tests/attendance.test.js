@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, seedEmployee, seedAttendance } = require('./helpers');
+
+let api;
+let adminToken;
+
+before(async () => {
+    api = await startApp();
+    adminToken = await api.loginAdmin();
+});
+
+after(() => api.close());
+
+const markAttendance = (employee, fields) => api.request('POST', '/attendance', {
+    token: adminToken,
+    body: { employeeId: employee.id, employeeName: employee.name, timeIn: '09:00', timeOut: '17:30', workedHours: '8.50', ...fields }
+});
+
+test('attendance cannot be marked twice for an employee on the same date', async () => {
+    const emp = await seedEmployee();
+    assert.equal((await markAttendance(emp, { date: '2024-03-04' })).status, 200);
+
+    const again = await markAttendance(emp, { date: '2024-03-04', timeIn: '10:00' });
+    assert.equal(again.status, 400);
+    assert.match(again.body.error, /already marked/);
+
+    assert.equal((await markAttendance(emp, { date: '2024-03-05' })).status, 200);
+    const list = await api.request('GET', '/attendance', { token: adminToken });
+    assert.deepEqual(list.body.filter(a => a.employeeId === emp.id).map(a => a.date).sort(), ['2024-03-04', '2024-03-05']);
+});
+
+test('another employee can be marked on the same date', async () => {
+    const first = await seedEmployee();
+    const second = await seedEmployee();
+    await seedAttendance(first, { date: '2024-03-06', timeIn: '09:00', timeOut: '17:30', workedHours: '8.5' });
+    assert.equal((await markAttendance(second, { date: '2024-03-06' })).status, 200);
+});
+
+test('a worker checking in twice in a day is refused the second time', async () => {
+    const created = await api.request('POST', '/employees', { token: adminToken, body: { name: 'Kiran', salary: 750, password: 'kiran-pass', restrictEarlyCheckIn: false } });
+    const login = await api.request('POST', '/login', { body: { empName: 'Kiran', password: 'kiran-pass', type: 'employee' } });
+    const token = login.body.token;
+
+    const first = await api.request('POST', '/attendance', { token, body: { clientTime: new Date().toISOString() } });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.employeeId, created.body.id);
+    assert.equal(first.body.timeOut, null);
+
+    const second = await api.request('POST', '/attendance', { token, body: { clientTime: new Date().toISOString() } });
+    assert.equal(second.status, 400);
+});
+
+test('a worker\'s own check-in cannot set their fare, pay modes or security flag', async () => {
+    await api.request('POST', '/employees', { token: adminToken, body: { name: 'Meena', salary: 700, password: 'meena-pass', restrictEarlyCheckIn: false } });
+    const login = await api.request('POST', '/login', { body: { empName: 'Meena', password: 'meena-pass', type: 'employee' } });
+    const token = login.body.token;
+
+    const checkIn = await api.request('POST', '/attendance', {
+        token,
+        body: { clientTime: new Date().toISOString(), fare: 500, slabMode: true, sundayMode: true, securityFlag: 'TRUSTED' }
+    });
+    assert.equal(checkIn.status, 200);
+    assert.equal(Number(checkIn.body.fare), 0);
+    assert.equal(checkIn.body.slabMode, false);
+    assert.equal(checkIn.body.sundayMode, false);
+    assert.equal(checkIn.body.securityFlag, 'SECURE');
+
+    // A phone reporting a mocked location can raise the flag; a later "SECURE" cannot clear it
+    const mocked = await api.request('PUT', `/attendance/${checkIn.body.id}`, {
+        token,
+        body: { clientTime: new Date().toISOString(), securityFlag: 'MOCKED_LOCATION' }
+    });
+    assert.equal(mocked.status, 200);
+    assert.equal(mocked.body.securityFlag, 'MOCKED_LOCATION');
+});
+
+test('the paged attendance list filters by month and totals hours and fare', async () => {
+    const emp = await seedEmployee();
+    await seedAttendance(emp, { date: '2024-04-01', workedHours: '8.5', fare: 30 });
+    await seedAttendance(emp, { date: '2024-04-02', workedHours: '4', fare: 20 });
+    await seedAttendance(emp, { date: '2024-05-01', workedHours: '9', fare: 10 });
+
+    const page = await api.request('GET', `/attendance?employeeId=${emp.id}&month=2024-04&pageSize=1`, { token: adminToken });
+    assert.equal(page.status, 200);
+    assert.equal(page.body.total, 2);
+    assert.equal(page.body.pages, 2);
+    assert.deepEqual(page.body.rows.map(a => a.date), ['2024-04-02']);
+    assert.deepEqual(page.body.totals, { workedHours: 12.5, fare: 50 });
+});
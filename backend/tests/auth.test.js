@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let api;
+let adminToken;
+
+before(async () => {
+    api = await startApp();
+    adminToken = await api.loginAdmin();
+});
+
+after(() => api.close());
+
+test('the built-in owner logs in with the password from the environment', async () => {
+    const res = await api.request('POST', '/login', { body: { username: 'ADMIN', password: process.env.ADMIN_PASSWORD, type: 'admin' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.role, 'admin');
+    assert.equal(res.body.adminRole, 'owner');
+    assert.ok(res.body.token);
+
+    const session = await api.request('GET', '/session', { token: res.body.token });
+    assert.equal(session.status, 200);
+    assert.ok(session.body.permissions.includes('*'));
+});
+
+test('a wrong admin password is refused', async () => {
+    const res = await api.request('POST', '/login', { body: { username: 'admin', password: 'wrong', type: 'admin' } });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.token, undefined);
+});
+
+test('API routes need a session token', async () => {
+    assert.equal((await api.request('GET', '/employees')).status, 401);
+    assert.equal((await api.request('GET', '/employees', { token: 'not-a-token' })).status, 401);
+    assert.equal((await api.request('GET', '/employees', { token: adminToken })).status, 200);
+});
+
+test('an employee logs in by name and cannot open admin routes', async () => {
+    const created = await api.request('POST', '/employees', { token: adminToken, body: { name: 'Suresh Patel', salary: 700, password: 'site-pass' } });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.password, undefined);
+
+    const login = await api.request('POST', '/login', { body: { empName: 'suresh patel', password: 'site-pass', type: 'employee' } });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.role, 'employee');
+    assert.equal(login.body.id, created.body.id);
+    assert.equal(login.body.mustChangePassword, false);
+
+    assert.equal((await api.request('GET', '/payroll?month=2024-02', { token: login.body.token })).status, 403);
+    assert.equal((await api.request('POST', '/login', { body: { empName: 'Suresh Patel', password: 'nope', type: 'employee' } })).status, 401);
+});
+
+test('an employee on the default password must change it first', async () => {
+    const created = await api.request('POST', '/employees', { token: adminToken, body: { name: 'Mahesh', salary: 700 } });
+    const login = await api.request('POST', '/login', { body: { empName: 'Mahesh', password: '123456', type: 'employee' } });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.mustChangePassword, true);
+
+    const blocked = await api.request('GET', '/holidays', { token: login.body.token });
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.mustChangePassword, true);
+    assert.ok(created.body.id);
+
+    // The portal's own routes are held back too, except the profile and the password change
+    assert.equal((await api.request('GET', '/me/attendance', { token: login.body.token })).status, 403);
+    assert.equal((await api.request('POST', '/attendance', { token: login.body.token, body: {} })).status, 403);
+    assert.equal((await api.request('GET', '/me/profile', { token: login.body.token })).status, 200);
+
+    const changed = await api.request('POST', '/me/password', { token: login.body.token, body: { currentPassword: '123456', newPassword: 'mahesh-new-pass' } });
+    assert.equal(changed.status, 200);
+    assert.equal((await api.request('GET', '/me/attendance', { token: changed.body.token })).status, 200);
+});
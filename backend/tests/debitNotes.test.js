@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, seedEmployee, dbService } = require('./helpers');
+
+let api;
+let adminToken;
+
+before(async () => {
+    api = await startApp();
+    adminToken = await api.loginAdmin();
+});
+
+after(() => api.close());
+
+const listNotes = async (employee) => {
+    const res = await api.request('GET', `/debit-notes?employeeId=${employee.id}`, { token: adminToken });
+    assert.equal(res.status, 200);
+    return res.body.rows;
+};
+
+test('editing a debit note keeps its id and does not add a row', async () => {
+    const emp = await seedEmployee();
+    const note = { employeeId: emp.id, amount: 100, date: '2024-05-10', deductionMonth: '2024-05', reason: 'Lost tools' };
+    const created = await api.request('POST', '/debit-notes', { token: adminToken, body: note });
+    assert.equal(created.status, 200);
+
+    const edited = await api.request('PUT', `/debit-notes/${created.body.id}`, { token: adminToken, body: { ...note, amount: 150 } });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.id, created.body.id);
+    assert.equal(edited.body.createdAt, created.body.createdAt);
+
+    const rows = await listNotes(emp);
+    assert.deepEqual(rows.map(d => [d.id, d.amount]), [[created.body.id, 150]]);
+});
+
+test('a note stored without the old empId column can still be edited and deleted', async () => {
+    const emp = await seedEmployee();
+    const id = 'dn-no-empid';
+    const { error } = await dbService.supabase.from('debit_notes').insert([{ id, employeeId: emp.id, empId: null, amount: 80, date: '2024-05-12', deductionMonth: '2024-05', reason: 'Broken helmet' }]);
+    assert.equal(error, null);
+
+    const edited = await api.request('PUT', `/debit-notes/${id}`, {
+        token: adminToken,
+        body: { employeeId: emp.id, amount: 60, date: '2024-05-12', deductionMonth: '2024-05', reason: 'Broken helmet' }
+    });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.amount, 60);
+
+    const removed = await api.request('DELETE', `/debit-notes/${id}`, { token: adminToken });
+    assert.equal(removed.status, 200);
+    assert.deepEqual(await listNotes(emp), []);
+});
@@ -0,0 +1,78 @@
+// Test harness: the Express app from server.js on the in-memory database (DB_BACKEND=memory),
+// listening on a free port. The environment is set before the app loads, and dotenv never overrides
+// it, so a developer's .env cannot point the tests at Supabase. Each test file runs in its own
+// process and so starts from an empty database.
+process.env.DB_BACKEND = 'memory';
+process.env.SESSION_SECRET = 'test-session-secret';
+process.env.ADMIN_USERNAME = 'admin';
+process.env.ADMIN_PASSWORD = 'admin-test-password';
+delete process.env.CRON_SECRET;
+
+const app = require('../../server');
+const dbService = require('../services/supabase-db');
+
+// Starts the app; resolves { request, loginAdmin, close }
+const startApp = () => new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+        const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+        // JSON request; resolves { status, body }
+        const request = async (method, url, { token, body, headers: extraHeaders } = {}) => {
+            const headers = { 'Content-Type': 'application/json', ...extraHeaders };
+            if (token) headers.Authorization = `Bearer ${token}`;
+            const res = await fetch(baseUrl + url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+            return { status: res.status, body: await res.json().catch(() => null) };
+        };
+
+        const loginAdmin = async () => {
+            const res = await request('POST', '/login', { body: { username: 'admin', password: process.env.ADMIN_PASSWORD, type: 'admin' } });
+            return res.body.token;
+        };
+
+        const close = () => new Promise((done) => {
+            server.closeAllConnections();
+            server.close(done);
+        });
+
+        resolve({ request, loginAdmin, close });
+    });
+});
+
+// Fixture rows go straight into the database with fixed ids, so tests do not depend on the routes that create them
+let fixtureSeq = 0;
+const nextId = (prefix) => `${prefix}-${++fixtureSeq}`;
+
+const seedEmployee = (fields = {}) => dbService.createEmployee({
+    id: nextId('emp'),
+    name: `Worker ${fixtureSeq}`,
+    salary: 800,
+    employee_type: 'daily_wage',
+    monthly_fare: 0,
+    normalHours: null,
+    slabBaseHours: null,
+    ...fields
+});
+
+const seedAttendance = (employee, fields) => dbService.createAttendance({
+    id: nextId('att'),
+    employeeId: employee.id,
+    employeeName: employee.name,
+    fare: 0,
+    slabMode: false,
+    sundayMode: false,
+    halfDay: false,
+    ...fields
+});
+
+const seedPayment = (employee, fields) => dbService.createPayment({ id: nextId('pay'), employeeId: employee.id, mode: 'Cash', ...fields });
+
+const seedAdvance = (employee, fields) => dbService.createAdvance({ id: nextId('adv'), employeeId: employee.id, mode: 'Cash', ...fields });
+
+module.exports = {
+    dbService,
+    startApp,
+    seedEmployee,
+    seedAttendance,
+    seedPayment,
+    seedAdvance
+};
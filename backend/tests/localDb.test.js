@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalClient } = require('../services/localDb');
+
+// The local stores behind DB_BACKEND=memory / json, checked against how Postgres behaves
+
+test('an update that changes the key replaces the row instead of adding one', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'siddhi-db-')), 'db.json');
+    const db = createLocalClient({ kind: 'json', file });
+    await db.from('sites').insert([{ id: 'a', name: 'Depot' }, { id: 'b', name: 'Yard' }]);
+
+    const moved = await db.from('sites').update({ id: 'c', name: 'Depot 2' }).eq('id', 'a').select();
+    assert.equal(moved.error, null);
+    assert.deepEqual((await db.from('sites').select('*').order('id')).data, [{ id: 'b', name: 'Yard' }, { id: 'c', name: 'Depot 2' }]);
+
+    const clash = await db.from('sites').update({ id: 'b' }).eq('id', 'c');
+    assert.equal(clash.error.code, '23505');
+
+    // The file holds the same rows after a reload
+    const reopened = createLocalClient({ kind: 'json', file });
+    assert.deepEqual((await reopened.from('sites').select('id').order('id')).data, [{ id: 'b' }, { id: 'c' }]);
+    fs.rmSync(path.dirname(file), { recursive: true });
+});
@@ -0,0 +1,48 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, dbService } = require('./helpers');
+const { getLoginContext, recordLoginFailure, checkLoginAllowed } = require('../services/loginGuard');
+
+let api;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(() => api.close());
+
+test('failed logins made at the same moment each count', async () => {
+    const ctx = getLoginContext({ ip: '10.0.0.9', headers: {}, socket: {} }, 'employee', 'Ramesh');
+    await Promise.all([1, 2, 3, 4, 5].map(() => recordLoginFailure({ ...ctx, keys: ctx.keys.filter(k => k.keyType === 'username') })));
+
+    const [row] = await dbService.getLoginAttempts(['user:employee:ramesh']);
+    assert.equal(row.failures, 5);
+    assert.ok(row.lockedUntil);
+
+    const guard = await checkLoginAllowed(ctx);
+    assert.equal(guard.allowed, false);
+    assert.match(guard.message, /temporarily locked/);
+});
+
+test('a made-up X-Forwarded-For does not get round the per-IP limit', async () => {
+    const attempt = (n) => api.request('POST', '/login', {
+        headers: { 'X-Forwarded-For': `203.0.113.${n}` },
+        body: { username: `guess-${n}`, password: 'wrong', type: 'admin' }
+    });
+    for (const n of [1, 2, 3]) assert.equal((await attempt(n)).status, 401);
+
+    const fourth = await attempt(4);
+    assert.equal(fourth.status, 429);
+    assert.match(fourth.body.error, /Too many attempts/);
+});
+
+test('a login let through because the guard store failed is logged as an error', async (t) => {
+    t.after(() => mock.restoreAll());
+    mock.method(dbService, 'getLoginAttempts', async () => { throw new Error('relation "login_attempts" does not exist'); });
+    const logged = mock.method(console, 'error', () => {});
+
+    const ctx = getLoginContext({ ip: '10.0.0.12', headers: {}, socket: {} }, 'admin', 'owner');
+    assert.deepEqual(await checkLoginAllowed(ctx), { allowed: true });
+    assert.equal(logged.mock.callCount(), 1);
+    assert.match(logged.mock.calls[0].arguments.join(' '), /user:admin:owner, ip:10\.0\.0\.12 without brute-force checks: relation "login_attempts" does not exist/);
+});
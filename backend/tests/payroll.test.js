@@ -0,0 +1,174 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, seedEmployee, seedAttendance, seedPayment, seedAdvance } = require('./helpers');
+
+// Settings are the defaults: 8.5 standard hours and a 6 hour slab, no statutory deductions. Holidays are added
+// only in months no other test uses.
+let api;
+let adminToken;
+
+before(async () => {
+    api = await startApp();
+    adminToken = await api.loginAdmin();
+});
+
+after(() => api.close());
+
+const getPayrollLine = async (employee, month) => {
+    const res = await api.request('GET', `/payroll?month=${month}`, { token: adminToken });
+    assert.equal(res.status, 200);
+    return res.body.find(line => line.employee.id === employee.id);
+};
+
+const shift = (date, workedHours, fields = {}) => ({ date, timeIn: '09:00', timeOut: '18:00', workedHours: String(workedHours), ...fields });
+
+test('normal, slab and Sunday days are paid by their rules', async () => {
+    const emp = await seedEmployee({ salary: 800 });
+    await seedAttendance(emp, shift('2024-02-05', 8.5, { fare: 50 })); // full day: 800
+    await seedAttendance(emp, shift('2024-02-06', 10, { slabMode: true })); // 800 + 1.5h at 800/6 = 1000
+    await seedAttendance(emp, shift('2024-02-07', 4.25, { slabMode: true })); // under standard hours: 4.25 x 800/8.5 = 400
+    await seedAttendance(emp, shift('2024-02-11', 4, { sundayMode: true })); // Sunday: a full day's pay = 800
+
+    const line = await getPayrollLine(emp, '2024-02');
+    assert.deepEqual(line.days.map(d => [d.date, Math.round(d.wage)]), [
+        ['2024-02-05', 800],
+        ['2024-02-06', 1000],
+        ['2024-02-07', 400],
+        ['2024-02-11', 800]
+    ]);
+    assert.equal(line.daysWorked, 4);
+    assert.equal(line.otHours, 1.5);
+    assert.equal(Math.round(line.otPay), 200);
+    assert.equal(line.salaryEarned, 3000);
+    assert.equal(line.fareTotal, 50);
+    assert.equal(line.grossEarned, 3050);
+    assert.equal(line.finalPayable, 3050);
+});
+
+test('an employee\'s own standard and slab hours override the global ones', async () => {
+    const emp = await seedEmployee({ salary: 800, normalHours: 8, slabBaseHours: 4 });
+    await seedAttendance(emp, shift('2024-02-06', 10, { slabMode: true })); // 800 + 2h at 800/4 = 1200
+    await seedAttendance(emp, shift('2024-02-07', 6)); // 6 x 800/8 = 600
+
+    const line = await getPayrollLine(emp, '2024-02');
+    assert.deepEqual(line.days.map(d => Math.round(d.wage)), [1200, 600]);
+    assert.equal(line.salaryEarned, 1800);
+});
+
+test('a supervisor\'s unpaid balance is carried forward month to month', async () => {
+    const sup = await seedEmployee({ employee_type: 'fixed_salary', salary: 20000, monthly_fare: 1000 });
+    await seedPayment(sup, { salaryMonth: '2024-01', amount: 15000, date: '2024-02-01' }); // 21000 earned, 6000 left
+    await seedAdvance(sup, { amount: 2000, date: '2024-02-10', deductionMonth: '2024-02' });
+
+    const feb = await getPayrollLine(sup, '2024-02');
+    assert.equal(feb.isSupervisor, true);
+    assert.equal(feb.daysWorked, null);
+    assert.equal(feb.grossEarned, 21000);
+    assert.equal(feb.previousBalance, 6000);
+    assert.equal(feb.currentMonthNet, 19000);
+    assert.equal(feb.finalPayable, 25000);
+    assert.equal(feb.status, 'Unpaid');
+
+    await seedPayment(sup, { salaryMonth: '2024-02', amount: 25000, date: '2024-03-01' });
+    const settled = await getPayrollLine(sup, '2024-02');
+    assert.equal(settled.remainingDue, 0);
+    assert.equal(settled.status, 'Settled');
+
+    const mar = await getPayrollLine(sup, '2024-03');
+    assert.equal(mar.previousBalance, 0);
+    assert.equal(mar.finalPayable, 21000);
+});
+
+test('payment status is Settled, Partial or Unpaid by what is left to pay', async () => {
+    const settled = await seedEmployee({ salary: 800 });
+    const partial = await seedEmployee({ salary: 800 });
+    const unpaid = await seedEmployee({ salary: 800 });
+    const overpaid = await seedEmployee({ salary: 800 });
+    for (const emp of [settled, partial, unpaid, overpaid]) await seedAttendance(emp, shift('2024-02-12', 8.5));
+    await seedPayment(settled, { salaryMonth: '2024-02', amount: 800, date: '2024-03-01' });
+    await seedPayment(partial, { salaryMonth: '2024-02', amount: 300, date: '2024-03-01' });
+    await seedPayment(overpaid, { salaryMonth: '2024-02', amount: 1000, date: '2024-03-01' });
+
+    const lines = await Promise.all([settled, partial, unpaid, overpaid].map(emp => getPayrollLine(emp, '2024-02')));
+    assert.deepEqual(lines.map(l => [l.status, l.paidTotal, l.remainingDue]), [
+        ['Settled', 800, 0],
+        ['Partial', 300, 500],
+        ['Unpaid', 0, 800],
+        ['Settled', 1000, -200]
+    ]);
+
+    // Overpayment is taken off the next month
+    const next = await getPayrollLine(overpaid, '2024-03');
+    assert.equal(next.previousBalance, -200);
+    assert.equal(next.status, 'Settled');
+});
+
+test('paid holiday credit is carried into the next month\'s balance', async () => {
+    const holiday = await api.request('POST', '/holidays', { token: adminToken, body: { date: '2024-07-15', name: 'Foundation Day', paid: true } });
+    assert.equal(holiday.status, 200);
+    const emp = await seedEmployee({ salary: 800 });
+    await seedAttendance(emp, shift('2024-07-16', 8.5));
+    await seedPayment(emp, { salaryMonth: '2024-07', amount: 500, date: '2024-08-01' });
+
+    const jul = await getPayrollLine(emp, '2024-07');
+    assert.equal(jul.holidayPay, 800);
+    assert.equal(jul.remainingDue, 1100);
+
+    const aug = await getPayrollLine(emp, '2024-08');
+    assert.equal(aug.previousBalance, jul.remainingDue);
+});
+
+test('late-mark and half-day cuts stay taken off in the next month\'s balance', async () => {
+    const rules = await api.request('POST', '/settings', { token: adminToken, body: { attendanceRules: { enabled: true, shiftStart: '09:00', shiftEnd: '18:00', latesPerHalfDay: 3 } } });
+    assert.equal(rules.status, 200);
+
+    const worker = await seedEmployee({ salary: 800 });
+    for (const date of ['2024-09-02', '2024-09-03', '2024-09-04']) await seedAttendance(worker, shift(date, 8.5, { timeIn: '10:00', timeOut: '18:30' }));
+    const sup = await seedEmployee({ employee_type: 'fixed_salary', salary: 30000 });
+    await seedAttendance(sup, shift('2024-09-05', 4.25, { halfDay: true }));
+    await seedPayment(sup, { salaryMonth: '2024-09', amount: 20000, date: '2024-10-01' });
+
+    const [workerSep, supSep] = await Promise.all([getPayrollLine(worker, '2024-09'), getPayrollLine(sup, '2024-09')]);
+    assert.equal(workerSep.lateDeduction, 400);
+    assert.equal(supSep.halfDayDeduction, 500);
+
+    const [workerOct, supOct] = await Promise.all([getPayrollLine(worker, '2024-10'), getPayrollLine(sup, '2024-10')]);
+    assert.equal(workerOct.previousBalance, workerSep.remainingDue);
+    assert.equal(supOct.previousBalance, supSep.remainingDue);
+});
+
+test('the paged advance list filters by date range or by installment month', async () => {
+    const emp = await seedEmployee();
+    await seedAdvance(emp, { amount: 3000, date: '2024-11-05', installments: [{ month: '2024-11', amount: 1000 }, { month: '2024-12', amount: 1000 }, { month: '2025-01', amount: 1000 }] });
+    await seedAdvance(emp, { amount: 500, date: '2024-12-10', deductionMonth: '2024-12' });
+    await seedAdvance(emp, { amount: 700, date: '2025-02-01', deductionMonth: '2025-02' });
+
+    const byDate = await api.request('GET', `/advances?employeeId=${emp.id}&from=2024-11-01&to=2024-12-31&pageSize=1`, { token: adminToken });
+    assert.equal(byDate.status, 200);
+    assert.equal(byDate.body.total, 2);
+    assert.deepEqual(byDate.body.rows.map(a => a.date), ['2024-12-10']);
+    assert.deepEqual(byDate.body.totals, { amount: 3500 });
+
+    const byMonth = await api.request('GET', `/advances?employeeId=${emp.id}&month=2025-01`, { token: adminToken });
+    assert.deepEqual(byMonth.body.rows.map(a => a.amount), [3000]);
+});
+
+test('editing an advance keeps a skipped schedule and refuses to re-plan it', async () => {
+    const emp = await seedEmployee();
+    const adv = await seedAdvance(emp, {
+        amount: 3000, date: '2030-01-02', deductionMonth: '2030-01', notes: 'Festival',
+        installments: [{ month: '2030-01', amount: 1000 }, { month: '2030-02', amount: 1000 }, { month: '2030-03', amount: 1000 }]
+    });
+    const skipped = await api.request('POST', `/advances/${adv.id}/skip`, { token: adminToken, body: { month: '2030-02', note: 'Sick' } });
+    assert.equal(skipped.status, 200);
+
+    const edit = { employeeId: emp.id, amount: '3000', date: '2030-01-02', deductionMonth: '2030-01', mode: 'Cash', notes: 'Festival bonus' };
+    const replanned = await api.request('PUT', `/advances/${adv.id}`, { token: adminToken, body: { ...edit, repayment: 'months', installmentMonths: '3' } });
+    assert.equal(replanned.status, 409);
+    assert.match(replanned.body.error, /Reschedule/);
+
+    const renamed = await api.request('PUT', `/advances/${adv.id}`, { token: adminToken, body: edit });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.notes, 'Festival bonus');
+    assert.deepEqual(renamed.body.installments, skipped.body.installments);
+});
@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, seedEmployee, seedAttendance } = require('./helpers');
+const { newId, createdAtFromId } = require('../services/recordIds');
+
+let api;
+let adminToken;
+
+before(async () => {
+    api = await startApp();
+    adminToken = await api.loginAdmin();
+});
+
+after(() => api.close());
+
+test('ids made in the same millisecond are different and in order', () => {
+    const ids = Array.from({ length: 50 }, () => newId(1718000000000));
+    assert.equal(new Set(ids).size, 50);
+    assert.deepEqual(ids.slice().sort(), ids);
+    assert.equal(createdAtFromId(ids[0]), '2024-06-10T06:13:20.000Z');
+});
+
+test('older Date.now() ids still give their creation time', () => {
+    assert.equal(createdAtFromId('1718000000000'), '2024-06-10T06:13:20.000Z');
+    assert.equal(createdAtFromId('17180000000004821'), '2024-06-10T06:13:20.000Z');
+    assert.equal(createdAtFromId('EMP-7'), null);
+});
+
+test('a crew marked together gets one record each', async () => {
+    const crew = await Promise.all([1, 2, 3, 4, 5].map(() => seedEmployee()));
+    const created = await Promise.all(crew.map(emp => api.request('POST', '/attendance', {
+        token: adminToken,
+        body: { employeeId: emp.id, employeeName: emp.name, date: '2024-06-03', timeIn: '09:00', timeOut: '17:30', workedHours: '8.50' }
+    })));
+    assert.deepEqual(created.map(r => r.status), [200, 200, 200, 200, 200]);
+    assert.equal(new Set(created.map(r => r.body.id)).size, 5);
+    assert.ok(created.every(r => r.body.createdAt));
+});
+
+test('rows that tie on the sort column list newest first across old and new ids', async () => {
+    const emp = await seedEmployee();
+    await seedAttendance(emp, { id: '1718000000000', date: '2024-06-10', workedHours: '8' });
+    const fresh = await api.request('POST', '/attendance', {
+        token: adminToken,
+        body: { employeeId: emp.id, employeeName: emp.name, date: '2024-06-11', timeIn: '09:00', timeOut: '17:00', workedHours: '8' }
+    });
+    const page = await api.request('GET', `/attendance?employeeId=${emp.id}&sort=employeeName`, { token: adminToken });
+    assert.deepEqual(page.body.rows.map(a => a.id), [fresh.body.id, '1718000000000']);
+});
+
+test('an import cannot overwrite another employee\'s record by its id', async () => {
+    const owner = await seedEmployee();
+    const other = await seedEmployee();
+    const kept = await seedAttendance(owner, { date: '2024-06-12', workedHours: '8' });
+
+    const clash = await api.request('POST', '/settings/import-data', {
+        token: adminToken,
+        body: { attendance: [{ id: kept.id, employeeId: other.id, date: '2024-06-12', workedHours: 4 }] }
+    });
+    assert.equal(clash.status, 500);
+    assert.match(clash.body.error, /belongs to another employee/);
+
+    const imported = await api.request('POST', '/settings/import-data', {
+        token: adminToken,
+        body: { attendance: [{ employeeId: other.id, date: '2024-06-12', workedHours: 4 }, { id: kept.id, employeeId: owner.id, date: '2024-06-12', workedHours: 9 }] }
+    });
+    assert.equal(imported.status, 200);
+    assert.equal(imported.body.results.attendance, 2);
+
+    const list = await api.request('GET', '/attendance?from=2024-06-12&to=2024-06-12', { token: adminToken });
+    const rows = list.body.rows.filter(a => [owner.id, other.id].includes(a.employeeId));
+    assert.deepEqual(rows.map(a => [a.employeeId, Number(a.workedHours)]).sort(), [[other.id, 4], [owner.id, 9]].sort());
+    assert.equal(rows.find(a => a.id === kept.id).createdAt, kept.createdAt);
+});
+
+test('an import cannot add or move records in a closed payroll month', async () => {
+    const emp = await seedEmployee();
+    const stored = await seedAttendance(emp, { date: '2023-11-20', workedHours: '8' });
+    assert.equal((await api.request('POST', '/payroll/close', { token: adminToken, body: { month: '2023-12' } })).status, 200);
+
+    const intoClosed = await api.request('POST', '/settings/import-data', {
+        token: adminToken,
+        body: { attendance: [{ employeeId: emp.id, date: '2023-12-05', workedHours: 8 }] }
+    });
+    assert.equal(intoClosed.status, 409);
+
+    const outOfClosed = await api.request('POST', '/settings/import-data', {
+        token: adminToken,
+        body: { payments: [{ employeeId: emp.id, salaryMonth: '2024-06', amount: 100 }], attendance: [{ id: stored.id, employeeId: emp.id, date: '2024-01-05', workedHours: 8 }] }
+    });
+    assert.equal(outOfClosed.status, 409);
+    assert.match(outOfClosed.body.error, /closed up to 2023-12/);
+
+    // Nothing from a refused import was written
+    const payments = await api.request('GET', `/payments?employeeId=${emp.id}`, { token: adminToken });
+    assert.equal(payments.body.total, 0);
+});
@@ -10,6 +10,23 @@ const API_URL = '/api';
         _apiCache.clear();
     };
 
+    // Attach the session token to every /api/ call and bounce to login when the server rejects it
+    const _authFetch = async function (resource, config) {
+        const url = typeof resource === 'string' ? resource : (resource && resource.url ? resource.url : '');
+        if (!url.includes('/api/')) return _originalFetch(resource, config);
+
+        const token = getSessionToken();
+        const headers = new Headers((config && config.headers) || {});
+        if (token && !headers.has('Authorization')) headers.set('Authorization', `Bearer ${token}`);
+
+        const res = await _originalFetch(resource, { ...(config || {}), headers });
+        if (res.status === 401 && !url.includes('/api/login')) {
+            localStorage.removeItem('payroll_session');
+            window.location.href = '/login.html';
+        }
+        return res;
+    };
+
     window.fetch = async function (resource, config) {
         const url = typeof resource === 'string' ? resource : (resource && resource.url ? resource.url : '');
         const method = (config && config.method) ? config.method.toUpperCase() : 'GET';
@@ -20,7 +37,7 @@ const API_URL = '/api';
             if (cached && (Date.now() - cached.timestamp < CACHE_TTL)) {
                 return cached.response.clone();
             }
-            const res = await _originalFetch(resource, config);
+            const res = await _authFetch(resource, config);
             if (res.ok) {
                 _apiCache.set(url, { response: res.clone(), timestamp: Date.now() });
             }
@@ -32,11 +49,33 @@ const API_URL = '/api';
             _apiCache.clear();
         }
 
-        return _originalFetch(resource, config);
+        return _authFetch(resource, config);
     };
 })();
 
+// Reads the signed session token issued by POST /api/login
+function getSessionToken() {
+    try {
+        const session = JSON.parse(localStorage.getItem('payroll_session') || 'null');
+        return session && session.token ? session.token : null;
+    } catch (e) {
+        return null;
+    }
+}
+
 // ==================== UTILS ====================
+// "Showing 51-100 of 240" and the Prev / Next buttons under a server-paged table (`${prefix}-page-count`,
+// `${prefix}-prev-btn`, `${prefix}-next-btn`). `data` is a paged list response; `summary` follows the count.
+function renderListPager(prefix, data, summary = '') {
+    const first = (data.page - 1) * data.pageSize;
+    const countEl = document.getElementById(`${prefix}-page-count`);
+    if (countEl) countEl.innerHTML = data.total === 0 ? '' : `Showing ${first + 1}-${first + data.rows.length} of ${data.total}${summary}`;
+    const prevBtn = document.getElementById(`${prefix}-prev-btn`);
+    const nextBtn = document.getElementById(`${prefix}-next-btn`);
+    if (prevBtn) prevBtn.disabled = data.page <= 1;
+    if (nextBtn) nextBtn.disabled = data.page >= data.pages;
+}
+
 function formatTimeTo12h(timeStr) {
     if (!timeStr) return '-';
     const [hours, minutes] = timeStr.split(':');
@@ -122,12 +161,19 @@ initDarkMode();
 
 // Global State
 let globalSettings = { standardHours: 8.5, slabHours: 6, restrictEarlyCheckIn: false };
-let holidays = [];
+let holidaysData = []; // { id, date, name, type, paid }
+let holidays = []; // Holiday dates only, for quick lookups
 let employeesData = [];
 let attendanceData = [];
 let advancesData = [];
 let debitNotesData = [];
 let paymentsData = []; // Added
+// The attendance, advance and debit note pages are paged by the server; there the arrays above hold only the rows shown
+const LIST_PAGE_SIZE = 50;
+const listPages = { attendance: 1, advances: 1, debitNotes: 1 };
+let salaryRevisionsData = []; // Effective-dated pay terms (salary history)
+let payrollSnapshotsData = []; // Frozen payroll lines of closed months
+let payrollLeavesData = []; // Approved leave, paid in payroll (the Leaves page keeps its own filtered list)
 let currentPayrollData = [];
 let currentModalEmployee = null;
 let currentModalMonth = null;
@@ -135,26 +181,71 @@ let currentModalMonth = null;
 // Track which sections have already been loaded (lazy loading)
 const loadedSections = new Set();
 
-// Check authentication on page load
-function checkAuth() {
-    const sessionStr = localStorage.getItem('payroll_session');
-    if (!sessionStr) {
-        window.location.href = '/login.html';
-        return false;
-    }
+// Logged-in admin account (owner / accountant / supervisor), filled by checkAuth()
+let currentStaff = { adminRole: null, permissions: [] };
+
+// Permission needed to open each section (mirrors ROLE_PERMISSIONS on the server)
+const SECTION_PERMISSIONS = {
+    dashboard: 'payroll',
+    employees: 'employees:read',
+    attendance: 'attendance:read',
+    leaves: 'leaves',
+    advance: 'advances',
+    debitNotes: 'debit_notes',
+    payroll: 'payroll',
+    uploads: 'uploads',
+    attPhotos: 'attendance_photos',
+    audit: 'audit',
+    settings: 'settings'
+};
+
+function hasPermission(permission) {
+    const perms = currentStaff.permissions || [];
+    return perms.includes('*') || perms.includes(permission);
+}
+
+function canViewSection(sectionId) {
+    const permission = SECTION_PERMISSIONS[sectionId];
+    return !permission || hasPermission(permission);
+}
 
-    const session = JSON.parse(sessionStr);
-    const now = Date.now();
-    const limit = 12 * 60 * 60 * 1000; // 12 Hours
+// Hide nav links and [data-permission] blocks the current role can't use; returns the first section it can open
+function applyRoleVisibility() {
+    document.querySelectorAll('.nav-item[data-section]').forEach(item => {
+        item.style.display = canViewSection(item.dataset.section) ? '' : 'none';
+    });
+    document.querySelectorAll('[data-permission]').forEach(el => {
+        if (!hasPermission(el.dataset.permission)) el.style.display = 'none';
+    });
+    return Object.keys(SECTION_PERMISSIONS).find(canViewSection) || null;
+}
 
-    if (now - session.timestamp > limit) {
+// Check authentication on page load — the server validates the token and its expiry
+async function checkAuth() {
+    let session = null;
+    try {
+        session = JSON.parse(localStorage.getItem('payroll_session') || 'null');
+    } catch (e) { }
+
+    if (!session || !session.token || (session.expiresAt && Date.now() > session.expiresAt)) {
         localStorage.removeItem('payroll_session');
         window.location.href = '/login.html';
         return false;
     }
 
-    if (session.role !== 'admin') {
-        window.location.href = '/employee-portal.html';
+    try {
+        const res = await fetch(`${API_URL}/session`);
+        if (!res.ok) throw new Error(`Session check failed (${res.status})`);
+        const user = await res.json();
+        if (user.role !== 'admin') {
+            window.location.href = '/employee-portal.html';
+            return false;
+        }
+        currentStaff = { adminRole: user.adminRole, name: user.name, permissions: user.permissions || [] };
+    } catch (e) {
+        console.error('Session validation error:', e);
+        localStorage.removeItem('payroll_session');
+        window.location.href = '/login.html';
         return false;
     }
     return true;
@@ -168,7 +259,19 @@ function logout() {
 
 // Init
 async function init() {
-    if (!checkAuth()) return;
+    if (!(await checkAuth())) return;
+
+    // Send each role to a page it is allowed to open
+    const homeSection = applyRoleVisibility();
+    const requestedPage = document.body.dataset.page;
+    if (!homeSection) {
+        alert('Your account has no sections assigned. Please contact the owner.');
+        return logout();
+    }
+    if (requestedPage && !canViewSection(requestedPage)) {
+        window.location.href = `/sections/${homeSection}.html`;
+        return;
+    }
 
     setDefaultMonthFilters();
     await fetchSettings();
@@ -193,11 +296,13 @@ async function init() {
         if (currentPage === 'dashboard')   loadDashboard();
         else if (currentPage === 'employees')  loadEmployees();
         else if (currentPage === 'attendance') loadAttendance();
+        else if (currentPage === 'leaves')     loadLeavesPage();
         else if (currentPage === 'advance')    loadAdvanceForm();
         else if (currentPage === 'debitNotes') loadDebitNoteForm();
         else if (currentPage === 'payroll')    loadPayroll();
         else if (currentPage === 'uploads')    loadUploadsPage();
         else if (currentPage === 'attPhotos')  loadAttendancePhotos();
+        else if (currentPage === 'audit')      loadAuditLog();
         else if (currentPage === 'settings')   loadSettingsForm();
 
         // Init form listeners for this section
@@ -209,12 +314,14 @@ async function init() {
         document.querySelectorAll('#sections-container .section').forEach(sec => {
             if (sec.id) loadedSections.add(sec.id);
         });
-        showSection('dashboard');
+        showSection(homeSection);
     }
 }
 
 // Navigation — lazy-loads section HTML partials on first visit
 async function showSection(sectionId) {
+    if (!canViewSection(sectionId)) return;
+
     // Update active nav link immediately
     document.querySelectorAll('.nav-links .nav-item').forEach(item => {
         if (item.dataset.section === sectionId || item.getAttribute('onclick')?.includes(`'${sectionId}'`)) {
@@ -244,6 +351,7 @@ async function showSection(sectionId) {
             }
 
             loadedSections.add(sectionId);
+            applyRoleVisibility();
             _initSection(sectionId);
             _setMonthDefaultsForSection();
         } catch (err) {
@@ -261,11 +369,13 @@ async function showSection(sectionId) {
     if (sectionId === 'dashboard') loadDashboard();
     else if (sectionId === 'employees') loadEmployees();
     else if (sectionId === 'attendance') loadAttendance();
+    else if (sectionId === 'leaves') loadLeavesPage();
     else if (sectionId === 'advance') loadAdvanceForm();
     else if (sectionId === 'debitNotes') loadDebitNoteForm();
     else if (sectionId === 'payroll') loadPayroll();
     else if (sectionId === 'uploads') loadUploadsPage();
     else if (sectionId === 'attPhotos') loadAttendancePhotos();
+    else if (sectionId === 'audit') loadAuditLog();
     else if (sectionId === 'settings') loadSettingsForm();
 }
 
@@ -278,15 +388,18 @@ function _initSection(sectionId) {
                 e.preventDefault();
                 const newSettings = {
                     standardHours: parseFloat(document.getElementById('set-standard-hours').value),
-                    slabHours: parseFloat(document.getElementById('set-slab-hours').value)
+                    slabHours: parseFloat(document.getElementById('set-slab-hours').value),
+                    rulesEffectiveFrom: document.getElementById('set-rules-effective-from').value
                 };
-                await fetch(`${API_URL}/settings`, {
+                const res = await fetch(`${API_URL}/settings`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify(newSettings)
                 });
-                globalSettings = newSettings;
-                alert('Settings Saved! All calculations updated.');
+                const saved = await res.json();
+                if (!res.ok) return alert('❌ ' + (saved.error || 'Could not save settings'));
+                globalSettings = { ...globalSettings, ...saved };
+                alert(`Settings Saved! Hours apply from ${newSettings.rulesEffectiveFrom || 'this month'}.`);
             });
             settingsForm._listenerAdded = true;
         }
@@ -303,19 +416,39 @@ function _initSection(sectionId) {
                 const salary = document.getElementById('emp-salary').value;
                 const customId = document.getElementById('emp-custom-id').value;
                 const designation = document.getElementById('emp-designation').value;
-                const password = document.getElementById('emp-password').value || '123456';
+                const password = document.getElementById('emp-password').value.trim();
                 const typeEl = document.getElementById('emp-type');
                 const employee_type = typeEl ? typeEl.value : 'daily_wage';
                 const monthlyFareEl = document.getElementById('emp-monthly-fare');
                 const monthly_fare = employee_type === 'fixed_salary' ? (parseFloat(monthlyFareEl?.value) || 0) : 0;
                 const restrictEarlyCheckIn = document.getElementById('emp-restrict-early') ? document.getElementById('emp-restrict-early').checked : true;
-                const payload = { name, contact, salary, customId, designation, password, employee_type, monthly_fare, restrictEarlyCheckIn };
+                // Blank hours = follow the global settings
+                const normalHours = document.getElementById('emp-normal-hours').value;
+                const slabBaseHours = document.getElementById('emp-slab-hours').value;
+                const payload = { name, contact, salary, customId, designation, employee_type, monthly_fare, restrictEarlyCheckIn, normalHours, slabBaseHours };
+                // PF / ESI / PT registration
+                Object.assign(payload, {
+                    pfOptIn: document.getElementById('emp-pf-opt-in').checked,
+                    uan: document.getElementById('emp-uan').value.trim(),
+                    esiOptIn: document.getElementById('emp-esi-opt-in').checked,
+                    esiNumber: document.getElementById('emp-esi-number').value.trim(),
+                    ptOptIn: document.getElementById('emp-pt-opt-in').checked,
+                    ptState: document.getElementById('emp-pt-state').value.trim().toUpperCase()
+                });
                 if (id) {
-                    await fetch(`${API_URL}/employees/${id}`, {
+                    // Earlier dates / months keep the pay and hours they were paid with
+                    payload.salaryEffectiveFrom = document.getElementById('emp-salary-effective-from').value;
+                    payload.rulesEffectiveFrom = document.getElementById('emp-rules-effective-from').value;
+                }
+                // Blank password: server keeps the current one (or uses the default for new employees)
+                if (password) payload.password = password;
+                if (id) {
+                    const res = await fetch(`${API_URL}/employees/${id}`, {
                         method: 'PUT',
                         headers: { 'Content-Type': 'application/json' },
                         body: JSON.stringify(payload)
                     });
+                    if (!res.ok) return alert('❌ ' + ((await res.json()).error || 'Could not update employee'));
                     alert('Employee Updated!');
                 } else {
                     await fetch(`${API_URL}/employees`, {
@@ -334,13 +467,24 @@ function _initSection(sectionId) {
 
     if (sectionId === 'attendance') {
         // Change listeners for live preview
-        ['att-time-in', 'att-time-out', 'att-slab-mode', 'att-sunday-mode', 'att-employee'].forEach(id => {
+        ['att-time-in', 'att-time-out', 'att-slab-mode', 'att-sunday-mode', 'att-half-day', 'att-employee'].forEach(id => {
             const el = document.getElementById(id);
             if (el && !el._listenerAdded) {
                 el.addEventListener('change', calculatePreview);
                 el._listenerAdded = true;
             }
         });
+        // Half day and Sunday / full day each fix the day's pay, so only one can be on
+        [['att-half-day', 'att-sunday-mode'], ['att-sunday-mode', 'att-half-day']].forEach(([id, otherId]) => {
+            const el = document.getElementById(id);
+            if (el && !el._exclusiveListenerAdded) {
+                el.addEventListener('change', () => {
+                    if (el.checked) document.getElementById(otherId).checked = false;
+                    calculatePreview();
+                });
+                el._exclusiveListenerAdded = true;
+            }
+        });
         const attForm = document.getElementById('attendance-form');
         if (attForm && !attForm._listenerAdded) {
             attForm.addEventListener('submit', async (e) => {
@@ -362,9 +506,11 @@ function _initSection(sectionId) {
                     employeeName: document.getElementById('att-employee').selectedOptions[0].text,
                     slabMode: document.getElementById('att-slab-mode').checked,
                     sundayMode: document.getElementById('att-sunday-mode').checked,
+                    halfDay: document.getElementById('att-half-day').checked,
                     timeIn: document.getElementById('att-time-in').value,
                     timeOut: document.getElementById('att-time-out').value,
                     fare: document.getElementById('att-fare').value,
+                    siteId: document.getElementById('att-site').value || null,
                     workedHours: workedHours
                 };
                 const submitBtn = document.getElementById('att-submit-btn');
@@ -374,20 +520,22 @@ function _initSection(sectionId) {
                 submitBtn.disabled = true;
                 try {
                     if (id) {
-                        await fetch(`${API_URL}/attendance/${id}`, {
+                        const res = await fetch(`${API_URL}/attendance/${id}`, {
                             method: 'PUT',
                             headers: { 'Content-Type': 'application/json' },
                             body: JSON.stringify(data)
                         });
+                        if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || 'Update failed');
                         submitBtn.innerText = 'Updated ✓';
                         submitBtn.style.background = '#10b981';
                         setTimeout(() => { resetAttendanceForm(true); }, 800);
                     } else {
-                        await fetch(`${API_URL}/attendance`, {
+                        const res = await fetch(`${API_URL}/attendance`, {
                             method: 'POST',
                             headers: { 'Content-Type': 'application/json' },
                             body: JSON.stringify(data)
                         });
+                        if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || 'Save failed');
                         submitBtn.innerText = 'Marked ✓';
                         submitBtn.style.background = '#10b981';
                         setTimeout(() => {
@@ -397,11 +545,11 @@ function _initSection(sectionId) {
                             submitBtn.disabled = false;
                         }, 800);
                     }
-                    loadAttendanceTable();
+                    loadAttendanceTable(id ? listPages.attendance : 1);
                     loadDashboard();
                 } catch (error) {
                     console.error('Error saving attendance:', error);
-                    alert('Failed to save attendance.');
+                    alert('❌ Failed to save attendance: ' + error.message);
                     submitBtn.innerText = originalText;
                     submitBtn.style.background = originalBg;
                     submitBtn.disabled = false;
@@ -435,6 +583,15 @@ function _initSection(sectionId) {
                     formData.append('amount', document.getElementById('adv-amount').value);
                     formData.append('date', document.getElementById('adv-date').value);
                     formData.append('deductionMonth', document.getElementById('adv-deduction-month').value);
+                    // Repayment plan: all at once, a fixed EMI, or equal parts over N months. Left out when the
+                    // plan is locked, so the server keeps a rescheduled or skipped schedule as it is.
+                    const repaymentSelect = document.getElementById('adv-repayment');
+                    if (!repaymentSelect.disabled) {
+                        const repayment = repaymentSelect.value;
+                        formData.append('repayment', repayment);
+                        if (repayment === 'emi') formData.append('emiAmount', document.getElementById('adv-plan-value').value);
+                        if (repayment === 'months') formData.append('installmentMonths', document.getElementById('adv-plan-value').value);
+                    }
                     formData.append('mode', document.getElementById('adv-mode').value);
                     formData.append('notes', document.getElementById('adv-notes').value);
 
@@ -449,7 +606,7 @@ function _initSection(sectionId) {
                         if (submitBtn) { submitBtn.innerText = '✅ Updated!'; submitBtn.style.background = '#10b981'; }
                         setTimeout(() => {
                             resetAdvanceForm();
-                            loadAdvanceTable();
+                            loadAdvanceTable(listPages.advances);
                         }, 700);
                     } else {
                         const res = await fetch(`${API_URL}/advances`, { method: 'POST', body: formData });
@@ -505,7 +662,7 @@ function _initSection(sectionId) {
                         if (submitBtn) { submitBtn.innerText = '✅ Updated!'; submitBtn.style.background = '#10b981'; }
                         setTimeout(() => {
                             resetDebitForm();
-                            loadDebitNoteTable();
+                            loadDebitNoteTable(listPages.debitNotes);
                         }, 700);
                     } else {
                         const res = await fetch(`${API_URL}/debit-notes`, {
@@ -557,7 +714,10 @@ async function fetchSettings() {
 async function fetchHolidays() {
     try {
         const res = await fetch(`${API_URL}/holidays`);
-        if (res.ok) holidays = await res.json();
+        if (res.ok) {
+            holidaysData = await res.json();
+            holidays = holidaysData.map(h => h.date);
+        }
     } catch (e) {
         console.warn("Could not fetch holidays:", e);
     }
@@ -567,6 +727,13 @@ async function loadSettingsForm() {
     await fetchSettings();
     document.getElementById('set-standard-hours').value = globalSettings.standardHours || 8.5;
     document.getElementById('set-slab-hours').value = globalSettings.slabHours || 6;
+    document.getElementById('set-rules-effective-from').value = new Date().toISOString().substring(0, 7);
+    fillStatutoryForm();
+    fillLeaveTypesForm();
+    fillAutoCloseForm();
+    fillAttendanceRulesForm();
+    fillWeeklyOffSelect();
+    loadSites();
     // Sync maintenance toggle
     const isOn = !!(globalSettings.maintenanceMode || globalSettings.maintenance_mode);
     const toggle = document.getElementById('maintenance-toggle');
@@ -579,10 +746,173 @@ async function loadSettingsForm() {
     // Fetch storage & DB stats when settings page is opened
     fetchStorageUsage();
     fetchDatabaseUsage();
+    if (hasPermission('users')) {
+        loadAdminUsers();
+        loadLoginLockouts();
+    }
 }
 
 // settings-form listener is registered dynamically in _initSection('settings')
 
+// --- STATUTORY DEDUCTIONS (PF / ESI / PT) ---
+// PT slabs are edited as text, one state per line: "GJ: 0=0, 12000=200"
+function formatPtSlabs(slabs) {
+    return Object.entries(slabs || {})
+        .map(([state, list]) => `${state}: ${list.map(s => `${s.from}=${s.amount}`).join(', ')}`)
+        .join('\n');
+}
+
+function parsePtSlabs(text) {
+    const slabs = {};
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        const [state, list = ''] = line.split(':');
+        slabs[state.trim().toUpperCase()] = list.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+            const [from, amount] = part.split('=');
+            return { from: parseFloat(from), amount: parseFloat(amount) };
+        });
+    });
+    return slabs;
+}
+
+function fillStatutoryForm() {
+    if (!document.getElementById('statutory-form')) return;
+    const rules = PayrollEngine.getStatutorySettings(globalSettings);
+    document.getElementById('set-stat-effective-from').value = rules.effectiveFrom || new Date().toISOString().substring(0, 7);
+    ['pf', 'esi'].forEach(key => {
+        document.getElementById(`set-${key}-enabled`).checked = rules[key].enabled === true;
+        document.getElementById(`set-${key}-ceiling`).value = rules[key].wageCeiling;
+        document.getElementById(`set-${key}-employee`).value = rules[key].employeePercent;
+        document.getElementById(`set-${key}-employer`).value = rules[key].employerPercent;
+    });
+    document.getElementById('set-pt-enabled').checked = rules.pt.enabled === true;
+    document.getElementById('set-pt-state').value = rules.pt.state;
+    document.getElementById('set-pt-slabs').value = formatPtSlabs(rules.pt.slabs);
+}
+
+async function saveStatutorySettings(e) {
+    e.preventDefault();
+    const part = (key) => ({
+        enabled: document.getElementById(`set-${key}-enabled`).checked,
+        wageCeiling: document.getElementById(`set-${key}-ceiling`).value,
+        employeePercent: document.getElementById(`set-${key}-employee`).value,
+        employerPercent: document.getElementById(`set-${key}-employer`).value
+    });
+    const statutory = {
+        effectiveFrom: document.getElementById('set-stat-effective-from').value,
+        pf: part('pf'),
+        esi: part('esi'),
+        pt: {
+            enabled: document.getElementById('set-pt-enabled').checked,
+            state: document.getElementById('set-pt-state').value.trim().toUpperCase(),
+            slabs: parsePtSlabs(document.getElementById('set-pt-slabs').value)
+        }
+    };
+    const res = await fetch(`${API_URL}/settings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ statutory })
+    });
+    const saved = await res.json();
+    if (!res.ok) return alert('❌ ' + (saved.error || 'Could not save statutory rules'));
+    globalSettings = { ...globalSettings, ...saved };
+    fillStatutoryForm();
+    alert(`🏛️ Statutory rules saved! They apply from ${statutory.effectiveFrom || 'the beginning'}.`);
+}
+
+// --- LEAVE TYPES ---
+function fillLeaveTypesForm() {
+    const tbody = document.getElementById('leave-types-rows');
+    if (!tbody) return;
+    tbody.innerHTML = PayrollEngine.getLeaveTypes(globalSettings).map(t => `
+        <tr data-leave-type="${t.key}">
+            <td><input type="text" class="leave-type-label" value="${_auditText(t.label)}" maxlength="40"></td>
+            <td><input type="checkbox" class="leave-type-paid" ${t.paid ? 'checked' : ''}></td>
+            <td><input type="number" class="leave-type-days" min="0" step="0.5" value="${t.yearlyDays === null || t.yearlyDays === undefined ? '' : t.yearlyDays}" placeholder="No balance"></td>
+        </tr>`).join('');
+}
+
+async function saveLeaveTypes(e) {
+    e.preventDefault();
+    const leaveTypes = Array.from(document.querySelectorAll('#leave-types-rows tr')).map(row => ({
+        key: row.dataset.leaveType,
+        label: row.querySelector('.leave-type-label').value.trim(),
+        paid: row.querySelector('.leave-type-paid').checked,
+        yearlyDays: row.querySelector('.leave-type-days').value === '' ? null : row.querySelector('.leave-type-days').value
+    }));
+    const res = await fetch(`${API_URL}/settings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ leaveTypes })
+    });
+    const saved = await res.json();
+    if (!res.ok) return alert('❌ ' + (saved.error || 'Could not save leave types'));
+    globalSettings = { ...globalSettings, ...saved };
+    fillLeaveTypesForm();
+    alert('🌴 Leave types saved! Requests already made keep their paid / unpaid status.');
+}
+
+// --- FORGOTTEN CHECK-OUTS ---
+function fillAutoCloseForm() {
+    if (!document.getElementById('auto-close-form')) return;
+    const autoClose = PayrollEngine.getAutoCloseSettings(globalSettings);
+    document.getElementById('set-auto-close-policy').value = autoClose.policy;
+    document.getElementById('set-auto-close-shift-end').value = autoClose.shiftEnd;
+}
+
+async function saveAutoCloseSettings(e) {
+    e.preventDefault();
+    const autoClose = {
+        policy: document.getElementById('set-auto-close-policy').value,
+        shiftEnd: document.getElementById('set-auto-close-shift-end').value
+    };
+    const res = await fetch(`${API_URL}/settings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ autoClose })
+    });
+    const saved = await res.json();
+    if (!res.ok) return alert('❌ ' + (saved.error || 'Could not save the auto-close policy'));
+    globalSettings = { ...globalSettings, ...saved };
+    fillAutoCloseForm();
+    alert('🌙 Auto-close policy saved! Shifts already closed keep their hours.');
+}
+
+// --- SHIFT TIMINGS & LATE MARKS ---
+function fillAttendanceRulesForm() {
+    if (!document.getElementById('attendance-rules-form')) return;
+    const rules = PayrollEngine.getAttendanceRules(globalSettings);
+    document.getElementById('set-rules-enabled').checked = rules.enabled === true;
+    document.getElementById('set-rules-shift-start').value = rules.shiftStart;
+    document.getElementById('set-rules-shift-end').value = rules.shiftEnd;
+    document.getElementById('set-rules-late-grace').value = rules.lateGraceMinutes;
+    document.getElementById('set-rules-early-grace').value = rules.earlyGraceMinutes;
+    document.getElementById('set-rules-lates-per-half-day').value = rules.latesPerHalfDay;
+    document.getElementById('set-rules-count-early').checked = rules.countEarlyLeaves === true;
+}
+
+async function saveAttendanceRules(e) {
+    e.preventDefault();
+    const attendanceRules = {
+        enabled: document.getElementById('set-rules-enabled').checked,
+        shiftStart: document.getElementById('set-rules-shift-start').value,
+        shiftEnd: document.getElementById('set-rules-shift-end').value,
+        lateGraceMinutes: document.getElementById('set-rules-late-grace').value,
+        earlyGraceMinutes: document.getElementById('set-rules-early-grace').value,
+        latesPerHalfDay: document.getElementById('set-rules-lates-per-half-day').value,
+        countEarlyLeaves: document.getElementById('set-rules-count-early').checked
+    };
+    const res = await fetch(`${API_URL}/settings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ attendanceRules })
+    });
+    const saved = await res.json();
+    if (!res.ok) return alert('❌ ' + (saved.error || 'Could not save the shift rules'));
+    globalSettings = { ...globalSettings, ...saved };
+    fillAttendanceRulesForm();
+    alert('⏰ Shift rules saved! Payroll for open months now uses them.');
+}
+
 async function resetSettings() {
     if (!confirm('Reset to defaults (8.5h / 6h)?')) return;
     const defaults = { standardHours: 8.5, slabHours: 6, maintenanceMode: false, maintenance_mode: false };
@@ -624,6 +954,784 @@ async function toggleMaintenanceMode(isOn) {
     }
 }
 
+// ==================== LOGIN LOCKOUTS ====================
+async function loadLoginLockouts() {
+    const lockedBody = document.getElementById('login-lockouts-body');
+    const eventsBody = document.getElementById('login-lockout-events-body');
+    if (!lockedBody || !eventsBody) return;
+    try {
+        const res = await fetch(`${API_URL}/login-lockouts`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `Server status ${res.status}`);
+
+        const label = (row) => row.keyType === 'ip' ? `🌐 ${row.identifier}` : `👤 ${row.identifier}`;
+        const when = (iso) => iso ? new Date(iso).toLocaleString('en-IN') : '-';
+
+        lockedBody.innerHTML = data.locked.length === 0
+            ? '<tr><td colspan="6" style="text-align:center;color:var(--gray);">✅ No locked accounts right now.</td></tr>'
+            : data.locked.map(row => `
+                <tr>
+                    <td>${label(row)}</td>
+                    <td>${row.loginType || '-'}</td>
+                    <td>${row.failures}</td>
+                    <td>${row.lastIp || '-'}</td>
+                    <td>${when(row.lockedUntil)}</td>
+                    <td><button class="btn" style="background:#10b981;color:white;padding:0.25rem 0.6rem;" data-key="${encodeURIComponent(row.key)}" onclick="unlockLoginKey(this.dataset.key)">🔓 Unlock</button></td>
+                </tr>
+            `).join('');
+
+        eventsBody.innerHTML = data.events.length === 0
+            ? '<tr><td colspan="6" style="text-align:center;color:var(--gray);">No lockouts recorded.</td></tr>'
+            : data.events.map(ev => `
+                <tr>
+                    <td>${when(ev.createdAt)}</td>
+                    <td>${ev.event === 'locked' ? '🔒 Locked' : '🔓 Unlocked'}</td>
+                    <td>${label(ev)}</td>
+                    <td>${ev.ip || '-'}</td>
+                    <td>${ev.failures || '-'}</td>
+                    <td>${ev.actor || 'System'}</td>
+                </tr>
+            `).join('');
+    } catch (e) {
+        console.error('Failed to load login lockouts:', e);
+        lockedBody.innerHTML = `<tr><td colspan="6" style="text-align:center;color:var(--danger);">Failed to load lockouts: ${e.message}</td></tr>`;
+    }
+}
+
+async function unlockLoginKey(encodedKey) {
+    const key = decodeURIComponent(encodedKey);
+    if (!confirm(`Unlock ${key.replace(/^(user:\w+:|ip:)/, '')}?`)) return;
+    try {
+        const res = await fetch(`${API_URL}/login-lockouts/unlock`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ key })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `Server status ${res.status}`);
+        loadLoginLockouts();
+    } catch (e) {
+        alert('Failed to unlock: ' + e.message);
+    }
+}
+
+// ==================== WORK SITES ====================
+let sitesData = [];
+
+// Distances in the attendance report and the sites list
+function formatDistance(meters) {
+    return meters < 1000 ? `${meters} m` : `${(meters / 1000).toFixed(1)} km`;
+}
+
+async function loadSites() {
+    const tbody = document.getElementById('sites-body');
+    if (!tbody) return;
+    try {
+        const [sitesRes, empRes] = await Promise.all([
+            fetch(`${API_URL}/sites`),
+            fetch(`${API_URL}/employees`)
+        ]);
+        const data = await sitesRes.json();
+        if (!sitesRes.ok) throw new Error(data.error || `Server status ${sitesRes.status}`);
+        sitesData = data;
+        if (empRes.ok) employeesData = await empRes.json();
+    } catch (e) {
+        console.error('Failed to load sites:', e);
+        tbody.innerHTML = `<tr><td colspan="6" style="text-align:center;color:var(--danger);">Failed to load sites: ${e.message}</td></tr>`;
+        return;
+    }
+
+    renderSiteEmployees(getSiteEmployeeSelection());
+
+    if (sitesData.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;color:var(--gray);">No sites yet. Check-ins are not checked against any location.</td></tr>';
+        return;
+    }
+
+    const empName = (id) => (employeesData.find(e => String(e.id) === String(id)) || {}).name || id;
+    const today = new Date().toISOString().split('T')[0];
+    tbody.innerHTML = sitesData.map(site => {
+        const ended = site.activeTo && site.activeTo < today;
+        return `
+        <tr style="${ended ? 'opacity:0.6;' : ''}">
+            <td style="font-weight:500;">${_auditText(site.name)}</td>
+            <td style="font-family:monospace;font-size:0.85rem;">${parseFloat(site.lat).toFixed(5)}, ${parseFloat(site.lng).toFixed(5)}</td>
+            <td>${formatDistance(parseFloat(site.radiusMeters))}</td>
+            <td style="white-space:nowrap;">${site.activeFrom || 'Always'} → ${site.activeTo || 'Open'}${ended ? '<div style="font-size:0.8rem;color:var(--gray);">Ended</div>' : ''}</td>
+            <td style="max-width:220px;white-space:normal;">${(site.employeeIds || []).map(id => _auditText(empName(id))).join(', ') || '-'}</td>
+            <td style="white-space:nowrap;">
+                <button class="btn" style="background: var(--warning); color: white; padding: 0.25rem 0.5rem;" onclick="editSite('${site.id}')">✏️</button>
+                <button class="btn" style="background: var(--danger); color: white; padding: 0.25rem 0.5rem;" onclick="deleteSite('${site.id}')">🗑️</button>
+                ${historyButton('sites', site.id)}
+            </td>
+        </tr>`;
+    }).join('');
+}
+
+function getSiteEmployeeSelection() {
+    return Array.from(document.querySelectorAll('#site-employees input:checked')).map(cb => cb.value);
+}
+
+function renderSiteEmployees(selectedIds = []) {
+    const container = document.getElementById('site-employees');
+    if (!container) return;
+    const selected = selectedIds.map(String);
+    container.innerHTML = employeesData.length === 0
+        ? '<span style="color:var(--gray);font-size:0.85rem;">No employees yet.</span>'
+        : employeesData.map(emp => `
+            <label style="display:flex;align-items:center;gap:0.35rem;font-size:0.9rem;font-weight:normal;">
+                <input type="checkbox" value="${emp.id}" ${selected.includes(String(emp.id)) ? 'checked' : ''} style="width:auto;"> ${emp.name}
+            </label>
+        `).join('');
+}
+
+// Fills the coordinates from this device, for setting up a site while standing on it
+function useCurrentLocationForSite() {
+    if (!navigator.geolocation) return alert('Location is not available on this device.');
+    navigator.geolocation.getCurrentPosition(pos => {
+        document.getElementById('site-lat').value = pos.coords.latitude.toFixed(6);
+        document.getElementById('site-lng').value = pos.coords.longitude.toFixed(6);
+    }, err => alert('Could not get your location: ' + err.message), { enableHighAccuracy: true, timeout: 15000 });
+}
+
+async function saveSite(e) {
+    e.preventDefault();
+    const id = document.getElementById('site-id').value;
+    const payload = {
+        name: document.getElementById('site-name').value.trim(),
+        lat: document.getElementById('site-lat').value,
+        lng: document.getElementById('site-lng').value,
+        radiusMeters: document.getElementById('site-radius').value,
+        activeFrom: document.getElementById('site-active-from').value || null,
+        activeTo: document.getElementById('site-active-to').value || null,
+        employeeIds: getSiteEmployeeSelection()
+    };
+    try {
+        const res = await fetch(id ? `${API_URL}/sites/${id}` : `${API_URL}/sites`, {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `Server status ${res.status}`);
+        alert(id ? '🏗️ Site Updated!' : '🏗️ Site Added!');
+        resetSiteForm();
+        loadSites();
+    } catch (err) {
+        alert('Failed to save site: ' + err.message);
+    }
+}
+
+function editSite(id) {
+    const site = sitesData.find(s => String(s.id) === String(id));
+    if (!site) return;
+
+    document.getElementById('site-id').value = site.id;
+    document.getElementById('site-name').value = site.name || '';
+    document.getElementById('site-lat').value = site.lat;
+    document.getElementById('site-lng').value = site.lng;
+    document.getElementById('site-radius').value = site.radiusMeters || '';
+    document.getElementById('site-active-from').value = site.activeFrom || '';
+    document.getElementById('site-active-to').value = site.activeTo || '';
+    renderSiteEmployees(site.employeeIds || []);
+
+    document.getElementById('site-submit-btn').innerText = 'Update Site';
+    document.getElementById('site-cancel-btn').style.display = 'inline-block';
+    document.getElementById('site-form').scrollIntoView({ behavior: 'smooth' });
+}
+
+function resetSiteForm() {
+    document.getElementById('site-form').reset();
+    document.getElementById('site-id').value = '';
+    renderSiteEmployees([]);
+    document.getElementById('site-submit-btn').innerText = 'Add Site';
+    document.getElementById('site-cancel-btn').style.display = 'none';
+}
+
+function siteName(siteId) {
+    const site = sitesData.find(s => String(s.id) === String(siteId));
+    return site ? site.name : 'Removed site';
+}
+
+// Project / site choices of the attendance form; keeps the current choice unless `selected` is given
+function fillAttendanceSiteSelect(selected) {
+    const select = document.getElementById('att-site');
+    if (!select) return;
+    const value = selected === undefined ? select.value : (selected || '');
+    const options = sitesData.map(s => ({ id: String(s.id), name: s.name }));
+    if (value && !options.some(o => o.id === String(value))) options.push({ id: String(value), name: siteName(value) });
+    select.innerHTML = '<option value="">Unassigned</option>' + options.map(o => `<option value="${_auditText(o.id)}">${_auditText(o.name)}</option>`).join('');
+    select.value = value;
+}
+
+// Site filter above the attendance list: all, unassigned, or one site
+function fillAttendanceSiteFilter() {
+    const select = document.getElementById('att-filter-site');
+    if (!select) return;
+    const value = select.value;
+    select.innerHTML = '<option value="">All Sites</option><option value="unassigned">Unassigned</option>'
+        + sitesData.map(s => `<option value="${_auditText(String(s.id))}">${_auditText(s.name)}</option>`).join('');
+    select.value = [...select.options].some(o => o.value === value) ? value : '';
+}
+
+// "📶 Synced 40 min later" under a time the portal captured offline; the time shown is the capture time
+function offlineSyncHtml(capturedAt, syncedAt) {
+    if (!syncedAt) return '';
+    const minutes = Math.max(0, Math.round((Date.parse(syncedAt) - Date.parse(capturedAt)) / 60000));
+    const delay = minutes >= 120 ? `${Math.round(minutes / 60)} h` : `${minutes} min`;
+    return `<div style="color:#0369a1; font-size:0.75em;" title="Captured without signal; reached the server at ${_auditText(new Date(syncedAt).toLocaleString())}">📶 Synced ${delay} later</div>`;
+}
+
+// "35 m from Site A" under the check-in / check-out links; red when it was outside the site's radius
+function siteDistanceHtml(siteId, distance) {
+    if (distance === null || distance === undefined || distance === '') return '';
+    const site = sitesData.find(s => String(s.id) === String(siteId));
+    const meters = Math.round(parseFloat(distance));
+    if (!site) return `<div style="color:var(--gray); font-size:0.8em;">📏 ${formatDistance(meters)} from a removed site</div>`;
+    const inside = meters <= parseFloat(site.radiusMeters);
+    return `<div style="color:${inside ? '#10b981' : 'var(--danger)'}; font-size:0.8em; font-weight:${inside ? 'normal' : '600'};" title="Site radius ${formatDistance(parseFloat(site.radiusMeters))}">${inside ? '📏' : '⚠️'} ${formatDistance(meters)} from ${_auditText(site.name)}</div>`;
+}
+
+async function deleteSite(id) {
+    const site = sitesData.find(s => String(s.id) === String(id));
+    if (!confirm(`Delete site "${site ? site.name : id}"? Its workers will no longer be checked against it.`)) return;
+    try {
+        const res = await fetch(`${API_URL}/sites/${id}`, { method: 'DELETE' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `Server status ${res.status}`);
+        loadSites();
+    } catch (e) {
+        alert('Failed to delete site: ' + e.message);
+    }
+}
+
+// ==================== ADMIN USERS ====================
+let adminUsersData = [];
+const ADMIN_ROLE_LABELS = { owner: '👑 Owner', accountant: '💼 Accountant', supervisor: '🦺 Supervisor' };
+
+async function loadAdminUsers() {
+    const tbody = document.getElementById('admin-users-body');
+    if (!tbody) return;
+    try {
+        const [usersRes, empRes] = await Promise.all([
+            fetch(`${API_URL}/admin-users`),
+            fetch(`${API_URL}/employees`)
+        ]);
+        const data = await usersRes.json();
+        if (!usersRes.ok) throw new Error(data.error || `Server status ${usersRes.status}`);
+        adminUsersData = data;
+        employeesData = await empRes.json();
+    } catch (e) {
+        console.error('Failed to load admin users:', e);
+        tbody.innerHTML = `<tr><td colspan="6" style="text-align:center;color:var(--danger);">Failed to load admin users: ${e.message}</td></tr>`;
+        return;
+    }
+
+    renderAdminUserCrew(getAdminUserCrewSelection());
+    toggleAdminUserCrew();
+
+    if (adminUsersData.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;color:var(--gray);">No extra admin users yet.</td></tr>';
+        return;
+    }
+
+    const empName = (id) => (employeesData.find(e => String(e.id) === String(id)) || {}).name || id;
+    tbody.innerHTML = adminUsersData.map(u => `
+        <tr>
+            <td>${u.username}</td>
+            <td>${u.name || '-'}</td>
+            <td>${ADMIN_ROLE_LABELS[u.role] || u.role}</td>
+            <td style="max-width:220px;white-space:normal;">${u.role === 'supervisor' ? ((u.crew || []).map(empName).join(', ') || '-') : 'All'}</td>
+            <td>${u.active === false ? '<span style="color:var(--danger);">Disabled</span>' : '<span style="color:#10b981;">Active</span>'}</td>
+            <td>
+                <button class="btn" style="background: var(--warning); color: white; padding: 0.25rem 0.5rem;" onclick="editAdminUser('${u.id}')">✏️</button>
+                <button class="btn" style="background: var(--danger); color: white; padding: 0.25rem 0.5rem;" onclick="deleteAdminUser('${u.id}')">🗑️</button>
+                ${historyButton('admin_users', u.id)}
+            </td>
+        </tr>
+    `).join('');
+}
+
+function getAdminUserCrewSelection() {
+    return Array.from(document.querySelectorAll('#admin-user-crew input:checked')).map(cb => cb.value);
+}
+
+function renderAdminUserCrew(selectedIds = []) {
+    const container = document.getElementById('admin-user-crew');
+    if (!container) return;
+    const selected = selectedIds.map(String);
+    container.innerHTML = employeesData.length === 0
+        ? '<span style="color:var(--gray);font-size:0.85rem;">No employees yet.</span>'
+        : employeesData.map(emp => `
+            <label style="display:flex;align-items:center;gap:0.35rem;font-size:0.9rem;font-weight:normal;">
+                <input type="checkbox" value="${emp.id}" ${selected.includes(String(emp.id)) ? 'checked' : ''} style="width:auto;"> ${emp.name}
+            </label>
+        `).join('');
+}
+
+function toggleAdminUserCrew() {
+    const role = document.getElementById('admin-user-role');
+    const group = document.getElementById('admin-user-crew-group');
+    if (role && group) group.style.display = role.value === 'supervisor' ? '' : 'none';
+}
+
+async function saveAdminUser(e) {
+    e.preventDefault();
+    const id = document.getElementById('admin-user-id').value;
+    const role = document.getElementById('admin-user-role').value;
+    const password = document.getElementById('admin-user-password').value;
+    const payload = {
+        username: document.getElementById('admin-user-username').value.trim(),
+        name: document.getElementById('admin-user-name').value.trim(),
+        role,
+        crew: role === 'supervisor' ? getAdminUserCrewSelection() : [],
+        active: document.getElementById('admin-user-active').checked
+    };
+    // Blank password keeps the current one when editing
+    if (password) payload.password = password;
+    else if (!id) return alert('Please set a password for the new admin user.');
+
+    try {
+        const res = await fetch(id ? `${API_URL}/admin-users/${id}` : `${API_URL}/admin-users`, {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `Server status ${res.status}`);
+        alert(id ? 'Admin User Updated!' : 'Admin User Added!');
+        resetAdminUserForm();
+        loadAdminUsers();
+    } catch (err) {
+        alert('Failed to save admin user: ' + err.message);
+    }
+}
+
+function editAdminUser(id) {
+    const user = adminUsersData.find(u => String(u.id) === String(id));
+    if (!user) return;
+
+    document.getElementById('admin-user-id').value = user.id;
+    document.getElementById('admin-user-username').value = user.username || '';
+    document.getElementById('admin-user-name').value = user.name || '';
+    document.getElementById('admin-user-role').value = user.role || 'supervisor';
+    document.getElementById('admin-user-password').value = '';
+    document.getElementById('admin-user-active').checked = user.active !== false;
+    renderAdminUserCrew(user.crew || []);
+    toggleAdminUserCrew();
+
+    document.getElementById('admin-user-submit-btn').innerText = 'Update Admin User';
+    document.getElementById('admin-user-cancel-btn').style.display = 'inline-block';
+    document.getElementById('admin-user-form').scrollIntoView({ behavior: 'smooth' });
+}
+
+function resetAdminUserForm() {
+    document.getElementById('admin-user-form').reset();
+    document.getElementById('admin-user-id').value = '';
+    renderAdminUserCrew([]);
+    toggleAdminUserCrew();
+    document.getElementById('admin-user-submit-btn').innerText = 'Add Admin User';
+    document.getElementById('admin-user-cancel-btn').style.display = 'none';
+}
+
+async function deleteAdminUser(id) {
+    const user = adminUsersData.find(u => String(u.id) === String(id));
+    if (!confirm(`Delete admin user "${user ? user.username : id}"? They will be logged out immediately.`)) return;
+    try {
+        const res = await fetch(`${API_URL}/admin-users/${id}`, { method: 'DELETE' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `Server status ${res.status}`);
+        loadAdminUsers();
+    } catch (e) {
+        alert('Failed to delete admin user: ' + e.message);
+    }
+}
+
+// ==================== LEAVES ====================
+let leavesData = [];
+
+const LEAVE_STATUS_LABELS = {
+    pending: '<span style="color:#f59e0b;font-weight:600;">⏳ Pending</span>',
+    approved: '<span style="color:#10b981;font-weight:600;">✅ Approved</span>',
+    rejected: '<span style="color:var(--danger);font-weight:600;">❌ Rejected</span>',
+    cancelled: '<span style="color:var(--gray);font-weight:600;">↩️ Cancelled</span>'
+};
+
+function _leaveTypeLabel(key) {
+    const type = PayrollEngine.getLeaveTypes(globalSettings).find(t => t.key === key);
+    return type ? type.label : key;
+}
+
+function _leaveDatesText(leave) {
+    if (leave.halfDay) return `${leave.fromDate} (½ day)`;
+    return leave.fromDate === leave.toDate ? leave.fromDate : `${leave.fromDate} → ${leave.toDate}`;
+}
+
+async function loadLeavesPage() {
+    await fetchSettings();
+    const empRes = await fetch(`${API_URL}/employees`);
+    if (empRes.ok) employeesData = await empRes.json();
+
+    const filter = document.getElementById('leave-employee-filter');
+    const formSelect = document.getElementById('leave-employee');
+    if (filter && filter.options.length <= 1) employeesData.forEach(emp => filter.add(new Option(emp.name, emp.id)));
+    if (formSelect && formSelect.options.length === 0) {
+        formSelect.add(new Option('Select Employee', ''));
+        employeesData.forEach(emp => formSelect.add(new Option(emp.name, emp.id)));
+    }
+
+    const typeSelect = document.getElementById('leave-type');
+    if (typeSelect) {
+        typeSelect.innerHTML = PayrollEngine.getLeaveTypes(globalSettings)
+            .map(t => `<option value="${t.key}">${_auditText(t.label)}${t.paid ? '' : ' (unpaid)'}</option>`).join('');
+    }
+    loadLeaves();
+}
+
+async function loadLeaves() {
+    const tbody = document.getElementById('leaves-body');
+    if (!tbody) return;
+
+    const params = new URLSearchParams();
+    const filters = { status: 'leave-status-filter', employeeId: 'leave-employee-filter', month: 'leave-month-filter' };
+    Object.entries(filters).forEach(([key, elId]) => {
+        const el = document.getElementById(elId);
+        if (el && el.value) params.set(key, el.value);
+    });
+
+    tbody.innerHTML = '<tr><td colspan="7" style="text-align:center;color:var(--gray);">Loading...</td></tr>';
+    try {
+        const res = await fetch(`${API_URL}/leaves?${params}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `Server status ${res.status}`);
+        leavesData = data;
+
+        if (leavesData.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" style="text-align:center;color:var(--gray);">No leave requests found.</td></tr>';
+            return;
+        }
+        tbody.innerHTML = leavesData.map(leave => {
+            const emp = employeesData.find(e => String(e.id) === String(leave.employeeId));
+            const decision = leave.decisionNote ? `<div style="font-size:0.8rem;color:var(--gray);">${_auditText(leave.decisionNote)}</div>` : '';
+            const decidedBy = leave.decidedByName ? `<div style="font-size:0.8rem;color:var(--gray);">by ${_auditText(leave.decidedByName)}</div>` : '';
+            const actions = leave.status === 'pending' ? `
+                <button class="btn" style="background:var(--secondary);color:white;padding:0.25rem 0.5rem;" title="Approve" onclick="approveLeave('${leave.id}')">✅</button>
+                <button class="btn" style="background:var(--danger);color:white;padding:0.25rem 0.5rem;" title="Reject" onclick="rejectLeave('${leave.id}')">❌</button>` : '';
+            return `
+                <tr>
+                    <td>${emp ? _auditText(emp.name) : leave.employeeId}</td>
+                    <td>${_auditText(_leaveTypeLabel(leave.type))}${leave.paid === false ? ' <span style="color:var(--gray);font-size:0.8rem;">(unpaid)</span>' : ''}</td>
+                    <td>${_leaveDatesText(leave)}</td>
+                    <td>${leave.days}</td>
+                    <td>${leave.reason ? _auditText(leave.reason) : '-'}</td>
+                    <td>${LEAVE_STATUS_LABELS[leave.status] || leave.status}${decidedBy}${decision}</td>
+                    <td style="white-space:nowrap;">
+                        ${actions}
+                        <button class="btn" style="background:var(--danger);color:white;padding:0.25rem 0.5rem;" title="Delete" onclick="deleteLeave('${leave.id}')">🗑️</button>
+                        ${historyButton('leaves', leave.id)}
+                    </td>
+                </tr>`;
+        }).join('');
+    } catch (e) {
+        console.error('Failed to load leaves:', e);
+        tbody.innerHTML = `<tr><td colspan="7" style="text-align:center;color:var(--danger);">Failed to load leaves: ${e.message}</td></tr>`;
+    }
+}
+
+async function loadLeaveBalances() {
+    const box = document.getElementById('leave-balances');
+    const employeeId = document.getElementById('leave-employee').value;
+    if (!box) return;
+    if (!employeeId) {
+        box.innerHTML = '<p style="color:var(--gray);">Select an employee.</p>';
+        return;
+    }
+    try {
+        const res = await fetch(`${API_URL}/leaves/balances?employeeId=${encodeURIComponent(employeeId)}`);
+        const balances = await res.json();
+        if (!res.ok) throw new Error(balances.error || `Server status ${res.status}`);
+        box.innerHTML = balances.length === 0 ? '<p style="color:var(--gray);">No leave types keep a balance.</p>' : `
+            <table>
+                <thead><tr><th>Type</th><th>Accrued</th><th>Used</th><th>Pending</th><th>Available</th></tr></thead>
+                <tbody>${balances.map(b => `
+                    <tr>
+                        <td>${_auditText(b.label)} <span style="color:var(--gray);font-size:0.8rem;">(${b.yearlyDays}/yr)</span></td>
+                        <td>${b.accrued}</td><td>${b.used}</td><td>${b.pending}</td>
+                        <td style="font-weight:600;color:${b.available > 0 ? '#10b981' : 'var(--danger)'};">${b.available}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+    } catch (e) {
+        box.innerHTML = `<p style="color:var(--danger);">Failed to load balances: ${e.message}</p>`;
+    }
+}
+
+async function saveLeave(e) {
+    e.preventDefault();
+    const payload = {
+        employeeId: document.getElementById('leave-employee').value,
+        type: document.getElementById('leave-type').value,
+        fromDate: document.getElementById('leave-from').value,
+        toDate: document.getElementById('leave-to').value || document.getElementById('leave-from').value,
+        halfDay: document.getElementById('leave-half-day').checked,
+        reason: document.getElementById('leave-reason').value.trim()
+    };
+    try {
+        const res = await fetch(`${API_URL}/leaves`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `Server status ${res.status}`);
+        ['leave-from', 'leave-to', 'leave-reason'].forEach(id => { document.getElementById(id).value = ''; });
+        document.getElementById('leave-half-day').checked = false;
+        alert('🌴 Leave recorded and approved.');
+        loadLeaves();
+        loadLeaveBalances();
+    } catch (err) {
+        alert('❌ ' + err.message);
+    }
+}
+
+async function _postLeaveDecision(id, decision, note) {
+    try {
+        const res = await fetch(`${API_URL}/leaves/${id}/${decision}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ note })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `Server status ${res.status}`);
+        loadLeaves();
+        loadLeaveBalances();
+    } catch (e) {
+        alert('❌ ' + e.message);
+    }
+}
+
+async function approveLeave(id) {
+    const leave = leavesData.find(l => String(l.id) === String(id));
+    if (!leave) return;
+    const note = prompt(`Approve ${_leaveTypeLabel(leave.type)} for ${_leaveDatesText(leave)}?\nOptional note:`, '');
+    if (note === null) return;
+    _postLeaveDecision(id, 'approve', note.trim());
+}
+
+async function rejectLeave(id) {
+    const leave = leavesData.find(l => String(l.id) === String(id));
+    if (!leave) return;
+    const note = prompt(`Reject ${_leaveTypeLabel(leave.type)} for ${_leaveDatesText(leave)}?\nReason (shown to the employee):`, '');
+    if (note === null) return;
+    if (!note.trim()) return alert('A reason is required to reject a leave request.');
+    _postLeaveDecision(id, 'reject', note.trim());
+}
+
+async function deleteLeave(id) {
+    const leave = leavesData.find(l => String(l.id) === String(id));
+    if (!leave || !confirm(`Delete this leave (${_leaveDatesText(leave)})?${leave.status === 'approved' ? ' Payroll for those days will change.' : ''}`)) return;
+    try {
+        const res = await fetch(`${API_URL}/leaves/${id}`, { method: 'DELETE' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `Server status ${res.status}`);
+        loadLeaves();
+        loadLeaveBalances();
+    } catch (e) {
+        alert('❌ ' + e.message);
+    }
+}
+
+// ==================== AUDIT LOG ====================
+const AUDIT_PAGE_SIZE = 50;
+let _auditOffset = 0;
+
+const AUDIT_ENTITY_LABELS = {
+    employees: '👥 Employee',
+    attendance: '🕒 Attendance',
+    attendance_regularizations: '📝 Attendance Correction',
+    advances: '💲 Advance',
+    debit_notes: '📋 Debit Note',
+    payments: '💰 Payment',
+    salary_revisions: '📈 Salary Revision',
+    leaves: '🌴 Leave',
+    payroll: '🔒 Payroll Month',
+    admin_users: '🔐 Admin User',
+    sites: '🏗️ Work Site',
+    settings: '⚙️ Settings',
+    holidays: '📅 Holidays',
+    system: '🗄️ System'
+};
+const AUDIT_ACTION_LABELS = {
+    create: '<span style="color:#10b981;font-weight:600;">➕ Created</span>',
+    update: '<span style="color:#f59e0b;font-weight:600;">✏️ Updated</span>',
+    delete: '<span style="color:var(--danger);font-weight:600;">🗑️ Deleted</span>',
+    import: '<span style="color:#3b82f6;font-weight:600;">📥 Imported</span>',
+    reset: '<span style="color:var(--danger);font-weight:600;">⚠️ Factory Reset</span>',
+    close: '<span style="color:#334155;font-weight:600;">🔒 Closed</span>',
+    reopen: '<span style="color:#f59e0b;font-weight:600;">🔓 Reopened</span>',
+    reschedule: '<span style="color:#6366f1;font-weight:600;">📆 Rescheduled</span>',
+    auto_close: '<span style="color:#6366f1;font-weight:600;">🌙 Auto-closed</span>',
+    approve: '<span style="color:#10b981;font-weight:600;">✅ Approved</span>',
+    reject: '<span style="color:var(--danger);font-weight:600;">❌ Rejected</span>',
+    cancel: '<span style="color:var(--gray);font-weight:600;">↩️ Cancelled</span>'
+};
+
+// Audit values are free text (names, remarks) so escape them before rendering
+function _auditText(value) {
+    if (value === null || value === undefined || value === '') return '<em style="color:var(--gray);">empty</em>';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// Update → field-by-field diff; create/delete → the record as it was; reset/import → summary text
+function _auditDetailsHtml(entry) {
+    if (entry.summary) return _auditText(entry.summary);
+    if (entry.action === 'update') {
+        const changes = entry.changes || {};
+        const fields = Object.keys(changes);
+        if (fields.length === 0) return '<em style="color:var(--gray);">No field changes</em>';
+        return fields.map(field => `
+            <div style="font-size:0.85rem;"><strong>${field}</strong>: ${_auditText(changes[field].from)} → ${_auditText(changes[field].to)}</div>
+        `).join('');
+    }
+    const record = entry.after || entry.before || {};
+    return Object.entries(record)
+        .filter(([field, value]) => !['id', 'createdAt', 'updatedAt'].includes(field) && value !== null && value !== '')
+        .slice(0, 8)
+        .map(([field, value]) => {
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return `<div style="font-size:0.85rem;"><strong>${field}</strong>: ${_auditText(text.length > 60 ? text.slice(0, 60) + '…' : text)}</div>`;
+        }).join('') || '-';
+}
+
+function _auditActorHtml(entry) {
+    const role = entry.actorRole ? ` <span style="color:var(--gray);font-size:0.8rem;">(${entry.actorRole})</span>` : '';
+    return `${_auditText(entry.actorName || entry.actorId || 'System')}${role}`;
+}
+
+// 🕘 button shown next to ✏️/🗑️ on record rows (only for roles that can read the audit log)
+function historyButton(entity, id) {
+    if (!hasPermission('audit')) return '';
+    return `<button class="btn" style="background: var(--gray); color: white; padding: 0.25rem 0.5rem;" title="History" onclick="showRecordHistory('${entity}', '${id}')">🕘</button>`;
+}
+
+async function showRecordHistory(entity, id) {
+    let modal = document.getElementById('record-history-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'record-history-modal';
+        modal.style.cssText = 'display:none;position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.5);z-index:1005;justify-content:center;align-items:center;';
+        modal.onclick = (e) => { if (e.target === modal) closeRecordHistory(); };
+        modal.innerHTML = `
+            <div class="card" style="width:95%;max-width:700px;max-height:85vh;display:flex;flex-direction:column;padding:0;overflow:hidden;">
+                <div style="display:flex;justify-content:space-between;align-items:center;padding:0.75rem 1rem;border-bottom:1px solid #e2e8f0;">
+                    <h3 id="record-history-title" style="margin:0;font-size:1rem;">🕘 History</h3>
+                    <button class="btn" onclick="closeRecordHistory()" style="padding:0.4rem 0.75rem;background:var(--danger);color:white;font-size:0.85rem;">✕ Close</button>
+                </div>
+                <div id="record-history-body" style="flex:1;overflow-y:auto;padding:1rem;"></div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+    }
+
+    const body = document.getElementById('record-history-body');
+    document.getElementById('record-history-title').innerText = `🕘 ${(AUDIT_ENTITY_LABELS[entity] || entity).replace(/^\S+\s/, '')} History`;
+    body.innerHTML = '<p style="text-align:center;color:var(--gray);">Loading history...</p>';
+    modal.style.display = 'flex';
+
+    try {
+        const params = new URLSearchParams({ entity, entityId: id, limit: 100 });
+        const res = await fetch(`${API_URL}/audit?${params}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `Server status ${res.status}`);
+
+        body.innerHTML = data.entries.length === 0
+            ? '<p style="text-align:center;color:var(--gray);">No changes recorded for this record yet.</p>'
+            : data.entries.map(entry => `
+                <div style="border-left:3px solid #e2e8f0;padding:0.25rem 0 0.75rem 0.75rem;margin-bottom:0.5rem;">
+                    <div style="display:flex;justify-content:space-between;gap:0.5rem;flex-wrap:wrap;margin-bottom:0.25rem;">
+                        <span>${AUDIT_ACTION_LABELS[entry.action] || entry.action} by ${_auditActorHtml(entry)}</span>
+                        <span style="color:var(--gray);font-size:0.85rem;">${new Date(entry.createdAt).toLocaleString('en-IN')}</span>
+                    </div>
+                    ${_auditDetailsHtml(entry)}
+                </div>
+            `).join('');
+    } catch (e) {
+        console.error('Failed to load record history:', e);
+        body.innerHTML = `<p style="text-align:center;color:var(--danger);">Failed to load history: ${e.message}</p>`;
+    }
+}
+
+function closeRecordHistory() {
+    const modal = document.getElementById('record-history-modal');
+    if (modal) modal.style.display = 'none';
+}
+
+async function loadAuditLog(offset = 0) {
+    const tbody = document.getElementById('audit-log-body');
+    if (!tbody) return;
+    _auditOffset = Math.max(offset, 0);
+
+    const empSelect = document.getElementById('audit-employee-filter');
+    if (empSelect && empSelect.options.length <= 1) {
+        try {
+            const empRes = await fetch(`${API_URL}/employees`);
+            if (empRes.ok) {
+                employeesData = await empRes.json();
+                employeesData.forEach(emp => empSelect.add(new Option(emp.name, emp.id)));
+            }
+        } catch (e) {
+            console.error('Failed to load employees for audit filter:', e);
+        }
+    }
+
+    const params = new URLSearchParams({ limit: AUDIT_PAGE_SIZE, offset: _auditOffset });
+    const filters = { entity: 'audit-entity-filter', action: 'audit-action-filter', employeeId: 'audit-employee-filter', from: 'audit-from-filter', to: 'audit-to-filter' };
+    Object.entries(filters).forEach(([key, elId]) => {
+        const el = document.getElementById(elId);
+        if (el && el.value) params.set(key, el.value);
+    });
+
+    tbody.innerHTML = '<tr><td colspan="5" style="text-align:center;color:var(--gray);">Loading...</td></tr>';
+    try {
+        const res = await fetch(`${API_URL}/audit?${params}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `Server status ${res.status}`);
+
+        const empName = (id) => (employeesData.find(e => String(e.id) === String(id)) || {}).name || id;
+        tbody.innerHTML = data.entries.length === 0
+            ? '<tr><td colspan="5" style="text-align:center;color:var(--gray);">No audit entries match these filters.</td></tr>'
+            : data.entries.map(entry => `
+                <tr>
+                    <td style="white-space:nowrap;">${new Date(entry.createdAt).toLocaleString('en-IN')}</td>
+                    <td>${_auditActorHtml(entry)}</td>
+                    <td>${AUDIT_ACTION_LABELS[entry.action] || entry.action}</td>
+                    <td>
+                        ${AUDIT_ENTITY_LABELS[entry.entity] || entry.entity}
+                        ${entry.employeeId ? `<div style="color:var(--gray);font-size:0.8rem;">${_auditText(empName(entry.employeeId))}</div>` : ''}
+                    </td>
+                    <td style="max-width:380px;white-space:normal;">${_auditDetailsHtml(entry)}</td>
+                </tr>
+            `).join('');
+
+        const countEl = document.getElementById('audit-log-count');
+        if (countEl) {
+            countEl.innerText = data.total === 0 ? '' : `Showing ${_auditOffset + 1}-${_auditOffset + data.entries.length} of ${data.total}`;
+        }
+        const prevBtn = document.getElementById('audit-prev-btn');
+        const nextBtn = document.getElementById('audit-next-btn');
+        if (prevBtn) prevBtn.disabled = _auditOffset === 0;
+        if (nextBtn) nextBtn.disabled = _auditOffset + data.entries.length >= data.total;
+    } catch (e) {
+        console.error('Failed to load audit log:', e);
+        tbody.innerHTML = `<tr><td colspan="5" style="text-align:center;color:var(--danger);">Failed to load audit log: ${e.message}</td></tr>`;
+    }
+}
+
+function changeAuditPage(direction) {
+    loadAuditLog(_auditOffset + direction * AUDIT_PAGE_SIZE);
+}
+
 async function fetchStorageUsage() {
     const usedText = document.getElementById('storage-used-text');
     const progressBar = document.getElementById('storage-progress-bar');
@@ -729,8 +1837,8 @@ async function exportAllDataToExcel() {
             "Contact": e.contact,
             "Designation": e.designation,
             "Daily Salary": e.salary,
-            "Standard Hours": e.normalHours || globalSettings.standardHours,
-            "Slab Hours": e.slabBaseHours || globalSettings.slabHours
+            "Standard Hours": e.normalHours || '', // Blank = global setting
+            "Slab Hours": e.slabBaseHours || ''
         }));
 
         // 2. Prepare Attendance Data (Filtered)
@@ -763,6 +1871,7 @@ async function exportAllDataToExcel() {
             "Employee ID": a.employeeId,
             "Amount": a.amount,
             "Deduction Month": a.deductionMonth,
+            "Installments": a.installments ? JSON.stringify(a.installments) : '',
             "Mode": a.mode,
             "Notes": a.notes
         }));
@@ -864,19 +1973,19 @@ async function importExcelData() {
 
                 // Mapping functions from human-readable Excel headers back to DB JSON Schema
                 const mapEmployees = rawEmp.map(r => ({
-                    id: r["Employee ID"] ? r["Employee ID"].toString() : Date.now().toString() + Math.random().toString().slice(2, 6),
+                    id: r["Employee ID"] ? r["Employee ID"].toString() : undefined, // rows without one get a new id on the server
                     customId: r["Employee ID"],
                     name: r["Name"],
                     contact: r["Contact"],
                     designation: r["Designation"] || 'Worker',
                     salary: r["Daily Salary"] || 0,
-                    normalHours: r["Standard Hours"],
-                    slabBaseHours: r["Slab Hours"],
+                    normalHours: r["Standard Hours"] || null,
+                    slabBaseHours: r["Slab Hours"] || null,
                     joiningDate: new Date().toISOString().split('T')[0]
                 })).filter(e => e.name);
 
                 const mapAttendance = rawAtt.map(r => ({
-                    id: r["Record ID"] ? r["Record ID"].toString() : Date.now().toString() + Math.random().toString().slice(2, 6),
+                    id: r["Record ID"] ? r["Record ID"].toString() : undefined,
                     date: r["Date"],
                     employeeId: r["Employee ID"]?.toString(),
                     employeeName: r["Employee Name"],
@@ -887,17 +1996,18 @@ async function importExcelData() {
                 })).filter(a => a.employeeId && a.date);
 
                 const mapAdvances = rawAdv.map(r => ({
-                    id: r["Record ID"] ? r["Record ID"].toString() : Date.now().toString() + Math.random().toString().slice(2, 6),
+                    id: r["Record ID"] ? r["Record ID"].toString() : undefined,
                     date: r["Date"],
                     employeeId: r["Employee ID"]?.toString(),
                     amount: r["Amount"],
                     deductionMonth: r["Deduction Month"] || null,
+                    installments: r["Installments"] ? JSON.parse(r["Installments"]) : null,
                     mode: r["Mode"] || 'Online',
                     notes: r["Notes"] || ''
                 })).filter(a => a.employeeId && a.amount);
 
                 const mapPayments = rawPay.map(r => ({
-                    id: r["Record ID"] ? r["Record ID"].toString() : Date.now().toString() + Math.random().toString().slice(2, 6),
+                    id: r["Record ID"] ? r["Record ID"].toString() : undefined,
                     date: r["Date"],
                     employeeId: r["Employee ID"]?.toString(),
                     salaryMonth: r["Salary Month"],
@@ -952,12 +2062,15 @@ async function importExcelData() {
 async function loadDashboard() {
     // 1. Fetch all data in parallel
     try {
-        const [empRes, attRes, advRes, debRes, payRes] = await Promise.all([
+        const [empRes, attRes, advRes, debRes, payRes, revRes, snapRes, leaveRes] = await Promise.all([
             fetch(`${API_URL}/employees`),
             fetch(`${API_URL}/attendance`),
             fetch(`${API_URL}/advances`),
             fetch(`${API_URL}/debit-notes`),
             fetch(`${API_URL}/payments`),
+            fetch(`${API_URL}/salary-revisions`),
+            fetch(`${API_URL}/payroll/snapshots`),
+            fetch(`${API_URL}/leaves?status=approved`),
             fetchHolidays()
         ]);
 
@@ -980,6 +2093,15 @@ async function loadDashboard() {
 
         const payData = await payRes.json();
         paymentsData = Array.isArray(payData) ? payData : [];
+
+        const revData = revRes.ok ? await revRes.json() : [];
+        salaryRevisionsData = Array.isArray(revData) ? revData : [];
+
+        const snapData = snapRes.ok ? await snapRes.json() : [];
+        payrollSnapshotsData = Array.isArray(snapData) ? snapData : [];
+
+        const leaveData = leaveRes.ok ? await leaveRes.json() : [];
+        payrollLeavesData = Array.isArray(leaveData) ? leaveData : [];
     } catch (e) {
         console.error("Dashboard Load Error (Detailed):", e);
         const container = document.getElementById('employee-cards-container');
@@ -994,173 +2116,46 @@ async function loadDashboard() {
         return;
     }
 
-    // 2. Stats Calculation
-    document.getElementById('dash-total-emp').innerText = employeesData.length;
-
-    const today = new Date().toISOString().split('T')[0];
-    const todaysAtt = attendanceData.filter(a => a.date === today).length;
-    document.getElementById('dash-today-att').innerText = todaysAtt;
-
-    // Filter Logic
-    let filterMonth = document.getElementById('dashboard-month-filter').value;
-    if (!filterMonth) {
-        filterMonth = today.substring(0, 7);
-        document.getElementById('dashboard-month-filter').value = filterMonth;
-    }
-
-    const currentMonth = filterMonth;
-    document.querySelector('#dash-curr-payroll').previousElementSibling.innerText = `Total Payroll (${new Date(filterMonth + '-01').toLocaleString('default', { month: 'long' })})`;
-    document.querySelector('#dash-advances').previousElementSibling.innerText = `Total Advances (${new Date(filterMonth + '-01').toLocaleString('default', { month: 'long' })})`;
-
-    // Quick client-side payroll calc for dashboard stat (Filtered by Month)
-    let totalPayroll = 0;
-
-    // OPTIMIZATION: Pre-group datasets by employee for O(1) constant-time lookups
-    const monthlyAttByEmp = new Map();
-    const pastAttByEmp = new Map();
-    attendanceData.forEach(a => {
-        const empKey = String(a.employeeId);
-        if (a.date && a.date.startsWith(currentMonth)) {
-            if (!monthlyAttByEmp.has(empKey)) monthlyAttByEmp.set(empKey, []);
-            monthlyAttByEmp.get(empKey).push(a);
-        } else if (a.date && a.date < `${currentMonth}-01`) {
-            if (!pastAttByEmp.has(empKey)) pastAttByEmp.set(empKey, []);
-            pastAttByEmp.get(empKey).push(a);
-        }
-    });
-
-    const advancesByEmp = new Map();
-    advancesData.forEach(a => {
-        const empKey = String(a.employeeId);
-        if (!advancesByEmp.has(empKey)) advancesByEmp.set(empKey, []);
-        advancesByEmp.get(empKey).push(a);
-    });
-
-    const debitNotesByEmp = new Map();
-    debitNotesData.forEach(d => {
-        const empKey = String(d.employeeId || d.empId);
-        if (!debitNotesByEmp.has(empKey)) debitNotesByEmp.set(empKey, []);
-        debitNotesByEmp.get(empKey).push(d);
-    });
-
-    const paymentsByEmp = new Map();
-    paymentsData.forEach(p => {
-        const empKey = String(p.employeeId);
-        if (!paymentsByEmp.has(empKey)) paymentsByEmp.set(empKey, []);
-        paymentsByEmp.get(empKey).push(p);
-    });
-
-    employeesData.forEach(emp => {
-        const empIdStr = String(emp.id);
-
-        if (emp.employee_type === 'fixed_salary') {
-            // Fixed salary employees earn their monthly salary + fare regardless of attendance
-            const fixedEarned = (parseFloat(emp.salary) || 0) + (parseFloat(emp.monthly_fare) || 0);
-            totalPayroll += Math.round(fixedEarned);
-            return;
-        }
-
-        // O(1) lookup
-        const empAtt = monthlyAttByEmp.get(empIdStr) || [];
-        let empEarned = 0;
-        empAtt.forEach(att => {
-            const wh = parseFloat(att.workedHours || att.totalHours || att.worked_hours || att.hours || 0);
-            if (isNaN(wh)) return;
-
-            const sal = parseFloat(emp.salary);
-            const hourly = sal / globalSettings.standardHours;
-            if (att.sundayMode) {
-                empEarned += sal;
-            } else if (att.slabMode && wh > globalSettings.standardHours) {
-                const slabRate = sal / globalSettings.slabHours;
-                empEarned += (hourly * globalSettings.standardHours) + (slabRate * (wh - globalSettings.standardHours));
-            } else {
-                empEarned += hourly * wh;
-            }
-            empEarned += (parseFloat(att.fare) || 0);
-        });
-        totalPayroll += Math.round(empEarned);
-    });
-
-    const totalAdvances = advancesData.filter(a => {
-        const dedMonth = a.deductionMonth || (a.date ? a.date.substring(0, 7) : '');
-        return dedMonth === currentMonth;
-    }).reduce((sum, a) => sum + (parseFloat(a.amount) || 0), 0);
-
-    const totalDebitNotes = debitNotesData.filter(d => {
-        const dedMonth = d.deductionMonth || (d.date ? d.date.substring(0, 7) : '');
-        return dedMonth === currentMonth;
-    }).reduce((sum, d) => sum + (parseFloat(d.amount) || 0), 0);
-
-    const totalPaid = paymentsData.filter(p => {
-        return p.salaryMonth === currentMonth;
-    }).reduce((sum, p) => sum + (parseFloat(p.amount) || 0), 0);
-
-    // Calculate sum of all employees' previous carry-forward balances using O(1) pre-indexed Maps
-    let totalPreviousBalance = 0;
-    employeesData.forEach(emp => {
-        const empIdStr = String(emp.id);
-        const empAdv = advancesByEmp.get(empIdStr) || [];
-        const empDeb = debitNotesByEmp.get(empIdStr) || [];
-        const empPay = paymentsByEmp.get(empIdStr) || [];
-        const empPastAtt = pastAttByEmp.get(empIdStr) || [];
-
-        const pastAdv = empAdv.filter(a => {
-            const deduct = a.deductionMonth || (a.date ? a.date.substring(0, 7) : '');
-            return deduct < currentMonth;
-        });
-        const pastDeductions = pastAdv.reduce((sum, a) => sum + (parseFloat(a.amount) || 0), 0);
-
-        const pastDeb = empDeb.filter(d => {
-            const deduct = d.deductionMonth || (d.date ? d.date.substring(0, 7) : '');
-            return deduct < currentMonth;
-        });
-        const pastDebDeductions = pastDeb.reduce((sum, d) => sum + (parseFloat(d.amount) || 0), 0);
-
-        const pastPay = empPay.filter(p => p.salaryMonth < currentMonth);
-        const pastPaymentsTotal = pastPay.reduce((sum, p) => sum + (parseFloat(p.amount) || 0), 0);
-
-        if (emp.employee_type === 'fixed_salary') {
-            // Fixed salary: count past months active
-            const pastPayMonths = new Set(pastPay.map(p => p.salaryMonth));
-            pastAdv.forEach(a => {
-                const deduct = a.deductionMonth || (a.date ? a.date.substring(0, 7) : '');
-                pastPayMonths.add(deduct);
-            });
-            pastDeb.forEach(d => {
-                const deduct = d.deductionMonth || (d.date ? d.date.substring(0, 7) : '');
-                pastPayMonths.add(deduct);
-            });
-            const pastMonthsCount = pastPayMonths.size;
-            const monthlyTotal = (parseFloat(emp.salary) || 0) + (parseFloat(emp.monthly_fare) || 0);
-            const pastEarningsSupervisor = monthlyTotal * pastMonthsCount;
-
-            totalPreviousBalance += Math.round(pastEarningsSupervisor - pastDeductions - pastDebDeductions - pastPaymentsTotal);
-            return;
-        }
+    // 2. Stats Calculation
+    document.getElementById('dash-total-emp').innerText = employeesData.length;
 
-        let pastEarnings = 0;
-        empPastAtt.forEach(att => {
-            const wh = parseFloat(att.workedHours || att.totalHours || att.worked_hours || att.hours || 0);
-            if (isNaN(wh)) return;
-            const sal = parseFloat(emp.salary);
-            const normalRate = sal / globalSettings.standardHours;
-            if (att.sundayMode) {
-                pastEarnings += sal;
-            } else if (att.slabMode && wh > globalSettings.standardHours) {
-                const slabRate = sal / globalSettings.slabHours;
-                pastEarnings += (normalRate * globalSettings.standardHours) + (slabRate * (wh - globalSettings.standardHours));
-            } else {
-                pastEarnings += normalRate * wh;
-            }
-            pastEarnings += (parseFloat(att.fare) || 0);
-        });
+    const today = new Date().toISOString().split('T')[0];
+    const todaysAtt = attendanceData.filter(a => a.date === today).length;
+    document.getElementById('dash-today-att').innerText = todaysAtt;
 
-        totalPreviousBalance += Math.round(pastEarnings - pastDeductions - pastDebDeductions - pastPaymentsTotal);
-    });
+    // Filter Logic
+    let filterMonth = document.getElementById('dashboard-month-filter').value;
+    if (!filterMonth) {
+        filterMonth = today.substring(0, 7);
+        document.getElementById('dashboard-month-filter').value = filterMonth;
+    }
+
+    const currentMonth = filterMonth;
+    document.querySelector('#dash-curr-payroll').previousElementSibling.innerText = `Total Payroll (${new Date(filterMonth + '-01').toLocaleString('default', { month: 'long' })})`;
+    document.querySelector('#dash-advances').previousElementSibling.innerText = `Total Advances (${new Date(filterMonth + '-01').toLocaleString('default', { month: 'long' })})`;
 
-    // Formula: Total Payroll + Previous Balances (carry-forward) - Advances - Debit Notes - Paid
-    let totalPendingDues = totalPayroll + totalPreviousBalance - totalAdvances - totalDebitNotes - totalPaid;
+    // Month totals from the shared payroll engine (same figures as the Payroll page)
+    const monthPayroll = PayrollEngine.calculatePayroll(employeesData, {
+        attendance: attendanceData,
+        advances: advancesData,
+        debitNotes: debitNotesData,
+        payments: paymentsData,
+        salaryRevisions: salaryRevisionsData,
+        payrollSnapshots: payrollSnapshotsData,
+        leaves: payrollLeavesData,
+        holidays: holidaysData
+    }, currentMonth, globalSettings);
+
+    const sumPayroll = (key) => monthPayroll.reduce((sum, p) => sum + (p[key] || 0), 0);
+    const totalPayroll = sumPayroll('grossEarned');
+    const totalPreviousBalance = sumPayroll('previousBalance');
+    const totalAdvances = sumPayroll('advancePaid');
+    const totalDebitNotes = sumPayroll('debitNotesDeducted');
+    const totalStatutory = sumPayroll('statutoryDeducted');
+    const totalPaid = sumPayroll('paidTotal');
+
+    // Formula: Total Payroll + Previous Balances (carry-forward) - Advances - Debit Notes - PF/ESI/PT - Paid
+    let totalPendingDues = totalPayroll + totalPreviousBalance - totalAdvances - totalDebitNotes - totalStatutory - totalPaid;
 
     // Show the calculation in the orange box: Total Payroll + Previous Balance = Total
     const totalEarned = totalPayroll + totalPreviousBalance;
@@ -1209,13 +2204,14 @@ async function saveQuickSettings() {
 
     const newSettings = { ...globalSettings, standardHours: std, slabHours: slab };
 
-    await fetch(`${API_URL}/settings`, {
+    // Applies from the current month; earlier months keep their hours
+    const res = await fetch(`${API_URL}/settings`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(newSettings)
     });
 
-    globalSettings = newSettings;
+    globalSettings = res.ok ? { ...globalSettings, ...(await res.json()) } : newSettings;
     await loadDashboard(); // Re-calculate
     alert('Quick Settings Saved & Dashboard Updated!');
 }
@@ -1260,32 +2256,105 @@ function renderEmployeeCards() {
 }
 
 // --- HOLIDAY LOGIC ---
+const HOLIDAY_TYPE_LABELS = { national: '🇮🇳 National', festival: '🪔 Festival', company: '🏢 Company' };
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function holidayName(date) {
+    const h = holidaysData.find(h => h.date === date);
+    return h ? h.name : '';
+}
+
 async function markHoliday() {
     const dateInput = document.getElementById('holiday-date-picker');
+    const nameInput = document.getElementById('holiday-name');
     const date = dateInput.value;
+    const name = nameInput.value.trim();
     if (!date) return alert('Please select a date');
+    if (!name) return alert('Please enter a name for the holiday');
 
     if (holidays.includes(date)) {
         alert('This date is already a holiday!');
         return;
     }
 
-    if (!confirm(`Mark ${date} as a global holiday?`)) return;
+    const holiday = {
+        date,
+        name,
+        type: document.getElementById('holiday-type').value,
+        paid: document.getElementById('holiday-paid').checked
+    };
+    if (!confirm(`Mark ${date} (${name}) as a ${holiday.paid ? 'paid' : 'unpaid'} holiday?`)) return;
 
-    holidays.push(date);
-    await syncHolidays();
+    const res = await fetch(`${API_URL}/holidays`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(holiday)
+    });
+    const saved = await res.json();
+    if (!res.ok) return alert('❌ ' + (saved.error || 'Could not mark the holiday'));
+    await fetchHolidays();
 
     alert('Holiday Marked!');
     dateInput.value = '';
-    loadDashboard();
+    nameInput.value = '';
+    document.getElementById('holiday-paid').checked = false;
 }
 
-async function syncHolidays() {
-    await fetch(`${API_URL}/holidays`, {
+// Yearly calendar from Excel / CSV with columns Date, Name, Type, Paid
+async function importHolidayCalendar() {
+    const fileInput = document.getElementById('holiday-import-file');
+    const file = fileInput.files[0];
+    if (!file) return alert('Please select an Excel (.xlsx) or CSV file with the holiday calendar.');
+    if (typeof XLSX === 'undefined') return alert('Excel library is not loaded. Please refresh.');
+
+    try {
+        const workbook = XLSX.read(new Uint8Array(await file.arrayBuffer()), { type: 'array', cellDates: true });
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { raw: false, dateNF: 'yyyy-mm-dd' });
+        const calendar = rows.map(r => ({
+            date: (r['Date'] || '').toString().trim(),
+            name: r['Name'],
+            type: r['Type'] || 'company',
+            paid: r['Paid'] || false
+        })).filter(h => h.date);
+        if (calendar.length === 0) return alert('No holidays found. The first sheet needs Date, Name, Type and Paid columns.');
+
+        const res = await fetch(`${API_URL}/holidays/import`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ holidays: calendar })
+        });
+        const result = await res.json();
+        if (!res.ok) return alert('❌ ' + (result.error || 'Could not import the calendar'));
+        await fetchHolidays();
+
+        fileInput.value = '';
+        const skippedText = result.skipped.length
+            ? `\n\nSkipped ${result.skipped.length}:\n` + result.skipped.map(h => `${h.date} ${h.name} — ${h.reason}`).join('\n')
+            : '';
+        alert(`📅 Imported ${result.created.length} holiday(s).${skippedText}`);
+    } catch (e) {
+        alert('❌ Could not read the file: ' + e.message);
+    }
+}
+
+function fillWeeklyOffSelect() {
+    const select = document.getElementById('set-weekly-off');
+    if (!select) return;
+    select.value = String(PayrollEngine.getWeeklyOff(globalSettings));
+}
+
+async function saveWeeklyOff() {
+    const weeklyOff = parseInt(document.getElementById('set-weekly-off').value, 10);
+    const res = await fetch(`${API_URL}/settings`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(holidays)
+        body: JSON.stringify({ weeklyOff })
     });
+    const saved = await res.json();
+    if (!res.ok) return alert('❌ ' + (saved.error || 'Could not save the weekly off'));
+    globalSettings = { ...globalSettings, ...saved };
+    fillWeeklyOffSelect();
+    alert(weeklyOff === -1 ? '📅 Weekly off removed.' : `📅 Weekly off set to ${WEEKDAY_NAMES[weeklyOff]}.`);
 }
 
 function openHolidayModal() {
@@ -1298,26 +2367,40 @@ function renderHolidayList() {
     tbody.innerHTML = '';
 
     // Sort holidays desc
-    const sorted = [...holidays].sort((a, b) => new Date(b) - new Date(a));
+    const sorted = [...holidaysData].sort((a, b) => b.date.localeCompare(a.date));
+    if (sorted.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align:center;color:#64748b;">No holidays yet</td></tr>';
+        return;
+    }
 
-    sorted.forEach(date => {
+    const canEdit = hasPermission('holidays');
+    sorted.forEach(h => {
         const tr = document.createElement('tr');
         tr.innerHTML = `
-            <td data-label="Date">${date}</td>
+            <td data-label="Date">${h.date}</td>
+            <td data-label="Name">${_auditText(h.name) || '-'}</td>
+            <td data-label="Type">${HOLIDAY_TYPE_LABELS[h.type] || _auditText(h.type)}</td>
+            <td data-label="Paid">${h.paid ? '<span style="color:#16a34a;font-weight:600;">✅ Paid</span>' : '<span style="color:#64748b;">Unpaid</span>'}</td>
             <td data-label="Action">
-                <button class="btn" style="background: var(--danger); color: white; padding: 0.25rem 0.5rem;" onclick="deleteHoliday('${date}')">Delete</button>
+                ${canEdit ? `<button class="btn" style="background: var(--danger); color: white; padding: 0.25rem 0.5rem;" onclick="deleteHoliday('${h.id}')">Delete</button>` : ''}
             </td>
         `;
         tbody.appendChild(tr);
     });
 }
 
-async function deleteHoliday(date) {
-    if (!confirm(`Remove ${date} from holidays?`)) return;
-    holidays = holidays.filter(h => h !== date);
-    await syncHolidays();
+async function deleteHoliday(id) {
+    const holiday = holidaysData.find(h => String(h.id) === String(id));
+    if (!holiday) return;
+    if (!confirm(`Remove ${holiday.date} (${holiday.name}) from holidays?`)) return;
+    const res = await fetch(`${API_URL}/holidays/${id}`, { method: 'DELETE' });
+    if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        return alert('❌ ' + (err.error || 'Could not remove the holiday'));
+    }
+    await fetchHolidays();
     renderHolidayList();
-    loadDashboard(); // Refresh stats
+    if (document.getElementById('dashboard-month-filter')) loadDashboard(); // Refresh stats
 }
 
 // --- MODAL LOGIC ---
@@ -1410,6 +2493,26 @@ function convertNumberToWords(amount) {
     return words_string + " Rupees Only";
 }
 
+// One employee's payroll for a month from the loaded data, via the shared engine
+function getEmployeePayroll(emp, month) {
+    return PayrollEngine.calculateEmployeePayroll(emp, {
+        attendance: attendanceData,
+        advances: advancesData,
+        debitNotes: debitNotesData,
+        payments: paymentsData,
+        salaryRevisions: salaryRevisionsData,
+        payrollSnapshots: payrollSnapshotsData,
+        leaves: payrollLeavesData,
+        holidays: holidaysData
+    }, month, globalSettings);
+}
+
+// Employee with the pay terms in force on `date` (salary history)
+function getEmployeeOnDate(emp, date) {
+    const revisions = salaryRevisionsData.filter(r => String(r.employeeId) === String(emp.id));
+    return PayrollEngine.getEmployeeOnDate(emp, revisions, date);
+}
+
 async function downloadPayslipPDF() {
     try {
         if (!currentModalEmployee) return;
@@ -1423,81 +2526,39 @@ async function downloadPayslipPDF() {
         const { jsPDF } = window.jspdf;
         const doc = new jsPDF();
 
-        const empId = currentModalEmployee.id;
         const month = document.getElementById('modal-month-picker').value;
 
         // Fetch latest payments to ensure accuracy
         const payRes = await fetch(`${API_URL}/payments`);
-        const allPayments = await payRes.json();
-        const payments = allPayments.filter(p => String(p.employeeId) === String(empId) && p.salaryMonth === month);
+        paymentsData = await payRes.json();
         const emp = currentModalEmployee;
 
-        const cleanNum = (str) => parseFloat(String(str).replace(/[^0-9.-]+/g, '')) || 0;
-
-        // --- 1. DATA CALCULATION ---
-        const att = attendanceData.filter(a => String(a.employeeId) === String(empId) && a.date.startsWith(month));
-        const adv = advancesData.filter(a => String(a.employeeId) === String(empId) && (a.deductionMonth || a.date.substring(0, 7)) === month);
-
-        let basicPay = 0;
-        let otPay = 0;
-        let totalHours = 0;
-        let totalNormalHours = 0;
-        let totalOTHours = 0;
-        let totalFare = 0;
-
-        const normalHourlyRate = emp.salary / globalSettings.standardHours;
-        const slabHourlyRate = emp.salary / globalSettings.slabHours;
-
-        att.forEach(a => {
-            const wh = parseFloat(a.workedHours || a.totalHours || a.worked_hours || a.hours || 0);
-            totalHours += wh;
-            totalFare += parseFloat(a.fare || 0);
-
-            if (a.sundayMode) {
-                // Sunday mode: full daily salary regardless of hours
-                basicPay += emp.salary;
-                totalNormalHours += wh;
-            } else if (a.slabMode && wh > globalSettings.standardHours) {
-                // Split: Normal Hours get Normal Rate, Extra Hours get Slab Rate
-                const normalPart = normalHourlyRate * globalSettings.standardHours;
-                const extraPart = slabHourlyRate * (wh - globalSettings.standardHours);
-                basicPay += normalPart;
-                otPay += extraPart;
-                totalNormalHours += globalSettings.standardHours;
-                totalOTHours += (wh - globalSettings.standardHours);
-            } else {
-                // All hours are at normal rate
-                basicPay += normalHourlyRate * wh;
-                totalNormalHours += wh;
-            }
-        });
-
-        const totalEarned = basicPay + otPay + totalFare;
-        const totalAdv = adv.reduce((sum, a) => sum + a.amount, 0);
-        const totalPaid = payments.reduce((sum, p) => sum + p.amount, 0);
+        // --- 1. DATA CALCULATION (shared payroll engine) ---
+        const slip = getEmployeePayroll(emp, month);
+        const payments = slip.payments;
+        const deductions = [
+            ...slip.advances.map(a => ({ label: a.installmentCount > 1 ? `Adv EMI ${a.installmentNo}/${a.installmentCount}` : 'Adv', date: a.date, amount: parseFloat(a.amount) || 0 })),
+            ...slip.debitNotes.map(d => ({ label: 'Debit', date: d.date, amount: parseFloat(d.amount) || 0 })),
+            ...PayrollEngine.describeStatutoryLines(slip.statutory)
+        ];
 
-        // Fetch Previous Balance from Server (Source of Truth)
-        // We need to fetch the payroll object for this employee/month to get the exact previous balance
-        let previousBalance = 0;
-        try {
-            const payrollRes = await fetch(`${API_URL}/payroll?month=${month}`);
-            const payrollList = await payrollRes.json();
-            const empPayroll = payrollList.find(p => String(p.employee.id) === String(empId));
-            if (empPayroll) {
-                previousBalance = empPayroll.previousBalance || 0;
-            }
-        } catch (e) {
-            console.warn("Could not fetch previous balance for PDF", e);
-        }
+        const basicPay = slip.basePay;
+        const otPay = slip.otPay;
+        const totalFare = slip.fareTotal;
+        const monthSalary = parseFloat(slip.salaryTerms.salary) || 0; // Rate in force on the 1st of the month
+        const normalHourlyRate = monthSalary / slip.hourRules.standardHours;
 
-        const netPayable = totalEarned - totalAdv + previousBalance;
-        const remainingDue = netPayable - totalPaid;
+        const totalEarned = basicPay + otPay + totalFare;
+        const totalDeductions = slip.advancePaid + slip.debitNotesDeducted + (slip.statutoryDeducted || 0);
+        const previousBalance = slip.previousBalance;
+        const netPayable = slip.finalPayable;
+        const remainingDue = slip.remainingDue;
 
         // Amount in words: Use Total Earned OR Net Payable? Standard is Net Payable (after advances)
         // But since we are showing payments, we should probably show the Net Payable amount in words
         // If fully paid, remaining is 0. 
         const amountInWords = convertNumberToWords(Math.round(netPayable));
-        const presentDays = att.length;
+        const presentDays = slip.isSupervisor ? '-' : slip.daysWorked;
 
         // --- 2. HEADER & LOGO ---
         try {
@@ -1557,7 +2618,7 @@ async function downloadPayslipPDF() {
 
         // Row 3
         doc.setFont("helvetica", "bold"); doc.text("Daily Salary:", leftX, currentY);
-        doc.setFont("helvetica", "normal"); doc.text(`Rs. ${emp.salary}`, leftX + 35, currentY);
+        doc.setFont("helvetica", "normal"); doc.text(`Rs. ${monthSalary}`, leftX + 35, currentY);
 
         doc.setFont("helvetica", "bold"); doc.text("Hourly Rate:", rightX, currentY);
         doc.setFont("helvetica", "normal"); doc.text(`Rs. ${normalHourlyRate.toFixed(2)}`, rightX + 25, currentY);
@@ -1566,16 +2627,19 @@ async function downloadPayslipPDF() {
 
         // Row 4
         doc.setFont("helvetica", "bold"); doc.text("Normal Hours:", leftX, currentY);
-        doc.setFont("helvetica", "normal"); doc.text(`${totalNormalHours.toFixed(2)} hrs`, leftX + 35, currentY);
+        doc.setFont("helvetica", "normal"); doc.text(`${slip.normalHours.toFixed(2)} hrs`, leftX + 35, currentY);
 
         doc.setFont("helvetica", "bold"); doc.text("OT Hours:", rightX, currentY);
-        doc.setFont("helvetica", "normal"); doc.text(`${totalOTHours.toFixed(2)} hrs`, rightX + 25, currentY);
+        doc.setFont("helvetica", "normal"); doc.text(`${slip.otHours.toFixed(2)} hrs`, rightX + 25, currentY);
 
         currentY += 6;
 
         // Row 5
         doc.setFont("helvetica", "bold"); doc.text("Total Hours:", leftX, currentY);
-        doc.setFont("helvetica", "normal"); doc.text(`${totalHours.toFixed(2)} hrs`, leftX + 35, currentY);
+        doc.setFont("helvetica", "normal"); doc.text(`${slip.totalHours.toFixed(2)} hrs`, leftX + 35, currentY);
+
+        doc.setFont("helvetica", "bold"); doc.text("Hour Rules:", rightX, currentY);
+        doc.setFont("helvetica", "normal"); doc.text(PayrollEngine.describeHourRules(slip.hourRules), rightX + 25, currentY);
 
         doc.line(14, currentY + 4, 196, currentY + 4);
 
@@ -1584,9 +2648,11 @@ async function downloadPayslipPDF() {
         doc.setFontSize(10);
 
         // Calculate Dynamic Height (Include Payments if any?? No, payments go in summary usually, or separate table)
-        // Keeping logic: Earnings | Deductions (Advances)
-        const earningsRows = 3; // Basic, OT, Fare
-        const deductionRows = Math.max(1, adv.length);
+        // Keeping logic: Earnings | Deductions (Advances + Debit Notes)
+        // Leave pay, paid holidays and late / half-day cuts are part of basic pay, each shown on its own row
+        const basicLines = [PayrollEngine.describeLeavePay(slip), PayrollEngine.describeHolidayPay(slip), PayrollEngine.describeLateDeduction(slip)].filter(Boolean);
+        const earningsRows = 3 + basicLines.length; // Basic, OT, Fare (+ Leave, Holidays, Late)
+        const deductionRows = Math.max(1, deductions.length);
         const maxRows = Math.max(earningsRows, deductionRows);
         const rowHeight = 8;
         const headerHeight = 8;
@@ -1610,7 +2676,7 @@ async function downloadPayslipPDF() {
 
         // Earnings (Fixed)
         doc.text("Basic Salary", 18, contentY);
-        doc.text(basicPay.toFixed(2), 95, contentY, null, null, "right");
+        doc.text((basicPay - basicLines.reduce((sum, line) => sum + line.amount, 0)).toFixed(2), 95, contentY, null, null, "right");
 
         doc.text("Overtime", 18, contentY + 8);
         doc.text(otPay.toFixed(2), 95, contentY + 8, null, null, "right");
@@ -1618,13 +2684,18 @@ async function downloadPayslipPDF() {
         doc.text("Travel / Fare", 18, contentY + 16);
         doc.text(totalFare.toFixed(2), 95, contentY + 16, null, null, "right");
 
-        // Deductions (Advances Loop)
+        basicLines.forEach((line, i) => {
+            doc.text(line.label, 18, contentY + 24 + i * 8);
+            doc.text(line.amount.toFixed(2), 95, contentY + 24 + i * 8, null, null, "right");
+        });
+
+        // Deductions (Advances + Debit Notes Loop)
         let dedY = contentY;
-        if (adv.length > 0) {
-            adv.forEach(a => {
-                const d = a.date.split('-');
-                doc.text(`Adv (${d[2]}/${d[1]})`, 109, dedY);
-                doc.text(a.amount.toFixed(2), 186, dedY, null, null, "right");
+        if (deductions.length > 0) {
+            deductions.forEach(ded => {
+                const d = (ded.date || '').split('-');
+                doc.text(ded.date ? `${ded.label} (${d[2]}/${d[1]})` : ded.label, 109, dedY);
+                doc.text(ded.amount.toFixed(2), 186, dedY, null, null, "right");
                 dedY += 8;
             });
         } else {
@@ -1644,7 +2715,7 @@ async function downloadPayslipPDF() {
 
         doc.rect(105, totalY, 91, 10);
         doc.text("Total Deductions", 109, totalY + 7);
-        doc.text(`Rs. ${totalAdv.toFixed(2)}`, 186, totalY + 7, null, null, "right"); // Only advances here
+        doc.text(`Rs. ${totalDeductions.toFixed(2)}`, 186, totalY + 7, null, null, "right");
 
         // --- PREVIOUS BALANCE ROW (Added Padding & Box) ---
         const prevBalPaddingTop = 15;
@@ -1788,6 +2859,46 @@ async function downloadPayslipPDF() {
     }
 }
 
+// Salary history timeline in the employee modal (newest first)
+function renderSalaryHistory(emp) {
+    const tbody = document.getElementById('modal-salary-history-body');
+    if (!tbody) return;
+
+    const revisions = PayrollEngine.sortSalaryRevisions(salaryRevisionsData.filter(r => String(r.employeeId) === String(emp.id)));
+    if (revisions.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="5" style="text-align:center;color:var(--gray);">No revisions yet — ₹${emp.salary} since joining</td></tr>`;
+        return;
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const current = PayrollEngine.getSalaryTermsOn(emp, revisions, today);
+    tbody.innerHTML = revisions.slice().reverse().map(r => {
+        const isFixed = r.employee_type === 'fixed_salary';
+        const isCurrent = (r.effectiveFrom || null) === current.effectiveFrom;
+        const badge = isCurrent ? ' <span style="background:#10b981;color:white;font-size:0.7em;padding:1px 6px;border-radius:10px;">Current</span>'
+            : (r.effectiveFrom && r.effectiveFrom > today ? ' <span style="background:#f59e0b;color:white;font-size:0.7em;padding:1px 6px;border-radius:10px;">Upcoming</span>' : '');
+        const canDelete = r.effectiveFrom && hasPermission('employees:write');
+        return `<tr>
+            <td>${r.effectiveFrom || 'Since joining'}${badge}</td>
+            <td>${isFixed ? '👔 Fixed Salary' : '👷 Daily Wage'}</td>
+            <td>₹${r.salary}${isFixed ? '/mo' : '/day'}</td>
+            <td>${isFixed ? `₹${r.monthly_fare || 0}` : '-'}</td>
+            <td>${canDelete ? `<button class="btn" style="background: var(--danger); color: white; padding: 2px 7px; font-size: 0.75rem; border-radius: 4px;" onclick="deleteSalaryRevision('${r.id}')">🗑️</button>` : ''}</td>
+        </tr>`;
+    }).join('');
+}
+
+async function deleteSalaryRevision(id) {
+    if (!confirm('Delete this salary revision? Payroll for the affected dates will be recalculated with the previous rate.')) return;
+    const res = await fetch(`${API_URL}/salary-revisions/${id}`, { method: 'DELETE' });
+    if (!res.ok) return alert('❌ ' + ((await res.json()).error || 'Could not delete revision'));
+    // The employee row holds today's terms, which may have changed
+    const empRes = await fetch(`${API_URL}/employees`);
+    if (empRes.ok) employeesData = await empRes.json();
+    currentModalEmployee = employeesData.find(e => e.id === currentModalEmployee.id) || currentModalEmployee;
+    updateModalData();
+}
+
 function openEmployeeModal(empId) {
     currentModalEmployee = employeesData.find(e => e.id === empId); // Set Global
     if (!currentModalEmployee) return;
@@ -1796,7 +2907,7 @@ function openEmployeeModal(empId) {
 
     // Populate Details
     const isSupervisorModal = currentModalEmployee.employee_type === 'fixed_salary';
-    const hourly = (currentModalEmployee.salary / globalSettings.standardHours).toFixed(2);
+    // Hourly rate and hour rules depend on the month — filled in by updateModalData()
     document.getElementById('modal-emp-details').innerHTML = isSupervisorModal
         ? `ID: <strong>${currentModalEmployee.customId || '-'}</strong> &nbsp;|&nbsp;
            Designation: <strong>${currentModalEmployee.designation || 'Supervisor'}</strong> &nbsp;|&nbsp;
@@ -1805,7 +2916,8 @@ function openEmployeeModal(empId) {
         : `ID: <strong>${currentModalEmployee.customId || '-'}</strong> &nbsp;|&nbsp;
            Designation: <strong>${currentModalEmployee.designation || 'Worker'}</strong> &nbsp;|&nbsp;
            Daily Salary: <strong>₹${currentModalEmployee.salary}</strong> &nbsp;|&nbsp;
-           Hourly Rate: <strong>₹${hourly}</strong>`;
+           Hourly Rate: <strong id="modal-hourly-rate">-</strong> &nbsp;|&nbsp;
+           Hours: <strong id="modal-hour-rules">-</strong>`;
 
     // Default to current month
     const now = new Date();
@@ -1831,11 +2943,14 @@ async function updateModalData() {
     const month = currentModalMonth;
 
     // Fetch ALL data fresh to ensure modal is accurate
-    const [attRes, advRes, debRes, payRes] = await Promise.all([
+    const [attRes, advRes, debRes, payRes, revRes, snapRes, leaveRes] = await Promise.all([
         fetch(`${API_URL}/attendance`),
         fetch(`${API_URL}/advances`),
         fetch(`${API_URL}/debit-notes`),
-        fetch(`${API_URL}/payments`)
+        fetch(`${API_URL}/payments`),
+        fetch(`${API_URL}/salary-revisions`),
+        fetch(`${API_URL}/payroll/snapshots?employeeId=${emp.id}`),
+        fetch(`${API_URL}/leaves?employeeId=${encodeURIComponent(emp.id)}&status=approved`)
     ]);
 
     // Update Globals so exportToCSV works
@@ -1843,49 +2958,40 @@ async function updateModalData() {
     advancesData = await advRes.json();
     debitNotesData = await debRes.json();
     paymentsData = await payRes.json();
+    salaryRevisionsData = revRes.ok ? await revRes.json() : [];
+    payrollSnapshotsData = snapRes.ok ? await snapRes.json() : [];
+    payrollLeavesData = leaveRes.ok ? await leaveRes.json() : [];
+    renderSalaryHistory(emp);
 
-    const allAttendance = attendanceData;
-    const allAdvances = advancesData;
-    const allDebitNotes = debitNotesData;
-    const allPayments = paymentsData;
-
-    // Filter Data for Specific Employee and Month
-    const att = allAttendance.filter(a => String(a.employeeId) === String(emp.id) && a.date.startsWith(month));
-    const adv = allAdvances.filter(a => String(a.employeeId) === String(emp.id) && (a.deductionMonth ? a.deductionMonth === month : a.date.startsWith(month)));
-    const deb = allDebitNotes.filter(d => String(d.employeeId) === String(emp.id) && (d.deductionMonth || (d.date ? d.date.substring(0, 7) : '')) === month);
-    const payments = allPayments.filter(p => String(p.employeeId) === String(emp.id) && p.salaryMonth === month);
+    // Payroll figures from the shared engine (same as the Payroll page and payslip)
+    const slip = getEmployeePayroll(emp, month);
+    const adv = slip.advances;
+    const deb = slip.debitNotes;
+    const payments = slip.payments;
 
     // Calculate Stats
-    const isSupervisorUpdate = emp.employee_type === 'fixed_salary';
+    const isSupervisorUpdate = slip.isSupervisor;
     const year = parseInt(month.split('-')[0]);
     const mon = parseInt(month.split('-')[1]);
     const daysInMonth = new Date(year, mon, 0).getDate();
 
-    // Count holidays in this month
-    const hols = holidays.filter(h => h.startsWith(month)).length;
-
-    const present = att.length;
-    const workingDays = daysInMonth - hols;
+    // Days in the month that are neither the weekly off nor a holiday
+    const present = slip.days.length;
+    const workingDays = PayrollEngine.countWorkingDays(month, holidaysData, globalSettings);
     const absent = Math.max(0, workingDays - present);
 
-    let earned = 0;
-    let totalNormalHours = 0;
-    let totalOTHours = 0;
-    let totalBasePay = 0;
-    let totalOTPay = 0;
-    let totalFare = 0;
+    const totalBasePay = slip.basePay;
+    const totalOTPay = slip.otPay;
+    const totalFare = slip.fareTotal;
 
     const attBody = document.getElementById('modal-att-body');
     attBody.innerHTML = '';
 
     if (isSupervisorUpdate) {
         // Supervisor: fixed monthly salary, no attendance tracking
-        totalFare = parseFloat(emp.monthly_fare) || 0;
-        earned = parseFloat(emp.salary) + totalFare;
-        totalBasePay = parseFloat(emp.salary);
         // Show a placeholder row in attendance table
         const fareNote = totalFare > 0 ? ` + Fare: ₹${totalFare}` : '';
-        attBody.innerHTML = `<tr><td colspan="5" style="text-align:center;color:#4f46e5;padding:1rem;font-weight:600;">&#128084; Fixed Salary Supervisor — Monthly Salary: ₹${emp.salary}${fareNote}</td></tr>`;
+        attBody.innerHTML = `<tr><td colspan="5" style="text-align:center;color:#4f46e5;padding:1rem;font-weight:600;">&#128084; Fixed Salary Supervisor — Monthly Salary: ₹${slip.salaryTerms.salary}${fareNote}</td></tr>`;
 
         // Hide attendance-specific stat cards for supervisor
         const presentCard = document.getElementById('modal-present');
@@ -1897,6 +3003,12 @@ async function updateModalData() {
         if (normalHoursCard) normalHoursCard.closest('.stat-card').style.display = 'none';
         if (otHoursCard) otHoursCard.closest('.stat-card').style.display = 'none';
     } else {
+        // Hour rules in force for the selected month
+        const hourlyEl = document.getElementById('modal-hourly-rate');
+        const rulesEl = document.getElementById('modal-hour-rules');
+        if (hourlyEl) hourlyEl.innerText = `₹${((parseFloat(slip.salaryTerms.salary) || 0) / slip.hourRules.standardHours).toFixed(2)}`;
+        if (rulesEl) rulesEl.innerText = PayrollEngine.describeHourRules(slip.hourRules);
+
         // Restore stat cards visibility (in case previously hidden)
         const presentCard = document.getElementById('modal-present');
         const absentCard = document.getElementById('modal-absent');
@@ -1907,78 +3019,56 @@ async function updateModalData() {
         if (normalHoursCard) normalHoursCard.closest('.stat-card').style.display = '';
         if (otHoursCard) otHoursCard.closest('.stat-card').style.display = '';
 
-        // Sort Attendance by Date
-        att.sort((a, b) => new Date(a.date) - new Date(b.date)).forEach(a => {
-            const wh = parseFloat(a.workedHours || a.totalHours || a.worked_hours || a.hours || 0);
-            const sal = parseFloat(emp.salary);
-            const normalRate = sal / globalSettings.standardHours;
-            let dayPay = 0;
+        // Days come back sorted by date
+        slip.days.forEach(day => {
             let otLabel = '';
-
-            if (a.sundayMode) {
-                // Sunday mode: full daily salary
-                dayPay = sal;
-                totalNormalHours += wh;
-                totalBasePay += dayPay;
+            if (day.mode === 'sunday') {
                 otLabel = ' <span style="color:#16a34a; font-weight:600; font-size:0.85em;">(S)</span>';
-            } else if (a.slabMode && wh > globalSettings.standardHours) {
-                const normalPart = normalRate * globalSettings.standardHours;
-                const extraPart = (sal / globalSettings.slabHours) * (wh - globalSettings.standardHours);
-                dayPay = normalPart + extraPart;
+            } else if (day.mode === 'half') {
+                otLabel = ' <span style="color:#9d174d; font-weight:600; font-size:0.85em;">(½)</span>';
+            } else if (day.isOvertime) {
                 otLabel = ' <span style="color:#d97706; font-weight:600; font-size:0.85em;">(OT)</span>';
-
-                totalNormalHours += globalSettings.standardHours;
-                totalOTHours += (wh - globalSettings.standardHours);
-                totalBasePay += normalPart;
-                totalOTPay += extraPart;
-            } else {
-                dayPay = normalRate * wh;
-                totalNormalHours += wh;
-                totalBasePay += dayPay;
             }
 
-            const fareAmt = parseFloat(a.fare) || 0;
-            totalFare += fareAmt;
-            earned += dayPay + fareAmt;
-
             const tr = document.createElement('tr');
             tr.innerHTML = `
-                <td data-label="Date">${a.date} ${holidays.includes(a.date) ? '<span style="color:var(--danger)">(H)</span>' : ''}</td>
-                <td data-label="In">${formatTimeTo12h(a.timeIn)}</td>
-                <td data-label="Out">${formatTimeTo12h(a.timeOut)}</td>
-                <td data-label="Hours">${wh.toFixed(2)}${otLabel}</td>
-                <td data-label="Earned">₹${Math.round(dayPay)}</td>
+                <td data-label="Date">${day.date} ${holidays.includes(day.date) ? `<span style="color:var(--danger)" title="${_auditText(holidayName(day.date))}">(H)</span>` : ''}</td>
+                <td data-label="In">${formatTimeTo12h(day.timeIn)}${day.lateMinutes ? ` <span style="color:#ea580c; font-size:0.8em;">🐢 ${day.lateMinutes}m</span>` : ''}</td>
+                <td data-label="Out">${formatTimeTo12h(day.timeOut)}${day.earlyMinutes ? ` <span style="color:#ea580c; font-size:0.8em;">🏃 ${day.earlyMinutes}m</span>` : ''}</td>
+                <td data-label="Hours">${day.workedHours.toFixed(2)}${otLabel}</td>
+                <td data-label="Earned">₹${Math.round(day.wage)}</td>
             `;
             attBody.appendChild(tr);
         });
     }
 
-    const totalAdv = adv.reduce((sum, a) => sum + a.amount, 0);
+    // Late marks and half-days taken off basic pay
+    const lateLine = PayrollEngine.describeLateDeduction(slip);
+    if (slip.lateMarks || slip.earlyLeaves || lateLine) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `<td colspan="5" style="color:#ea580c; font-size:0.85em;">⏰ ${slip.lateMarks || 0} late mark(s), ${slip.earlyLeaves || 0} early leave(s)${lateLine ? ` — ${lateLine.label}: <strong>-₹${Math.round(-lateLine.amount)}</strong>` : ''}</td>`;
+        attBody.appendChild(tr);
+    }
 
-    // Fetch Previous Balance
-    let previousBalance = 0;
-    try {
-        const payrollRes = await fetch(`${API_URL}/payroll?month=${month}`);
-        const payrollList = await payrollRes.json();
-        const empPayroll = payrollList.find(p => String(p.employee.id) === String(emp.id));
-        if (empPayroll) {
-            previousBalance = empPayroll.previousBalance || 0;
-        }
-    } catch (e) {
-        console.warn("Could not fetch previous balance for modal", e);
+    // Paid holidays credited to basic pay
+    const holidayLine = PayrollEngine.describeHolidayPay(slip);
+    if (holidayLine) {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `<td colspan="5" style="color:#16a34a; font-size:0.85em;">🎉 ${holidayLine.label}: ${slip.holidayDays.map(h => `${h.date} ${_auditText(h.name)}`).join(', ')} — <strong>+₹${Math.round(holidayLine.amount)}</strong></td>`;
+        attBody.appendChild(tr);
     }
 
-    const net = earned - totalAdv + previousBalance;
-    const totalPaid = payments.reduce((sum, p) => sum + p.amount, 0);
-    const balance = Math.round(net - totalPaid);
+    const previousBalance = slip.previousBalance;
+    const net = slip.finalPayable;
+    const totalPaid = slip.paidTotal;
 
     // Show Previous Balance in Modal
     // We'll inject it before the Payable Card or inside it
     const prevBalDiv = document.getElementById('modal-prev-balance');
 
     // Update New Cards
-    document.getElementById('modal-normal-hours').innerText = totalNormalHours.toFixed(2);
-    document.getElementById('modal-ot-hours').innerText = totalOTHours.toFixed(2);
+    document.getElementById('modal-normal-hours').innerText = slip.normalHours.toFixed(2);
+    document.getElementById('modal-ot-hours').innerText = slip.otHours.toFixed(2);
 
     const payableLabel = document.querySelector('#modal-payable').previousElementSibling;
     if (payableLabel) {
@@ -2044,7 +3134,7 @@ async function updateModalData() {
         tr.innerHTML = `
             <td data-label="Date">${a.date}</td>
             <td data-label="Amount" style="color:var(--danger)">₹${a.amount}</td>
-            <td data-label="Notes">${a.notes || '-'}</td>
+            <td data-label="Notes">${a.notes || '-'}${a.installmentCount > 1 ? `<div style="font-size:0.8em;color:var(--gray);">📆 ${PayrollEngine.describeInstallment(a)}</div>` : ''}</td>
             <td data-label="Proof">${viewLink}</td>
         `;
         advBody.appendChild(tr);
@@ -2124,6 +3214,7 @@ async function loadEmployees() {
                 <div class="action-buttons">
                     <button class="btn" style="background: var(--warning); color: white; padding: 0.25rem 0.5rem;" onclick="editEmployee('${emp.id}')">✏️</button>
                     <button class="btn" style="background: var(--danger); color: white; padding: 0.25rem 0.5rem;" onclick="deleteEmployee('${emp.id}', \`${emp.name}\`)">🗑️</button>
+                    ${historyButton('employees', emp.id)}
                 </div>
             </td>
         `;
@@ -2161,7 +3252,7 @@ function editEmployee(id) {
     // New Fields
     document.getElementById('emp-custom-id').value = emp.customId || '';
     document.getElementById('emp-designation').value = emp.designation || '';
-    document.getElementById('emp-password').value = emp.password || '123456';
+    document.getElementById('emp-password').value = ''; // Stored hashed — blank keeps the current password
     const typeEl = document.getElementById('emp-type');
     if (typeEl) typeEl.value = emp.employee_type || 'daily_wage';
     // Monthly fare for supervisors
@@ -2172,6 +3263,24 @@ function editEmployee(id) {
     const restrictEl = document.getElementById('emp-restrict-early');
     if (restrictEl) restrictEl.checked = emp.restrictEarlyCheckIn !== false;
 
+    document.getElementById('emp-pf-opt-in').checked = emp.pfOptIn === true;
+    document.getElementById('emp-uan').value = emp.uan || '';
+    document.getElementById('emp-esi-opt-in').checked = emp.esiOptIn === true;
+    document.getElementById('emp-esi-number').value = emp.esiNumber || '';
+    document.getElementById('emp-pt-opt-in').checked = emp.ptOptIn === true;
+    document.getElementById('emp-pt-state').value = emp.ptState || '';
+
+    // Hour overrides in force this month; changes apply from the chosen month onwards
+    const thisMonth = new Date().toISOString().substring(0, 7);
+    const overrides = PayrollEngine.getEmployeeHourOverrides(emp, thisMonth);
+    document.getElementById('emp-normal-hours').value = overrides.normalHours || '';
+    document.getElementById('emp-slab-hours').value = overrides.slabBaseHours || '';
+    document.getElementById('emp-rules-effective-from').value = thisMonth;
+    // Fixed-salary changes must start on the 1st, so default those to the 1st of this month
+    document.getElementById('emp-salary-effective-from').value = emp.employee_type === 'fixed_salary'
+        ? `${thisMonth}-01` : new Date().toISOString().split('T')[0];
+    document.getElementById('emp-rules-from-row').style.display = '';
+
     document.getElementById('emp-submit-btn').innerText = 'Update Employee';
     document.getElementById('emp-cancel-btn').style.display = 'inline-block';
     document.getElementById('employee-form').scrollIntoView({ behavior: 'smooth' });
@@ -2188,6 +3297,9 @@ function resetEmployeeForm() {
 
     const restrictEl = document.getElementById('emp-restrict-early');
     if (restrictEl) restrictEl.checked = true;
+
+    const rulesRow = document.getElementById('emp-rules-from-row');
+    if (rulesRow) rulesRow.style.display = 'none';
 }
 
 function toggleMonthlyFareField() {
@@ -2317,8 +3429,10 @@ async function loadAttendance() {
     // Populate dropdown and table concurrently in parallel
     await Promise.all([
         loadAttendanceForm(),
-        loadAttendanceTable()
+        loadAttendanceTable(),
+        loadRegularizations()
     ]);
+    loadAutoClosedShifts();
 
     // Set Date Picker to today if empty
     if (!document.getElementById('att-date').value) {
@@ -2334,6 +3448,205 @@ async function loadAttendance() {
     }
 }
 
+// ==================== FORGOTTEN CHECK-OUTS ====================
+const AUTO_CLOSE_POLICY_LABELS = {
+    standard_hours: 'Standard hours',
+    shift_end: 'Shift end',
+    zero: '<span style="color:var(--danger);font-weight:600;">Zero hours</span>'
+};
+const AUTO_CLOSED_NOTICE_DAYS = 7;
+let autoClosedData = []; // Recent auto-closed shifts, which may not be on the page of records shown
+let attendancePageRows = []; // The attendance table's current page; attendanceData stays the full dataset for payroll and exports
+
+// Shifts the daily job (or an admin) auto-closed recently, plus how many are still waiting to be closed.
+// Shown only to staff who can edit attendance, and only when there is something to look at.
+async function loadAutoClosedShifts() {
+    const card = document.getElementById('auto-close-card');
+    if (!card || !hasPermission('attendance:write')) return;
+
+    let pending = [];
+    try {
+        const res = await fetch(`${API_URL}/attendance/stale-shifts`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `Server status ${res.status}`);
+        pending = data.closed; // shifts in closed payroll months cannot be changed, so they are not counted
+    } catch (e) {
+        console.error('Failed to check for open shifts:', e);
+    }
+
+    // The list below the records is paged, so the latest auto-closed shifts are fetched on their own
+    try {
+        const res = await fetch(`${API_URL}/attendance?flag=auto_closed&sort=-date&pageSize=500`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `Server status ${res.status}`);
+        autoClosedData = data.rows;
+    } catch (e) {
+        console.error('Failed to load auto-closed shifts:', e);
+    }
+
+    const since = Date.now() - AUTO_CLOSED_NOTICE_DAYS * 24 * 60 * 60 * 1000;
+    const recent = autoClosedData
+        .filter(a => new Date(a.autoClosedAt).getTime() >= since)
+        .sort((a, b) => b.date.localeCompare(a.date));
+
+    card.style.display = (recent.length || pending.length) ? '' : 'none';
+    document.getElementById('auto-close-btn').style.display = pending.length ? '' : 'none';
+    const policy = PayrollEngine.getAutoCloseSettings(globalSettings);
+    const policyText = {
+        standard_hours: 'capped at standard hours',
+        shift_end: `at ${formatTimeTo12h(policy.shiftEnd)}`,
+        zero: 'with zero hours'
+    }[policy.policy];
+    document.getElementById('auto-close-pending').innerHTML = pending.length
+        ? `⚠️ <strong>${pending.length}</strong> shift(s) from before yesterday are still open and count for no hours. They are closed every morning ${policyText}, or you can close them now.`
+        : `Auto-closed in the last ${AUTO_CLOSED_NOTICE_DAYS} days. Check the hours and edit any that are wrong.`;
+
+    document.getElementById('auto-closed-list').style.display = recent.length ? '' : 'none';
+    document.getElementById('auto-closed-body').innerHTML = recent.map(att => {
+        const emp = employeesData.find(e => String(e.id) === String(att.employeeId));
+        return `
+            <tr>
+                <td data-label="Date">${att.date}</td>
+                <td data-label="Employee" style="font-weight:500;">${_auditText(emp ? emp.name : att.employeeName)}</td>
+                <td data-label="Time In">${formatTimeTo12h(att.timeIn)}</td>
+                <td data-label="Closed At">${formatTimeTo12h(att.timeOut)}</td>
+                <td data-label="Hours">${parseFloat(att.workedHours || 0).toFixed(2)}h</td>
+                <td data-label="Policy">${AUTO_CLOSE_POLICY_LABELS[att.autoClosePolicy] || att.autoClosePolicy}</td>
+                <td data-label="Action"><button class="btn" style="background:var(--warning);color:white;padding:0.25rem 0.5rem;" onclick="editAttendance('${att.id}')">✏️</button></td>
+            </tr>`;
+    }).join('');
+}
+
+async function closeStaleShiftsNow() {
+    if (!confirm('Close all shifts from before yesterday that have no check-out, using the auto-close policy in Settings?')) return;
+    const btn = document.getElementById('auto-close-btn');
+    btn.disabled = true;
+    try {
+        const res = await fetch(`${API_URL}/attendance/close-stale-shifts`, { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `Server status ${res.status}`);
+        const lines = data.closed.map(c => `• ${c.employeeName || c.employeeId} — ${c.date}: ${c.timeIn} → ${c.timeOut} (${c.workedHours}h)`);
+        const skipped = data.skipped.length ? `\n\n${data.skipped.length} shift(s) in closed payroll months were left open.` : '';
+        alert(`🌙 Closed ${data.closed.length} shift(s).${lines.length ? '\n\n' + lines.join('\n') : ''}${skipped}`);
+        await loadAttendanceTable(listPages.attendance);
+        loadAutoClosedShifts();
+    } catch (e) {
+        alert('❌ ' + e.message);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+// ==================== ATTENDANCE CORRECTIONS ====================
+let regularizationsData = [];
+
+const REGULARIZATION_KIND_LABELS = {
+    missed_checkout: 'Missed check-out',
+    wrong_time: 'Wrong time',
+    missed_checkin: 'Forgot check-in'
+};
+
+function _regularizationTimes(timeIn, timeOut) {
+    return `${timeIn ? formatTimeTo12h(timeIn) : '-'} → ${timeOut ? formatTimeTo12h(timeOut) : '-'}`;
+}
+
+// Photo and GPS links from the attendance row as it was when the correction was asked for
+function _regularizationEvidence(original, date) {
+    if (!original) return '<span style="color:var(--gray);font-size:0.8em;">None</span>';
+    const links = [];
+    [['checkInImage', 'checkInLoc', 'In'], ['checkOutImage', 'checkOutLoc', 'Out']].forEach(([imageKey, locKey, label]) => {
+        if (original[imageKey]) {
+            links.push(`<a href="#" onclick="showPreview('${String(original[imageKey]).replace(/'/g, "\\'")}', '${label} Photo', '${date}', ''); return false;" style="color:var(--secondary);text-decoration:none;font-size:0.85em;">📷 ${label}</a>`);
+        }
+        if (original[locKey]) {
+            let locObj = original[locKey];
+            if (typeof locObj === 'string') { try { locObj = JSON.parse(locObj); } catch(e) {} }
+            const q = (locObj && locObj.lat) ? `${locObj.lat},${locObj.lng}` : String(original[locKey]);
+            links.push(`<a href="https://maps.google.com/?q=${encodeURIComponent(q)}" target="_blank" style="color:var(--primary);text-decoration:none;font-size:0.85em;">📍 ${label}</a>`);
+        }
+    });
+    return links.length ? links.join('<br>') : '<span style="color:var(--gray);font-size:0.8em;">None</span>';
+}
+
+// Pending queue above the attendance table; the card stays hidden while nothing is waiting
+async function loadRegularizations() {
+    const card = document.getElementById('regularization-card');
+    const tbody = document.getElementById('regularization-body');
+    if (!card || !tbody) return;
+
+    try {
+        const [res, empRes] = await Promise.all([
+            fetch(`${API_URL}/attendance-regularizations?status=pending`),
+            fetch(`${API_URL}/employees`)
+        ]);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `Server status ${res.status}`);
+        regularizationsData = data;
+        if (empRes.ok) employeesData = await empRes.json();
+    } catch (e) {
+        console.error('Failed to load correction requests:', e);
+        return;
+    }
+
+    card.style.display = regularizationsData.length ? '' : 'none';
+    document.getElementById('regularization-count').textContent = `(${regularizationsData.length} pending)`;
+    const canDecide = hasPermission('attendance:write');
+
+    tbody.innerHTML = regularizationsData.map(r => {
+        const emp = employeesData.find(e => String(e.id) === String(r.employeeId));
+        const recorded = r.original
+            ? `${_regularizationTimes(r.original.timeIn, r.original.timeOut)}<div style="font-size:0.8rem;color:var(--gray);">${r.original.workedHours ? parseFloat(r.original.workedHours).toFixed(2) + 'h' : 'Shift open'}</div>`
+            : '<span style="color:var(--gray);">Not marked</span>';
+        const actions = canDecide ? `
+            <button class="btn" style="background:var(--secondary);color:white;padding:0.25rem 0.5rem;" title="Approve" onclick="approveRegularization('${r.id}')">✅</button>
+            <button class="btn" style="background:var(--danger);color:white;padding:0.25rem 0.5rem;" title="Reject" onclick="rejectRegularization('${r.id}')">❌</button>` : '';
+        return `
+            <tr>
+                <td data-label="Date">${r.date}</td>
+                <td data-label="Employee" style="font-weight:500;">${emp ? _auditText(emp.name) : r.employeeId}</td>
+                <td data-label="Request">${REGULARIZATION_KIND_LABELS[r.kind] || r.kind}</td>
+                <td data-label="Recorded">${recorded}</td>
+                <td data-label="Evidence">${_regularizationEvidence(r.original, r.date)}</td>
+                <td data-label="Requested" style="font-weight:600;">${_regularizationTimes(r.timeIn || (r.original && r.original.timeIn), r.timeOut || (r.original && r.original.timeOut))}</td>
+                <td data-label="Reason">${_auditText(r.reason)}</td>
+                <td data-label="Action" style="white-space:nowrap;">${actions}${historyButton('attendance_regularizations', r.id)}</td>
+            </tr>`;
+    }).join('');
+}
+
+async function _postRegularizationDecision(id, decision, note) {
+    try {
+        const res = await fetch(`${API_URL}/attendance-regularizations/${id}/${decision}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ note })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `Server status ${res.status}`);
+        loadRegularizations();
+        loadAttendanceTable();
+    } catch (e) {
+        alert('❌ ' + e.message);
+    }
+}
+
+async function approveRegularization(id) {
+    const r = regularizationsData.find(x => String(x.id) === String(id));
+    if (!r) return;
+    const note = prompt(`Approve ${REGULARIZATION_KIND_LABELS[r.kind] || r.kind} for ${r.date}?\nOptional note:`, '');
+    if (note === null) return;
+    _postRegularizationDecision(id, 'approve', note.trim());
+}
+
+async function rejectRegularization(id) {
+    const r = regularizationsData.find(x => String(x.id) === String(id));
+    if (!r) return;
+    const note = prompt(`Reject ${REGULARIZATION_KIND_LABELS[r.kind] || r.kind} for ${r.date}?\nReason (shown to the employee):`, '');
+    if (note === null) return;
+    if (!note.trim()) return alert('A reason is required to reject a correction.');
+    _postRegularizationDecision(id, 'reject', note.trim());
+}
+
 function att_filter_date_changed() {
     const m = document.getElementById('att-filter-month');
     if (m) m.value = '';
@@ -2345,23 +3658,35 @@ function att_filter_month_changed() {
     loadAttendanceTable();
 }
 
-async function loadAttendanceTable() {
+async function loadAttendanceTable(page = 1) {
     const dateInput = document.getElementById('att-filter-date').value;
     const monthInput = document.getElementById('att-filter-month') ? document.getElementById('att-filter-month').value : '';
 
     // Default to today if nothing is selected
     if (!dateInput && !monthInput) {
         document.getElementById('att-filter-date').valueAsDate = new Date();
-        return loadAttendanceTable();
+        return loadAttendanceTable(page);
     }
+    listPages.attendance = page;
 
     const tbody = document.getElementById('attendance-table-body');
     tbody.innerHTML = '<tr><td colspan="12" style="text-align:center;color:var(--gray);padding:1.5rem;">⏳ Loading...</td></tr>';
 
+    const params = new URLSearchParams({ page, pageSize: LIST_PAGE_SIZE, sort: '-date' });
+    if (monthInput) params.set('month', monthInput);
+    else { params.set('from', dateInput); params.set('to', dateInput); }
+    const filters = { employeeId: 'att-filter-employee', siteId: 'att-filter-site', flag: 'att-filter-flag' };
+    Object.entries(filters).forEach(([key, elId]) => {
+        const el = document.getElementById(elId);
+        if (el && el.value) params.set(key, el.value);
+    });
+
     try {
-        const [attRes, empRes] = await Promise.all([
-            fetch(`${API_URL}/attendance`),
-            fetch(`${API_URL}/employees`)
+        const [attRes, empRes, revRes, sitesRes] = await Promise.all([
+            fetch(`${API_URL}/attendance?${params}`),
+            fetch(`${API_URL}/employees`),
+            fetch(`${API_URL}/salary-revisions`),
+            fetch(`${API_URL}/sites`)
         ]);
 
         if (!attRes.ok || !empRes.ok) {
@@ -2369,27 +3694,28 @@ async function loadAttendanceTable() {
             throw new Error(errData.error || `Server error (${attRes.status}). Try again.`);
         }
 
-        attendanceData = await attRes.json();
-        if (!Array.isArray(attendanceData)) throw new Error('Invalid data received from server.');
+        const data = await attRes.json();
+        if (!data || !Array.isArray(data.rows)) throw new Error('Invalid data received from server.');
+        // A delete can empty the last page
+        if (data.rows.length === 0 && page > data.pages) return loadAttendanceTable(data.pages);
+        attendancePageRows = data.rows;
+        salaryRevisionsData = revRes.ok ? await revRes.json() : [];
+        sitesData = sitesRes.ok ? await sitesRes.json() : [];
+        fillAttendanceSiteSelect();
+        fillAttendanceSiteFilter();
+        renderListPager('attendance', data, ` · ⏱️ ${data.totals.workedHours.toFixed(2)}h · 🚌 Fare ₹${Math.round(data.totals.fare)}`);
 
         const employees = await empRes.json();
         const empMap = Object.fromEntries((Array.isArray(employees) ? employees : []).map(e => [String(e.id), e]));
 
         tbody.innerHTML = '';
 
-        const empFilter = document.getElementById('att-filter-employee') ? document.getElementById('att-filter-employee').value : '';
-
-        const filtered = attendanceData
-            .filter(a => monthInput ? a.date.startsWith(monthInput) : a.date === dateInput)
-            .filter(a => !empFilter || String(a.employeeId) === String(empFilter))
-            .sort((a, b) => new Date(b.date) - new Date(a.date));
-
-        if (filtered.length === 0) {
+        if (attendancePageRows.length === 0) {
             tbody.innerHTML = '<tr><td colspan="12" style="text-align: center; color: var(--gray); padding: 2rem;">No attendance records found for this selection.</td></tr>';
             return;
         }
 
-        filtered.forEach(att => {
+        attendancePageRows.forEach(att => {
             const emp = empMap[String(att.employeeId)];
             const empName = emp ? emp.name : (att.employeeName || 'Unknown') + (emp === undefined ? ' (Deleted)' : '');
             const defaultSalary = emp ? emp.salary : 0;
@@ -2400,26 +3726,12 @@ async function loadAttendanceTable() {
             const formattedDate = `${att.date} (${dayNames[dateObj.getDay()]})`;
 
             const workedHours = att.workedHours ? parseFloat(att.workedHours) : null;
-            const salary = parseFloat(defaultSalary);
-
-            // Use Global Settings
-            const normalRate = salary / globalSettings.standardHours;
-            let computedPay = 0;
-
-            if (workedHours !== null) {
-                if (att.sundayMode) {
-                    computedPay = salary;
-                } else if (att.slabMode && workedHours > globalSettings.standardHours) {
-                    const extraHours = workedHours - globalSettings.standardHours;
-                    const slabRate = salary / globalSettings.slabHours;
-                    computedPay = (normalRate * globalSettings.standardHours) + (slabRate * extraHours);
-                } else {
-                    computedPay = normalRate * workedHours;
-                }
-            }
+            const day = PayrollEngine.calculateDayEarning(emp ? getEmployeeOnDate(emp, att.date) : { salary: defaultSalary }, att, globalSettings);
+            const computedPay = workedHours !== null ? day.wage : 0;
 
-            const fare = parseFloat(att.fare || 0);
+            const fare = day.fare;
             const total = computedPay + fare;
+            const marks = PayrollEngine.getPunctuality(att, globalSettings);
 
             // Prepare Links HTML for IN
             let inLinks = '';
@@ -2433,6 +3745,7 @@ async function loadAttendanceTable() {
                 inLinks += `<a href="https://maps.google.com/?q=${encodeURIComponent(q)}" target="_blank" style="color:var(--primary); text-decoration:none; display: block; font-size:0.85em;">📍 Map</a>`;
             }
             if (!inLinks) inLinks = '<span style="color:var(--gray); font-size:0.8em">None</span>';
+            inLinks += siteDistanceHtml(att.checkInSiteId, att.checkInDistance);
 
             // Prepare Links HTML for OUT
             let outLinks = '-';
@@ -2448,23 +3761,24 @@ async function loadAttendanceTable() {
                     outLinks += `<a href="https://maps.google.com/?q=${encodeURIComponent(q)}" target="_blank" style="color:var(--primary); text-decoration:none; display: block; font-size:0.85em;">📍 Map</a>`;
                 }
                 if (!outLinks) outLinks = '<span style="color:var(--gray); font-size:0.8em">None</span>';
+                outLinks += siteDistanceHtml(att.checkOutSiteId, att.checkOutDistance);
             }
 
             const tr = document.createElement('tr');
             tr.innerHTML = `
                 <td data-label="Date">${formattedDate}</td>
-                <td data-label="Employee" style="font-weight:500;">${empName}</td>
-                <td data-label="Time In"><span style="font-weight:600; color:var(--dark)">${formatTimeTo12h(att.timeIn)}</span></td>
+                <td data-label="Employee" style="font-weight:500;">${empName}${att.siteId ? `<div style="color:var(--gray); font-size:0.75em; font-weight:normal;">🏗️ ${_auditText(siteName(att.siteId))}</div>` : ''}</td>
+                <td data-label="Time In"><span style="font-weight:600; color:var(--dark)">${formatTimeTo12h(att.timeIn)}</span>${att.clockSkewMinutes ? `<div style="color:var(--danger); font-size:0.75em;" title="The phone's clock did not match the server when checking in or out. Times shown are the server's.">⏰ Phone clock ${Math.abs(att.clockSkewMinutes)} min ${att.clockSkewMinutes > 0 ? 'ahead' : 'behind'}</div>` : ''}${offlineSyncHtml(att.checkInAt, att.checkInSyncedAt)}${marks.lateMinutes ? `<div style="color:#ea580c; font-size:0.75em; font-weight:600;">🐢 Late ${marks.lateMinutes} min</div>` : ''}</td>
                 <td data-label="In Links">${inLinks}</td>
-                <td data-label="Time Out"><span style="font-weight:600; color:var(--dark)">${att.timeOut ? formatTimeTo12h(att.timeOut) : '-'}</span></td>
+                <td data-label="Time Out"><span style="font-weight:600; color:var(--dark)">${att.timeOut ? formatTimeTo12h(att.timeOut) : '-'}</span>${att.autoClosedAt ? '<div style="color:#6366f1; font-size:0.75em;" title="Closed automatically: no check-out">🌙 Auto-closed</div>' : ''}${offlineSyncHtml(att.checkOutAt, att.checkOutSyncedAt)}${marks.earlyMinutes ? `<div style="color:#ea580c; font-size:0.75em; font-weight:600;">🏃 Left ${marks.earlyMinutes} min early</div>` : ''}</td>
                 <td data-label="Out Links">${outLinks}</td>
                 <td data-label="Hrs">${workedHours !== null ? workedHours.toFixed(2) + 'h' : '-'}
-                    ${att.slabMode && workedHours > globalSettings.standardHours ? '<span style="color:var(--warning); font-size: 0.8em"> (OT)</span>' : ''}
+                    ${day.isOvertime ? '<span style="color:var(--warning); font-size: 0.8em"> (OT)</span>' : ''}
                     ${att.sundayMode ? '<span style="color:var(--success); font-size: 0.8em"> (S)</span>' : ''}
                 </td>
                 <td data-label="Mode">
-                    <span style="padding: 2px 6px; border-radius: 4px; font-size: 0.75em; background: ${att.sundayMode ? '#fef08a; color: #854d0e' : (att.slabMode ? '#dcfce7; color: #166534' : '#e0e7ff; color: #3730a3')}">
-                        ${att.sundayMode ? 'Sunday' : (att.slabMode ? 'Slab' : 'Norm')}
+                    <span style="padding: 2px 6px; border-radius: 4px; font-size: 0.75em; background: ${att.halfDay ? '#fce7f3; color: #9d174d' : (att.sundayMode ? '#fef08a; color: #854d0e' : (att.slabMode ? '#dcfce7; color: #166534' : '#e0e7ff; color: #3730a3'))}">
+                        ${att.halfDay ? 'Half' : (att.sundayMode ? 'Sunday' : (att.slabMode ? 'Slab' : 'Norm'))}
                     </span>
                 </td>
                 <td data-label="Salary">${workedHours !== null ? '₹' + Math.round(computedPay) : '-'}</td>
@@ -2474,6 +3788,7 @@ async function loadAttendanceTable() {
                     <div class="action-buttons-stacked">
                         <button class="btn" style="background: var(--warning); color: white; padding: 0.25rem 0.5rem;" onclick="editAttendance('${att.id}')">✏️</button>
                         <button class="btn" style="background: var(--danger); color: white; padding: 0.25rem 0.5rem;" onclick="deleteAttendance('${att.id}')">🗑️</button>
+                        ${historyButton('attendance', att.id)}
                     </div>
                 </td>
             `;
@@ -2493,16 +3808,18 @@ async function loadAttendanceTable() {
 }
 
 function editAttendance(id) {
-    const att = attendanceData.find(a => a.id === id);
+    const att = attendancePageRows.find(a => a.id === id) || autoClosedData.find(a => a.id === id);
     if (!att) return;
     document.getElementById('att-id').value = att.id;
     document.getElementById('att-date').value = att.date;
     document.getElementById('att-employee').value = att.employeeId;
     document.getElementById('att-slab-mode').checked = att.slabMode || false;
     document.getElementById('att-sunday-mode').checked = att.sundayMode || false;
+    document.getElementById('att-half-day').checked = att.halfDay || false;
     document.getElementById('att-time-in').value = att.timeIn;
     document.getElementById('att-time-out').value = att.timeOut;
     document.getElementById('att-fare').value = att.fare;
+    fillAttendanceSiteSelect(att.siteId);
     calculatePreview();
     document.getElementById('att-submit-btn').innerText = 'Update Attendance';
     document.getElementById('att-cancel-btn').style.display = 'inline-block';
@@ -2524,6 +3841,7 @@ function resetAttendanceForm(fullReset = true) {
         document.getElementById('att-time-out').value = '18:00';
         document.getElementById('att-slab-mode').checked = false;
         document.getElementById('att-sunday-mode').checked = false;
+        document.getElementById('att-half-day').checked = false;
     } else {
         // Partial reset for fast entry of new records
         document.getElementById('att-id').value = '';
@@ -2549,8 +3867,9 @@ function resetAttendanceForm(fullReset = true) {
 
 async function deleteAttendance(id) {
     if (!confirm('Delete this record?')) return;
-    await fetch(`${API_URL}/attendance/${id}`, { method: 'DELETE' });
-    loadAttendanceTable();
+    const res = await fetch(`${API_URL}/attendance/${id}`, { method: 'DELETE' });
+    if (!res.ok) return alert('❌ ' + ((await res.json().catch(() => ({}))).error || 'Delete failed'));
+    loadAttendanceTable(listPages.attendance);
     loadDashboard();
 }
 
@@ -2560,6 +3879,7 @@ function calculatePreview() {
     const empSelect = document.getElementById('att-employee');
     const slabMode = document.getElementById('att-slab-mode').checked;
     const sundayMode = document.getElementById('att-sunday-mode').checked;
+    const halfDay = document.getElementById('att-half-day').checked;
 
     if (!timeIn || !timeOut || !empSelect.value) {
         document.getElementById('att-result').innerHTML = '';
@@ -2576,24 +3896,19 @@ function calculatePreview() {
     if (empSelect.selectedOptions[0]) {
         salary = parseFloat(empSelect.selectedOptions[0].dataset.salary) || 0;
     }
+    // Employee's own hour rules apply when we have the full record
+    const date = document.getElementById('att-date') ? document.getElementById('att-date').value : '';
+    const found = employeesData.find(e => String(e.id) === String(empSelect.value));
+    const emp = found ? getEmployeeOnDate(found, date) : { salary };
 
-    // Use Global Settings
-    const normalRate = salary / globalSettings.standardHours;
-    let computedPay = 0;
-
-    if (sundayMode) {
-        computedPay = salary;
-    } else if (slabMode && workedHours > globalSettings.standardHours) {
-        const extraHours = workedHours - globalSettings.standardHours;
-        const slabRate = salary / globalSettings.slabHours;
-        computedPay = (normalRate * globalSettings.standardHours) + (slabRate * extraHours);
-    } else {
-        computedPay = normalRate * workedHours;
-    }
+    const computedPay = PayrollEngine.calculateDayEarning(emp, { date, workedHours, slabMode, sundayMode, halfDay }, globalSettings).wage;
+    const marks = PayrollEngine.getPunctuality({ timeIn, timeOut, sundayMode, halfDay }, globalSettings);
 
     document.getElementById('att-result').innerHTML = `
         Worked: ${workedHours.toFixed(2)} hrs <br>
         Est. Salary: ₹${Math.round(computedPay)}
+        ${marks.lateMinutes ? `<br><span style="color:var(--danger);">⏰ Late by ${marks.lateMinutes} min</span>` : ''}
+        ${marks.earlyMinutes ? `<br><span style="color:var(--danger);">🏃 Left ${marks.earlyMinutes} min early</span>` : ''}
     `;
     return workedHours.toFixed(2);
 }
@@ -2656,7 +3971,7 @@ async function loadAdvanceForm() {
     ]);
 }
 
-async function loadAdvanceTable() {
+async function loadAdvanceTable(page = 1) {
     let monthInput = document.getElementById('adv-filter-month');
     if (!monthInput.value) {
         const now = new Date();
@@ -2664,34 +3979,45 @@ async function loadAdvanceTable() {
     }
     let monthFilter = monthInput.value;
     const empFilter = document.getElementById('adv-filter-employee') ? document.getElementById('adv-filter-employee').value : '';
+    listPages.advances = page;
+
+    // An advance shows in every month it has an installment (the server filters on the schedule)
+    const params = new URLSearchParams({ page, pageSize: LIST_PAGE_SIZE, sort: '-date', month: monthFilter });
+    if (empFilter) params.set('employeeId', empFilter);
 
     const [advRes, empRes] = await Promise.all([
-        fetch(`${API_URL}/advances`),
+        fetch(`${API_URL}/advances?${params}`),
         fetch(`${API_URL}/employees`)
     ]);
-    advancesData = await advRes.json();
+    const data = await advRes.json();
+    if (!advRes.ok) return alert('❌ ' + (data.error || 'Could not load advances'));
+    if (data.rows.length === 0 && page > data.pages) return loadAdvanceTable(data.pages);
+    advancesData = data.rows;
     const employees = await empRes.json();
+    employeesData = employees; // names for the repayment plan modal
     const empMap = Object.fromEntries(employees.map(e => [e.id, e]));
-
-    // Filter Logic
-    const filtered = advancesData
-        .filter(a => !monthFilter || (a.deductionMonth || a.date.substring(0, 7)) === monthFilter)
-        .filter(a => !empFilter || a.employeeId == empFilter);
-
-    // Sort desc by date
-    const sorted = filtered.sort((a, b) => new Date(b.date) - new Date(a.date));
+    renderListPager('advance', data, ` · 💰 ₹${Math.round(data.totals.amount)} advanced`);
 
     const tbody = document.getElementById('advance-table-body');
     tbody.innerHTML = '';
 
-    if (sorted.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="8" style="text-align: center; color: var(--gray); padding: 2rem;">No advance records found for this selection.</td></tr>';
+    if (advancesData.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="9" style="text-align: center; color: var(--gray); padding: 2rem;">No advance records found for this selection.</td></tr>';
         return;
     }
 
-    sorted.forEach(adv => {
+    advancesData.forEach(adv => {
         const empName = empMap[adv.employeeId] ? empMap[adv.employeeId].name : 'Unknown';
         const dedMonth = adv.deductionMonth || adv.date.substring(0, 7);
+        const ledger = PayrollEngine.getAdvanceLedger(adv);
+        const paying = ledger.filter(i => !i.skipped);
+        // Outstanding after the filtered month (or after this month when not filtering)
+        const asOf = monthFilter || new Date().toISOString().substring(0, 7);
+        const deductedSoFar = ledger.filter(i => i.month <= asOf);
+        const outstanding = deductedSoFar.length > 0 ? deductedSoFar[deductedSoFar.length - 1].balance : parseFloat(adv.amount) || 0;
+        const planLabel = paying.length > 1
+            ? `${paying[0].month} → ${paying[paying.length - 1].month}<div style="font-size:0.8em;color:var(--gray);">${paying.length} installments</div>`
+            : dedMonth;
         const tr = document.createElement('tr');
         const viewLink = adv.screenshot ?
             `<a href="#" onclick="showPreview('${adv.screenshot.replace(/'/g, "\\'")}', 'Advance Payment', '${adv.date}', '${adv.amount}'); return false;" style="color: var(--secondary); text-decoration: none; font-weight: 500;">View</a>`
@@ -2701,14 +4027,17 @@ async function loadAdvanceTable() {
             <td data-label="Date">${adv.date}</td>
             <td data-label="Employee">${empName}</td>
             <td data-label="Amount" style="font-weight: bold; color: var(--danger)">₹${adv.amount}</td>
-            <td data-label="Deduction Month">${dedMonth}</td>
+            <td data-label="Deduction Month">${planLabel}</td>
+            <td data-label="Outstanding" style="font-weight:600;color:${outstanding > 0 ? '#d97706' : '#10b981'};">${outstanding > 0 ? `₹${outstanding}` : '✅ Repaid'}</td>
             <td data-label="Mode">${adv.mode}</td>
             <td data-label="Notes">${adv.notes || '-'}</td>
             <td data-label="Screenshot">${viewLink}</td>
             <td data-label="Actions">
                 <div class="action-buttons-stacked">
+                    <button class="btn" style="background: #6366f1; color: white; padding: 0.25rem 0.5rem;" title="Repayment plan" onclick="openAdvancePlan('${adv.id}')">📒</button>
                     <button class="btn" style="background: var(--warning); color: white; padding: 0.25rem 0.5rem;" onclick="editAdvance('${adv.id}')">✏️</button>
                      <button class="btn" style="background: var(--danger); color: white; padding: 0.25rem 0.5rem;" onclick="deleteAdvance('${adv.id}')">🗑️</button>
+                     ${historyButton('advances', adv.id)}
                 </div>
             </td>
         `;
@@ -2724,6 +4053,13 @@ function editAdvance(id) {
     document.getElementById('adv-amount').value = adv.amount;
     document.getElementById('adv-date').value = adv.date;
     document.getElementById('adv-deduction-month').value = adv.deductionMonth || adv.date.substring(0, 7);
+    // Recover the plan from the schedule: equal parts with a smaller last one = EMI, otherwise N months
+    const paying = PayrollEngine.getAdvanceInstallments(adv).filter(i => !i.skipped);
+    const last = paying[paying.length - 1];
+    document.getElementById('adv-repayment').value = paying.length < 2 ? 'single' : (last.amount <= paying[0].amount ? 'emi' : 'months');
+    document.getElementById('adv-plan-value').value = paying.length < 2 ? '' : (last.amount <= paying[0].amount ? paying[0].amount : paying.length);
+    toggleAdvanceRepayment();
+    lockAdvancePlan(!PayrollEngine.isPlannedSchedule(adv));
     document.getElementById('adv-mode').value = adv.mode;
     document.getElementById('adv-notes').value = adv.notes || '';
     document.getElementById('adv-submit-btn').innerText = 'Update Payment';
@@ -2731,9 +4067,18 @@ function editAdvance(id) {
     document.getElementById('advance-form').scrollIntoView({ behavior: 'smooth' });
 }
 
+// A schedule that was rescheduled or had a month skipped only changes through the repayment plan modal,
+// which keeps the installments before the change; the form then edits everything but the plan
+function lockAdvancePlan(locked) {
+    ['adv-amount', 'adv-deduction-month', 'adv-repayment', 'adv-plan-value'].forEach(id => { document.getElementById(id).disabled = locked; });
+    document.getElementById('adv-plan-locked').style.display = locked ? 'block' : 'none';
+}
+
 function resetAdvanceForm() {
     document.getElementById('advance-form').reset();
     document.getElementById('adv-id').value = '';
+    lockAdvancePlan(false);
+    toggleAdvanceRepayment();
     const submitBtn = document.getElementById('adv-submit-btn');
     if (submitBtn) { submitBtn.innerText = 'Save Payment'; submitBtn.disabled = false; submitBtn.style.background = ''; }
     document.getElementById('adv-cancel-btn').style.display = 'none';
@@ -2742,10 +4087,110 @@ function resetAdvanceForm() {
     document.getElementById('adv-deduction-month').value = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
 }
 
+// --- ADVANCE REPAYMENT PLANS ---
+function toggleAdvanceRepayment() {
+    const repayment = document.getElementById('adv-repayment');
+    const group = document.getElementById('adv-plan-value-group');
+    if (!repayment || !group) return;
+    group.style.display = repayment.value === 'single' ? 'none' : '';
+    document.getElementById('adv-plan-value-label').innerText = repayment.value === 'emi' ? 'EMI Amount (₹)' : 'Number of Months';
+    updateAdvancePlanPreview();
+}
+
+// "₹2000 × 9 + ₹2000, Oct 2026 → Jul 2027" under the plan input
+function updateAdvancePlanPreview() {
+    const preview = document.getElementById('adv-plan-preview');
+    const repayment = document.getElementById('adv-repayment');
+    if (!preview || !repayment || repayment.value === 'single') return;
+    const amount = parseFloat(document.getElementById('adv-amount').value) || 0;
+    const startMonth = document.getElementById('adv-deduction-month').value;
+    const value = document.getElementById('adv-plan-value').value;
+    if (!amount || !startMonth || !value) { preview.innerText = ''; return; }
+
+    const plan = PayrollEngine.buildInstallments(amount, startMonth, repayment.value === 'emi' ? { emiAmount: value } : { months: value });
+    const first = plan[0];
+    const last = plan[plan.length - 1];
+    preview.innerText = plan.length > 1
+        ? `${plan.length} installments: ₹${first.amount}/month${last.amount !== first.amount ? ` (last ₹${last.amount})` : ''}, ${first.month} → ${last.month}`
+        : `One installment of ₹${first.amount} in ${first.month}`;
+}
+
+let _advancePlanId = null;
+
+function openAdvancePlan(id) {
+    const adv = advancesData.find(a => a.id === id);
+    if (!adv) return;
+    _advancePlanId = id;
+
+    const emp = employeesData.find(e => String(e.id) === String(adv.employeeId));
+    document.getElementById('adv-plan-title').innerText = `📒 ₹${adv.amount} advance${emp ? ` — ${emp.name}` : ''} (${adv.date})`;
+
+    const thisMonth = new Date().toISOString().substring(0, 7);
+    const ledger = PayrollEngine.getAdvanceLedger(adv);
+    document.getElementById('adv-plan-body').innerHTML = ledger.map(i => {
+        const status = i.skipped
+            ? `<span style="color:var(--gray);">⏭️ Skipped</span>${i.note ? `<div style="font-size:0.8em;color:var(--gray);">${_auditText(i.note)}</div>` : ''}`
+            : (i.month < thisMonth ? '<span style="color:#10b981;">✅ Deducted</span>'
+                : (i.month === thisMonth ? '<span style="color:#d97706;">⏳ This month</span>' : '<span style="color:var(--gray);">Upcoming</span>'));
+        const canSkip = !i.skipped && i.amount > 0 && i.month >= thisMonth;
+        return `<tr>
+            <td data-label="Month">${i.month}</td>
+            <td data-label="Installment">${i.skipped ? '-' : `₹${i.amount}`}</td>
+            <td data-label="Balance After">₹${i.balance}</td>
+            <td data-label="Status">${status}</td>
+            <td>${canSkip ? `<button class="btn" style="background:var(--gray);color:white;padding:2px 8px;font-size:0.8rem;" onclick="skipAdvanceInstallment('${i.month}')">⏭️ Skip</button>` : ''}</td>
+        </tr>`;
+    }).join('');
+
+    const nextDue = ledger.find(i => !i.skipped && i.month >= thisMonth);
+    document.getElementById('adv-resched-from').value = nextDue ? nextDue.month : thisMonth;
+    document.getElementById('adv-resched-value').value = '';
+    document.getElementById('adv-resched-note').value = '';
+    document.getElementById('adv-plan-modal').style.display = 'flex';
+}
+
+function closeAdvancePlan() {
+    document.getElementById('adv-plan-modal').style.display = 'none';
+    _advancePlanId = null;
+}
+
+async function _postAdvancePlanChange(action, body) {
+    const res = await fetch(`${API_URL}/advances/${_advancePlanId}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) return alert('❌ ' + (data.error || 'Could not update the repayment plan'));
+    advancesData = advancesData.map(a => (a.id === data.id ? data : a));
+    openAdvancePlan(data.id);
+    loadAdvanceTable(listPages.advances);
+}
+
+async function rescheduleAdvance() {
+    const type = document.getElementById('adv-resched-type').value;
+    const value = document.getElementById('adv-resched-value').value;
+    await _postAdvancePlanChange('reschedule', {
+        fromMonth: document.getElementById('adv-resched-from').value,
+        repayment: type,
+        emiAmount: type === 'emi' ? value : undefined,
+        installmentMonths: type === 'months' ? value : undefined,
+        note: document.getElementById('adv-resched-note').value.trim()
+    });
+}
+
+async function skipAdvanceInstallment(month) {
+    const note = prompt(`Skip the ${month} installment? It and every later one move back a month.\n\nReason (recorded in the audit log):`);
+    if (note === null) return;
+    if (!note.trim()) return alert('⚠️ A reason is required to skip an installment.');
+    await _postAdvancePlanChange('skip', { month, note: note.trim() });
+}
+
 async function deleteAdvance(id) {
     if (!confirm("Delete this advance payment?")) return;
-    await fetch(`${API_URL}/advances/${id}`, { method: 'DELETE' });
-    loadAdvanceTable();
+    const res = await fetch(`${API_URL}/advances/${id}`, { method: 'DELETE' });
+    if (!res.ok) return alert('❌ ' + ((await res.json().catch(() => ({}))).error || 'Delete failed'));
+    loadAdvanceTable(listPages.advances);
     loadDashboard();
 }
 
@@ -2805,7 +4250,7 @@ async function loadDebitNoteForm() {
     ]);
 }
 
-async function loadDebitNoteTable() {
+async function loadDebitNoteTable(page = 1) {
     let monthInput = document.getElementById('debit-filter-month');
     if (monthInput && !monthInput.value) {
         const now = new Date();
@@ -2813,46 +4258,49 @@ async function loadDebitNoteTable() {
     }
     let monthFilter = monthInput ? monthInput.value : '';
     const empFilter = document.getElementById('debit-filter-employee') ? document.getElementById('debit-filter-employee').value : '';
-
-    const [debitRes, empRes] = await Promise.all([
-        fetch(`${API_URL}/debit-notes`),
+    listPages.debitNotes = page;
+
+    // A month is the month the note is deducted in
+    const params = new URLSearchParams({ page, pageSize: LIST_PAGE_SIZE, sort: '-date' });
+    if (monthFilter) params.set('month', monthFilter);
+    if (empFilter) params.set('employeeId', empFilter);
+
+    // The KPI cards use the totals of two one-row pages: every note, and every note deducted this month
+    const [debitRes, allRes, monthRes, empRes] = await Promise.all([
+        fetch(`${API_URL}/debit-notes?${params}`),
+        fetch(`${API_URL}/debit-notes?pageSize=1`),
+        fetch(`${API_URL}/debit-notes?pageSize=1&month=${monthFilter}`),
         fetch(`${API_URL}/employees`)
     ]);
-    debitNotesData = await debitRes.json();
+    const data = await debitRes.json();
+    if (!debitRes.ok) return alert('❌ ' + (data.error || 'Could not load debit notes'));
+    if (data.rows.length === 0 && page > data.pages) return loadDebitNoteTable(data.pages);
+    debitNotesData = data.rows;
     const employees = await empRes.json();
     const empMap = Object.fromEntries(employees.map(e => [e.id, e]));
 
     // Update KPI Stats
-    const totalAllTime = debitNotesData.reduce((sum, d) => sum + (parseFloat(d.amount) || 0), 0);
-    const monthDeductions = debitNotesData
-        .filter(d => (d.deductionMonth || (d.date ? d.date.substring(0, 7) : '')) === monthFilter)
-        .reduce((sum, d) => sum + (parseFloat(d.amount) || 0), 0);
-    
+    const allTime = allRes.ok ? await allRes.json() : { total: 0, totals: { amount: 0 } };
+    const thisMonth = monthRes.ok ? await monthRes.json() : { totals: { amount: 0 } };
+
     const totalStatEl = document.getElementById('debit-stat-total');
     const monthStatEl = document.getElementById('debit-stat-month');
     const countStatEl = document.getElementById('debit-stat-count');
-    if (totalStatEl) totalStatEl.innerText = `₹${Math.round(totalAllTime)}`;
-    if (monthStatEl) monthStatEl.innerText = `₹${Math.round(monthDeductions)}`;
-    if (countStatEl) countStatEl.innerText = debitNotesData.length;
-
-    // Filter Logic
-    const filtered = debitNotesData
-        .filter(d => !monthFilter || (d.deductionMonth || (d.date ? d.date.substring(0, 7) : '')) === monthFilter)
-        .filter(d => !empFilter || d.employeeId == empFilter);
-
-    // Sort desc by date
-    const sorted = filtered.sort((a, b) => new Date(b.date) - new Date(a.date));
+    if (totalStatEl) totalStatEl.innerText = `₹${Math.round(allTime.totals.amount)}`;
+    if (monthStatEl) monthStatEl.innerText = `₹${Math.round(thisMonth.totals.amount)}`;
+    if (countStatEl) countStatEl.innerText = allTime.total;
+    renderListPager('debit', data, ` · ₹${Math.round(data.totals.amount)} in total`);
 
     const tbody = document.getElementById('debit-table-body');
     if (!tbody) return;
     tbody.innerHTML = '';
 
-    if (sorted.length === 0) {
+    if (debitNotesData.length === 0) {
         tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: var(--gray); padding: 2rem;">No debit notes found for this selection.</td></tr>';
         return;
     }
 
-    sorted.forEach(deb => {
+    debitNotesData.forEach(deb => {
         const empName = empMap[deb.employeeId] ? empMap[deb.employeeId].name : 'Unknown';
         const dedMonth = deb.deductionMonth || (deb.date ? deb.date.substring(0, 7) : '-');
         const tr = document.createElement('tr');
@@ -2867,6 +4315,7 @@ async function loadDebitNoteTable() {
                 <div class="action-buttons-stacked">
                     <button class="btn" style="background: var(--warning); color: white; padding: 0.25rem 0.5rem;" onclick="editDebitNote('${deb.id}')">✏️</button>
                     <button class="btn" style="background: var(--danger); color: white; padding: 0.25rem 0.5rem;" onclick="deleteDebitNote('${deb.id}')">🗑️</button>
+                    ${historyButton('debit_notes', deb.id)}
                 </div>
             </td>
         `;
@@ -2903,8 +4352,9 @@ function resetDebitForm() {
 
 async function deleteDebitNote(id) {
     if (!confirm("Delete this debit note entry?")) return;
-    await fetch(`${API_URL}/debit-notes/${id}`, { method: 'DELETE' });
-    loadDebitNoteTable();
+    const res = await fetch(`${API_URL}/debit-notes/${id}`, { method: 'DELETE' });
+    if (!res.ok) return alert('❌ ' + ((await res.json().catch(() => ({}))).error || 'Delete failed'));
+    loadDebitNoteTable(listPages.debitNotes);
     loadDashboard();
 }
 
@@ -2925,11 +4375,12 @@ async function loadPayroll() {
     const grid = document.getElementById('payroll-grid');
     grid.innerHTML = '<div style="grid-column: 1 / -1; text-align: center; color: var(--gray); padding: 2rem;">⏳ Loading payroll...</div>';
 
-    let payroll, paymentsRaw;
+    let payroll, paymentsRaw, closures = [];
     try {
-        const [res, payRes] = await Promise.all([
+        const [res, payRes, closRes] = await Promise.all([
             fetch(`${API_URL}/payroll?month=${monthInput}`),
-            fetch(`${API_URL}/payments`)
+            fetch(`${API_URL}/payments`),
+            fetch(`${API_URL}/payroll/closures`)
         ]);
 
         if (!res.ok) {
@@ -2944,6 +4395,7 @@ async function loadPayroll() {
         currentPayrollData = Array.isArray(payroll) ? payroll : [];
         paymentsRaw = await payRes.json();
         paymentsData = Array.isArray(paymentsRaw) ? paymentsRaw : [];
+        if (closRes.ok) closures = await closRes.json();
 
         // Sync employeesData from payroll response so openEmployeeModal works
         // even when the Employees page has never been visited this session.
@@ -2964,6 +4416,8 @@ async function loadPayroll() {
     }
 
     grid.innerHTML = '';
+    const isLocked = renderPayrollCloseBar(monthInput, closures);
+    if (projectCostData && projectCostData.month !== monthInput) loadProjectCosts();
 
     if (!Array.isArray(payroll) || payroll.length === 0) {
         grid.innerHTML = '<div style="grid-column: 1 / -1; text-align: center; color: var(--gray); padding: 2rem; background: var(--white); border-radius: 12px; border: 1px solid #e2e8f0;">No salary records found for this selection.</div>';
@@ -2996,8 +4450,9 @@ async function loadPayroll() {
                         <span style="color: var(--dark);">₹${pay.amount} <span style="color: var(--gray); font-size: 0.75rem;">(${pay.date})</span></span>
                         <div style="display: flex; gap: 0.35rem; align-items: center;">
                             ${proofLink}
-                            <button class="btn" style="background: #f59e0b; color: white; padding: 2px 7px; font-size: 0.75rem; border-radius: 4px;" onclick="openEditPaymentModal('${pay.id}')">✏️</button>
-                            <button class="btn" style="background: var(--danger); color: white; padding: 2px 7px; font-size: 0.75rem; border-radius: 4px;" onclick="deletePaymentRecord('${pay.id}')">🗑️</button>
+                            ${isLocked ? '' : `<button class="btn" style="background: #f59e0b; color: white; padding: 2px 7px; font-size: 0.75rem; border-radius: 4px;" onclick="openEditPaymentModal('${pay.id}')">✏️</button>
+                            <button class="btn" style="background: var(--danger); color: white; padding: 2px 7px; font-size: 0.75rem; border-radius: 4px;" onclick="deletePaymentRecord('${pay.id}')">🗑️</button>`}
+                            ${historyButton('payments', pay.id)}
                         </div>
                     </div>`;
             }).join('')}
@@ -3035,11 +4490,16 @@ async function loadPayroll() {
                 ${p.isSupervisor
                     ? `<div style="grid-column:1/-1;">&#128084; Monthly Salary: <span style="color:#4f46e5; font-weight: 600;">₹${p.salaryEarned}</span></div>`
                     : `<div>Days Worked: <span style="color: var(--dark); font-weight: 500;">${p.daysWorked}</span></div>
-                       <div>Salary: <span style="color: var(--dark); font-weight: 500;">₹${p.salaryEarned}</span></div>`
+                       <div>Salary: <span style="color: var(--dark); font-weight: 500;">₹${p.salaryEarned}</span></div>
+                       ${p.hourRules ? `<div style="grid-column:1/-1; font-size: 0.8rem;">⏳ Hours: <span style="color: ${p.hourRules.source === 'employee' ? '#4f46e5' : 'var(--dark)'};">${PayrollEngine.describeHourRules(p.hourRules)}</span></div>` : ''}`
                 }
                 <div>Fare: <span style="color: var(--dark); font-weight: 500;">₹${p.fareTotal}</span></div>
                 <div>Advance: <span style="color: var(--danger); font-weight: 500;">-₹${p.advancePaid}</span></div>
                 ${(p.debitNotesDeducted && p.debitNotesDeducted > 0) ? `<div>Debit Note: <span style="color: #e11d48; font-weight: 500;">-₹${p.debitNotesDeducted}</span></div>` : ''}
+                ${(p.statutoryDeducted && p.statutoryDeducted > 0) ? `<div>PF/ESI/PT: <span style="color: #7c3aed; font-weight: 500;">-₹${p.statutoryDeducted}</span></div>` : ''}
+                ${(p.lateMarks || p.earlyLeaves || p.lateDeduction || p.halfDayDeduction) ? `<div style="grid-column:1/-1;">⏰ Late: <span style="color: var(--dark); font-weight: 500;">${p.lateMarks || 0} late / ${p.earlyLeaves || 0} early${p.halfDays ? ` / ${p.halfDays} half-day(s)` : ''}</span>${(p.lateDeduction || p.halfDayDeduction) ? ` <span style="color: #dc2626;">(-₹${Math.round((p.lateDeduction || 0) + (p.halfDayDeduction || 0))})</span>` : ''}</div>` : ''}
+                ${p.holidayPay ? `<div style="grid-column:1/-1;">🎉 Paid Holidays: <span style="color: var(--dark); font-weight: 500;">${(p.holidayDays || []).length} day(s)</span> <span style="color: #10b981;">(+₹${Math.round(p.holidayPay)})</span></div>` : ''}
+                ${(p.paidLeaveDays || p.unpaidLeaveDays) ? `<div style="grid-column:1/-1;">🌴 Leave: <span style="color: var(--dark); font-weight: 500;">${p.paidLeaveDays} paid / ${p.unpaidLeaveDays} unpaid day(s)</span>${p.leavePay ? ` <span style="color: ${p.leavePay < 0 ? '#dc2626' : '#10b981'};">(${p.leavePay > 0 ? '+' : '-'}₹${Math.abs(Math.round(p.leavePay))})</span>` : ''}</div>` : ''}
                 ${p.previousBalance !== 0 ?
                 `<div style="grid-column: 1/-1; border-top: 1px dashed #e2e8f0; padding-top: 4px; margin-top: 4px;">
                         Previous Bal: <span style="color: ${p.previousBalance < 0 ? '#dc2626' : '#10b981'}; font-weight: 500;">
@@ -3066,7 +4526,9 @@ async function loadPayroll() {
                 ⏩ ₹${remainingDue} will carry forward to next month if unpaid
             </div>` : ''}
             <div style="display: flex; gap: 0.5rem;">
-                ${remainingDue > 0 ?
+                ${isLocked ?
+                `<div class="btn" style="flex: 1; background: #e2e8f0; color: #64748b; cursor: not-allowed; text-align:center;">🔒 Closed</div>` :
+                remainingDue > 0 ?
                 `<button class="btn btn-primary" style="flex: 1;" onclick="openPaymentModal('${p.employee.id}', '${remainingDue}')">Mark Paid</button>` :
                 `<div class="btn" style="flex: 1; background: #e2e8f0; color: #94a3b8; cursor: not-allowed; text-align:center;">Settled</div>`
             }
@@ -3080,6 +4542,204 @@ async function loadPayroll() {
     _initPayrollForms();
 }
 
+// ==================== PAYROLL MONTH CLOSE ====================
+// Closing stores each employee's payroll line as a snapshot and locks the month (and every earlier one)
+
+// Renders the close / reopen bar for `month`; returns true when the month is locked
+function renderPayrollCloseBar(month, closures) {
+    const bar = document.getElementById('payroll-close-bar');
+    const lockedThrough = closures.length > 0 ? closures[0].month : null; // newest first
+    const closure = closures.find(c => c.month === month);
+    const isLocked = !!lockedThrough && month <= lockedThrough;
+    if (!bar) return isLocked;
+
+    const thisMonth = new Date().toISOString().substring(0, 7);
+    if (closure) {
+        const closedOn = new Date(closure.closedAt).toLocaleString('en-IN');
+        const canReopen = month === lockedThrough && hasPermission('payroll:reopen');
+        bar.innerHTML = `<div style="display:flex;justify-content:space-between;align-items:center;gap:1rem;background:#f1f5f9;border:1px solid #cbd5e1;border-radius:8px;padding:0.6rem 1rem;">
+            <span>🔒 <strong>${month} is closed</strong> — figures are frozen. Closed ${closedOn} by ${closure.closedByName || '-'}.</span>
+            ${canReopen ? `<button class="btn" style="background:#f59e0b;color:white;" onclick="reopenPayrollMonth('${month}')">🔓 Reopen</button>` : ''}
+        </div>`;
+    } else if (isLocked) {
+        bar.innerHTML = `<div style="background:#f1f5f9;border:1px solid #cbd5e1;border-radius:8px;padding:0.6rem 1rem;">
+            🔒 <strong>Locked</strong> — payroll is closed up to ${lockedThrough}, so records in ${month} can no longer be changed.
+        </div>`;
+    } else {
+        bar.innerHTML = `<div style="display:flex;justify-content:space-between;align-items:center;gap:1rem;background:#f0fdf4;border:1px solid #bbf7d0;border-radius:8px;padding:0.6rem 1rem;">
+            <span>🔓 <strong>${month} is open</strong> — figures update live as records change.</span>
+            ${month <= thisMonth ? `<button class="btn" style="background:var(--dark);color:white;" onclick="closePayrollMonth('${month}')">🔒 Close Month</button>` : ''}
+        </div>`;
+    }
+    return isLocked;
+}
+
+async function closePayrollMonth(month) {
+    if (!confirm(`Close payroll for ${month}?\n\nEvery employee's payslip is frozen as it is now, and attendance, advances, debit notes and payments in ${month} and earlier can no longer be changed.`)) return;
+    const res = await fetch(`${API_URL}/payroll/close`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ month })
+    });
+    if (!res.ok) return alert('❌ ' + ((await res.json().catch(() => ({}))).error || 'Could not close the month'));
+    alert(`✅ Payroll for ${month} closed.`);
+    loadPayroll();
+}
+
+async function reopenPayrollMonth(month) {
+    if (!confirm(`Reopen payroll for ${month}?\n\nThe frozen payslips are discarded and the month is recalculated live. This is recorded in the audit log.`)) return;
+    const res = await fetch(`${API_URL}/payroll/reopen`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ month })
+    });
+    if (!res.ok) return alert('❌ ' + ((await res.json().catch(() => ({}))).error || 'Could not reopen the month'));
+    loadPayroll();
+}
+
+// ==================== STATUTORY CHALLAN SUMMARY ====================
+// PF, ESI and PT contributions of the loaded payroll month, one sheet each, for filing the monthly challans
+function exportStatutoryChallan() {
+    const month = document.getElementById('payroll-month').value;
+    const lines = currentPayrollData.filter(p => p.statutory);
+    const pick = (key) => lines.filter(p => p.statutory[key]);
+    const pfLines = pick('pf');
+    const esiLines = pick('esi');
+    const ptLines = pick('pt');
+    if (pfLines.length + esiLines.length + ptLines.length === 0) {
+        return alert(`No PF, ESI or Professional Tax was deducted for ${month}.`);
+    }
+
+    const sum = (rows, key, field) => rows.reduce((total, p) => total + (p.statutory[key][field] || 0), 0);
+    const header = (title) => [["SIDDHI ELECTRICALS"], [`${title} — ${month}`], [`Generated On: ${new Date().toLocaleDateString('en-IN')}`], []];
+
+    const pfAoa = [
+        ...header('PF CHALLAN SUMMARY'),
+        ["S.No", "Employee Name", "UAN", "PF Wages", "Employee Share", "Employer Share", "Total"],
+        ...pfLines.map((p, i) => [i + 1, p.employee.name, p.statutory.pf.uan || '-', p.statutory.pf.wage, p.statutory.pf.employee, p.statutory.pf.employer, p.statutory.pf.employee + p.statutory.pf.employer]),
+        ["", "TOTAL", "", sum(pfLines, 'pf', 'wage'), sum(pfLines, 'pf', 'employee'), sum(pfLines, 'pf', 'employer'), sum(pfLines, 'pf', 'employee') + sum(pfLines, 'pf', 'employer')]
+    ];
+    const esiAoa = [
+        ...header('ESI CHALLAN SUMMARY'),
+        ["S.No", "Employee Name", "ESI IP Number", "ESI Wages", "Employee Share", "Employer Share", "Total"],
+        ...esiLines.map((p, i) => [i + 1, p.employee.name, p.statutory.esi.esiNumber || '-', p.statutory.esi.wage, p.statutory.esi.employee, p.statutory.esi.employer, p.statutory.esi.employee + p.statutory.esi.employer]),
+        ["", "TOTAL", "", sum(esiLines, 'esi', 'wage'), sum(esiLines, 'esi', 'employee'), sum(esiLines, 'esi', 'employer'), sum(esiLines, 'esi', 'employee') + sum(esiLines, 'esi', 'employer')]
+    ];
+    const ptAoa = [
+        ...header('PROFESSIONAL TAX SUMMARY'),
+        ["S.No", "Employee Name", "State", "Gross Wages", "PT Deducted"],
+        ...ptLines.map((p, i) => [i + 1, p.employee.name, p.statutory.pt.state, p.statutory.pt.wage, p.statutory.pt.employee]),
+        ["", "TOTAL", "", sum(ptLines, 'pt', 'wage'), sum(ptLines, 'pt', 'employee')]
+    ];
+
+    const wb = XLSX.utils.book_new();
+    [['PF', pfAoa], ['ESI', esiAoa], ['Professional Tax', ptAoa]].forEach(([name, aoa]) => {
+        const ws = XLSX.utils.aoa_to_sheet(aoa);
+        ws['!cols'] = [{ wch: 6 }, { wch: 24 }, { wch: 18 }, { wch: 14 }, { wch: 16 }, { wch: 16 }, { wch: 12 }];
+        XLSX.utils.book_append_sheet(wb, ws, name);
+    });
+    XLSX.writeFile(wb, `Siddhi_Statutory_Challan_${month}.xlsx`);
+}
+
+// ==================== PROJECT COSTING ====================
+// Labour cost of the payroll month by project / site (attendance.siteId), for attaching to client invoices
+let projectCostData = null;
+
+async function loadProjectCosts() {
+    const month = document.getElementById('payroll-month').value;
+    const card = document.getElementById('project-cost-card');
+    const tbody = document.getElementById('project-cost-body');
+    if (!card || !month) return;
+    card.style.display = 'block';
+    document.getElementById('project-cost-month').innerText = `— ${month}`;
+    tbody.innerHTML = '<tr><td colspan="7" style="text-align:center;color:var(--gray);padding:1.5rem;">⏳ Loading...</td></tr>';
+
+    try {
+        const res = await fetch(`${API_URL}/payroll/project-costs?month=${month}`);
+        if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || `Server error: ${res.status}`);
+        projectCostData = await res.json();
+    } catch (err) {
+        projectCostData = null;
+        tbody.innerHTML = `<tr><td colspan="7" style="text-align:center;color:#b91c1c;padding:1.5rem;">⚠️ ${_auditText(err.message)}</td></tr>`;
+        return;
+    }
+
+    const { sites } = projectCostData;
+    if (sites.length === 0) {
+        tbody.innerHTML = `<tr><td colspan="7" style="text-align:center;color:var(--gray);padding:1.5rem;">No wages for ${month}.</td></tr>`;
+        return;
+    }
+    const money = (n) => '₹' + Math.round(n).toLocaleString('en-IN');
+    const sum = (key) => sites.reduce((total, s) => total + s[key], 0);
+    tbody.innerHTML = sites.map(s => `
+        <tr style="background:#f8fafc;">
+            <td data-label="Project / Site" style="font-weight:600;color:${s.siteId === null ? 'var(--gray)' : 'var(--dark)'};">${s.siteId === null ? '❔' : '🏗️'} ${_auditText(s.siteName)}</td>
+            <td data-label="Workers">${s.employees.length}</td>
+            <td data-label="Man-days">${s.days}</td>
+            <td data-label="Hours">${s.hours.toFixed(2)}h</td>
+            <td data-label="Wages">${money(s.wage)}</td>
+            <td data-label="Fare">${money(s.fare)}</td>
+            <td data-label="Labour Cost" style="font-weight:bold;">${money(s.total)}</td>
+        </tr>
+        ${s.employees.map(e => `
+        <tr style="font-size:0.85em;color:var(--gray);">
+            <td data-label="Employee" style="padding-left:1.75rem;">${_auditText(e.employeeName)}</td>
+            <td></td>
+            <td data-label="Man-days">${e.days}</td>
+            <td data-label="Hours">${e.hours.toFixed(2)}h</td>
+            <td data-label="Wages">${money(e.wage)}</td>
+            <td data-label="Fare">${money(e.fare)}</td>
+            <td data-label="Labour Cost">${money(e.total)}</td>
+        </tr>`).join('')}`).join('') + `
+        <tr style="font-weight:bold;border-top:2px solid #cbd5e1;">
+            <td data-label="Project / Site">TOTAL${projectCostData.closed ? ' 🔒' : ''}</td><td></td>
+            <td data-label="Man-days">${sum('days')}</td>
+            <td data-label="Hours">${sum('hours').toFixed(2)}h</td>
+            <td data-label="Wages">${money(sum('wage'))}</td>
+            <td data-label="Fare">${money(sum('fare'))}</td>
+            <td data-label="Labour Cost">${money(sum('total'))}</td>
+        </tr>`;
+}
+
+// Summary sheet plus one sheet per project with every costed day, ready to attach to the client's invoice
+function exportProjectCosts() {
+    if (!projectCostData || projectCostData.sites.length === 0) return alert('Load the project costs for a month first.');
+    const { month, sites, lines } = projectCostData;
+    const header = (title) => [["SIDDHI ELECTRICALS"], [`${title} — ${month}`], [`Generated On: ${new Date().toLocaleDateString('en-IN')}`], []];
+    const kindLabels = { day: '', salary: 'Fixed salary share', leave: 'Paid leave', holiday: 'Paid holiday' };
+
+    const wb = XLSX.utils.book_new();
+    const summaryAoa = [
+        ...header('PROJECT LABOUR COST SUMMARY'),
+        ["S.No", "Project / Site", "Workers", "Man-days", "Hours", "Wages", "Fare", "Labour Cost"],
+        ...sites.map((s, i) => [i + 1, s.siteName, s.employees.length, s.days, s.hours, Math.round(s.wage), Math.round(s.fare), Math.round(s.total)]),
+        ["", "TOTAL", "", sites.reduce((t, s) => t + s.days, 0), sites.reduce((t, s) => t + s.hours, 0), Math.round(sites.reduce((t, s) => t + s.wage, 0)), Math.round(sites.reduce((t, s) => t + s.fare, 0)), Math.round(sites.reduce((t, s) => t + s.total, 0))]
+    ];
+    const summary = XLSX.utils.aoa_to_sheet(summaryAoa);
+    summary['!cols'] = [{ wch: 6 }, { wch: 28 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 12 }, { wch: 12 }, { wch: 14 }];
+    XLSX.utils.book_append_sheet(wb, summary, 'Summary');
+
+    const usedNames = new Set(['Summary']);
+    sites.forEach(s => {
+        const siteLines = lines.filter(l => l.siteId === s.siteId);
+        const aoa = [
+            ...header(`LABOUR COST — ${s.siteName.toUpperCase()}`),
+            ["S.No", "Date", "Employee Name", "Hours", "Wages", "Fare", "Total", "Note"],
+            ...siteLines.map((l, i) => [i + 1, l.date || month, l.employeeName, l.hours, l.wage, l.fare, l.total, kindLabels[l.kind] || '']),
+            ["", "", "TOTAL", s.hours, s.wage, s.fare, s.total, ""]
+        ];
+        const ws = XLSX.utils.aoa_to_sheet(aoa);
+        ws['!cols'] = [{ wch: 6 }, { wch: 12 }, { wch: 24 }, { wch: 8 }, { wch: 12 }, { wch: 10 }, { wch: 12 }, { wch: 18 }];
+        // Sheet names: at most 31 characters, no []:*?/\ and unique
+        const base = s.siteName.replace(/[\[\]:*?\/\\]/g, ' ').substring(0, 28).trim() || 'Site';
+        let name = base;
+        for (let n = 2; usedNames.has(name); n++) name = `${base} ${n}`;
+        usedNames.add(name);
+        XLSX.utils.book_append_sheet(wb, ws, name);
+    });
+    XLSX.writeFile(wb, `Siddhi_Project_Costs_${month}.xlsx`);
+}
+
 // Payment Modal
 function openPaymentModal(empId, dueAmount) {
     document.getElementById('pay-emp-id').value = empId;
@@ -3269,7 +4929,7 @@ async function deletePaymentRecord(paymentId) {
     if (!confirm('Delete this payment? This will update the remaining balance.')) return;
     try {
         const res = await fetch(`${API_URL}/payments/${paymentId}`, { method: 'DELETE' });
-        if (!res.ok) throw new Error('Delete failed');
+        if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || 'Delete failed');
         loadPayroll();
     } catch (e) {
         alert('Error deleting payment: ' + e.message);
@@ -3354,25 +5014,12 @@ function exportToCSV() {
 
     // Prepare Attendance Rows
     const attendanceRows = empAtt.map(att => {
-        const wh = parseFloat(att.workedHours || att.totalHours || att.worked_hours || att.hours || 0);
-        const salary = parseFloat(emp.salary);
-        const stdHours = globalSettings.standardHours;
-        const slabBase = globalSettings.slabHours;
-
-        let dailySalary = 0;
-        let status = 'Present';
-
-        const normalRate = salary / stdHours;
-        if (att.slabMode && wh > stdHours) {
-            const extra = wh - stdHours;
-            const slabRate = salary / slabBase;
-            dailySalary = (normalRate * stdHours) + (slabRate * extra);
-            status = 'Overtime';
-        } else {
-            dailySalary = normalRate * wh;
-        }
+        const day = PayrollEngine.calculateDayEarning(getEmployeeOnDate(emp, att.date), att, globalSettings);
+        const wh = day.workedHours;
+        const dailySalary = day.wage;
+        const status = day.mode === 'sunday' ? 'Sunday' : (day.isOvertime ? 'Overtime' : 'Present');
 
-        const fare = parseFloat(att.fare) || 0;
+        const fare = day.fare;
         const dayTotal = Math.round(dailySalary + fare);
 
         totalEarned += dayTotal;
@@ -4008,61 +5655,50 @@ async function downloadSelectedImages() {
 async function sharePayslipWhatsApp() {
     if (!currentModalEmployee) return;
 
-    const empId = currentModalEmployee.id;
     const month = document.getElementById('modal-month-picker').value;
 
     // Ensure we have latest payments (optional but good practice)
     const payRes = await fetch(`${API_URL}/payments`);
-    const allPayments = await payRes.json();
-    const payments = allPayments.filter(p => String(p.employeeId) === String(empId) && p.salaryMonth === month);
+    paymentsData = await payRes.json();
 
     const emp = currentModalEmployee;
 
-    // --- 1. DATA CALCULATION (Same as PDF) ---
-    const att = attendanceData.filter(a => String(a.employeeId) === String(empId) && a.date.startsWith(month));
-    const adv = advancesData.filter(a => String(a.employeeId) === String(empId) && (a.deductionMonth || a.date.substring(0, 7)) === month);
-
-    let basicPay = 0;
-    let otPay = 0;
-    let totalFare = 0;
-
-    const normalHourlyRate = emp.salary / globalSettings.standardHours;
-    const slabHourlyRate = emp.salary / globalSettings.slabHours;
-
-    att.forEach(a => {
-        const wh = parseFloat(a.workedHours || a.totalHours || a.worked_hours || a.hours || 0);
-        totalFare += parseFloat(a.fare || 0);
-
-        if (a.slabMode && wh > globalSettings.standardHours) {
-            const normalPart = normalHourlyRate * globalSettings.standardHours;
-            const extraPart = slabHourlyRate * (wh - globalSettings.standardHours);
-            basicPay += normalPart;
-            otPay += extraPart;
-        } else {
-            basicPay += normalHourlyRate * wh;
-        }
-    });
-
+    // --- 1. DATA CALCULATION (Same engine as PDF) ---
+    const slip = getEmployeePayroll(emp, month);
+    const basicPay = slip.basePay;
+    const otPay = slip.otPay;
+    const totalFare = slip.fareTotal;
     const totalEarned = basicPay + otPay + totalFare;
-    const totalAdv = adv.reduce((sum, a) => sum + a.amount, 0);
-    const totalPaid = payments.reduce((sum, p) => sum + p.amount, 0);
+    const totalAdv = slip.advancePaid;
+    const totalDebit = slip.debitNotesDeducted;
+    const totalPaid = slip.paidTotal;
+    const netPayable = slip.finalPayable;
+    const remainingDue = slip.remainingDue;
 
-    const netPayable = totalEarned - totalAdv;
-    const remainingDue = netPayable - totalPaid;
+    const leaveLine = PayrollEngine.describeLeavePay(slip);
+    const holidayLine = PayrollEngine.describeHolidayPay(slip);
+    const lateLine = PayrollEngine.describeLateDeduction(slip);
 
     // Format Message
     const msg = `*Payslip for ${month}*
 Name: ${emp.name}
-Details: ${emp.designation || 'Worker'} (ID: ${emp.customId || emp.id})
+Details: ${emp.designation || 'Worker'} (ID: ${emp.customId || emp.id})${emp.employee_type === 'fixed_salary' ? '' : `
+Hours: ${PayrollEngine.describeHourRules(slip.hourRules)}`}
 
 *Earnings*
 Basic & OT: ₹${(basicPay + otPay).toFixed(0)}
-Travel/Fare: ₹${totalFare.toFixed(0)}
+${leaveLine ? `${leaveLine.label}: ₹${leaveLine.amount.toFixed(0)} (in Basic)
+` : ''}${holidayLine ? `${holidayLine.label}: ₹${holidayLine.amount.toFixed(0)} (in Basic)
+` : ''}${lateLine ? `${lateLine.label}: ₹${lateLine.amount.toFixed(0)} (in Basic)
+` : ''}Travel/Fare: ₹${totalFare.toFixed(0)}
 *Total Earned: ₹${totalEarned.toFixed(0)}*
 
 *Deductions*
 Advances: ₹${totalAdv.toFixed(0)}
+Debit Notes: ₹${totalDebit.toFixed(0)}${PayrollEngine.describeStatutoryLines(slip.statutory).map(line => `
+${line.label}: ₹${line.amount}`).join('')}
 
+Previous Balance: ₹${slip.previousBalance}
 *Net Payable: ₹${Math.round(netPayable)}*
 (Paid: ₹${totalPaid}, Due: ₹${Math.round(remainingDue)})
 
@@ -4151,7 +5787,7 @@ window.confirmFactoryReset = async function () {
             alert("System has been reset successfully. You will be logged out.");
             logout();
         } else {
-            alert("Reset Failed: " + (data.message || 'Unknown error'));
+            alert("Reset Failed: " + (data.error || data.message || 'Unknown error'));
         }
     } catch (e) {
         console.error("Factory reset error:", e);
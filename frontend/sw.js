@@ -0,0 +1,62 @@
+// Service worker for the employee portal (installable PWA, works without signal).
+// The portal page and its scripts are served network-first with a cached fallback, and so are the
+// employee's own data (/api/me/*, session, settings, holidays) so the portal opens offline.
+// Check-ins made offline are queued by the page itself (IndexedDB), not here.
+
+const SHELL_CACHE = 'portal-shell-v1';
+const DATA_CACHE = 'portal-data'; // Cleared by the portal on logout
+
+const SHELL_URLS = [
+    '/employee-portal.html',
+    '/js/payroll-engine.js',
+    '/manifest.webmanifest',
+    '/assets/favicon.png'
+];
+
+// Third-party scripts and fonts the portal loads
+const CDN_HOSTS = ['cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+const DATA_PATHS = ['/api/session', '/api/settings', '/api/holidays'];
+const isDataRequest = (url) => url.pathname.startsWith('/api/me/') || DATA_PATHS.includes(url.pathname);
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_URLS)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(k => k.startsWith('portal-shell-') && k !== SHELL_CACHE).map(k => caches.delete(k))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Fresh copy when online (and keep it); the cached one when the network fails.
+// CDN files load without CORS, so their (opaque) responses are kept as they are.
+const networkFirst = async (request, cacheName) => {
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            const cache = await caches.open(cacheName);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (err) {
+        const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw err;
+    }
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (isDataRequest(url)) return event.respondWith(networkFirst(request, DATA_CACHE));
+        if (SHELL_URLS.includes(url.pathname)) return event.respondWith(networkFirst(request, SHELL_CACHE));
+        return; // Admin pages and everything else go straight to the network
+    }
+    if (CDN_HOSTS.includes(url.hostname)) event.respondWith(networkFirst(request, SHELL_CACHE));
+});
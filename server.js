@@ -15,6 +15,12 @@ if (typeof dns.setDefaultResultOrder === 'function') {
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Client IPs (req.ip, used by the login lockout) are read from X-Forwarded-For only through trusted
+// proxies: Vercel's edge sets the header, so that is one hop. TRUST_PROXY overrides it, as a hop count
+// or addresses in Express's 'trust proxy' format. Behind no proxy the socket address is used.
+const trustProxy = process.env.TRUST_PROXY || (process.env.VERCEL === '1' ? '1' : '');
+if (trustProxy) app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+
 // Middleware
 app.use(cors());
 app.use(bodyParser.json({ limit: '10mb' }));
@@ -38,10 +44,10 @@ app.use('/api', (req, res, next) => {
     };
     next();
 });
-// Serve frontend static files (no-cache for HTML to prevent stale page issues)
+// Serve frontend static files (no-cache for HTML and the portal's service worker to prevent stale page issues)
 app.use(express.static(path.join(__dirname, 'frontend'), {
     setHeaders: (res, filePath) => {
-        if (filePath.endsWith('.html')) {
+        if (filePath.endsWith('.html') || filePath.endsWith('sw.js')) {
             res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate');
             res.setHeader('Pragma', 'no-cache');
             res.setHeader('Expires', '0');
@@ -49,6 +55,16 @@ app.use(express.static(path.join(__dirname, 'frontend'), {
     }
 }));
 
+// Uploaded files, when running on a local database (DB_BACKEND=sqlite or json)
+const { filesDir } = require('./backend/services/dbClient');
+if (filesDir) app.use('/files', express.static(filesDir));
+
+// Shared payroll engine (same file the backend uses) → window.PayrollEngine in the browser
+app.get('/js/payroll-engine.js', (req, res) => {
+    res.setHeader('Cache-Control', 'no-cache');
+    res.sendFile(path.join(__dirname, 'backend', 'services', 'payroll.js'));
+});
+
 // Root `/` and `/index.html` → redirect to login
 app.get('/', (req, res) => res.redirect(302, '/login.html'));
 app.get('/index.html', (req, res) => res.redirect(302, '/login.html'));
@@ -61,7 +77,9 @@ app.get(legacyPages, (req, res) => {
 });
 
 // Import Routes
+const { requireAuth, requireRole, requirePasswordChanged, loadStaffProfile, requirePermission } = require('./backend/middleware/auth');
 const authRoutes = require('./backend/routes/auth');
+const meRoutes = require('./backend/routes/me');
 const employeeRoutes = require('./backend/routes/employees');
 const attendanceRoutes = require('./backend/routes/attendance');
 const attendancePhotosRoutes = require('./backend/routes/attendancePhotos');
@@ -70,24 +88,61 @@ const settingsRoutes = require('./backend/routes/settings');
 const advanceRoutes = require('./backend/routes/advances');
 const debitNotesRoutes = require('./backend/routes/debitNotes');
 const paymentRoutes = require('./backend/routes/payments');
+const salaryRevisionRoutes = require('./backend/routes/salaryRevisions');
+const leaveRoutes = require('./backend/routes/leaves');
+const regularizationRoutes = require('./backend/routes/regularizations');
+const siteRoutes = require('./backend/routes/sites');
 const uploadRoutes = require('./backend/routes/uploads');
 const payrollRoutes = require('./backend/routes/payroll');
+const adminUserRoutes = require('./backend/routes/adminUsers');
+const loginLockoutRoutes = require('./backend/routes/loginLockouts');
+const auditRoutes = require('./backend/routes/audit');
+const cronRoutes = require('./backend/routes/cron');
 
 // Mount Routes
-app.use('/api', authRoutes); 
+// Auth routes come first: /api/login is public, the rest guard themselves
+app.use('/api', authRoutes);
+
+// Scheduled jobs authenticate with CRON_SECRET instead of a session
+app.use('/api/cron', cronRoutes);
+
+// Every other /api route requires a valid session token
+app.use('/api', requireAuth);
+
+// Resolve the admin account's role (owner / accountant / supervisor) and crew
+app.use('/api', loadStaffProfile);
+
+// Accounts still on the default password must change it before anything else. An employee can
+// still read their profile and set the new password (/api/session guards itself above).
+const PASSWORD_CHANGE_PATHS = ['/me/password', '/me/profile'];
+app.use('/api', (req, res, next) => (PASSWORD_CHANGE_PATHS.includes(req.path) ? next() : requirePasswordChanged(req, res, next)));
+
+// Employee self-service
+app.use('/api/me', requireRole('employee'), meRoutes);
+
+// Routers shared by admin and employee portal (per-route permission checks inside)
 app.use('/api/employees', employeeRoutes);
 app.use('/api/attendance', attendanceRoutes);
-app.use('/api/attendance-photos', attendancePhotosRoutes);
 app.use('/api/holidays', holidayRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/advances', advanceRoutes);
 app.use('/api/debit-notes', debitNotesRoutes);
 app.use('/api/payments', paymentRoutes);
-app.use('/api/uploads', uploadRoutes);
-app.use('/api/payroll', payrollRoutes);
+app.use('/api/salary-revisions', salaryRevisionRoutes);
+
+// Admin-only routers
+app.use('/api/attendance-photos', requirePermission('attendance_photos'), attendancePhotosRoutes);
+app.use('/api/attendance-regularizations', requirePermission('attendance:read'), regularizationRoutes);
+app.use('/api/sites', requirePermission('attendance:read'), siteRoutes);
+app.use('/api/uploads', requirePermission('uploads'), uploadRoutes);
+app.use('/api/payroll', requirePermission('payroll'), payrollRoutes);
+app.use('/api/leaves', requirePermission('leaves'), leaveRoutes);
+app.use('/api/admin-users', requirePermission('users'), adminUserRoutes);
+app.use('/api/login-lockouts', requirePermission('users'), loginLockoutRoutes);
+app.use('/api/audit', requirePermission('audit'), auditRoutes);
 
-// Start Server (only when not imported by Vercel)
-if (process.env.VERCEL !== '1') {
+// Start Server (only when run directly: Vercel and the tests import the app)
+if (process.env.VERCEL !== '1' && require.main === module) {
     app.listen(PORT, () => {
         console.log(`Server running on http://localhost:${PORT}`);
     });